@@ -1,7 +1,5 @@
 // ---- Constants
 export const consts = {
-  GRAPHQL_URL: "https://leetcode.com/graphql/",
-  SYNC_LOCK_KEY: "leettracker_sync_lock",
   HEARTBEAT_TIMEOUT_MS: 180000, // 3 minutes
   DAY_S: 86400,
 };
@@ -16,7 +14,27 @@ export const keys = {
   templates: (slug) => `leettracker_templates_${slug}`,
   recentJourneys: (u) => `leettracker_recent_journeys_${u}`,
   recentRuns: (u) => `leettracker_recent_runs_${u}`,
-  problemIdMap: "leettracker_problem_slug_to_id_map",
+  fetchCheckpoint: (u) => `leettracker_fetch_checkpoint_${u}`,
+  fetchCheckpointPage: (u, i) => `leettracker_fetch_checkpoint_${u}_page_${i}`,
+  reenrichQueue: (u) => `leettracker_reenrich_queue_${u}`,
+  syncLock: (u) => `leettracker_sync_lock_${u}`, // replaces the global "leettracker_sync_lock"
+  problemIdMap: "leettracker_problem_slug_to_id_map", // legacy; moved into the problem catalog
+  settings: "leettracker_settings",
+  rateLimiterState: "leettracker_rate_limiter_state",
+  backgroundSync: "leettracker_background_sync", // last background sync outcome
+  pendingSyncRuns: "leettracker_pending_sync_runs", // sync history not yet in IndexedDB
+  accounts: "leettracker_accounts", // every account with data in this browser
+};
+
+// ---- chrome.runtime message types (extension-internal)
+export const messages = {
+  // webapp bridge -> background -> LeetCode tab: read from LeetTrackerDB
+  DB_QUERY: "leettracker_db_query",
+  // webapp bridge -> background -> LeetCode tab port: run a sync now and
+  // stream its progress back
+  SYNC_NOW: "leettracker_sync_now",
+  // webapp bridge -> background: list the accounts with stored data
+  LIST_ACCOUNTS: "leettracker_list_accounts",
 };
 
 // ---- chrome.storage helpers
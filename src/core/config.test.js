@@ -175,6 +175,10 @@ describe("keys helpers", () => {
   it("returns correct problemIdMap key", () => {
     expect(keys.problemIdMap).toBe("leettracker_problem_slug_to_id_map");
   });
+
+  it("generates a sync lock key per user", () => {
+    expect(keys.syncLock("testuser")).toBe("leettracker_sync_lock_testuser");
+  });
 });
 
 describe("util.sleep", () => {
@@ -3,6 +3,24 @@ import * as storage from "./storage.js";
 
 let dbInstance = null;
 let initPromise = null;
+let unavailableReason = null;
+
+/**
+ * Make getDBInstance() reject from now on. LeetTrackerDB lives in the
+ * LeetCode origin (leetcode.com, or leetcode.cn with its own copy); the
+ * background service worker runs in the extension's own origin, where
+ * opening it would create a second, empty database.
+ */
+export function markDBUnavailable(reason) {
+  unavailableReason = reason;
+}
+
+/**
+ * Whether this context can reach LeetTrackerDB (false in the service worker).
+ */
+export function isDBAvailable() {
+  return unavailableReason === null;
+}
 
 /**
  * Get the singleton database instance.
@@ -11,6 +29,10 @@ let initPromise = null;
  * If initialization is in progress, waits for it to complete.
  */
 export async function getDBInstance() {
+  if (unavailableReason) {
+    throw new Error(`LeetTrackerDB unavailable: ${unavailableReason}`);
+  }
+
   // Return cached instance if available
   if (dbInstance) {
     return dbInstance;
@@ -43,4 +65,5 @@ export function isDBInitialized() {
 export function resetDBInstance() {
   dbInstance = null;
   initPromise = null;
+  unavailableReason = null;
 }
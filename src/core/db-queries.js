@@ -0,0 +1,450 @@
+// src/core/db-queries.js
+import { messages } from "./config.js";
+import { getDBInstance } from "./db-instance.js";
+
+// LeetTrackerDB lives in the LeetCode origin, so the webapp bridge cannot
+// open it directly. Its requests are relayed by the background service worker
+// to a tab of the right LeetCode site, where these queries run against the
+// local database.
+
+export const DEFAULT_SNAPSHOT_PAGE_SIZE = 100;
+export const MAX_SNAPSHOT_PAGE_SIZE = 500;
+export const DEFAULT_ARCHIVE_PAGE_SIZE = 20;
+export const MAX_ARCHIVE_PAGE_SIZE = 100;
+export const DEFAULT_EXPORT_PAGE_SIZE = 50;
+export const MAX_EXPORT_PAGE_SIZE = 200;
+export const DEFAULT_CATALOG_PAGE_SIZE = 50;
+export const MAX_CATALOG_PAGE_SIZE = 200;
+export const DEFAULT_SYNC_RUNS_LIMIT = 20;
+export const MAX_SYNC_RUNS_LIMIT = 200;
+export const DEFAULT_SESSIONS_PAGE_SIZE = 50;
+export const MAX_SESSIONS_PAGE_SIZE = 200;
+export const DEFAULT_ABANDONED_PAGE_SIZE = 20;
+export const MAX_ABANDONED_PAGE_SIZE = 100;
+
+// Stores a full export may page through. The problem catalog is shared by
+// all users; the others are per-user.
+export const EXPORT_STORES = [
+  "journeys",
+  "runGroups",
+  "hintEvents",
+  "problems",
+];
+
+/**
+ * Create an error whose `code` is passed through to the web app.
+ */
+function queryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function requireParam(params, name) {
+  const value = params?.[name];
+  if (value === undefined || value === null || value === "") {
+    throw queryError("invalid_request", `\`${name}\` is required`);
+  }
+  return value;
+}
+
+/**
+ * Normalize offset/limit paging parameters.
+ */
+export function normalizePage(offset, limit, defaultLimit, maxLimit) {
+  const safeOffset = Number.isInteger(offset) && offset > 0 ? offset : 0;
+  const safeLimit =
+    Number.isInteger(limit) && limit > 0
+      ? Math.min(limit, maxLimit)
+      : defaultLimit;
+  return { offset: safeOffset, limit: safeLimit };
+}
+
+/**
+ * Detailed journey + run group for a single submission.
+ * Journey snapshots are paged, since long attempts can have hundreds of them.
+ */
+export async function getSubmissionArchive(params) {
+  const username = requireParam(params, "username");
+  const submissionId = String(requireParam(params, "submissionId"));
+  const { offset, limit } = normalizePage(
+    params.snapshotOffset,
+    params.snapshotLimit,
+    DEFAULT_SNAPSHOT_PAGE_SIZE,
+    MAX_SNAPSHOT_PAGE_SIZE
+  );
+
+  const db = await getDBInstance();
+  const [journey, runGroup] = await Promise.all([
+    db.getJourneyArchive(username, submissionId),
+    db.getRunGroupArchive(username, submissionId),
+  ]);
+
+  if (!journey && !runGroup) {
+    throw queryError(
+      "not_found",
+      `No archived journey or runs for submission ${submissionId}`
+    );
+  }
+
+  const snapshots = journey?.codingJourney?.snapshots || [];
+  const page = snapshots.slice(offset, offset + limit);
+
+  return {
+    submissionId,
+    titleSlug: journey?.titleSlug ?? runGroup?.titleSlug ?? null,
+    timestamp: journey?.timestamp ?? runGroup?.timestamp ?? null,
+    codingJourney: journey?.codingJourney
+      ? { ...journey.codingJourney, snapshots: page }
+      : null,
+    runEvents: runGroup?.runEvents ?? null,
+    snapshotPage: {
+      offset,
+      limit,
+      total: snapshots.length,
+      hasMore: offset + page.length < snapshots.length,
+    },
+  };
+}
+
+// A coding journey without its snapshots
+function journeySummary(codingJourney) {
+  if (!codingJourney) return null;
+  const { snapshots, ...summary } = codingJourney;
+  return {
+    ...summary,
+    snapshotCount: summary.snapshotCount ?? snapshots?.length ?? 0,
+  };
+}
+
+/**
+ * Archived journeys + run groups for every submission of a problem, newest
+ * first. Journeys are returned without snapshots (use getSubmissionArchive
+ * to page through them). Only the page's archives are read.
+ */
+export async function getProblemArchives(params) {
+  const username = requireParam(params, "username");
+  const titleSlug = requireParam(params, "titleSlug");
+  const { offset, limit } = normalizePage(
+    params.offset,
+    params.limit,
+    DEFAULT_ARCHIVE_PAGE_SIZE,
+    MAX_ARCHIVE_PAGE_SIZE
+  );
+
+  const db = await getDBInstance();
+  const { records, total } = await db.getProblemArchivesPage(
+    username,
+    titleSlug,
+    offset,
+    limit
+  );
+
+  const submissions = await Promise.all(
+    records.map(
+      async ({ submissionId, timestamp, hasJourney, hasRunGroup }) => {
+        const [journey, runGroup] = await Promise.all([
+          hasJourney ? db.getJourneyArchive(username, submissionId) : null,
+          hasRunGroup ? db.getRunGroupArchive(username, submissionId) : null,
+        ]);
+        return {
+          submissionId,
+          timestamp,
+          codingJourney: journeySummary(journey?.codingJourney),
+          runEvents: runGroup?.runEvents || null,
+        };
+      }
+    )
+  );
+
+  return {
+    titleSlug,
+    submissions,
+    page: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + submissions.length < total,
+    },
+  };
+}
+
+/**
+ * One page of a user's records from an exportable store, in a stable order.
+ */
+export async function getExportRecords(params) {
+  const username = requireParam(params, "username");
+  const store = requireParam(params, "store");
+  if (!EXPORT_STORES.includes(store)) {
+    throw queryError("invalid_request", `Store ${store} cannot be exported`);
+  }
+  const { offset, limit } = normalizePage(
+    params.offset,
+    params.limit,
+    DEFAULT_EXPORT_PAGE_SIZE,
+    MAX_EXPORT_PAGE_SIZE
+  );
+
+  const db = await getDBInstance();
+  const { records, total } =
+    store === "problems"
+      ? await db.getProblemsPage(offset, limit)
+      : await db.getUserRecordsPage(store, username, offset, limit);
+
+  return {
+    store,
+    records,
+    page: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + records.length < total,
+    },
+  };
+}
+
+/**
+ * Problem catalog records. With `titleSlugs`, returns those problems (and
+ * lists the ones not in the catalog yet). Otherwise pages through the whole
+ * catalog in update order, optionally only problems updated after
+ * `updatedSince`; `latestUpdatedAt` is the value to send next time.
+ */
+export async function getProblemCatalog(params) {
+  const db = await getDBInstance();
+
+  if (params.titleSlugs !== undefined) {
+    const { titleSlugs } = params;
+    if (
+      !Array.isArray(titleSlugs) ||
+      titleSlugs.some((slug) => typeof slug !== "string" || !slug)
+    ) {
+      throw queryError(
+        "invalid_request",
+        "`titleSlugs` must be an array of non-empty strings"
+      );
+    }
+    if (titleSlugs.length > MAX_CATALOG_PAGE_SIZE) {
+      throw queryError(
+        "invalid_request",
+        `At most ${MAX_CATALOG_PAGE_SIZE} \`titleSlugs\` per request`
+      );
+    }
+
+    const problems = await db.getProblems(titleSlugs);
+    const found = new Set(problems.map((p) => p.titleSlug));
+    return {
+      problems,
+      missing: titleSlugs.filter((slug) => !found.has(slug)),
+    };
+  }
+
+  const updatedSince = params.updatedSince ?? 0;
+  if (typeof updatedSince !== "number" || updatedSince < 0) {
+    throw queryError(
+      "invalid_request",
+      "`updatedSince` must be a non-negative number"
+    );
+  }
+  const { offset, limit } = normalizePage(
+    params.offset,
+    params.limit,
+    DEFAULT_CATALOG_PAGE_SIZE,
+    MAX_CATALOG_PAGE_SIZE
+  );
+
+  const { records, total } = await db.getProblemsPage(
+    offset,
+    limit,
+    updatedSince
+  );
+
+  return {
+    problems: records,
+    latestUpdatedAt: records.reduce(
+      (max, p) => Math.max(max, p.updatedAt || 0),
+      updatedSince
+    ),
+    page: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + records.length < total,
+    },
+  };
+}
+
+/**
+ * A user's most recent sync runs, newest first: when each started and ended,
+ * what triggered it, whether it got the lock, what it fetched, enriched and
+ * backfilled, the audit result and where it failed.
+ */
+export async function getSyncRuns(params) {
+  const username = requireParam(params, "username");
+  const { limit } = normalizePage(
+    0,
+    params.limit,
+    DEFAULT_SYNC_RUNS_LIMIT,
+    MAX_SYNC_RUNS_LIMIT
+  );
+
+  const db = await getDBInstance();
+  return { runs: await db.getRecentSyncRuns(username, limit) };
+}
+
+/**
+ * A user's attempt sessions (see leetcode/attempt-sessions.js), most recent
+ * first, optionally for one problem.
+ */
+export async function getAttemptSessions(params) {
+  const username = requireParam(params, "username");
+  const { titleSlug } = params;
+  if (
+    titleSlug !== undefined &&
+    (typeof titleSlug !== "string" || !titleSlug)
+  ) {
+    throw queryError(
+      "invalid_request",
+      "`titleSlug` must be a non-empty string"
+    );
+  }
+  const { offset, limit } = normalizePage(
+    params.offset,
+    params.limit,
+    DEFAULT_SESSIONS_PAGE_SIZE,
+    MAX_SESSIONS_PAGE_SIZE
+  );
+
+  const db = await getDBInstance();
+  const { records, total } = await db.getAttemptSessionsPage(
+    username,
+    titleSlug || null,
+    offset,
+    limit
+  );
+
+  return {
+    titleSlug: titleSlug || null,
+    sessions: records,
+    page: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + records.length < total,
+    },
+  };
+}
+
+/**
+ * A user's abandoned attempts (snapshot streams archived by a fresh start),
+ * most recently archived first, without their snapshots.
+ */
+export async function getAbandonedAttempts(params) {
+  const username = requireParam(params, "username");
+  const { titleSlug } = params;
+  if (
+    titleSlug !== undefined &&
+    (typeof titleSlug !== "string" || !titleSlug)
+  ) {
+    throw queryError(
+      "invalid_request",
+      "`titleSlug` must be a non-empty string"
+    );
+  }
+  const { offset, limit } = normalizePage(
+    params.offset,
+    params.limit,
+    DEFAULT_ABANDONED_PAGE_SIZE,
+    MAX_ABANDONED_PAGE_SIZE
+  );
+
+  const db = await getDBInstance();
+  const { records, total } = await db.getAbandonedAttemptsPage(
+    username,
+    titleSlug || null,
+    offset,
+    limit
+  );
+
+  return {
+    titleSlug: titleSlug || null,
+    attempts: records,
+    page: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + records.length < total,
+    },
+  };
+}
+
+/**
+ * Make an abandoned attempt the problem's snapshots again. Its code is not
+ * put back in LeetCode's editor; the reply carries `finalCode` for that.
+ */
+export async function restoreAbandonedAttempt(params) {
+  const username = requireParam(params, "username");
+  const attemptId = requireParam(params, "attemptId");
+
+  const db = await getDBInstance();
+  const attempt = await db.restoreAbandonedAttempt(username, attemptId);
+  if (!attempt) {
+    throw queryError("not_found", `No abandoned attempt ${attemptId}`);
+  }
+
+  const { snapshots: _snapshots, ...summary } = attempt;
+  return { attempt: summary };
+}
+
+const queries = {
+  submissionArchive: getSubmissionArchive,
+  problemArchives: getProblemArchives,
+  exportRecords: getExportRecords,
+  problemCatalog: getProblemCatalog,
+  syncRuns: getSyncRuns,
+  attemptSessions: getAttemptSessions,
+  abandonedAttempts: getAbandonedAttempts,
+  restoreAbandonedAttempt,
+};
+
+/**
+ * Run a named query. Never throws; returns a serializable result envelope
+ * suitable for chrome.runtime messaging.
+ * @returns {Promise<{ok:true, result:any}|{ok:false, error:{code:string, message:string}}>}
+ */
+export async function runDBQuery(query, params) {
+  const fn = Object.prototype.hasOwnProperty.call(queries, query)
+    ? queries[query]
+    : null;
+  if (!fn) {
+    return {
+      ok: false,
+      error: { code: "unsupported_type", message: `Unknown query: ${query}` },
+    };
+  }
+
+  try {
+    return { ok: true, result: await fn(params || {}) };
+  } catch (error) {
+    console.warn(`[LeetTracker] DB query ${query} failed:`, error);
+    return {
+      ok: false,
+      error: {
+        code: error?.code || "storage_error",
+        message: error?.message || String(error),
+      },
+    };
+  }
+}
+
+/**
+ * Answer DB queries relayed from the background service worker.
+ * Call once from the LeetCode content script.
+ */
+export function startDBQueryBridge() {
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (message?.type !== messages.DB_QUERY) return false;
+
+    runDBQuery(message.query, message.params).then(sendResponse);
+    return true; // keep the channel open for the async response
+  });
+}
@@ -0,0 +1,572 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  getAbandonedAttempts,
+  getAttemptSessions,
+  getExportRecords,
+  getProblemArchives,
+  getProblemCatalog,
+  getSubmissionArchive,
+  getSyncRuns,
+  normalizePage,
+  restoreAbandonedAttempt,
+  runDBQuery,
+} from "./db-queries.js";
+import { getDBInstance } from "./db-instance.js";
+
+vi.mock("./db-instance.js", () => ({
+  getDBInstance: vi.fn(),
+}));
+
+function makeSnapshots(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: 1000 + i,
+    patchText: `patch-${i}`,
+  }));
+}
+
+describe("normalizePage", () => {
+  it("uses defaults for missing or invalid values", () => {
+    expect(normalizePage(undefined, undefined, 20, 100)).toEqual({
+      offset: 0,
+      limit: 20,
+    });
+    expect(normalizePage(-5, 0, 20, 100)).toEqual({ offset: 0, limit: 20 });
+    expect(normalizePage("3", 1.5, 20, 100)).toEqual({ offset: 0, limit: 20 });
+  });
+
+  it("caps the limit", () => {
+    expect(normalizePage(40, 1000, 20, 100)).toEqual({
+      offset: 40,
+      limit: 100,
+    });
+  });
+});
+
+describe("getSubmissionArchive", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getJourneyArchive: vi.fn(() => Promise.resolve(null)),
+      getRunGroupArchive: vi.fn(() => Promise.resolve(null)),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("pages through journey snapshots", async () => {
+    mockDB.getJourneyArchive.mockResolvedValue({
+      submissionId: "42",
+      titleSlug: "two-sum",
+      timestamp: 5000,
+      codingJourney: {
+        snapshotCount: 250,
+        snapshots: makeSnapshots(250),
+        totalCodingTime: 249,
+      },
+    });
+    mockDB.getRunGroupArchive.mockResolvedValue({
+      submissionId: "42",
+      runEvents: { count: 2, runs: [] },
+    });
+
+    const result = await getSubmissionArchive({
+      username: "testuser",
+      submissionId: 42,
+      snapshotOffset: 200,
+      snapshotLimit: 100,
+    });
+
+    expect(mockDB.getJourneyArchive).toHaveBeenCalledWith("testuser", "42");
+    expect(result.titleSlug).toBe("two-sum");
+    expect(result.codingJourney.snapshots).toHaveLength(50);
+    expect(result.codingJourney.snapshots[0].patchText).toBe("patch-200");
+    expect(result.codingJourney.totalCodingTime).toBe(249);
+    expect(result.runEvents).toEqual({ count: 2, runs: [] });
+    expect(result.snapshotPage).toEqual({
+      offset: 200,
+      limit: 100,
+      total: 250,
+      hasMore: false,
+    });
+  });
+
+  it("reports hasMore when snapshots remain", async () => {
+    mockDB.getJourneyArchive.mockResolvedValue({
+      titleSlug: "two-sum",
+      codingJourney: { snapshots: makeSnapshots(150) },
+    });
+
+    const result = await getSubmissionArchive({
+      username: "testuser",
+      submissionId: "1",
+    });
+
+    expect(result.codingJourney.snapshots).toHaveLength(100);
+    expect(result.snapshotPage.hasMore).toBe(true);
+  });
+
+  it("returns runs when only a run group is archived", async () => {
+    mockDB.getRunGroupArchive.mockResolvedValue({
+      titleSlug: "two-sum",
+      timestamp: 10,
+      runEvents: { count: 1 },
+    });
+
+    const result = await getSubmissionArchive({
+      username: "testuser",
+      submissionId: "1",
+    });
+
+    expect(result.codingJourney).toBeNull();
+    expect(result.runEvents).toEqual({ count: 1 });
+    expect(result.titleSlug).toBe("two-sum");
+  });
+
+  it("throws not_found when nothing is archived", async () => {
+    await expect(
+      getSubmissionArchive({ username: "testuser", submissionId: "1" })
+    ).rejects.toMatchObject({ code: "not_found" });
+  });
+
+  it("throws invalid_request without submissionId", async () => {
+    await expect(
+      getSubmissionArchive({ username: "testuser" })
+    ).rejects.toMatchObject({ code: "invalid_request" });
+  });
+});
+
+describe("getProblemArchives", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getProblemArchivesPage: vi.fn(() =>
+        Promise.resolve({ records: [], total: 0 })
+      ),
+      getJourneyArchive: vi.fn(() => Promise.resolve(null)),
+      getRunGroupArchive: vi.fn(() => Promise.resolve(null)),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("reads the archives of one page, newest first", async () => {
+    mockDB.getProblemArchivesPage.mockResolvedValue({
+      records: [
+        {
+          submissionId: "3",
+          timestamp: 300,
+          hasJourney: false,
+          hasRunGroup: true,
+        },
+        {
+          submissionId: "2",
+          timestamp: 200,
+          hasJourney: true,
+          hasRunGroup: true,
+        },
+      ],
+      total: 2,
+    });
+    mockDB.getJourneyArchive.mockResolvedValue({
+      submissionId: "2",
+      timestamp: 200,
+      codingJourney: { snapshotCount: 3, snapshots: makeSnapshots(3) },
+    });
+    mockDB.getRunGroupArchive.mockImplementation((username, submissionId) =>
+      Promise.resolve({
+        submissionId,
+        runEvents: { count: submissionId === "2" ? 4 : 1 },
+      })
+    );
+
+    const result = await getProblemArchives({
+      username: "testuser",
+      titleSlug: "two-sum",
+    });
+
+    expect(mockDB.getProblemArchivesPage).toHaveBeenCalledWith(
+      "testuser",
+      "two-sum",
+      0,
+      20
+    );
+    expect(mockDB.getJourneyArchive).toHaveBeenCalledTimes(1);
+    expect(mockDB.getJourneyArchive).toHaveBeenCalledWith("testuser", "2");
+    expect(result.submissions.map((s) => s.submissionId)).toEqual(["3", "2"]);
+    expect(result.submissions[1].codingJourney).toEqual({ snapshotCount: 3 });
+    expect(result.submissions[1].runEvents).toEqual({ count: 4 });
+    expect(result.submissions[0].codingJourney).toBeNull();
+    expect(result.page).toEqual({
+      offset: 0,
+      limit: 20,
+      total: 2,
+      hasMore: false,
+    });
+  });
+
+  it("paginates submissions", async () => {
+    mockDB.getProblemArchivesPage.mockImplementation(
+      (username, titleSlug, offset, limit) =>
+        Promise.resolve({
+          records: Array.from({ length: limit }, (_, i) => ({
+            submissionId: String(44 - offset - i),
+            timestamp: 44 - offset - i,
+            hasJourney: true,
+            hasRunGroup: false,
+          })),
+          total: 45,
+        })
+    );
+    mockDB.getJourneyArchive.mockResolvedValue({
+      codingJourney: { snapshots: makeSnapshots(2) },
+    });
+
+    const result = await getProblemArchives({
+      username: "testuser",
+      titleSlug: "two-sum",
+      offset: 20,
+      limit: 20,
+    });
+
+    expect(result.submissions).toHaveLength(20);
+    expect(result.submissions[0].submissionId).toBe("24");
+    expect(result.submissions[0].codingJourney.snapshotCount).toBe(2);
+    expect(mockDB.getJourneyArchive).toHaveBeenCalledTimes(20);
+    expect(result.page.hasMore).toBe(true);
+  });
+});
+
+describe("getExportRecords", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getUserRecordsPage: vi.fn(() =>
+        Promise.resolve({ records: [{ id: "a" }, { id: "b" }], total: 7 })
+      ),
+      getProblemsPage: vi.fn(() =>
+        Promise.resolve({ records: [{ titleSlug: "two-sum" }], total: 1 })
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("returns a page of a user's records", async () => {
+    const result = await getExportRecords({
+      username: "testuser",
+      store: "hintEvents",
+      offset: 4,
+      limit: 2,
+    });
+
+    expect(mockDB.getUserRecordsPage).toHaveBeenCalledWith(
+      "hintEvents",
+      "testuser",
+      4,
+      2
+    );
+    expect(result).toEqual({
+      store: "hintEvents",
+      records: [{ id: "a" }, { id: "b" }],
+      page: { offset: 4, limit: 2, total: 7, hasMore: true },
+    });
+  });
+
+  it("exports the shared problem catalog", async () => {
+    const result = await getExportRecords({
+      username: "testuser",
+      store: "problems",
+    });
+
+    expect(mockDB.getProblemsPage).toHaveBeenCalledWith(0, 50);
+    expect(mockDB.getUserRecordsPage).not.toHaveBeenCalled();
+    expect(result.records).toEqual([{ titleSlug: "two-sum" }]);
+    expect(result.page.hasMore).toBe(false);
+  });
+
+  it("only exports whitelisted stores", async () => {
+    await expect(
+      getExportRecords({ username: "testuser", store: "templates" })
+    ).rejects.toMatchObject({ code: "invalid_request" });
+    expect(mockDB.getUserRecordsPage).not.toHaveBeenCalled();
+  });
+});
+
+describe("getProblemCatalog", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getProblems: vi.fn(() =>
+        Promise.resolve([{ titleSlug: "two-sum", questionId: "1" }])
+      ),
+      getProblemsPage: vi.fn(() =>
+        Promise.resolve({
+          records: [
+            { titleSlug: "two-sum", updatedAt: 2000 },
+            { titleSlug: "3sum", updatedAt: 3000 },
+          ],
+          total: 5,
+        })
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("looks up specific problems and lists the missing ones", async () => {
+    const result = await getProblemCatalog({
+      titleSlugs: ["two-sum", "add-two-numbers"],
+    });
+
+    expect(mockDB.getProblems).toHaveBeenCalledWith([
+      "two-sum",
+      "add-two-numbers",
+    ]);
+    expect(result).toEqual({
+      problems: [{ titleSlug: "two-sum", questionId: "1" }],
+      missing: ["add-two-numbers"],
+    });
+  });
+
+  it("pages through problems updated since a timestamp", async () => {
+    const result = await getProblemCatalog({
+      updatedSince: 1500,
+      offset: 0,
+      limit: 2,
+    });
+
+    expect(mockDB.getProblemsPage).toHaveBeenCalledWith(0, 2, 1500);
+    expect(result.latestUpdatedAt).toBe(3000);
+    expect(result.page).toEqual({
+      offset: 0,
+      limit: 2,
+      total: 5,
+      hasMore: true,
+    });
+  });
+
+  it("rejects invalid parameters", async () => {
+    await expect(
+      getProblemCatalog({ titleSlugs: "two-sum" })
+    ).rejects.toMatchObject({ code: "invalid_request" });
+    await expect(
+      getProblemCatalog({ titleSlugs: new Array(201).fill("x") })
+    ).rejects.toMatchObject({ code: "invalid_request" });
+    await expect(getProblemCatalog({ updatedSince: -1 })).rejects.toMatchObject(
+      { code: "invalid_request" }
+    );
+    expect(mockDB.getProblems).not.toHaveBeenCalled();
+    expect(mockDB.getProblemsPage).not.toHaveBeenCalled();
+  });
+});
+
+describe("getSyncRuns", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getRecentSyncRuns: vi.fn(() =>
+        Promise.resolve([{ id: "run-2" }, { id: "run-1" }])
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("returns the user's most recent runs", async () => {
+    const result = await getSyncRuns({ username: "alice", limit: 2 });
+
+    expect(mockDB.getRecentSyncRuns).toHaveBeenCalledWith("alice", 2);
+    expect(result).toEqual({ runs: [{ id: "run-2" }, { id: "run-1" }] });
+  });
+
+  it("defaults and caps the limit", async () => {
+    await getSyncRuns({ username: "alice" });
+    await getSyncRuns({ username: "alice", limit: 10000 });
+
+    expect(mockDB.getRecentSyncRuns).toHaveBeenNthCalledWith(1, "alice", 20);
+    expect(mockDB.getRecentSyncRuns).toHaveBeenNthCalledWith(2, "alice", 200);
+  });
+
+  it("requires a username", async () => {
+    await expect(getSyncRuns({})).rejects.toMatchObject({
+      code: "invalid_request",
+    });
+  });
+});
+
+describe("getAttemptSessions", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getAttemptSessionsPage: vi.fn(() =>
+        Promise.resolve({ records: [{ id: "s2" }, { id: "s1" }], total: 3 })
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("returns a page of sessions", async () => {
+    const result = await getAttemptSessions({
+      username: "alice",
+      titleSlug: "two-sum",
+      limit: 2,
+    });
+
+    expect(mockDB.getAttemptSessionsPage).toHaveBeenCalledWith(
+      "alice",
+      "two-sum",
+      0,
+      2
+    );
+    expect(result).toEqual({
+      titleSlug: "two-sum",
+      sessions: [{ id: "s2" }, { id: "s1" }],
+      page: { offset: 0, limit: 2, total: 3, hasMore: true },
+    });
+  });
+
+  it("covers every problem without a titleSlug", async () => {
+    await getAttemptSessions({ username: "alice", limit: 10000 });
+
+    expect(mockDB.getAttemptSessionsPage).toHaveBeenCalledWith(
+      "alice",
+      null,
+      0,
+      200
+    );
+  });
+
+  it("rejects an empty titleSlug", async () => {
+    await expect(
+      getAttemptSessions({ username: "alice", titleSlug: "" })
+    ).rejects.toMatchObject({ code: "invalid_request" });
+  });
+});
+
+describe("abandoned attempts", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockDB = {
+      getAbandonedAttemptsPage: vi.fn(() =>
+        Promise.resolve({ records: [{ id: "a1" }], total: 1 })
+      ),
+      restoreAbandonedAttempt: vi.fn(() =>
+        Promise.resolve({
+          id: "alice_two-sum_1000",
+          problemSlug: "two-sum",
+          finalCode: "return [0, 1]\n",
+          snapshots: makeSnapshots(3),
+        })
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("lists a page of attempts", async () => {
+    const result = await getAbandonedAttempts({
+      username: "alice",
+      limit: 1000,
+    });
+
+    expect(mockDB.getAbandonedAttemptsPage).toHaveBeenCalledWith(
+      "alice",
+      null,
+      0,
+      100
+    );
+    expect(result).toEqual({
+      titleSlug: null,
+      attempts: [{ id: "a1" }],
+      page: { offset: 0, limit: 100, total: 1, hasMore: false },
+    });
+  });
+
+  it("restores an attempt and returns it without snapshots", async () => {
+    const result = await restoreAbandonedAttempt({
+      username: "alice",
+      attemptId: "alice_two-sum_1000",
+    });
+
+    expect(mockDB.restoreAbandonedAttempt).toHaveBeenCalledWith(
+      "alice",
+      "alice_two-sum_1000"
+    );
+    expect(result).toEqual({
+      attempt: {
+        id: "alice_two-sum_1000",
+        problemSlug: "two-sum",
+        finalCode: "return [0, 1]\n",
+      },
+    });
+  });
+
+  it("reports an unknown attempt as not found", async () => {
+    mockDB.restoreAbandonedAttempt.mockResolvedValue(null);
+
+    await expect(
+      restoreAbandonedAttempt({ username: "alice", attemptId: "missing" })
+    ).rejects.toMatchObject({ code: "not_found" });
+  });
+});
+
+describe("runDBQuery", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("wraps results in an ok envelope", async () => {
+    vi.mocked(getDBInstance).mockResolvedValue({
+      getProblemArchivesPage: vi.fn(() =>
+        Promise.resolve({ records: [], total: 0 })
+      ),
+    });
+
+    const response = await runDBQuery("problemArchives", {
+      username: "testuser",
+      titleSlug: "two-sum",
+    });
+
+    expect(response.ok).toBe(true);
+    expect(response.result.submissions).toEqual([]);
+  });
+
+  it("reports unknown queries", async () => {
+    const response = await runDBQuery("dropEverything", {});
+    expect(response).toEqual({
+      ok: false,
+      error: {
+        code: "unsupported_type",
+        message: "Unknown query: dropEverything",
+      },
+    });
+  });
+
+  it("passes error codes through", async () => {
+    const response = await runDBQuery("submissionArchive", {});
+    expect(response.ok).toBe(false);
+    expect(response.error.code).toBe("invalid_request");
+  });
+
+  it("maps unexpected failures to storage_error", async () => {
+    vi.mocked(getDBInstance).mockRejectedValue(new Error("IDB closed"));
+
+    const response = await runDBQuery("problemArchives", {
+      username: "testuser",
+      titleSlug: "two-sum",
+    });
+
+    expect(response).toEqual({
+      ok: false,
+      error: { code: "storage_error", message: "IDB closed" },
+    });
+  });
+});
@@ -1,8 +1,9 @@
 // src/core/locks.js
-import { consts, store, util } from "./config.js";
+import { consts, keys, store, util } from "./config.js";
 import { getAnalytics } from "./analytics.js";
 
-const { SYNC_LOCK_KEY, HEARTBEAT_TIMEOUT_MS } = consts;
+const { HEARTBEAT_TIMEOUT_MS } = consts;
+const { syncLock: getSyncLockKey } = keys;
 
 // ---- Per-problem in-memory lock (content-script lifetime)
 // Map of `${username}_${problemSlug}` -> Promise sentinel
@@ -29,11 +30,13 @@ export async function withSnapshotLock(username, problemSlug, operation) {
   }
 }
 
-// ---- Sync lock in chrome.storage (cross-tab)
+// ---- Sync locks in chrome.storage (cross-tab)
+// One lock per username, so syncs of different accounts (e.g. a personal and
+// a work account in two tabs) never block each other.
 let SESSION_ID = `session_${Date.now()}_${Math.random()
   .toString(36)
   .slice(2, 11)}`;
-let isLockOwner = false;
+const ownedLocks = new Set(); // usernames whose lock this session holds
 
 /**
  * Check if a lock is available for acquisition.
@@ -74,12 +77,21 @@ export function checkLockAvailability(lock, context = "") {
 }
 
 /**
- * Attempt to acquire the sync lock.
+ * The current sync lock record for `username`, or null.
+ */
+export async function getSyncLock(username) {
+  return store.get(getSyncLockKey(username), null);
+}
+
+/**
+ * Attempt to acquire the sync lock for `username`.
  * Returns true if lock was acquired, false otherwise.
  */
-export async function acquireSyncLock() {
+export async function acquireSyncLock(username) {
+  const lockKey = getSyncLockKey(username);
+
   // Step 1: Check current lock state
-  const currentLock = await store.get(SYNC_LOCK_KEY, null);
+  const currentLock = await store.get(lockKey, null);
   const initialCheck = checkLockAvailability(currentLock);
 
   if (!initialCheck.canAcquire) {
@@ -91,7 +103,7 @@ export async function acquireSyncLock() {
   await util.sleep(jitterMs);
 
   // Step 3: Re-check lock state after jitter
-  const recheckLock = await store.get(SYNC_LOCK_KEY, null);
+  const recheckLock = await store.get(lockKey, null);
   const recheckResult = checkLockAvailability(recheckLock, " after jitter");
 
   if (!recheckResult.canAcquire) {
@@ -107,12 +119,12 @@ export async function acquireSyncLock() {
     isLocked: true,
   };
 
-  await store.set(SYNC_LOCK_KEY, newLock);
+  await store.set(lockKey, newLock);
 
   // Step 5: Verify we actually got the lock (detect race condition)
   await util.sleep(50);
 
-  const verifyLock = await store.get(SYNC_LOCK_KEY, null);
+  const verifyLock = await store.get(lockKey, null);
 
   if (!verifyLock || verifyLock.sessionId !== SESSION_ID) {
     console.log(`[LeetTracker] Lost lock race to another session`, {
@@ -123,8 +135,9 @@ export async function acquireSyncLock() {
   }
 
   // Success! We own the lock
-  isLockOwner = true;
+  ownedLocks.add(username);
   console.log(`[LeetTracker] Sync lock acquired`, {
+    username,
     sessionId: SESSION_ID,
     acquiredAt: acquisitionTime,
   });
@@ -132,18 +145,19 @@ export async function acquireSyncLock() {
 }
 
 /**
- * Update heartbeat to indicate sync is still in progress.
+ * Update heartbeat to indicate the sync of `username` is still in progress.
  * Also verifies we still own the lock.
  */
-export async function updateSyncHeartbeat() {
-  if (!isLockOwner) {
+export async function updateSyncHeartbeat(username) {
+  if (!ownedLocks.has(username)) {
     console.warn(
       `[LeetTracker] Attempted heartbeat update without lock ownership`
     );
     return false;
   }
 
-  const currentLock = await store.get(SYNC_LOCK_KEY, null);
+  const lockKey = getSyncLockKey(username);
+  const currentLock = await store.get(lockKey, null);
 
   // Verify we still own the lock
   if (!currentLock || currentLock.sessionId !== SESSION_ID) {
@@ -151,7 +165,7 @@ export async function updateSyncHeartbeat() {
       ourSession: SESSION_ID,
       currentOwner: currentLock?.sessionId,
     });
-    isLockOwner = false;
+    ownedLocks.delete(username);
     return false;
   }
 
@@ -161,7 +175,7 @@ export async function updateSyncHeartbeat() {
     lastHeartbeat: Date.now(),
   };
 
-  await store.set(SYNC_LOCK_KEY, updatedLock);
+  await store.set(lockKey, updatedLock);
   return true;
 }
 
@@ -169,32 +183,34 @@ export async function updateSyncHeartbeat() {
  * Update heartbeat and throw error if lock ownership is lost.
  * Convenience wrapper for critical sections that must abort on lock loss.
  */
-export async function updateSyncHeartbeatOrFail(context = "") {
-  const success = await updateSyncHeartbeat();
+export async function updateSyncHeartbeatOrFail(username, context = "") {
+  const success = await updateSyncHeartbeat(username);
   if (!success) {
     throw new Error(`Lost lock ownership during ${context || "operation"}`);
   }
 }
 
 /**
- * Release the sync lock if we still own it.
+ * Release the sync lock for `username` if we still own it.
  */
-export async function releaseSyncLock() {
-  if (!isLockOwner) {
+export async function releaseSyncLock(username) {
+  if (!ownedLocks.has(username)) {
     console.warn(`[LeetTracker] Attempted to release lock without ownership`);
     return;
   }
 
-  const currentLock = await store.get(SYNC_LOCK_KEY, null);
+  const lockKey = getSyncLockKey(username);
+  const currentLock = await store.get(lockKey, null);
 
   if (currentLock && currentLock.sessionId === SESSION_ID) {
-    await store.set(SYNC_LOCK_KEY, {
+    await store.set(lockKey, {
       sessionId: null,
       acquiredAt: null,
       lastHeartbeat: null,
       isLocked: false,
     });
     console.log(`[LeetTracker] Sync lock released`, {
+      username,
       sessionId: SESSION_ID,
     });
   } else {
@@ -204,11 +220,11 @@ export async function releaseSyncLock() {
     );
   }
 
-  isLockOwner = false;
+  ownedLocks.delete(username);
 }
 
-export function isOwner() {
-  return isLockOwner;
+export function isOwner(username) {
+  return ownedLocks.has(username);
 }
 
 export function sessionId() {
@@ -1,5 +1,17 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
-import { checkLockAvailability } from "./locks.js";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  acquireSyncLock,
+  checkLockAvailability,
+  getSyncLock,
+  isOwner,
+  releaseSyncLock,
+  sessionId,
+  updateSyncHeartbeat,
+} from "./locks.js";
+
+vi.mock("./analytics.js", () => ({
+  getAnalytics: () => ({ capture: vi.fn() }),
+}));
 
 describe("checkLockAvailability", () => {
   beforeEach(() => {
@@ -132,3 +144,73 @@ describe("checkLockAvailability", () => {
     expect(result.canAcquire).toBe(false);
   });
 });
+
+describe("per-user sync locks", () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-01-01T12:00:00Z"));
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    storage = {};
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  async function acquire(username) {
+    const acquired = acquireSyncLock(username);
+    await vi.advanceTimersByTimeAsync(2000); // jitter and verification
+    return acquired;
+  }
+
+  it("keeps one lock per account", async () => {
+    storage.leettracker_sync_lock_alice = {
+      sessionId: "other_tab",
+      isLocked: true,
+      lastHeartbeat: Date.now(),
+    };
+
+    await expect(acquire("alice")).resolves.toBe(false);
+    await expect(acquire("bob")).resolves.toBe(true);
+    expect(isOwner("alice")).toBe(false);
+    expect(isOwner("bob")).toBe(true);
+    expect(await getSyncLock("bob")).toMatchObject({
+      sessionId: sessionId(),
+      isLocked: true,
+    });
+
+    await releaseSyncLock("bob");
+  });
+
+  it("heartbeats and releases only the given account's lock", async () => {
+    await acquire("alice");
+    await acquire("bob");
+
+    vi.setSystemTime(Date.now() + 60000);
+    await expect(updateSyncHeartbeat("alice")).resolves.toBe(true);
+    expect(storage.leettracker_sync_lock_alice.lastHeartbeat).toBe(Date.now());
+    expect(storage.leettracker_sync_lock_bob.lastHeartbeat).toBeLessThan(
+      Date.now()
+    );
+
+    await releaseSyncLock("alice");
+    expect(storage.leettracker_sync_lock_alice.isLocked).toBe(false);
+    expect(storage.leettracker_sync_lock_bob.isLocked).toBe(true);
+    expect(isOwner("bob")).toBe(true);
+    await expect(updateSyncHeartbeat("alice")).resolves.toBe(false);
+
+    await releaseSyncLock("bob");
+  });
+});
@@ -0,0 +1,158 @@
+// src/core/rate-limiter.js
+
+/**
+ * Adaptive request scheduler: a token bucket plus a concurrency cap.
+ *
+ * Every request waits for a token (refilled at `rate` per second, up to
+ * `burst`) and a free slot (at most `maxConcurrent` in flight). When a caller
+ * reports throttling, the rate is halved and all requests pause for a cooldown
+ * that doubles with each throttle reported within `maxCooldownMs` of the
+ * previous one. Successes raise the rate back toward `baseRate` a little at a
+ * time.
+ *
+ * State is in memory: a limiter only paces the requests made in its own
+ * context (page or service worker).
+ *
+ * @param {object} options
+ * @param {number} options.baseRate - tokens per second when healthy
+ * @param {number} options.minRate - floor for the adaptive rate
+ * @param {number} options.burst - bucket size
+ * @param {number} options.maxConcurrent - max requests in flight
+ * @param {number} options.cooldownMs - pause after the first throttle
+ * @param {number} options.maxCooldownMs - cap for the growing pause
+ * @param {(state:object) => void} [options.onThrottle] - called after each throttle
+ * @param {() => number} [options.now] - monotonic clock in ms
+ */
+export function createRateLimiter({
+  baseRate,
+  minRate,
+  burst,
+  maxConcurrent,
+  cooldownMs,
+  maxCooldownMs,
+  onThrottle,
+  now = () => performance.now(),
+}) {
+  const RATE_RECOVERY_STEP = 0.1; // tokens/s regained per success
+
+  let rate = baseRate;
+  let tokens = burst;
+  let lastRefill = now();
+  let inFlight = 0;
+  let pausedUntil = 0;
+  let consecutiveThrottles = 0;
+  let throttleCount = 0;
+  let lastThrottle = null;
+  let lastThrottleAt = -Infinity;
+  let pumpTimer = null;
+  const queue = [];
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - lastRefill) / 1000) * rate);
+    lastRefill = t;
+  }
+
+  function schedulePump(delayMs) {
+    if (pumpTimer) return;
+    pumpTimer = setTimeout(
+      () => {
+        pumpTimer = null;
+        pump();
+      },
+      Math.max(0, Math.ceil(delayMs))
+    );
+  }
+
+  function pump() {
+    while (queue.length > 0 && inFlight < maxConcurrent) {
+      refill();
+
+      const t = now();
+      if (t < pausedUntil) {
+        schedulePump(pausedUntil - t);
+        return;
+      }
+      if (tokens < 1) {
+        schedulePump(((1 - tokens) / rate) * 1000);
+        return;
+      }
+
+      tokens -= 1;
+      inFlight++;
+      const { task, resolve, reject } = queue.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          inFlight--;
+          pump();
+        });
+    }
+  }
+
+  function getState() {
+    refill();
+    const t = now();
+    return {
+      rate: Math.round(rate * 100) / 100,
+      baseRate,
+      tokens: Math.floor(tokens * 100) / 100,
+      inFlight,
+      queued: queue.length,
+      pausedForMs: Math.max(0, Math.round(pausedUntil - t)),
+      consecutiveThrottles,
+      throttleCount,
+      lastThrottle,
+    };
+  }
+
+  return {
+    /**
+     * Run `task` once a token and a concurrency slot are available.
+     * Resolves/rejects with the task's result.
+     */
+    schedule(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        pump();
+      });
+    },
+
+    /**
+     * Slow down every caller: halve the rate and pause for a cooldown.
+     */
+    reportThrottled(reason) {
+      const t = now();
+      if (t - lastThrottleAt > maxCooldownMs) consecutiveThrottles = 0;
+      lastThrottleAt = t;
+      consecutiveThrottles++;
+      throttleCount++;
+      rate = Math.max(minRate, rate / 2);
+      tokens = 0;
+      const pauseMs = Math.min(
+        maxCooldownMs,
+        cooldownMs * 2 ** (consecutiveThrottles - 1)
+      );
+      pausedUntil = Math.max(pausedUntil, t + pauseMs);
+      lastThrottle = { reason, at: Date.now(), pauseMs };
+
+      if (onThrottle) {
+        try {
+          onThrottle(getState());
+        } catch (e) {
+          console.warn("[LeetTracker] Rate limiter throttle hook failed:", e);
+        }
+      }
+    },
+
+    /**
+     * Record a healthy response; gradually restores the rate.
+     */
+    reportSuccess() {
+      rate = Math.min(baseRate, rate + RATE_RECOVERY_STEP);
+    },
+
+    getState,
+  };
+}
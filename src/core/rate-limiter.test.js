@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createRateLimiter } from "./rate-limiter.js";
+
+function makeLimiter(overrides = {}) {
+  return createRateLimiter({
+    baseRate: 2,
+    minRate: 0.25,
+    burst: 2,
+    maxConcurrent: 2,
+    cooldownMs: 1000,
+    maxCooldownMs: 8000,
+    now: () => Date.now(), // follows the fake clock
+    ...overrides,
+  });
+}
+
+describe("createRateLimiter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-01-01T12:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("runs a burst immediately, then waits for tokens", async () => {
+    const limiter = makeLimiter({ maxConcurrent: 10 });
+    const started = [];
+    const tasks = [1, 2, 3].map((n) =>
+      limiter.schedule(() => {
+        started.push(n);
+        return n;
+      })
+    );
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([1, 2]);
+
+    await vi.advanceTimersByTimeAsync(500); // 2 tokens/s
+    expect(started).toEqual([1, 2, 3]);
+    await expect(Promise.all(tasks)).resolves.toEqual([1, 2, 3]);
+  });
+
+  it("caps the number of requests in flight", async () => {
+    const limiter = makeLimiter({ burst: 10, maxConcurrent: 2 });
+    const releases = [];
+    let running = 0;
+    let peak = 0;
+    const task = () =>
+      new Promise((resolve) => {
+        running++;
+        peak = Math.max(peak, running);
+        releases.push(() => {
+          running--;
+          resolve();
+        });
+      });
+
+    const all = Promise.all([1, 2, 3, 4].map(() => limiter.schedule(task)));
+    await vi.advanceTimersByTimeAsync(0);
+    expect(limiter.getState()).toMatchObject({ inFlight: 2, queued: 2 });
+
+    while (releases.length) {
+      releases.shift()();
+      await vi.advanceTimersByTimeAsync(0);
+    }
+    await all;
+    expect(peak).toBe(2);
+  });
+
+  it("propagates task errors without blocking the queue", async () => {
+    const limiter = makeLimiter();
+    const failed = limiter.schedule(() => Promise.reject(new Error("boom")));
+    const ok = limiter.schedule(() => "ok");
+
+    await expect(failed).rejects.toThrow("boom");
+    await expect(ok).resolves.toBe("ok");
+    expect(limiter.getState().inFlight).toBe(0);
+  });
+
+  it("halves the rate and pauses everyone after a throttle", async () => {
+    const onThrottle = vi.fn();
+    const limiter = makeLimiter({ onThrottle });
+    limiter.reportThrottled("http_429");
+
+    expect(onThrottle).toHaveBeenCalledWith(
+      expect.objectContaining({
+        rate: 1,
+        pausedForMs: 1000,
+        consecutiveThrottles: 1,
+        throttleCount: 1,
+        lastThrottle: expect.objectContaining({
+          reason: "http_429",
+          pauseMs: 1000,
+        }),
+      })
+    );
+
+    const task = vi.fn();
+    limiter.schedule(task);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(task).not.toHaveBeenCalled();
+
+    // Pause over, but the bucket was drained: wait one token at 1/s
+    await vi.advanceTimersByTimeAsync(1001);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it("grows the cooldown for repeated throttles and caps it", () => {
+    const limiter = makeLimiter();
+    const pauses = [];
+    for (let i = 0; i < 5; i++) {
+      limiter.reportThrottled("http_429");
+      pauses.push(limiter.getState().lastThrottle.pauseMs);
+    }
+    expect(pauses).toEqual([1000, 2000, 4000, 8000, 8000]);
+    expect(limiter.getState().rate).toBe(0.25);
+  });
+
+  it("starts the cooldown over once throttles stop", () => {
+    const limiter = makeLimiter();
+    limiter.reportThrottled("http_429");
+    limiter.reportThrottled("http_429");
+    expect(limiter.getState().consecutiveThrottles).toBe(2);
+
+    vi.advanceTimersByTime(8001);
+    limiter.reportThrottled("empty_payload");
+    expect(limiter.getState()).toMatchObject({
+      consecutiveThrottles: 1,
+      throttleCount: 3,
+      lastThrottle: expect.objectContaining({ pauseMs: 1000 }),
+    });
+  });
+
+  it("recovers the rate gradually on success", () => {
+    const limiter = makeLimiter();
+    limiter.reportThrottled("http_429");
+    expect(limiter.getState().rate).toBe(1);
+
+    for (let i = 0; i < 5; i++) limiter.reportSuccess();
+    expect(limiter.getState().rate).toBe(1.5);
+
+    for (let i = 0; i < 20; i++) limiter.reportSuccess();
+    expect(limiter.getState().rate).toBe(2);
+  });
+
+  it("keeps going when the throttle hook throws", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const limiter = makeLimiter({
+      onThrottle: () => {
+        throw new Error("hook failed");
+      },
+    });
+
+    expect(() => limiter.reportThrottled("http_429")).not.toThrow();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
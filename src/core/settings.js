@@ -0,0 +1,211 @@
+// src/core/settings.js
+import { keys, store } from "./config.js";
+
+// ---- Web app origins
+// The webapp bridge (injection/webapp.js) is registered for every configured
+// origin by the background service worker. The primary origin is where toast
+// links point.
+
+export const DEFAULT_WEBAPP_ORIGIN = "https://leet-tracker-log.vercel.app";
+
+// Development builds also talk to the web app's dev server and preview deploys
+const DEV_WEBAPP_ORIGINS = ["http://localhost:5173", "https://*.vercel.app"];
+
+export function defaultWebappOrigins() {
+  return import.meta.env.MODE === "development"
+    ? [DEFAULT_WEBAPP_ORIGIN, ...DEV_WEBAPP_ORIGINS]
+    : [DEFAULT_WEBAPP_ORIGIN];
+}
+
+/**
+ * Normalize a user-entered web app address to an origin such as
+ * "https://tracker.example.com" or "http://localhost:3000".
+ * A leading "*." subdomain wildcard is allowed for https origins.
+ * Returns null if the value is not a usable origin.
+ */
+export function normalizeWebappOrigin(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim().replace(/\/+$/, "");
+  if (!trimmed) return null;
+
+  const wildcard = /^https:\/\/\*\./i.test(trimmed);
+  let url;
+  try {
+    url = new URL(wildcard ? trimmed.replace("*.", "wildcard.") : trimmed);
+  } catch (_e) {
+    return null;
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+  if (url.pathname !== "/" || url.search || url.hash) return null;
+  if (url.username || url.password) return null;
+  if (url.host.includes("*")) return null; // wildcard in the wrong place
+
+  const host = wildcard ? url.host.replace(/^wildcard\./, "*.") : url.host;
+  return `${url.protocol}//${host}`;
+}
+
+/**
+ * Match pattern covering every page of an origin, for content script
+ * registration and host permission requests.
+ */
+export function originToMatchPattern(origin) {
+  return `${origin}/*`;
+}
+
+function isWildcardOrigin(origin) {
+  return origin.includes("*");
+}
+
+/**
+ * Validate and normalize web app settings. Throws on invalid origins.
+ */
+export function normalizeWebappSettings({
+  webappOrigins,
+  primaryWebappOrigin,
+}) {
+  const origins = [];
+  for (const value of webappOrigins || []) {
+    const origin = normalizeWebappOrigin(value);
+    if (!origin) {
+      throw new Error(`Invalid web app origin: ${value}`);
+    }
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+  if (origins.length === 0) {
+    throw new Error("At least one web app origin is required");
+  }
+
+  const primary = primaryWebappOrigin
+    ? normalizeWebappOrigin(primaryWebappOrigin)
+    : origins.find((o) => !isWildcardOrigin(o));
+  if (!primary || isWildcardOrigin(primary) || !origins.includes(primary)) {
+    throw new Error(
+      "The primary web app origin must be one of the configured origins and cannot contain a wildcard"
+    );
+  }
+
+  return { webappOrigins: origins, primaryWebappOrigin: primary };
+}
+
+/**
+ * Current web app settings, falling back to the defaults when nothing valid
+ * has been saved.
+ * @returns {Promise<{webappOrigins: string[], primaryWebappOrigin: string}>}
+ */
+export async function getWebappSettings() {
+  const saved = await store.get(keys.settings, null);
+  if (saved?.webappOrigins) {
+    try {
+      return normalizeWebappSettings(saved);
+    } catch (e) {
+      console.warn("[LeetTracker] Ignoring invalid web app settings:", e);
+    }
+  }
+  return normalizeWebappSettings({ webappOrigins: defaultWebappOrigins() });
+}
+
+export async function saveWebappSettings(settings) {
+  const normalized = normalizeWebappSettings(settings);
+  const saved = (await store.get(keys.settings, null)) || {};
+  await store.set(keys.settings, { ...saved, ...normalized });
+  return normalized;
+}
+
+/**
+ * URL of the user's chosen web app deployment, with extension UTM tags.
+ */
+export async function getWebappUrl() {
+  const { primaryWebappOrigin } = await getWebappSettings();
+  return `${primaryWebappOrigin}/?utm_source=extension&utm_medium=extension&utm_campaign=extension`;
+}
+
+// ---- Sync schedule
+// How often a LeetCode tab syncs (see leetcode/sync-scheduler.js). Stored in
+// the same settings object as the web app origins, under `syncSchedule`.
+
+export const DEFAULT_SYNC_SCHEDULE = {
+  baseIntervalMs: 60 * 1000, // visible tab, active user
+  hiddenIntervalMs: 5 * 60 * 1000, // tab in the background
+  idleIntervalMs: 10 * 60 * 1000, // no input for idleAfterMs
+  idleAfterMs: 5 * 60 * 1000,
+  quietRunsBeforeBackoff: 3, // syncs in a row with no new submissions
+  maxIntervalMs: 15 * 60 * 1000, // cap for the widened interval
+  afterSubmitDelayMs: 5 * 1000, // let LeetCode record a submission first
+};
+
+const MIN_SYNC_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Merge saved schedule values over the defaults. Unknown keys and values that
+ * are not positive numbers are dropped; intervals are at least 15 seconds.
+ */
+export function normalizeSyncSchedule(schedule) {
+  const normalized = { ...DEFAULT_SYNC_SCHEDULE };
+  for (const [key, value] of Object.entries(schedule || {})) {
+    if (!(key in DEFAULT_SYNC_SCHEDULE)) continue;
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      console.warn(
+        `[LeetTracker] Ignoring invalid sync schedule ${key}:`,
+        value
+      );
+      continue;
+    }
+    normalized[key] = key.endsWith("IntervalMs")
+      ? Math.max(MIN_SYNC_INTERVAL_MS, value)
+      : value;
+  }
+  return normalized;
+}
+
+export async function getSyncSchedule() {
+  const saved = await store.get(keys.settings, null);
+  return normalizeSyncSchedule(saved?.syncSchedule);
+}
+
+export async function saveSyncSchedule(schedule) {
+  const normalized = normalizeSyncSchedule(schedule);
+  const saved = (await store.get(keys.settings, null)) || {};
+  await store.set(keys.settings, { ...saved, syncSchedule: normalized });
+  return normalized;
+}
+
+// ---- Active solve time
+// Pauses longer than `idleThresholdMs` between signs of activity on a problem
+// page (focus, editor input) are left out of a submission's active solve time
+// (see tracking/activity.js). Stored in the settings object under `activity`.
+
+export const DEFAULT_ACTIVITY_SETTINGS = {
+  idleThresholdMs: 5 * 60 * 1000,
+};
+
+// The activity tracker records pauses from this length up
+export const MIN_IDLE_THRESHOLD_MS = 30 * 1000;
+
+/**
+ * Merge saved activity settings over the defaults. Values that are not
+ * positive numbers are dropped; the idle threshold is at least 30 seconds.
+ */
+export function normalizeActivitySettings(settings) {
+  const normalized = { ...DEFAULT_ACTIVITY_SETTINGS };
+  const value = settings?.idleThresholdMs;
+  if (value === undefined) return normalized;
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    console.warn("[LeetTracker] Ignoring invalid idle threshold:", value);
+    return normalized;
+  }
+  normalized.idleThresholdMs = Math.max(MIN_IDLE_THRESHOLD_MS, value);
+  return normalized;
+}
+
+export async function getActivitySettings() {
+  const saved = await store.get(keys.settings, null);
+  return normalizeActivitySettings(saved?.activity);
+}
+
+export async function saveActivitySettings(settings) {
+  const normalized = normalizeActivitySettings(settings);
+  const saved = (await store.get(keys.settings, null)) || {};
+  await store.set(keys.settings, { ...saved, activity: normalized });
+  return normalized;
+}
@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  DEFAULT_ACTIVITY_SETTINGS,
+  DEFAULT_SYNC_SCHEDULE,
+  DEFAULT_WEBAPP_ORIGIN,
+  getActivitySettings,
+  getSyncSchedule,
+  getWebappSettings,
+  getWebappUrl,
+  normalizeWebappOrigin,
+  normalizeWebappSettings,
+  normalizeActivitySettings,
+  normalizeSyncSchedule,
+  originToMatchPattern,
+  saveActivitySettings,
+  saveSyncSchedule,
+  saveWebappSettings,
+} from "./settings.js";
+
+describe("normalizeWebappOrigin", () => {
+  it("accepts https and http origins", () => {
+    expect(normalizeWebappOrigin("https://tracker.example.com")).toBe(
+      "https://tracker.example.com"
+    );
+    expect(normalizeWebappOrigin(" http://localhost:5173/ ")).toBe(
+      "http://localhost:5173"
+    );
+    expect(normalizeWebappOrigin("HTTPS://Tracker.Example.com")).toBe(
+      "https://tracker.example.com"
+    );
+  });
+
+  it("accepts a leading subdomain wildcard for https", () => {
+    expect(normalizeWebappOrigin("https://*.vercel.app")).toBe(
+      "https://*.vercel.app"
+    );
+    expect(normalizeWebappOrigin("http://*.example.com")).toBeNull();
+  });
+
+  it("rejects values that are not bare origins", () => {
+    expect(normalizeWebappOrigin("")).toBeNull();
+    expect(normalizeWebappOrigin(null)).toBeNull();
+    expect(normalizeWebappOrigin("tracker.example.com")).toBeNull();
+    expect(normalizeWebappOrigin("ftp://example.com")).toBeNull();
+    expect(normalizeWebappOrigin("https://example.com/app")).toBeNull();
+    expect(normalizeWebappOrigin("https://example.com/?x=1")).toBeNull();
+    expect(normalizeWebappOrigin("https://user:pw@example.com")).toBeNull();
+  });
+});
+
+describe("originToMatchPattern", () => {
+  it("covers every page of the origin", () => {
+    expect(originToMatchPattern("http://localhost:5173")).toBe(
+      "http://localhost:5173/*"
+    );
+  });
+});
+
+describe("normalizeWebappSettings", () => {
+  it("dedupes origins and defaults the primary to the first concrete one", () => {
+    expect(
+      normalizeWebappSettings({
+        webappOrigins: [
+          "https://*.vercel.app",
+          "http://localhost:3000/",
+          "http://localhost:3000",
+        ],
+      })
+    ).toEqual({
+      webappOrigins: ["https://*.vercel.app", "http://localhost:3000"],
+      primaryWebappOrigin: "http://localhost:3000",
+    });
+  });
+
+  it("throws on invalid origins", () => {
+    expect(() =>
+      normalizeWebappSettings({ webappOrigins: ["not a url"] })
+    ).toThrow("Invalid web app origin: not a url");
+    expect(() => normalizeWebappSettings({ webappOrigins: [] })).toThrow(
+      "At least one web app origin is required"
+    );
+  });
+
+  it("requires the primary origin to be configured and concrete", () => {
+    expect(() =>
+      normalizeWebappSettings({
+        webappOrigins: ["https://a.example.com"],
+        primaryWebappOrigin: "https://b.example.com",
+      })
+    ).toThrow(/primary web app origin/);
+    expect(() =>
+      normalizeWebappSettings({
+        webappOrigins: ["https://*.example.com"],
+      })
+    ).toThrow(/primary web app origin/);
+  });
+});
+
+describe("normalizeSyncSchedule", () => {
+  it("fills in defaults and drops invalid values", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(
+      normalizeSyncSchedule({
+        baseIntervalMs: 120000,
+        hiddenIntervalMs: -1,
+        idleAfterMs: "soon",
+        somethingElse: 5,
+      })
+    ).toEqual({ ...DEFAULT_SYNC_SCHEDULE, baseIntervalMs: 120000 });
+    vi.restoreAllMocks();
+  });
+
+  it("keeps intervals at 15 seconds or more", () => {
+    expect(normalizeSyncSchedule({ baseIntervalMs: 1000 }).baseIntervalMs).toBe(
+      15000
+    );
+    expect(normalizeSyncSchedule(undefined)).toEqual(DEFAULT_SYNC_SCHEDULE);
+  });
+});
+
+describe("normalizeActivitySettings", () => {
+  it("keeps the idle threshold at 30 seconds or more", () => {
+    expect(normalizeActivitySettings(undefined)).toEqual(
+      DEFAULT_ACTIVITY_SETTINGS
+    );
+    expect(normalizeActivitySettings({ idleThresholdMs: 120000 })).toEqual({
+      idleThresholdMs: 120000,
+    });
+    expect(normalizeActivitySettings({ idleThresholdMs: 1000 })).toEqual({
+      idleThresholdMs: 30000,
+    });
+  });
+
+  it("drops invalid thresholds", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(normalizeActivitySettings({ idleThresholdMs: "long" })).toEqual(
+      DEFAULT_ACTIVITY_SETTINGS
+    );
+    vi.restoreAllMocks();
+  });
+});
+
+describe("web app settings storage", () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage = {};
+    chrome.storage.local.get.mockImplementation((keys, callback) => {
+      callback({ [keys[0]]: storage[keys[0]] });
+    });
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+  });
+
+  it("falls back to the default deployment", async () => {
+    expect(await getWebappSettings()).toEqual({
+      webappOrigins: [DEFAULT_WEBAPP_ORIGIN],
+      primaryWebappOrigin: DEFAULT_WEBAPP_ORIGIN,
+    });
+    expect(await getWebappUrl()).toBe(
+      `${DEFAULT_WEBAPP_ORIGIN}/?utm_source=extension&utm_medium=extension&utm_campaign=extension`
+    );
+  });
+
+  it("ignores invalid saved settings", async () => {
+    storage.leettracker_settings = { webappOrigins: ["garbage"] };
+
+    const settings = await getWebappSettings();
+    expect(settings.primaryWebappOrigin).toBe(DEFAULT_WEBAPP_ORIGIN);
+  });
+
+  it("saves normalized settings and links to the primary origin", async () => {
+    await saveWebappSettings({
+      webappOrigins: [
+        "https://tracker.internal.example.com/",
+        DEFAULT_WEBAPP_ORIGIN,
+      ],
+    });
+
+    expect(storage.leettracker_settings).toEqual({
+      webappOrigins: [
+        "https://tracker.internal.example.com",
+        DEFAULT_WEBAPP_ORIGIN,
+      ],
+      primaryWebappOrigin: "https://tracker.internal.example.com",
+    });
+    expect(await getWebappUrl()).toMatch(
+      /^https:\/\/tracker\.internal\.example\.com\/\?utm_source=extension/
+    );
+  });
+
+  it("does not save invalid settings", async () => {
+    await expect(
+      saveWebappSettings({ webappOrigins: ["nope"] })
+    ).rejects.toThrow();
+    expect(storage.leettracker_settings).toBeUndefined();
+  });
+
+  it("saves the sync schedule next to the web app settings", async () => {
+    await saveWebappSettings({ webappOrigins: [DEFAULT_WEBAPP_ORIGIN] });
+    await saveSyncSchedule({ hiddenIntervalMs: 600000 });
+
+    expect(storage.leettracker_settings).toMatchObject({
+      primaryWebappOrigin: DEFAULT_WEBAPP_ORIGIN,
+      syncSchedule: { hiddenIntervalMs: 600000 },
+    });
+    expect(await getSyncSchedule()).toEqual({
+      ...DEFAULT_SYNC_SCHEDULE,
+      hiddenIntervalMs: 600000,
+    });
+  });
+
+  it("saves the activity settings next to the sync schedule", async () => {
+    await saveSyncSchedule({ hiddenIntervalMs: 600000 });
+    await saveActivitySettings({ idleThresholdMs: 10 * 60 * 1000 });
+
+    expect(storage.leettracker_settings).toMatchObject({
+      syncSchedule: { hiddenIntervalMs: 600000 },
+      activity: { idleThresholdMs: 600000 },
+    });
+    expect(await getActivitySettings()).toEqual({ idleThresholdMs: 600000 });
+  });
+});
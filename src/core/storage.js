@@ -1,5 +1,8 @@
 // src/core/storage.js
 
+const DB_VERSION = 10;
+const TEMPLATE_TTL_MS = 86400000; // 24 hours
+
 // IndexedDB wrapper for larger data storage
 class LeetTrackerDB {
   constructor() {
@@ -9,7 +12,7 @@ class LeetTrackerDB {
 
   async init() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open("LeetTrackerDB", 3);
+      const request = indexedDB.open("LeetTrackerDB", DB_VERSION);
 
       request.onerror = () => {
         console.error("[LeetTracker] IndexedDB init failed:", request.error);
@@ -58,18 +61,28 @@ class LeetTrackerDB {
         const transaction = event.target.transaction;
 
         console.log(
-          `[LeetTracker] Upgrading IndexedDB from version ${oldVersion} to 3`
+          `[LeetTracker] Upgrading IndexedDB from version ${oldVersion} to ${DB_VERSION}`
         );
 
-        // Templates store
-        if (!db.objectStoreNames.contains("templates")) {
-          const templateStore = db.createObjectStore("templates", {
-            keyPath: "problemSlug",
+        // Problem catalog - one record per problem, shared by all users and
+        // submissions (description, premium flag, code templates)
+        if (!db.objectStoreNames.contains("problems")) {
+          const problemStore = db.createObjectStore("problems", {
+            keyPath: "titleSlug",
           });
-          templateStore.createIndex("timestamp", "timestamp");
+          problemStore.createIndex("questionId", "questionId");
+          problemStore.createIndex("updatedAt", "updatedAt");
+        }
+
+        // v4: code templates moved into the problem catalog. The old store
+        // was a 24-hour cache, so it is dropped rather than migrated.
+        if (db.objectStoreNames.contains("templates")) {
+          db.deleteObjectStore("templates");
         }
 
-        // Active snapshots store
+        // Active snapshots store - one stream per username, problem and
+        // language. Before v9 there was one per problem, without `language`;
+        // migrateSnapshotStreams (tracking/snapshots.js) moves those records.
         if (!db.objectStoreNames.contains("snapshots")) {
           const snapshotStore = db.createObjectStore("snapshots", {
             keyPath: "id",
@@ -120,6 +133,66 @@ class LeetTrackerDB {
           hintStore.createIndex("timestamp", "timestamp");
         }
 
+        // Sync history - one record per syncSubmissions run
+        if (!db.objectStoreNames.contains("syncRuns")) {
+          const syncRunStore = db.createObjectStore("syncRuns", {
+            keyPath: "id",
+          });
+          syncRunStore.createIndex("username", "username");
+          syncRunStore.createIndex("startedAt", "startedAt");
+        }
+
+        // Activity intervals - focused time on problem pages, for active solve time
+        if (!db.objectStoreNames.contains("activity")) {
+          const activityStore = db.createObjectStore("activity", {
+            keyPath: "id",
+          });
+          activityStore.createIndex("username", "username");
+          activityStore.createIndex("problemSlug", "problemSlug");
+          activityStore.createIndex("endedAt", "endedAt");
+        }
+
+        // Attempt sessions - submissions on a problem grouped into attempts
+        if (!db.objectStoreNames.contains("attemptSessions")) {
+          const sessionStore = db.createObjectStore("attemptSessions", {
+            keyPath: "id",
+          });
+          sessionStore.createIndex("username", "username");
+          sessionStore.createIndex("titleSlug", "titleSlug");
+          sessionStore.createIndex("lastSubmissionAt", "lastSubmissionAt");
+        }
+
+        // Abandoned attempts - snapshot streams discarded by a fresh start
+        if (!db.objectStoreNames.contains("abandonedAttempts")) {
+          const abandonedStore = db.createObjectStore("abandonedAttempts", {
+            keyPath: "id",
+          });
+          abandonedStore.createIndex("username", "username");
+          abandonedStore.createIndex("problemSlug", "problemSlug");
+          abandonedStore.createIndex("archivedAt", "archivedAt");
+        }
+
+        // v10: the archives of one problem are listed from this index, in
+        // timestamp order, without reading the user's other archives
+        for (const storeName of ["journeys", "runGroups"]) {
+          const store = transaction.objectStore(storeName);
+          if (!store.indexNames.contains("usernameTitleSlug")) {
+            store.createIndex("usernameTitleSlug", [
+              "username",
+              "titleSlug",
+              "timestamp",
+            ]);
+          }
+        }
+
+        // Migration to v4: move the chrome.storage slug -> questionId map into
+        // the problem catalog
+        if (oldVersion > 0 && oldVersion < 4) {
+          transaction.addEventListener("complete", () =>
+            this._migrateProblemIdMap(db)
+          );
+        }
+
         // Migration from v1 to v2: Convert seen problems list to new object format
         if (oldVersion === 1) {
           console.log(
@@ -308,46 +381,159 @@ class LeetTrackerDB {
     return this.db;
   }
 
-  async storeTemplates(problemSlug, templates) {
+  async _migrateProblemIdMap(db) {
+    const key = "leettracker_problem_slug_to_id_map";
+    try {
+      const idMap = await new Promise((resolve) => {
+        chrome.storage.local.get([key], (result) => resolve(result[key]));
+      });
+      const entries = Object.entries(idMap || {});
+      if (entries.length === 0) return;
+
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(["problems"], "readwrite");
+        const store = tx.objectStore("problems");
+        const now = Date.now();
+        for (const [titleSlug, questionId] of entries) {
+          const req = store.get(titleSlug);
+          req.onsuccess = () =>
+            store.put({
+              ...req.result,
+              titleSlug,
+              questionId,
+              updatedAt: now,
+            });
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+
+      await new Promise((resolve) => chrome.storage.local.remove(key, resolve));
+      console.log(
+        `[LeetTracker] Moved ${entries.length} problem IDs into the problem catalog`
+      );
+    } catch (error) {
+      console.error("[LeetTracker] Error migrating problem ID map:", error);
+    }
+  }
+
+  // --- Problem Catalog ---
+  // Problem-level data keyed by titleSlug: questionId, title, description
+  // (HTML), isPremium, codeTemplates, metadata (frontendQuestionId,
+  // difficulty, acRate, topicTags, similarQuestions, hints) and when each
+  // part was fetched (descriptionFetchedAt, premiumCheckedAt,
+  // templatesFetchedAt, metadataFetchedAt).
+  async getProblem(titleSlug) {
     const db = await this.ensureDB();
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["templates"], "readwrite");
-      const store = transaction.objectStore("templates");
+      const tx = db.transaction(["problems"], "readonly");
+      const request = tx.objectStore("problems").get(titleSlug);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
-      const data = {
-        problemSlug,
-        templates,
-        timestamp: Date.now(),
-      };
+  // Records for the given slugs that are in the catalog, in input order
+  async getProblems(titleSlugs) {
+    const db = await this.ensureDB();
 
-      const request = store.put(data);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["problems"], "readonly");
+      const store = tx.objectStore("problems");
+      const found = new Array(titleSlugs.length).fill(null);
+
+      titleSlugs.forEach((titleSlug, i) => {
+        const request = store.get(titleSlug);
+        request.onsuccess = () => (found[i] = request.result || null);
+      });
+
+      tx.oncomplete = () => resolve(found.filter(Boolean));
+      tx.onerror = () => reject(tx.error);
     });
   }
 
-  async getTemplates(problemSlug) {
+  // Merge `fields` into the problem's record, creating it if needed
+  async upsertProblem(titleSlug, fields) {
     const db = await this.ensureDB();
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction(["templates"], "readonly");
-      const store = transaction.objectStore("templates");
+      const tx = db.transaction(["problems"], "readwrite");
+      const store = tx.objectStore("problems");
+      let merged = null;
 
-      const request = store.get(problemSlug);
+      const request = store.get(titleSlug);
       request.onsuccess = () => {
-        const result = request.result;
-        if (result && Date.now() - result.timestamp < 86400000) {
-          // 24 hours
-          resolve(result.templates);
-        } else {
-          resolve(null); // Expired or not found
+        merged = {
+          ...request.result,
+          ...fields,
+          titleSlug,
+          updatedAt: Date.now(),
+        };
+        store.put(merged);
+      };
+
+      tx.oncomplete = () => resolve(merged);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Paged read of the catalog in update order, optionally only records
+  // updated after `updatedSince`
+  async getProblemsPage(offset, limit, updatedSince = 0) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["problems"], "readonly");
+      const idx = tx.objectStore("problems").index("updatedAt");
+      const range = IDBKeyRange.lowerBound(updatedSince, true);
+
+      let total = 0;
+      const countReq = idx.count(range);
+      countReq.onsuccess = () => (total = countReq.result);
+      countReq.onerror = () => reject(countReq.error);
+
+      const records = [];
+      let skipped = offset === 0;
+      const req = idx.openCursor(range);
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (cursor && !skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        if (cursor && records.length < limit) {
+          records.push(cursor.value);
+          cursor.continue();
         }
       };
-      request.onerror = () => reject(request.error);
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve({ records, total });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async storeTemplates(problemSlug, templates) {
+    await this.upsertProblem(problemSlug, {
+      codeTemplates: templates,
+      templatesFetchedAt: Date.now(),
     });
   }
 
+  async getTemplates(problemSlug) {
+    const problem = await this.getProblem(problemSlug);
+    if (
+      problem?.codeTemplates &&
+      Date.now() - (problem.templatesFetchedAt || 0) < TEMPLATE_TTL_MS
+    ) {
+      return problem.codeTemplates;
+    }
+    return null; // Expired or not found
+  }
+
   // --- Run Code Event Management ---
   async storeRunEvent(username, problemSlug, runData) {
     const db = await this.ensureDB();
@@ -404,7 +590,11 @@ class LeetTrackerDB {
     });
   }
 
-  async storeSnapshots(username, problemSlug, snapshotData) {
+  _snapshotStreamId(username, problemSlug, language) {
+    return `${username}_${problemSlug}_${language}`;
+  }
+
+  async storeSnapshots(username, problemSlug, language, snapshotData) {
     const db = await this.ensureDB();
 
     return new Promise((resolve, reject) => {
@@ -412,13 +602,16 @@ class LeetTrackerDB {
       const store = transaction.objectStore("snapshots");
 
       const data = {
-        id: `${username}_${problemSlug}`,
+        id: this._snapshotStreamId(username, problemSlug, language),
         username,
         problemSlug,
+        language,
         snapshots: snapshotData.snapshots,
         lastFinalCode: snapshotData.lastFinalCode,
         lastUpdated: Date.now(),
       };
+      // Only a restore sets it; the next write clears it
+      if (snapshotData.restoredAt) data.restoredAt = snapshotData.restoredAt;
 
       const request = store.put(data);
       request.onsuccess = () => resolve();
@@ -426,29 +619,79 @@ class LeetTrackerDB {
     });
   }
 
-  async getSnapshots(username, problemSlug) {
+  async getSnapshots(username, problemSlug, language) {
     const db = await this.ensureDB();
 
     return new Promise((resolve, reject) => {
       const transaction = db.transaction(["snapshots"], "readonly");
       const store = transaction.objectStore("snapshots");
 
-      const request = store.get(`${username}_${problemSlug}`);
+      const request = store.get(
+        this._snapshotStreamId(username, problemSlug, language)
+      );
       request.onsuccess = () => {
         const result = request.result;
-        if (result) {
-          resolve({
-            snapshots: result.snapshots || [],
-            lastFinalCode: result.lastFinalCode || null,
-          });
-        } else {
-          resolve({ snapshots: [], lastFinalCode: null });
-        }
+        resolve({
+          language,
+          snapshots: result?.snapshots || [],
+          lastFinalCode: result?.lastFinalCode || null,
+          restoredAt: result?.restoredAt || null,
+        });
       };
       request.onerror = () => reject(request.error);
     });
   }
 
+  // A user's snapshot records from before streams were kept per language
+  async getLegacySnapshotRecords(username) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["snapshots"], "readonly");
+      const idx = tx.objectStore("snapshots").index("username");
+      const req = idx.getAll(IDBKeyRange.only(username));
+      req.onsuccess = () =>
+        resolve((req.result || []).filter((record) => !record.language));
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Move a legacy record to the `language` stream of its problem. Snapshots
+  // already in that stream are newer, so they follow the legacy ones.
+  async migrateSnapshotRecord(record, language) {
+    const db = await this.ensureDB();
+    const id = this._snapshotStreamId(
+      record.username,
+      record.problemSlug,
+      language
+    );
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["snapshots"], "readwrite");
+      const store = tx.objectStore("snapshots");
+
+      const existingReq = store.get(id);
+      existingReq.onsuccess = () => {
+        const existing = existingReq.result;
+        store.put({
+          ...record,
+          ...existing,
+          id,
+          language,
+          snapshots: [
+            ...(record.snapshots || []),
+            ...(existing?.snapshots || []),
+          ],
+        });
+        store.delete(record.id);
+      };
+      existingReq.onerror = () => reject(existingReq.error);
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   async storeJourneyArchive(username, submission) {
     const db = await this.ensureDB();
 
@@ -495,6 +738,119 @@ class LeetTrackerDB {
     });
   }
 
+  // --- Archive Reads ---
+  async getJourneyArchive(username, submissionId) {
+    return this._getArchiveById("journeys", `${username}_${submissionId}`);
+  }
+
+  async getRunGroupArchive(username, submissionId) {
+    return this._getArchiveById("runGroups", `${username}_${submissionId}`);
+  }
+
+  async _getArchiveById(storeName, id) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([storeName], "readonly");
+      const request = tx.objectStore(storeName).get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // One page of the submissions of a problem with an archived journey or run
+  // group, newest first. Key cursors over the problem's range of the
+  // usernameTitleSlug index read only index keys (timestamps) and primary keys
+  // (`${username}_${submissionId}`), never an archive; callers read the page's
+  // archives by ID.
+  async getProblemArchivesPage(username, titleSlug, offset, limit) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["journeys", "runGroups"], "readonly");
+      const bySubmission = new Map();
+      // Every [username, titleSlug, timestamp]: arrays sort after numbers
+      const range = IDBKeyRange.bound(
+        [username, titleSlug],
+        [username, titleSlug, []]
+      );
+      const idPrefix = `${username}_`;
+
+      for (const [storeName, flag] of [
+        ["journeys", "hasJourney"],
+        ["runGroups", "hasRunGroup"],
+      ]) {
+        const idx = tx.objectStore(storeName).index("usernameTitleSlug");
+        const req = idx.openKeyCursor(range);
+
+        req.onsuccess = (ev) => {
+          const cursor = ev.target.result;
+          if (!cursor) return;
+          const submissionId = cursor.primaryKey.slice(idPrefix.length);
+          const entry = bySubmission.get(submissionId) || {
+            submissionId,
+            timestamp: cursor.key[2],
+            hasJourney: false,
+            hasRunGroup: false,
+          };
+          entry[flag] = true;
+          bySubmission.set(submissionId, entry);
+          cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+      }
+
+      tx.oncomplete = () => {
+        const entries = [...bySubmission.values()].sort(
+          (a, b) => (b.timestamp || 0) - (a.timestamp || 0)
+        );
+        resolve({
+          records: entries.slice(offset, offset + limit),
+          total: entries.length,
+        });
+      };
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Paged read of every record a user has in a store, in primary key order.
+  // Used for full exports, so callers never hold a whole store in memory.
+  async getUserRecordsPage(storeName, username, offset, limit) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([storeName], "readonly");
+      const idx = tx.objectStore(storeName).index("username");
+      const range = IDBKeyRange.only(username);
+
+      let total = 0;
+      const countReq = idx.count(range);
+      countReq.onsuccess = () => (total = countReq.result);
+      countReq.onerror = () => reject(countReq.error);
+
+      const records = [];
+      let skipped = offset === 0;
+      const req = idx.openCursor(range);
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (cursor && !skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        if (cursor && records.length < limit) {
+          records.push(cursor.value);
+          cursor.continue();
+        }
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve({ records, total });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // --- Hint Event Management ---
   async storeHintEvent(username, problemSlug, hintData) {
     const db = await this.ensureDB();
@@ -550,6 +906,365 @@ class LeetTrackerDB {
       req.onerror = () => reject(req.error);
     });
   }
+
+  // --- Activity Intervals ---
+  // One record per focused stretch on a problem page (see tracking/activity.js).
+  // An open interval is stored again as it grows, under the same id.
+  async storeActivityInterval(username, problemSlug, interval) {
+    const db = await this.ensureDB();
+    const id = `${username}_${problemSlug}_${interval.startedAt}`;
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["activity"], "readwrite");
+      const request = transaction.objectStore("activity").put({
+        id,
+        username,
+        problemSlug,
+        ...interval,
+      });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Intervals overlapping [startMs, endMs], oldest first
+  async getActivityInWindow(username, problemSlug, startMs, endMs) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["activity"], "readonly");
+      const idx = tx.objectStore("activity").index("endedAt");
+
+      const intervals = [];
+      const req = idx.openCursor(IDBKeyRange.lowerBound(startMs));
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (cursor) {
+          const v = cursor.value;
+          if (
+            v.username === username &&
+            v.problemSlug === problemSlug &&
+            v.startedAt <= endMs
+          ) {
+            intervals.push(v);
+          }
+          cursor.continue();
+        } else {
+          intervals.sort((a, b) => a.startedAt - b.startedAt);
+          resolve(intervals);
+        }
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // --- Attempt Sessions ---
+  async storeAttemptSessions(sessions) {
+    const db = await this.ensureDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["attemptSessions"], "readwrite");
+      const store = tx.objectStore("attemptSessions");
+      for (const session of sessions) store.put(session);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // The session with the latest submission on a problem, or null
+  async getLatestAttemptSession(username, titleSlug) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["attemptSessions"], "readonly");
+      const idx = tx.objectStore("attemptSessions").index("titleSlug");
+      const req = idx.getAll(IDBKeyRange.only(titleSlug));
+
+      req.onsuccess = () => {
+        let latest = null;
+        for (const session of req.result || []) {
+          if (session.username !== username) continue;
+          if (!latest || session.lastSubmissionAt > latest.lastSubmissionAt) {
+            latest = session;
+          }
+        }
+        resolve(latest);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // One page of a user's sessions, most recent last submission first,
+  // optionally for one problem
+  async getAttemptSessionsPage(username, titleSlug, offset, limit) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["attemptSessions"], "readonly");
+      const idx = tx.objectStore("attemptSessions").index("lastSubmissionAt");
+
+      const records = [];
+      let total = 0;
+      const req = idx.openCursor(null, "prev");
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) return;
+        const v = cursor.value;
+        if (
+          v.username === username &&
+          (!titleSlug || v.titleSlug === titleSlug)
+        ) {
+          if (total >= offset && records.length < limit) records.push(v);
+          total++;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve({ records, total });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Resolves with the number of sessions deleted
+  async deleteAttemptSessions(username) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["attemptSessions"], "readwrite");
+      const idx = tx.objectStore("attemptSessions").index("username");
+
+      let deleted = 0;
+      const req = idx.openCursor(IDBKeyRange.only(username));
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve(deleted);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // --- Abandoned Attempts ---
+  _abandonedAttemptRecord(username, problemSlug, snapshotData, fields) {
+    const { snapshots } = snapshotData;
+    const archivedAt = fields.now || Date.now();
+    return {
+      id: `${username}_${problemSlug}_${archivedAt}`,
+      username,
+      problemSlug,
+      reason: fields.reason,
+      language: snapshotData.language,
+      startedAt: snapshots[0].timestamp,
+      endedAt: snapshots[snapshots.length - 1].timestamp,
+      snapshotCount: snapshots.length,
+      finalCode: fields.finalCode || snapshotData.lastFinalCode || null,
+      snapshots,
+      archivedAt,
+    };
+  }
+
+  // Archive a snapshot stream (as read by getSnapshots) as an abandoned
+  // attempt and clear it, in one transaction: a failed archive leaves the
+  // snapshots in place. `fields`: { reason, finalCode, now }. Resolves with
+  // the record.
+  async archiveAndClearSnapshots(username, problemSlug, snapshotData, fields) {
+    const db = await this.ensureDB();
+    const attempt = this._abandonedAttemptRecord(
+      username,
+      problemSlug,
+      snapshotData,
+      fields
+    );
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(
+        ["abandonedAttempts", "snapshots"],
+        "readwrite"
+      );
+      tx.objectStore("abandonedAttempts").put(attempt);
+      tx.objectStore("snapshots").put({
+        id: this._snapshotStreamId(
+          username,
+          problemSlug,
+          snapshotData.language
+        ),
+        username,
+        problemSlug,
+        language: snapshotData.language,
+        snapshots: [],
+        lastFinalCode: null,
+        lastUpdated: attempt.archivedAt,
+      });
+      tx.oncomplete = () => resolve(attempt);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // One page of a user's abandoned attempts without their snapshots, most
+  // recently archived first, optionally for one problem
+  async getAbandonedAttemptsPage(username, problemSlug, offset, limit) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["abandonedAttempts"], "readonly");
+      const idx = tx.objectStore("abandonedAttempts").index("archivedAt");
+
+      const records = [];
+      let total = 0;
+      const req = idx.openCursor(null, "prev");
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) return;
+        const v = cursor.value;
+        if (
+          v.username === username &&
+          (!problemSlug || v.problemSlug === problemSlug)
+        ) {
+          if (total >= offset && records.length < limit) {
+            const { snapshots: _snapshots, ...summary } = v;
+            records.push(summary);
+          }
+          total++;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve({ records, total });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Make an abandoned attempt the snapshots of its problem and language
+  // again, stamped with `restoredAt`, and remove its record. Snapshots
+  // recorded in that stream since the fresh start are archived in turn (reason "replaced") if there are at least two.
+  // Resolves with the restored attempt, or null if the user has no attempt
+  // `attemptId`.
+  async restoreAbandonedAttempt(username, attemptId, now = Date.now()) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(
+        ["abandonedAttempts", "snapshots"],
+        "readwrite"
+      );
+      const attempts = tx.objectStore("abandonedAttempts");
+      const snapshots = tx.objectStore("snapshots");
+      let restored = null;
+
+      const getReq = attempts.get(attemptId);
+      getReq.onsuccess = () => {
+        const attempt = getReq.result;
+        if (!attempt || attempt.username !== username) return;
+        restored = attempt;
+
+        const { problemSlug, language } = attempt;
+        const id = this._snapshotStreamId(username, problemSlug, language);
+        const currentReq = snapshots.get(id);
+        currentReq.onsuccess = () => {
+          const current = currentReq.result;
+          if (current?.snapshots?.length >= 2) {
+            attempts.put(
+              this._abandonedAttemptRecord(username, problemSlug, current, {
+                reason: "replaced",
+                now,
+              })
+            );
+          }
+          attempts.delete(attemptId);
+          snapshots.put({
+            id,
+            username,
+            problemSlug,
+            language,
+            snapshots: attempt.snapshots,
+            lastFinalCode: attempt.finalCode,
+            lastUpdated: now,
+            restoredAt: now,
+          });
+        };
+      };
+
+      tx.oncomplete = () => resolve(restored);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // --- Sync History ---
+  async storeSyncRun(run) {
+    const db = await this.ensureDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(["syncRuns"], "readwrite");
+      const request = transaction.objectStore("syncRuns").put(run);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Newest first (by start time). Without a username, runs of every user.
+  async getRecentSyncRuns(username, limit) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["syncRuns"], "readonly");
+      const idx = tx.objectStore("syncRuns").index("startedAt");
+
+      const runs = [];
+      const req = idx.openCursor(null, "prev");
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor || runs.length >= limit) return;
+        if (!username || cursor.value.username === username) {
+          runs.push(cursor.value);
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve(runs);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Delete runs that started before `olderThan` (ms), and any beyond the
+  // newest `maxRuns`. Resolves with the number of runs deleted.
+  async pruneSyncRuns(olderThan, maxRuns) {
+    const db = await this.ensureDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(["syncRuns"], "readwrite");
+      const idx = tx.objectStore("syncRuns").index("startedAt");
+
+      let kept = 0;
+      let deleted = 0;
+      const req = idx.openCursor(null, "prev");
+
+      req.onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) return;
+        if (cursor.value.startedAt < olderThan || kept >= maxRuns) {
+          cursor.delete();
+          deleted++;
+        } else {
+          kept++;
+        }
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+
+      tx.oncomplete = () => resolve(deleted);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
 }
 
 // Expose a simple factory; actual instance should be created by the bootstrap (or existing content.js)
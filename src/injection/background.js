@@ -0,0 +1,347 @@
+// src/injection/background.js
+import { keys, messages } from "../core/config.js";
+import { getWebappSettings, originToMatchPattern } from "../core/settings.js";
+import { markDBUnavailable } from "../core/db-instance.js";
+import {
+  BACKGROUND_SYNC_ALARM,
+  ensureBackgroundSyncAlarm,
+  runBackgroundSync,
+} from "../leetcode/background-sync.js";
+import { discoverAccounts, listAccounts } from "../leetcode/accounts.js";
+import {
+  DEFAULT_PLATFORM_ID,
+  PLATFORMS,
+  platformOfAccount,
+} from "../leetcode/platform.js";
+import toastScript from "../ui/toast/toast.js?script";
+import contentScript from "./content.js?script";
+import webappScript from "./webapp.js?script";
+
+// Background service worker. The webapp bridge runs in the web app's origin
+// and cannot reach LeetTrackerDB (LeetCode origin) or the LeetCode API, so
+// it asks us to relay DB queries and sync requests to a LeetCode tab whose
+// content script answers them. leetcode.com and leetcode.cn each have their
+// own LeetTrackerDB and accounts, so requests go to a tab of the site the
+// account belongs to (see leetcode/platform.js). With no LeetCode tab open, we also sync
+// submissions ourselves on a chrome.alarms schedule (leetcode/background-sync.js).
+
+// LeetTrackerDB belongs to the LeetCode origin (see core/db-instance.js)
+markDBUnavailable("not reachable from the service worker");
+
+const WEBAPP_SCRIPT_ID = "leettracker-webapp-bridge";
+const LEETCODE_CN_SCRIPT_ID = "leettracker-leetcode-cn";
+
+function tabUnavailableError(platform) {
+  return {
+    code: "leetcode_tab_unavailable",
+    message: `Open a ${platform.host} tab so LeetTracker can read its database`,
+  };
+}
+
+/**
+ * The site a DB query is for: the account's, or `params.platform` for
+ * queries without a username (the problem catalog).
+ */
+function queryPlatform(params) {
+  if (params?.username) return platformOfAccount(params.username);
+  return PLATFORMS[params?.platform] || PLATFORMS[DEFAULT_PLATFORM_ID];
+}
+
+/**
+ * Open tabs of one LeetCode site, most recently used first.
+ */
+async function findLeetCodeTabs(platform) {
+  let tabs = [];
+  try {
+    tabs = await chrome.tabs.query({ url: [platform.tabUrlPattern] });
+  } catch (error) {
+    console.warn("[LeetTracker][Background] Failed to query tabs:", error);
+  }
+  return tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+}
+
+/**
+ * Forward a DB query to the first tab of its site whose content script
+ * answers. Resolves with the tab's response, or an error envelope if no tab
+ * could.
+ */
+async function relayToLeetCodeTab(message) {
+  const platform = queryPlatform(message.params);
+  for (const tab of await findLeetCodeTabs(platform)) {
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, message);
+      if (response) return response;
+    } catch (_error) {
+      // Content script not ready in this tab (still loading, discarded, ...)
+    }
+  }
+
+  return { ok: false, error: tabUnavailableError(platform) };
+}
+
+/**
+ * Open a sync port to a tab and send it the request. Resolves with the port
+ * once the tab accepts, or null if it rejects (other account) or has no
+ * listener (not signed in, still loading).
+ */
+function openSyncPort(tabId, request) {
+  return new Promise((resolve) => {
+    let port;
+    try {
+      port = chrome.tabs.connect(tabId, { name: messages.SYNC_NOW });
+    } catch (_error) {
+      resolve(null);
+      return;
+    }
+
+    const onReply = (reply) => {
+      port.onMessage.removeListener(onReply);
+      port.onDisconnect.removeListener(onGone);
+      if (reply?.type === "accepted") {
+        resolve(port);
+      } else {
+        port.disconnect();
+        resolve(null);
+      }
+    };
+    const onGone = () => resolve(null);
+
+    port.onMessage.addListener(onReply);
+    port.onDisconnect.addListener(onGone);
+    port.postMessage(request);
+  });
+}
+
+/**
+ * Pipe a web app sync request to the first LeetCode tab that accepts it and
+ * stream the tab's progress/result messages back.
+ */
+async function relaySyncNow(webappPort, request) {
+  let webappConnected = true;
+  webappPort.onDisconnect.addListener(() => {
+    webappConnected = false;
+  });
+
+  const platform = platformOfAccount(request?.username);
+  for (const tab of await findLeetCodeTabs(platform)) {
+    if (!webappConnected) return;
+
+    const tabPort = await openSyncPort(tab.id, request);
+    if (!tabPort) continue;
+
+    let finished = false;
+    tabPort.onMessage.addListener((message) => {
+      if (message?.type !== "progress") finished = true;
+      if (webappConnected) webappPort.postMessage(message);
+    });
+    tabPort.onDisconnect.addListener(() => {
+      if (!finished && webappConnected) {
+        webappPort.postMessage({
+          type: "error",
+          error: {
+            code: "leetcode_tab_unavailable",
+            message: "The LeetCode tab running the sync was closed",
+          },
+        });
+      }
+      if (webappConnected) webappPort.disconnect();
+    });
+    // The sync keeps running in the tab if the web app goes away
+    webappPort.onDisconnect.addListener(() => tabPort.disconnect());
+    return;
+  }
+
+  if (webappConnected) {
+    webappPort.postMessage({
+      type: "error",
+      error: {
+        code: "leetcode_tab_unavailable",
+        message: `Open a ${platform.host} tab signed in as ${request?.username} to sync`,
+      },
+    });
+    webappPort.disconnect();
+  }
+}
+
+// ---- Webapp bridge registration
+// webapp.js is registered dynamically so users can point the extension at
+// their own deployments (see core/settings.js). Registrations persist across
+// browser sessions; we re-sync them on install/startup and whenever the
+// settings or granted host permissions change.
+
+let registrationQueue = Promise.resolve();
+
+async function syncWebappBridgeRegistration() {
+  const { webappOrigins } = await getWebappSettings();
+
+  // Only register where we can actually inject; origins the user added but
+  // has not granted yet are picked up once permissions.onAdded fires.
+  const matches = [];
+  for (const origin of webappOrigins) {
+    const pattern = originToMatchPattern(origin);
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      matches.push(pattern);
+    } else {
+      console.warn(
+        `[LeetTracker][Background] No host permission for ${origin}, bridge not registered there`
+      );
+    }
+  }
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({
+    ids: [WEBAPP_SCRIPT_ID],
+  });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [WEBAPP_SCRIPT_ID],
+    });
+  }
+  if (matches.length === 0) return;
+
+  await chrome.scripting.registerContentScripts([
+    {
+      id: WEBAPP_SCRIPT_ID,
+      js: [webappScript],
+      matches,
+      runAt: "document_start",
+    },
+  ]);
+  console.log(
+    "[LeetTracker][Background] Webapp bridge registered for",
+    matches
+  );
+}
+
+// leetcode.cn is an optional host permission the user grants from the
+// options page, so its content scripts are registered here once it is.
+async function syncLeetCodeCnRegistration() {
+  const pattern = PLATFORMS.cn.tabUrlPattern;
+  const granted = await chrome.permissions.contains({ origins: [pattern] });
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({
+    ids: [LEETCODE_CN_SCRIPT_ID],
+  });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [LEETCODE_CN_SCRIPT_ID],
+    });
+  }
+  if (!granted) return;
+
+  await chrome.scripting.registerContentScripts([
+    {
+      id: LEETCODE_CN_SCRIPT_ID,
+      js: [toastScript, contentScript],
+      matches: [pattern],
+      runAt: "document_idle",
+    },
+  ]);
+  console.log("[LeetTracker][Background] Content scripts registered for", [
+    pattern,
+  ]);
+}
+
+// Serialize so overlapping updates cannot race on the same script ID
+function queueRegistration(sync, what) {
+  registrationQueue = registrationQueue.then(sync).catch((error) => {
+    console.error(
+      `[LeetTracker][Background] Failed to register ${what}:`,
+      error
+    );
+  });
+  return registrationQueue;
+}
+
+function refreshWebappBridge() {
+  return queueRegistration(syncWebappBridgeRegistration, "webapp bridge");
+}
+
+function refreshContentScripts() {
+  refreshWebappBridge();
+  return queueRegistration(
+    syncLeetCodeCnRegistration,
+    "leetcode.cn content scripts"
+  );
+}
+
+chrome.runtime.onInstalled.addListener(refreshContentScripts);
+chrome.runtime.onStartup.addListener(refreshContentScripts);
+chrome.permissions.onAdded.addListener(refreshContentScripts);
+chrome.permissions.onRemoved.addListener(refreshContentScripts);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[keys.settings]) {
+    refreshWebappBridge();
+  }
+});
+
+// ---- Background sync
+
+function scheduleBackgroundSync() {
+  ensureBackgroundSyncAlarm().catch((error) => {
+    console.error(
+      "[LeetTracker][Background] Failed to schedule background sync:",
+      error
+    );
+  });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleBackgroundSync);
+chrome.runtime.onStartup.addListener(scheduleBackgroundSync);
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== BACKGROUND_SYNC_ALARM) return;
+  try {
+    // Discarded tabs run no content script, so they cannot sync. The worker
+    // syncs leetcode.com only, so only its tabs make the alarm unnecessary.
+    const tabs = (await findLeetCodeTabs(PLATFORMS.com)).filter(
+      (tab) => !tab.discarded
+    );
+    await runBackgroundSync({ hasLeetCodeTab: tabs.length > 0 });
+  } catch (error) {
+    console.error("[LeetTracker][Background] Background sync failed:", error);
+  }
+});
+
+// ---- Accounts
+
+// Register accounts whose data was stored before the account registry
+chrome.runtime.onInstalled.addListener(() => {
+  discoverAccounts().catch((error) => {
+    console.error(
+      "[LeetTracker][Background] Failed to discover stored accounts:",
+      error
+    );
+  });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === messages.DB_QUERY) {
+    relayToLeetCodeTab(message).then(sendResponse);
+    return true; // async response
+  }
+  if (message?.type === messages.LIST_ACCOUNTS) {
+    listAccounts().then(
+      (accounts) => sendResponse({ ok: true, result: { accounts } }),
+      (error) =>
+        sendResponse({
+          ok: false,
+          error: {
+            code: "storage_error",
+            message: error?.message || String(error),
+          },
+        })
+    );
+    return true; // async response
+  }
+  return false;
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== messages.SYNC_NOW) return;
+
+  const onRequest = (request) => {
+    port.onMessage.removeListener(onRequest);
+    relaySyncNow(port, request);
+  };
+  port.onMessage.addListener(onRequest);
+});
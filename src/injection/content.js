@@ -1,18 +1,34 @@
 import { getUserInfoWithCache } from "../leetcode/api.js";
-import { startFreshStartWatcher } from "../tracking/snapshots.js";
+import { checkSignedInAccount, registerAccount } from "../leetcode/accounts.js";
+import {
+  migrateSnapshotStreams,
+  startFreshStartWatcher,
+} from "../tracking/snapshots.js";
+import { startActivityTracker } from "../tracking/activity.js";
 import { syncSubmissions } from "../leetcode/sync.js";
+import { startSyncNowBridge } from "../leetcode/sync-now.js";
+import { createSyncScheduler } from "../leetcode/sync-scheduler.js";
+import { isProblemPath, platformForHost } from "../leetcode/platform.js";
 import {
   hookSubmitButton,
   startCodeSnapshotWatcher,
   startProblemNavigationWatcher,
+  startLanguageSwitchWatcher,
   injectRunCodeWatcher,
   startRunCodeMessageBridge,
   injectHintTracker,
   startHintMessageBridge,
 } from "../tracking/watchers.js";
 import { getDBInstance } from "../core/db-instance.js";
-import { initAnalytics, getAnalytics } from "../core/analytics.js";
+import { startDBQueryBridge } from "../core/db-queries.js";
+import {
+  initAnalytics,
+  getAnalytics,
+  resetAnalyticsIdentity,
+} from "../core/analytics.js";
 import { getExtensionVersion } from "../core/utils.js";
+import { getSyncSchedule, getWebappUrl } from "../core/settings.js";
+import { keys } from "../core/config.js";
 
 // Initialize IndexedDB singleton on load
 getDBInstance();
@@ -22,7 +38,7 @@ initAnalytics().catch((error) => {
   console.error("[LeetTracker] Failed to initialize analytics:", error);
 });
 
-function showToastAfterSync(result, username) {
+async function showToastAfterSync(result, username) {
   // Don't show toast if sync failed or didn't add new solves
   if (!result || !result.success || result.newSolves === 0) {
     return;
@@ -36,9 +52,8 @@ function showToastAfterSync(result, username) {
   const solves = result.solves || [];
   const solvesCount = result.newSolves;
 
-  // LeetTracker URL (global for now until routing is set up)
-  const leetTrackerUrl =
-    "https://leet-tracker-log.vercel.app/?utm_source=extension&utm_medium=extension&utm_campaign=extension";
+  // Link to the user's chosen web app deployment (see core/settings.js)
+  const leetTrackerUrl = await getWebappUrl();
 
   // Show the toast
   if (
@@ -65,129 +80,281 @@ function showToastAfterSync(result, username) {
   }
 }
 
-function trySyncIfLoggedIn() {
+// User input that marks the user as active for the sync scheduler
+const ACTIVITY_EVENTS = ["keydown", "pointerdown", "mousemove", "scroll"];
+const ACTIVITY_THROTTLE_MS = 10 * 1000;
+
+/**
+ * Sync on a schedule that backs off in hidden tabs, for idle users and after
+ * repeated syncs with nothing new (see leetcode/sync-scheduler.js). The
+ * scheduler is exposed as `window.leetTrackerSyncScheduler`, whose
+ * getStatus() shows the current interval, the next due sync and the last
+ * result. Scheduled syncs first check that LeetCode is still signed in as
+ * `username` (`checkAccount`).
+ * @returns {Promise<{scheduler: object, stop: Function}>}
+ */
+async function startScheduledSync(username, checkAccount) {
+  const scheduler = createSyncScheduler({
+    runSync: async (reason) => {
+      // The initial sync runs right after the sign-in check
+      if (reason !== "initial" && !(await checkAccount())) {
+        return { success: false, error: "account_changed" };
+      }
+      const result = await syncSubmissions(username, { trigger: reason });
+      showToastAfterSync(result, username);
+      return result;
+    },
+    schedule: await getSyncSchedule(),
+    hidden: document.visibilityState === "hidden",
+  });
+
+  const onVisibilityChange = () => {
+    scheduler.notifyVisibility(document.visibilityState === "hidden");
+  };
+  document.addEventListener("visibilitychange", onVisibilityChange);
+
+  let lastActivityAt = 0;
+  const onActivity = () => {
+    const now = Date.now();
+    if (now - lastActivityAt < ACTIVITY_THROTTLE_MS) return;
+    lastActivityAt = now;
+    scheduler.notifyActivity();
+  };
+  for (const type of ACTIVITY_EVENTS) {
+    window.addEventListener(type, onActivity, { capture: true, passive: true });
+  }
+
+  const onStorageChange = (changes, areaName) => {
+    if (areaName === "local" && changes[keys.settings]) {
+      getSyncSchedule().then((schedule) => scheduler.configure(schedule));
+    }
+  };
+  chrome.storage.onChanged.addListener(onStorageChange);
+
+  window.leetTrackerSyncScheduler = scheduler;
+  scheduler.start();
+
+  const stop = () => {
+    scheduler.stop();
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    for (const type of ACTIVITY_EVENTS) {
+      window.removeEventListener(type, onActivity, { capture: true });
+    }
+    chrome.storage.onChanged.removeListener(onStorageChange);
+    if (window.leetTrackerSyncScheduler === scheduler) {
+      delete window.leetTrackerSyncScheduler;
+    }
+  };
+  return { scheduler, stop };
+}
+
+// ---- Signed-in account
+// LeetCode reloads the tab where the user signs in or out, which restarts this
+// script. Other open tabs keep running, and their requests start carrying the
+// new account's cookies. So everything started for an account can be stopped,
+// and is restarted for the new account when a check finds it changed.
+
+let activeAccount = null; // { username, stop }
+let accountSwitch = null; // in-flight switchAccount()
+let pageScriptsInjected = false;
+
+/**
+ * Resolve true if LeetCode is still signed in as `username`. If another
+ * account is signed in now, resolve false and switch this tab over to it.
+ * A failed check resolves true, so a flaky sign-in lookup does not stop
+ * syncing.
+ */
+async function verifyAccount(username) {
+  if (accountSwitch || activeAccount?.username !== username) return false;
+
+  const account = await checkSignedInAccount(username);
+  if (account.status !== "changed") return true;
+
+  if (!accountSwitch) {
+    accountSwitch = switchAccount(username, account.username).finally(() => {
+      accountSwitch = null;
+    });
+  }
+  return false;
+}
+
+/**
+ * Stop everything running for the previous account and start over with the
+ * one signed in now (already in the user info cache).
+ */
+async function switchAccount(previousUsername, username) {
+  console.log(
+    `[LeetTracker] Signed-in account changed from ${previousUsername} to ${username}, restarting.`
+  );
+  getAnalytics().capture("account_switched", {
+    previous_username: previousUsername,
+  });
+
+  activeAccount?.stop();
+  activeAccount = null;
+  await resetAnalyticsIdentity();
+  await trySyncIfLoggedIn();
+}
+
+/**
+ * Start syncing, watchers and bridges for the signed-in account.
+ */
+async function startAccount({ userId, username, isFirstSignIn }) {
   const SELECTOR = '[data-e2e-locator="console-submit-button"]';
+  const analytics = getAnalytics();
+  console.log(`[LeetTracker] Detected login as ${username}, starting.`);
 
-  // We'll try to get user info first. Eventually we'll just stop.
-  // When a user logs in, currently, leetcode resets the page and
-  // we reload this entire script anyway so we don't need to retry
-  // forever.
-  getUserInfoWithCache().then(
-    async ({ userId, username, signInFailed, isFirstSignIn }) => {
-      const analytics = getAnalytics();
+  // Identify user with PostHog (safe to call multiple times)
+  await analytics.identify(username, {
+    leetcode_user_id: userId,
+    extension_version: getExtensionVersion(),
+  });
 
-      if (username && userId) {
-        console.log(`[LeetTracker] Detected login as ${username}, starting.`);
+  // Capture extension session started
+  analytics.capture("extension_session_started", {
+    page: window.location.pathname,
+    referrer: document.referrer,
+    is_first_sign_in: isFirstSignIn,
+  });
 
-        // Identify user with PostHog (safe to call multiple times)
-        await analytics.identify(username, {
-          leetcode_user_id: userId,
-          extension_version: getExtensionVersion(),
+  // Show welcome toast for first-time users
+  if (isFirstSignIn) {
+    if (
+      window.leetTrackerToast &&
+      typeof window.leetTrackerToast.showWelcomeToast === "function"
+    ) {
+      try {
+        window.leetTrackerToast.showWelcomeToast({
+          username,
+          durationMs: 15000,
         });
-
-        // Capture extension session started
-        analytics.capture("extension_session_started", {
-          page: window.location.pathname,
-          referrer: document.referrer,
-          is_first_sign_in: isFirstSignIn,
+        analytics.capture("welcome_toast_displayed", {
+          username,
         });
+      } catch (e) {
+        console.warn("[LeetTracker] Failed to show welcome toast:", e);
+        analytics.captureError("welcome_toast_error", e, { username });
+      }
+    }
+  }
 
-        // Show welcome toast for first-time users
-        if (isFirstSignIn) {
-          if (
-            window.leetTrackerToast &&
-            typeof window.leetTrackerToast.showWelcomeToast === "function"
-          ) {
-            try {
-              window.leetTrackerToast.showWelcomeToast({
-                username,
-                durationMs: 15000,
-              });
-              analytics.capture("welcome_toast_displayed", {
-                username,
-              });
-            } catch (e) {
-              console.warn("[LeetTracker] Failed to show welcome toast:", e);
-              analytics.captureError("welcome_toast_error", e, { username });
-            }
-          }
-        }
+  registerAccount(username).catch((e) => {
+    console.warn("[LeetTracker] Failed to register account:", e);
+  });
 
-        // Initial sync with toast
-        syncSubmissions(username).then((result) => {
-          showToastAfterSync(result, username);
-        });
+  const checkAccount = () => verifyAccount(username);
+  const stops = [];
+  activeAccount = {
+    username,
+    stop: () => stops.forEach((stop) => stop()),
+  };
 
-        // Periodic sync with toast
-        setInterval(
-          () => {
-            syncSubmissions(username).then((result) => {
-              showToastAfterSync(result, username);
-            });
-          },
-          1 * 60 * 1000
-        );
-        setInterval(() => {
-          if (!window.location.pathname.startsWith("/problems/")) return;
-
-          const btn = document.querySelector(SELECTOR);
-          if (btn && btn.dataset.leettrackerHooked !== "true") {
-            hookSubmitButton(username, showToastAfterSync);
-          }
-        }, 5000); // 5 s poll
+  // Before the first sync reads snapshot streams by language
+  await migrateSnapshotStreams(username);
 
-        startProblemNavigationWatcher(username);
-        startCodeSnapshotWatcher(username);
-        startFreshStartWatcher(username);
-        injectRunCodeWatcher();
-        startRunCodeMessageBridge(username);
-        injectHintTracker();
-        startHintMessageBridge(username);
+  // Initial and scheduled syncs, with toast
+  const { scheduler, stop: stopScheduledSync } = await startScheduledSync(
+    username,
+    checkAccount
+  );
+  stops.push(stopScheduledSync);
 
-        return true;
-      } else {
-        // Check if sign-in explicitly failed after retries
-        if (signInFailed) {
-          console.log("[LeetTracker] Sign-in failed after retries.");
-
-          // Show sign-in required toast
-          if (
-            window.leetTrackerToast &&
-            typeof window.leetTrackerToast.showSignInRequiredToast ===
-              "function"
-          ) {
-            try {
-              window.leetTrackerToast.showSignInRequiredToast({
-                durationMs: 15000,
-              });
-              analytics.capture("signin_required_toast_displayed", {
-                reason: "retries_exhausted",
-              });
-            } catch (e) {
-              console.warn(
-                "[LeetTracker] Failed to show sign-in required toast:",
-                e
-              );
-              analytics.captureError("signin_required_toast_error", e, {
-                reason: "retries_exhausted",
-              });
-            }
+  let unhookSubmitButton = null;
+  const submitButtonPoll = setInterval(() => {
+    if (!isProblemPath(window.location.pathname)) return;
+
+    const btn = document.querySelector(SELECTOR);
+    if (btn && btn.dataset.leettrackerHooked !== "true") {
+      unhookSubmitButton = hookSubmitButton(username, () =>
+        scheduler.notifySubmission()
+      );
+    }
+  }, 5000); // 5 s poll
+  stops.push(() => {
+    clearInterval(submitButtonPoll);
+    unhookSubmitButton?.();
+  });
+
+  // Run syncs requested by the web app (relayed via background)
+  stops.push(startSyncNowBridge(username, showToastAfterSync, checkAccount));
+
+  stops.push(startProblemNavigationWatcher(username));
+  stops.push(startLanguageSwitchWatcher());
+  stops.push(startCodeSnapshotWatcher(username));
+  stops.push(startFreshStartWatcher(username));
+  stops.push(startActivityTracker(username));
+  if (!pageScriptsInjected) {
+    pageScriptsInjected = true;
+    injectRunCodeWatcher();
+    injectHintTracker();
+  }
+  stops.push(startRunCodeMessageBridge(username));
+  stops.push(startHintMessageBridge(username));
+
+  // Catch a switch made in another tab as soon as the user comes back
+  const onVisible = () => {
+    if (document.visibilityState === "visible") checkAccount();
+  };
+  document.addEventListener("visibilitychange", onVisible);
+  stops.push(() => document.removeEventListener("visibilitychange", onVisible));
+}
+
+function trySyncIfLoggedIn() {
+  // We'll try to get user info first. Eventually we'll just stop.
+  // When a user logs in, currently, leetcode resets the page and
+  // we reload this entire script anyway so we don't need to retry
+  // forever.
+  return getUserInfoWithCache().then(async (userInfo) => {
+    const { userId, username, signInFailed } = userInfo;
+    const analytics = getAnalytics();
+
+    if (username && userId) {
+      await startAccount(userInfo);
+      return true;
+    } else {
+      // Check if sign-in explicitly failed after retries
+      if (signInFailed) {
+        console.log("[LeetTracker] Sign-in failed after retries.");
+
+        // Show sign-in required toast
+        if (
+          window.leetTrackerToast &&
+          typeof window.leetTrackerToast.showSignInRequiredToast === "function"
+        ) {
+          try {
+            window.leetTrackerToast.showSignInRequiredToast({
+              durationMs: 15000,
+            });
+            analytics.capture("signin_required_toast_displayed", {
+              reason: "retries_exhausted",
+            });
+          } catch (e) {
+            console.warn(
+              "[LeetTracker] Failed to show sign-in required toast:",
+              e
+            );
+            analytics.captureError("signin_required_toast_error", e, {
+              reason: "retries_exhausted",
+            });
           }
-        } else {
-          console.log("[LeetTracker] Not logged in, exiting.");
         }
-
-        // Track anonymous session
-        analytics.capture("extension_session_started_anonymous", {
-          page: window.location.pathname,
-          signin_failed: signInFailed,
-        });
+      } else {
+        console.log("[LeetTracker] Not logged in, exiting.");
       }
-      return false;
+
+      // Track anonymous session
+      analytics.capture("extension_session_started_anonymous", {
+        page: window.location.pathname,
+        signin_failed: signInFailed,
+      });
     }
-  );
+    return false;
+  });
 }
 
-if (window.location.hostname === "leetcode.com") {
+// leetcode.com or leetcode.cn; the platform is picked from the hostname
+if (platformForHost(window.location.hostname)) {
+  // Serve LeetTrackerDB reads for the web app (relayed via background)
+  startDBQueryBridge();
   trySyncIfLoggedIn();
 }
@@ -101,4 +101,25 @@
       return origFetch.apply(this, args);
     }
   };
+
+  // LeetCode saves a language switch in localStorage, which fires no
+  // `storage` event in this tab; tell the content script to re-read it
+  const origSetItem = Storage.prototype.setItem;
+  Storage.prototype.setItem = function (key, value) {
+    origSetItem.call(this, key, value);
+    try {
+      const name = String(key);
+      if (
+        this === window.localStorage &&
+        (name === "global_lang" || name.endsWith("_lang"))
+      ) {
+        window.postMessage(
+          { source: "leettracker", type: "lt-language-changed", key: name },
+          "*"
+        );
+      }
+    } catch {
+      // never break LeetCode's own write
+    }
+  };
 })();
@@ -2,6 +2,65 @@
   const EXTENSION_SOURCE = "leettracker-extension";
   const WEBAPP_SOURCE = "leettracker-webapp";
 
+  // Version of the request/response envelope. Version 1 was the original
+  // fire-and-forget protocol without requestId/protocolVersion/error replies;
+  // version 2 added the envelope; version 3 required the nonce handshake;
+  // version 4 answers over the MessagePort the web app sends with `hello`.
+  const PROTOCOL_VERSION = 4;
+
+  // Only the page this script was injected into may talk to the bridge, and
+  // replies are only ever delivered to that origin.
+  const EXPECTED_ORIGIN = window.location.origin;
+
+  // Error codes carried by `response_error` messages
+  const ERROR_CODES = {
+    INVALID_REQUEST: "invalid_request",
+    UNSUPPORTED_TYPE: "unsupported_type",
+    UNAUTHORIZED: "unauthorized",
+    NOT_FOUND: "not_found",
+    LEETCODE_TAB_UNAVAILABLE: "leetcode_tab_unavailable",
+    SYNC_IN_PROGRESS: "sync_in_progress",
+    SYNC_FAILED: "sync_failed",
+    STORAGE_ERROR: "storage_error",
+    INTERNAL_ERROR: "internal_error",
+  };
+
+  // Must match messages.DB_QUERY / SYNC_NOW / LIST_ACCOUNTS in core/config.js
+  const DB_QUERY_MESSAGE = "leettracker_db_query";
+  const SYNC_NOW_PORT = "leettracker_sync_now";
+  const LIST_ACCOUNTS_MESSAGE = "leettracker_list_accounts";
+
+  // `data_changed` pushes are debounced: sent once writes have been quiet for
+  // DEBOUNCE_MS, but at least every MAX_WAIT_MS while a long sync is running.
+  const DATA_CHANGED_DEBOUNCE_MS = 1000;
+  const DATA_CHANGED_MAX_WAIT_MS = 5000;
+
+  // Full export document format. Bump EXPORT_VERSION when the shape changes.
+  const EXPORT_FORMAT = "leettracker-export";
+  // Version 2: descriptions moved from submissions to the `problems` section.
+  const EXPORT_VERSION = 2;
+  const EXPORT_PAGE_SIZE = 50; // archive records per part
+
+  // The session: the MessagePort the web app transferred with its `hello`,
+  // and the nonce issued over it. Requests still arrive through
+  // window.postMessage, which every script on the page can read, so they must
+  // carry the nonce; replies go only to the port, which other scripts never
+  // see, so they cannot learn the nonce or the data. Only the first `hello`
+  // of a page load opens a session without a nonce. A later `hello` (the web
+  // app re-mounting) must carry the current nonce; it then starts a new
+  // session with a new nonce and closes the previous port.
+  let sessionPort = null;
+  let sessionNonce = null;
+  let rejectedCount = 0;
+
+  function generateNonce() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
   console.log("[LeetTracker][Webapp] Webapp script loaded");
 
   // Import analytics - need to use dynamic import for module
@@ -15,152 +74,1252 @@
     }
   })();
 
-  window.addEventListener("message", async (event) => {
-    const { source, type, username } = event.data || {};
-    if (source !== WEBAPP_SOURCE || !username) return;
+  /**
+   * Create an error that is reported to the web app with the given code.
+   */
+  function bridgeError(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+  }
 
-    if (type === "request_chunk_manifest_since") {
-      const since = event.data.since || 0;
+  function envelope(type, requestId, payload) {
+    return {
+      source: EXTENSION_SOURCE,
+      protocolVersion: PROTOCOL_VERSION,
+      type,
+      requestId: requestId ?? null,
+      ...payload,
+    };
+  }
 
-      try {
-        const manifestKey = `leettracker_sync_manifest_${username}`;
-        const result = await chrome.storage.local.get([manifestKey]);
-        const manifestChunks = result[manifestKey]?.chunks || [];
+  /**
+   * Post a message to the web app wrapped in the protocol envelope.
+   * `requestId` is echoed back so the web app can correlate replies;
+   * it is null when the request did not include one. `port` is the session
+   * the request arrived in; without one (rejections before or outside a
+   * session, which carry no data) the reply goes through window.postMessage.
+   */
+  function respond(type, requestId, payload = {}, port = null) {
+    const message = envelope(type, requestId, payload);
+    if (port) {
+      port.postMessage(message);
+    } else {
+      window.postMessage(message, EXPECTED_ORIGIN);
+    }
+  }
 
-        const filtered = manifestChunks.filter((chunk) => chunk.to > since);
+  function errorPayload(requestType, error, extra = {}) {
+    return {
+      requestType: requestType ?? null,
+      error: {
+        code: error?.code || ERROR_CODES.INTERNAL_ERROR,
+        message: error?.message || String(error),
+        ...(error?.details && { details: error.details }),
+      },
+      ...extra,
+    };
+  }
 
-        window.postMessage(
-          {
-            source: EXTENSION_SOURCE,
-            type: "response_chunk_manifest",
-            username,
-            chunks: filtered,
-            total: result[manifestKey]?.total ?? null,
-            totalSynced: result[manifestKey]?.totalSynced ?? null,
-            skippedForBackfill: result[manifestKey]?.skippedForBackfill ?? null,
-          },
-          "*"
-        );
-        console.log(
-          `[LeetTracker][Webapp] Manifest for ${username} since ${since} sent`
-        );
+  function respondError(requestType, requestId, error, extra = {}, port) {
+    respond(
+      "response_error",
+      requestId,
+      errorPayload(requestType, error, extra),
+      port
+    );
+  }
 
-        if (analytics) {
-          analytics.capture(
-            "webapp_data_sent",
-            {
-              username,
-              request_type: "chunk_manifest",
-              chunks_sent: filtered.length,
-              total_submissions: result[manifestKey]?.total ?? null,
-              total_submissions_synced:
-                result[manifestKey]?.totalSynced ?? null,
-              skippedForBackfill:
-                result[manifestKey]?.skippedForBackfill ?? null,
-            },
-            { throttle: true }
-          );
-        }
+  /**
+   * Record a rejected request. Counted locally so the (throttled) analytics
+   * event still reports how many requests were turned away.
+   */
+  function recordUnauthorized(requestType, reason, details = {}) {
+    rejectedCount++;
+    console.warn(
+      `[LeetTracker][Webapp] Rejected ${requestType ?? "unknown"} request: ${reason}`,
+      details
+    );
+    if (analytics) {
+      analytics.capture(
+        "webapp_bridge_unauthorized",
+        {
+          request_type: requestType ?? null,
+          reason,
+          rejected_count: rejectedCount,
+          ...details,
+        },
+        { throttle: true }
+      );
+    }
+  }
+
+  // ---- Request handlers
+  // Each handler receives the request data and returns the payload for its
+  // response type, or throws (optionally with a bridgeError code). The second
+  // argument holds the request's `requestId` and `emit(type, payload)`, which
+  // handlers use to stream intermediate events tagged with that requestId.
+
+  async function handleHello() {
+    return {
+      extensionVersion: chrome.runtime.getManifest().version,
+      supportedProtocolVersions: [PROTOCOL_VERSION],
+      supportedTypes: Object.keys(handlers),
+      nonce: sessionNonce,
+    };
+  }
+
+  async function handleChunkManifestSince({ username, since = 0 }) {
+    const manifestKey = `leettracker_sync_manifest_${username}`;
+    let result;
+    try {
+      result = await chrome.storage.local.get([manifestKey]);
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.STORAGE_ERROR,
+        `Failed to read manifest: ${e?.message || e}`
+      );
+    }
+    const manifestChunks = result[manifestKey]?.chunks || [];
+
+    const filtered = manifestChunks.filter((chunk) => chunk.to > since);
+
+    console.log(
+      `[LeetTracker][Webapp] Manifest for ${username} since ${since} sent`
+    );
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "chunk_manifest",
+          chunks_sent: filtered.length,
+          total_submissions: result[manifestKey]?.total ?? null,
+          total_submissions_synced: result[manifestKey]?.totalSynced ?? null,
+          skippedForBackfill: result[manifestKey]?.skippedForBackfill ?? null,
+        },
+        { throttle: true }
+      );
+    }
+
+    return {
+      username,
+      chunks: filtered,
+      revision: result[manifestKey]?.revision ?? 0,
+      total: result[manifestKey]?.total ?? null,
+      totalSynced: result[manifestKey]?.totalSynced ?? null,
+      skippedForBackfill: result[manifestKey]?.skippedForBackfill ?? null,
+      incompleteCount: result[manifestKey]?.incompleteCount ?? 0,
+    };
+  }
+
+  /**
+   * Return metadata for every chunk whose revision is newer than `cursor`.
+   * Covers both new chunks and old chunks rewritten by backfill enrichment.
+   * The returned `cursor` is the manifest revision to send next time.
+   */
+  async function handleChunksChangedSince({ username, cursor = 0 }) {
+    if (typeof cursor !== "number" || cursor < 0) {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`cursor` must be a non-negative number"
+      );
+    }
+
+    const manifestKey = `leettracker_sync_manifest_${username}`;
+    let result;
+    try {
+      result = await chrome.storage.local.get([manifestKey]);
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.STORAGE_ERROR,
+        `Failed to read manifest: ${e?.message || e}`
+      );
+    }
+    const manifest = result[manifestKey] || {};
+    const revision = manifest.revision ?? 0;
+
+    // A cursor ahead of the manifest means the stored data was reset since
+    // the web app last synced; a cursor from before a storage repair means
+    // chunks were rebuilt. Either way it must drop its copy and start over.
+    const repairedRevision = manifest.repairedRevision ?? 0;
+    const resync =
+      cursor > revision || (cursor > 0 && cursor < repairedRevision);
+    const changed = (manifest.chunks || []).filter(
+      (chunk) => chunk && (resync || (chunk.rev ?? 0) > cursor)
+    );
+
+    console.log(
+      `[LeetTracker][Webapp] ${changed.length} chunk(s) changed for ${username} since revision ${cursor} (now ${revision})`
+    );
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "chunks_changed",
+          chunks_sent: changed.length,
+          cursor,
+          revision,
+          resync,
+        },
+        { throttle: true }
+      );
+    }
+
+    return {
+      username,
+      cursor: revision,
+      resync,
+      chunks: changed,
+      total: manifest.total ?? null,
+      totalSynced: manifest.totalSynced ?? null,
+      skippedForBackfill: manifest.skippedForBackfill ?? null,
+      incompleteCount: manifest.incompleteCount ?? 0,
+    };
+  }
+
+  /**
+   * Run a query against LeetTrackerDB. The database lives in the LeetCode
+   * site's origin (leetcode.com or leetcode.cn), so the background service
+   * worker relays the query to an open tab of that site (see
+   * core/db-queries.js).
+   */
+  async function queryLeetTrackerDB(query, params) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: DB_QUERY_MESSAGE,
+        query,
+        params,
+      });
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.INTERNAL_ERROR,
+        `Extension background unavailable: ${e?.message || e}`
+      );
+    }
+
+    if (!response) {
+      throw bridgeError(
+        ERROR_CODES.LEETCODE_TAB_UNAVAILABLE,
+        "No response from a LeetCode tab"
+      );
+    }
+    if (!response.ok) {
+      throw bridgeError(
+        response.error?.code || ERROR_CODES.STORAGE_ERROR,
+        response.error?.message || `Query ${query} failed`
+      );
+    }
+    return response.result;
+  }
+
+  async function handleSubmissionArchive({
+    username,
+    submissionId,
+    snapshotOffset,
+    snapshotLimit,
+  }) {
+    if (submissionId === undefined || submissionId === null) {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`submissionId` is required"
+      );
+    }
+
+    const result = await queryLeetTrackerDB("submissionArchive", {
+      username,
+      submissionId,
+      snapshotOffset,
+      snapshotLimit,
+    });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "submission_archive",
+          snapshot_offset: result.snapshotPage.offset,
+          snapshots_sent: result.codingJourney?.snapshots?.length ?? 0,
+          snapshots_total: result.snapshotPage.total,
+          has_runs: !!result.runEvents,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, ...result };
+  }
+
+  async function handleProblemArchives({ username, titleSlug, offset, limit }) {
+    if (typeof titleSlug !== "string" || !titleSlug) {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`titleSlug` must be a non-empty string"
+      );
+    }
+
+    const result = await queryLeetTrackerDB("problemArchives", {
+      username,
+      titleSlug,
+      offset,
+      limit,
+    });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "problem_archives",
+          submissions_sent: result.submissions.length,
+          submissions_total: result.page.total,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, ...result };
+  }
+
+  /**
+   * Problem-level data (title, description, premium flag, code templates)
+   * from the problem catalog. Submissions refer to it by `titleSlug`. Pass
+   * `titleSlugs` for specific problems, or page through everything updated
+   * after `updatedSince` (send back `latestUpdatedAt` next time).
+   * `platform` ("com" or "cn") picks the site whose catalog is read.
+   */
+  async function handleProblemCatalog({
+    titleSlugs,
+    updatedSince,
+    offset,
+    limit,
+    platform,
+  }) {
+    const result = await queryLeetTrackerDB("problemCatalog", {
+      titleSlugs,
+      updatedSince,
+      offset,
+      limit,
+      platform,
+    });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          request_type: "problem_catalog",
+          problems_sent: result.problems.length,
+          by_slug: titleSlugs !== undefined,
+        },
+        { throttle: true }
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Recent sync runs for the user, newest first, for diagnosing syncs that
+   * failed or found nothing.
+   */
+  async function handleSyncHistory({ username, limit }) {
+    const result = await queryLeetTrackerDB("syncRuns", { username, limit });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "sync_history",
+          runs_sent: result.runs.length,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, ...result };
+  }
+
+  /**
+   * Submissions grouped into attempt sessions, most recent first. Pass
+   * `titleSlug` for one problem's sessions.
+   */
+  async function handleAttemptSessions({ username, titleSlug, offset, limit }) {
+    if (
+      titleSlug !== undefined &&
+      (typeof titleSlug !== "string" || !titleSlug)
+    ) {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`titleSlug` must be a non-empty string"
+      );
+    }
+
+    const result = await queryLeetTrackerDB("attemptSessions", {
+      username,
+      titleSlug,
+      offset,
+      limit,
+    });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "attempt_sessions",
+          sessions_sent: result.sessions.length,
+          sessions_total: result.page.total,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, ...result };
+  }
+
+  /**
+   * Snapshot streams a fresh start discarded, most recently archived first.
+   * Pass `titleSlug` for one problem's attempts.
+   */
+  async function handleAbandonedAttempts({
+    username,
+    titleSlug,
+    offset,
+    limit,
+  }) {
+    if (
+      titleSlug !== undefined &&
+      (typeof titleSlug !== "string" || !titleSlug)
+    ) {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`titleSlug` must be a non-empty string"
+      );
+    }
+
+    const result = await queryLeetTrackerDB("abandonedAttempts", {
+      username,
+      titleSlug,
+      offset,
+      limit,
+    });
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "abandoned_attempts",
+          attempts_sent: result.attempts.length,
+          attempts_total: result.page.total,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, ...result };
+  }
+
+  /**
+   * Put an abandoned attempt's snapshots back as the problem's journey. The
+   * reply's `attempt.finalCode` is the code to paste into the editor.
+   */
+  async function handleRestoreAbandonedAttempt({ username, attemptId }) {
+    if (typeof attemptId !== "string" || !attemptId) {
+      throw bridgeError(ERROR_CODES.INVALID_REQUEST, "`attemptId` is required");
+    }
+
+    const result = await queryLeetTrackerDB("restoreAbandonedAttempt", {
+      username,
+      attemptId,
+    });
+
+    if (analytics) {
+      analytics.capture("webapp_abandoned_attempt_restored", {
+        username,
+        problem_slug: result.attempt.problemSlug,
+        snapshot_count: result.attempt.snapshotCount,
+      });
+    }
+
+    return { username, ...result };
+  }
+
+  /**
+   * Every LeetCode account with data in this browser and when it last
+   * synced, most recently synced first (see leetcode/accounts.js).
+   */
+  async function handleAccounts() {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        type: LIST_ACCOUNTS_MESSAGE,
+      });
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.INTERNAL_ERROR,
+        `Extension background unavailable: ${e?.message || e}`
+      );
+    }
+    if (!response?.ok) {
+      throw bridgeError(
+        response?.error?.code || ERROR_CODES.STORAGE_ERROR,
+        response?.error?.message || "Failed to list accounts"
+      );
+    }
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          request_type: "accounts",
+          accounts_sent: response.result.accounts.length,
+        },
+        { throttle: true }
+      );
+    }
+
+    return response.result;
+  }
+
+  // Let the page run between export parts so a large history doesn't block it
+  function yieldToPage() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Export everything stored for a user as one versioned document.
+   *
+   * Records are streamed as `full_export_part` events ({ section, part,
+   * items }); the final `response_full_export` carries the document header
+   * with per-section counts. The web app rebuilds the document by
+   * concatenating each section's parts in order. Archive sections (read from
+   * LeetTrackerDB via a LeetCode tab) are marked `available: false` when no
+   * LeetCode tab can serve them, so a partial export is still possible.
+   */
+  async function handleFullExport({ username }, { emit }) {
+    const manifestKey = `leettracker_sync_manifest_${username}`;
+    const seenKey = `leettracker_seen_problems_${username}`;
+
+    let stored;
+    try {
+      stored = await chrome.storage.local.get([manifestKey, seenKey]);
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.STORAGE_ERROR,
+        `Failed to read manifest: ${e?.message || e}`
+      );
+    }
+    const manifest = stored[manifestKey] || {};
+
+    const sections = {};
+    let partCount = 0;
+    const emitPart = async (section, part, items) => {
+      emit("full_export_part", { username, section, part, items });
+      partCount++;
+      await yieldToPage();
+    };
+
+    // Submissions: one part per stored chunk
+    const chunkCount = manifest.chunkCount ?? 0;
+    let submissionCount = 0;
+    for (let i = 0; i < chunkCount; i++) {
+      const chunkKey = `leettracker_leetcode_chunk_${username}_${i}`;
+      let result;
+      try {
+        result = await chrome.storage.local.get([chunkKey]);
       } catch (e) {
-        console.error("[LeetTracker][Webapp] Failed to get manifest:", e);
-        if (analytics) {
-          analytics.captureError("webapp_bridge_error", e, {
+        throw bridgeError(
+          ERROR_CODES.STORAGE_ERROR,
+          `Failed to read chunk ${i}: ${e?.message || e}`
+        );
+      }
+      const items = result[chunkKey] || [];
+      await emitPart("submissions", i, items);
+      submissionCount += items.length;
+    }
+    sections.submissions = {
+      available: true,
+      count: submissionCount,
+      parts: chunkCount,
+    };
+
+    // Archives and the problem catalog: paged from LeetTrackerDB
+    for (const store of ["journeys", "runGroups", "hintEvents", "problems"]) {
+      let offset = 0;
+      let part = 0;
+      try {
+        for (;;) {
+          const page = await queryLeetTrackerDB("exportRecords", {
             username,
-            request_type: "chunk_manifest",
+            store,
+            offset,
+            limit: EXPORT_PAGE_SIZE,
           });
+          if (page.records.length > 0) {
+            await emitPart(store, part++, page.records);
+          }
+          offset += page.records.length;
+          if (!page.page.hasMore || page.records.length === 0) break;
+        }
+        sections[store] = { available: true, count: offset, parts: part };
+      } catch (e) {
+        if (e?.code !== ERROR_CODES.LEETCODE_TAB_UNAVAILABLE || part > 0) {
+          throw e;
         }
+        sections[store] = {
+          available: false,
+          count: 0,
+          parts: 0,
+          error: { code: e.code, message: e.message },
+        };
       }
     }
 
-    if (type === "request_chunk_by_index") {
-      const index = event.data.index;
-      if (typeof index !== "number") return;
+    console.log(
+      `[LeetTracker][Webapp] Full export for ${username} sent (${partCount} parts, ${submissionCount} submissions)`
+    );
+
+    if (analytics) {
+      analytics.capture("webapp_data_sent", {
+        username,
+        request_type: "full_export",
+        parts_sent: partCount,
+        submission_count: submissionCount,
+        journeys_count: sections.journeys.count,
+        run_groups_count: sections.runGroups.count,
+        hint_events_count: sections.hintEvents.count,
+        problems_count: sections.problems.count,
+        archives_available: sections.journeys.available,
+      });
+    }
+
+    return {
+      username,
+      partCount,
+      export: {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        username,
+        manifest: {
+          total: manifest.total ?? 0,
+          totalSynced: manifest.totalSynced ?? 0,
+          skippedForBackfill: manifest.skippedForBackfill ?? 0,
+          incompleteCount: manifest.incompleteCount ?? 0,
+          lastTimestamp: manifest.lastTimestamp ?? null,
+          revision: manifest.revision ?? 0,
+        },
+        seenProblems: stored[seenKey] || {},
+        sections,
+      },
+    };
+  }
 
+  /**
+   * Ask a signed-in LeetCode tab to sync now. Progress is streamed as
+   * `sync_progress` events until the final `response_sync_now`. If another
+   * tab already holds the sync lock, fails with `sync_in_progress`.
+   */
+  function handleSyncNow({ username }, { emit }) {
+    return new Promise((resolve, reject) => {
+      let port;
       try {
-        const chunkKey = `leettracker_leetcode_chunk_${username}_${index}`;
-        const result = await chrome.storage.local.get([chunkKey]);
-        const baseData = result[chunkKey] || [];
-
-        // Enhance with recent code journeys
-        const recentJourneysKey = `leettracker_recent_journeys_${username}`;
-        const recentJourneysResult = await chrome.storage.local.get([
-          recentJourneysKey,
-        ]);
-        const recentJourneys = recentJourneysResult[recentJourneysKey] || [];
-
-        // Enhance with recent run groupings
-        const recentRunsKey = `leettracker_recent_runs_${username}`;
-        const recentRunsResult = await chrome.storage.local.get([
-          recentRunsKey,
-        ]);
-        const recentRunGroups = recentRunsResult[recentRunsKey] || [];
-
-        // Build lookup maps
-        const journeysById = new Map(
-          recentJourneys.map((j) => [String(j.submissionId), j])
-        );
-        const runGroupsById = new Map(
-          recentRunGroups.map((g) => [String(g.submissionId), g])
+        port = chrome.runtime.connect({ name: SYNC_NOW_PORT });
+      } catch (e) {
+        reject(
+          bridgeError(
+            ERROR_CODES.INTERNAL_ERROR,
+            `Extension background unavailable: ${e?.message || e}`
+          )
         );
+        return;
+      }
 
-        // Enhance submissions with detailed journey and runEvents data if available
-        const enhancedData = baseData.map((s) => {
-          const sid = String(s.id);
-          const j = journeysById.get(sid);
-          const g = runGroupsById.get(sid);
+      let settled = false;
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        fn(value);
+      };
 
-          let out = s;
-          if (j && j.codingJourney) {
-            out = { ...out, codingJourney: j.codingJourney };
-          }
-          if (g && g.runEvents) {
-            out = { ...out, runEvents: g.runEvents };
+      port.onMessage.addListener((message) => {
+        switch (message?.type) {
+          case "progress":
+            emit("sync_progress", { username, progress: message.progress });
+            break;
+          case "result": {
+            const result = message.result || {};
+            if (analytics) {
+              analytics.capture("webapp_sync_now_completed", {
+                username,
+                new_solves: result.newSolves ?? 0,
+                is_first_sync: !!result.isFirstSync,
+              });
+            }
+            settle(resolve, {
+              username,
+              newSolves: result.newSolves ?? 0,
+              isFirstSync: !!result.isFirstSync,
+              solves: result.solves || [],
+            });
+            break;
           }
-          return out;
-        });
-
-        window.postMessage(
-          {
-            source: EXTENSION_SOURCE,
-            type: "response_chunk",
-            username,
-            index,
-            data: enhancedData,
-          },
-          "*"
+          case "lock_held":
+            settle(
+              reject,
+              bridgeError(
+                ERROR_CODES.SYNC_IN_PROGRESS,
+                "Another LeetCode tab is already syncing",
+                { lock: message.lock }
+              )
+            );
+            break;
+          case "error":
+            settle(
+              reject,
+              bridgeError(
+                message.error?.code || ERROR_CODES.SYNC_FAILED,
+                message.error?.message || "Sync failed"
+              )
+            );
+            break;
+        }
+      });
+      port.onDisconnect.addListener(() => {
+        settle(
+          reject,
+          bridgeError(
+            ERROR_CODES.LEETCODE_TAB_UNAVAILABLE,
+            "Sync connection closed before it finished"
+          )
         );
-        console.log(
-          `[LeetTracker][Webapp] Enhanced chunk ${index} for ${username} sent (${enhancedData.length} submissions, ${recentJourneys.length} recent journeys, ${recentRunGroups.length} recent run groups)`
+      });
+
+      port.postMessage({ username });
+    });
+  }
+
+  async function handleChunkByIndex({ username, index }) {
+    if (typeof index !== "number") {
+      throw bridgeError(
+        ERROR_CODES.INVALID_REQUEST,
+        "`index` must be a number"
+      );
+    }
+
+    const chunkKey = `leettracker_leetcode_chunk_${username}_${index}`;
+    const recentJourneysKey = `leettracker_recent_journeys_${username}`;
+    const recentRunsKey = `leettracker_recent_runs_${username}`;
+
+    let result;
+    try {
+      result = await chrome.storage.local.get([
+        chunkKey,
+        recentJourneysKey,
+        recentRunsKey,
+      ]);
+    } catch (e) {
+      throw bridgeError(
+        ERROR_CODES.STORAGE_ERROR,
+        `Failed to read chunk ${index}: ${e?.message || e}`
+      );
+    }
+    const baseData = result[chunkKey] || [];
+
+    // Enhance with recent code journeys and run groupings
+    const recentJourneys = result[recentJourneysKey] || [];
+    const recentRunGroups = result[recentRunsKey] || [];
+
+    // Build lookup maps
+    const journeysById = new Map(
+      recentJourneys.map((j) => [String(j.submissionId), j])
+    );
+    const runGroupsById = new Map(
+      recentRunGroups.map((g) => [String(g.submissionId), g])
+    );
+
+    // Enhance submissions with detailed journey and runEvents data if available
+    const enhancedData = baseData.map((s) => {
+      const sid = String(s.id);
+      const j = journeysById.get(sid);
+      const g = runGroupsById.get(sid);
+
+      let out = s;
+      if (j && j.codingJourney) {
+        out = { ...out, codingJourney: j.codingJourney };
+      }
+      if (g && g.runEvents) {
+        out = { ...out, runEvents: g.runEvents };
+      }
+      return out;
+    });
+
+    console.log(
+      `[LeetTracker][Webapp] Enhanced chunk ${index} for ${username} sent (${enhancedData.length} submissions, ${recentJourneys.length} recent journeys, ${recentRunGroups.length} recent run groups)`
+    );
+
+    if (analytics) {
+      analytics.capture(
+        "webapp_data_sent",
+        {
+          username,
+          request_type: "chunk_by_index",
+          chunk_index: index,
+          submission_count: enhancedData.length,
+          has_journeys: recentJourneys.length > 0,
+          has_runs: recentRunGroups.length > 0,
+          journeys_count: recentJourneys.length,
+          runs_count: recentRunGroups.length,
+        },
+        { throttle: true }
+      );
+    }
+
+    return { username, index, data: enhancedData };
+  }
+
+  // ---- data_changed subscriptions
+  // username -> { requestId, pending: { chunkIndices, submissionIds }, timers }
+  const subscriptions = new Map();
+  let storageListenerInstalled = false;
+
+  /**
+   * IDs of entries that were added or changed between two stored arrays.
+   */
+  function changedIds(oldList, newList, idOf) {
+    const before = new Map(
+      (Array.isArray(oldList) ? oldList : []).map((item) => [
+        String(idOf(item)),
+        JSON.stringify(item),
+      ])
+    );
+    const ids = [];
+    for (const item of Array.isArray(newList) ? newList : []) {
+      const id = String(idOf(item));
+      if (before.get(id) !== JSON.stringify(item)) ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Map a changed storage key to the subscribed user it belongs to and the
+   * chunk indices/submission IDs it touched. Returns null for other keys.
+   */
+  function describeStorageChange(key, change) {
+    for (const username of subscriptions.keys()) {
+      const chunkPrefix = `leettracker_leetcode_chunk_${username}_`;
+      if (key.startsWith(chunkPrefix)) {
+        const index = Number(key.slice(chunkPrefix.length));
+        if (!Number.isInteger(index)) continue;
+        return {
+          username,
+          chunkIndices: [index],
+          submissionIds: changedIds(
+            change.oldValue,
+            change.newValue,
+            (s) => s?.id
+          ),
+        };
+      }
+      if (
+        key === `leettracker_recent_journeys_${username}` ||
+        key === `leettracker_recent_runs_${username}`
+      ) {
+        return {
+          username,
+          chunkIndices: [],
+          submissionIds: changedIds(
+            change.oldValue,
+            change.newValue,
+            (r) => r?.submissionId
+          ),
+        };
+      }
+    }
+    return null;
+  }
+
+  async function flushDataChanged(username) {
+    const sub = subscriptions.get(username);
+    if (!sub) return;
+    clearTimeout(sub.debounceTimer);
+    clearTimeout(sub.maxWaitTimer);
+    sub.debounceTimer = null;
+    sub.maxWaitTimer = null;
+
+    const { chunkIndices, submissionIds } = sub.pending;
+    sub.pending = { chunkIndices: new Set(), submissionIds: new Set() };
+    if (chunkIndices.size === 0 && submissionIds.size === 0) return;
+
+    // Include the manifest revision so the web app can advance its cursor
+    // for request_chunks_changed_since without another round trip.
+    const manifestKey = `leettracker_sync_manifest_${username}`;
+    let revision = null;
+    try {
+      const result = await chrome.storage.local.get([manifestKey]);
+      revision = result[manifestKey]?.revision ?? 0;
+    } catch (e) {
+      console.warn("[LeetTracker][Webapp] Failed to read manifest:", e);
+    }
+
+    respond(
+      "data_changed",
+      sub.requestId,
+      {
+        username,
+        chunkIndices: [...chunkIndices].sort((a, b) => a - b),
+        submissionIds: [...submissionIds],
+        cursor: revision,
+      },
+      sub.port
+    );
+  }
+
+  function onStorageChanged(changes, areaName) {
+    if (areaName !== "local" || subscriptions.size === 0) return;
+
+    for (const [key, change] of Object.entries(changes)) {
+      const described = describeStorageChange(key, change);
+      if (!described) continue;
+
+      const sub = subscriptions.get(described.username);
+      described.chunkIndices.forEach((i) => sub.pending.chunkIndices.add(i));
+      described.submissionIds.forEach((id) =>
+        sub.pending.submissionIds.add(id)
+      );
+
+      clearTimeout(sub.debounceTimer);
+      sub.debounceTimer = setTimeout(
+        () => flushDataChanged(described.username),
+        DATA_CHANGED_DEBOUNCE_MS
+      );
+      if (!sub.maxWaitTimer) {
+        sub.maxWaitTimer = setTimeout(
+          () => flushDataChanged(described.username),
+          DATA_CHANGED_MAX_WAIT_MS
         );
+      }
+    }
+  }
 
-        if (analytics) {
-          analytics.capture(
-            "webapp_data_sent",
-            {
-              username,
-              request_type: "chunk_by_index",
-              chunk_index: index,
-              submission_count: enhancedData.length,
-              has_journeys: recentJourneys.length > 0,
-              has_runs: recentRunGroups.length > 0,
-              journeys_count: recentJourneys.length,
-              runs_count: recentRunGroups.length,
-            },
-            { throttle: true }
-          );
-        }
-      } catch (e) {
-        console.error(
-          `[LeetTracker][Webapp] Failed to get chunk ${index} for ${username}:`,
-          e
+  /**
+   * Subscribe to `data_changed` pushes for `username`. Events carry the
+   * subscribe request's requestId. Subscribing again replaces the previous
+   * subscription for that user.
+   */
+  async function handleSubscribeDataChanges({ username }, { requestId, port }) {
+    const previous = subscriptions.get(username);
+    if (previous) {
+      clearTimeout(previous.debounceTimer);
+      clearTimeout(previous.maxWaitTimer);
+    }
+    subscriptions.set(username, {
+      requestId: requestId ?? null,
+      port,
+      pending: { chunkIndices: new Set(), submissionIds: new Set() },
+      debounceTimer: null,
+      maxWaitTimer: null,
+    });
+
+    if (!storageListenerInstalled) {
+      chrome.storage.onChanged.addListener(onStorageChanged);
+      storageListenerInstalled = true;
+    }
+
+    console.log(`[LeetTracker][Webapp] Subscribed to changes for ${username}`);
+    return { username, subscribed: true };
+  }
+
+  function unsubscribe(username) {
+    const sub = subscriptions.get(username);
+    if (sub) {
+      clearTimeout(sub.debounceTimer);
+      clearTimeout(sub.maxWaitTimer);
+      subscriptions.delete(username);
+    }
+  }
+
+  async function handleUnsubscribeDataChanges({ username }) {
+    unsubscribe(username);
+    return { username, subscribed: false };
+  }
+
+  /**
+   * Start a session on `port`, replacing the previous one: its nonce stops
+   * working, its port is closed and its subscriptions end.
+   */
+  function startSession(port) {
+    if (sessionPort && sessionPort !== port) {
+      try {
+        sessionPort.close();
+      } catch {
+        // already closed
+      }
+    }
+    [...subscriptions.keys()].forEach(unsubscribe);
+    sessionPort = port;
+    sessionNonce = generateNonce();
+    port.start?.();
+  }
+
+  /**
+   * Tell a sender from another frame or origin why nothing will be answered.
+   * The reply carries no data, so it may go to the sender's own origin.
+   */
+  function rejectForeignSender(event, type, requestId) {
+    const target = event.source;
+    if (!target || typeof target.postMessage !== "function") return;
+    const targetOrigin =
+      event.origin && event.origin !== "null" ? event.origin : "*";
+    try {
+      target.postMessage(
+        envelope(
+          "response_error",
+          requestId,
+          errorPayload(
+            type,
+            bridgeError(
+              ERROR_CODES.UNAUTHORIZED,
+              `Requests are only accepted from ${EXPECTED_ORIGIN}`
+            ),
+            { reason: "origin_mismatch" }
+          )
+        ),
+        targetOrigin
+      );
+    } catch (e) {
+      console.warn("[LeetTracker][Webapp] Failed to answer foreign sender:", e);
+    }
+  }
+
+  // Request type -> { handler, responseType, requiresUsername, analyticsType,
+  // errorProperties }. `errorProperties` picks the request fields worth
+  // reporting when the handler fails.
+  const handlers = {
+    hello: {
+      handler: handleHello,
+      responseType: "hello_ack",
+      requiresUsername: false,
+    },
+    request_chunk_manifest_since: {
+      handler: handleChunkManifestSince,
+      responseType: "response_chunk_manifest",
+      requiresUsername: true,
+      analyticsType: "chunk_manifest",
+    },
+    request_chunks_changed_since: {
+      handler: handleChunksChangedSince,
+      responseType: "response_chunks_changed",
+      requiresUsername: true,
+      analyticsType: "chunks_changed",
+    },
+    request_chunk_by_index: {
+      handler: handleChunkByIndex,
+      responseType: "response_chunk",
+      requiresUsername: true,
+      analyticsType: "chunk_by_index",
+      errorProperties: (data) => ({ chunk_index: data.index }),
+    },
+    request_submission_archive: {
+      handler: handleSubmissionArchive,
+      responseType: "response_submission_archive",
+      requiresUsername: true,
+      analyticsType: "submission_archive",
+      errorProperties: (data) => ({ submission_id: data.submissionId }),
+    },
+    request_problem_archives: {
+      handler: handleProblemArchives,
+      responseType: "response_problem_archives",
+      requiresUsername: true,
+      analyticsType: "problem_archives",
+      errorProperties: (data) => ({ title_slug: data.titleSlug }),
+    },
+    request_problem_catalog: {
+      handler: handleProblemCatalog,
+      responseType: "response_problem_catalog",
+      requiresUsername: false,
+      analyticsType: "problem_catalog",
+    },
+    request_accounts: {
+      handler: handleAccounts,
+      responseType: "response_accounts",
+      requiresUsername: false,
+      analyticsType: "accounts",
+    },
+    request_sync_history: {
+      handler: handleSyncHistory,
+      responseType: "response_sync_history",
+      requiresUsername: true,
+      analyticsType: "sync_history",
+    },
+    request_attempt_sessions: {
+      handler: handleAttemptSessions,
+      responseType: "response_attempt_sessions",
+      requiresUsername: true,
+      analyticsType: "attempt_sessions",
+      errorProperties: (data) => ({ title_slug: data.titleSlug }),
+    },
+    request_abandoned_attempts: {
+      handler: handleAbandonedAttempts,
+      responseType: "response_abandoned_attempts",
+      requiresUsername: true,
+      analyticsType: "abandoned_attempts",
+      errorProperties: (data) => ({ title_slug: data.titleSlug }),
+    },
+    request_restore_abandoned_attempt: {
+      handler: handleRestoreAbandonedAttempt,
+      responseType: "response_restore_abandoned_attempt",
+      requiresUsername: true,
+      analyticsType: "restore_abandoned_attempt",
+      errorProperties: (data) => ({ attempt_id: data.attemptId }),
+    },
+    request_sync_now: {
+      handler: handleSyncNow,
+      responseType: "response_sync_now",
+      requiresUsername: true,
+      analyticsType: "sync_now",
+    },
+    request_full_export: {
+      handler: handleFullExport,
+      responseType: "response_full_export",
+      requiresUsername: true,
+      analyticsType: "full_export",
+    },
+    request_subscribe_data_changes: {
+      handler: handleSubscribeDataChanges,
+      responseType: "response_subscribe_data_changes",
+      requiresUsername: true,
+    },
+    request_unsubscribe_data_changes: {
+      handler: handleUnsubscribeDataChanges,
+      responseType: "response_unsubscribe_data_changes",
+      requiresUsername: true,
+    },
+  };
+
+  window.addEventListener("message", async (event) => {
+    const data = event.data || {};
+    const { source, type, username, requestId, nonce } = data;
+    if (source !== WEBAPP_SOURCE) return;
+
+    // Messages from other frames or origins get an error and nothing else
+    if (event.source !== window || event.origin !== EXPECTED_ORIGIN) {
+      recordUnauthorized(type, "origin_mismatch", { origin: event.origin });
+      rejectForeignSender(event, type, requestId);
+      return;
+    }
+
+    // `hello` opens a session on the port it transfers; everything else
+    // must carry that session's nonce. Once a session is open, only a `hello`
+    // carrying its nonce may replace it, so another script on the page
+    // cannot take the session over.
+    if (type === "hello" && sessionNonce && nonce !== sessionNonce) {
+      const reason = nonce ? "nonce_mismatch" : "session_active";
+      recordUnauthorized(type, reason);
+      respondError(
+        type,
+        requestId,
+        bridgeError(
+          ERROR_CODES.UNAUTHORIZED,
+          "A session is already open; send `hello` with its nonce to start a new one"
+        ),
+        { reason }
+      );
+      return;
+    }
+    if (type === "hello") {
+      const port = event.ports?.[0];
+      if (!port) {
+        respondError(
+          type,
+          requestId,
+          bridgeError(
+            ERROR_CODES.INVALID_REQUEST,
+            "`hello` must transfer a MessagePort for replies"
+          )
         );
-        if (analytics) {
-          analytics.captureError("webapp_bridge_error", e, {
-            username,
-            request_type: "chunk_by_index",
-            chunk_index: index,
-          });
-        }
+        return;
+      }
+      startSession(port);
+    } else if (!sessionNonce || nonce !== sessionNonce) {
+      const reason = !sessionNonce
+        ? "handshake_required"
+        : nonce
+          ? "nonce_mismatch"
+          : "nonce_missing";
+      recordUnauthorized(type, reason);
+      respondError(
+        type,
+        requestId,
+        bridgeError(
+          ERROR_CODES.UNAUTHORIZED,
+          reason === "handshake_required"
+            ? "Send `hello` before requesting data"
+            : "Missing or invalid session nonce"
+        ),
+        { reason }
+      );
+      return;
+    }
+
+    // Replies go to the session the request arrived in, even if a new one
+    // starts before they are ready
+    const port = sessionPort;
+    const entry = Object.prototype.hasOwnProperty.call(handlers, type)
+      ? handlers[type]
+      : null;
+    if (!entry) {
+      respondError(
+        type,
+        requestId,
+        bridgeError(
+          ERROR_CODES.UNSUPPORTED_TYPE,
+          `Unsupported request type: ${type}`
+        ),
+        {},
+        port
+      );
+      return;
+    }
+
+    if (entry.requiresUsername && !username) {
+      respondError(
+        type,
+        requestId,
+        bridgeError(ERROR_CODES.INVALID_REQUEST, "`username` is required"),
+        {},
+        port
+      );
+      return;
+    }
+
+    try {
+      const payload = await entry.handler(data, {
+        requestId,
+        port,
+        emit: (eventType, eventPayload) =>
+          respond(eventType, requestId, eventPayload, port),
+      });
+      respond(entry.responseType, requestId, payload, port);
+    } catch (e) {
+      console.error(`[LeetTracker][Webapp] Failed to handle ${type}:`, e);
+      respondError(type, requestId, e, username ? { username } : {}, port);
+      if (analytics && entry.analyticsType) {
+        analytics.captureError("webapp_bridge_error", e, {
+          username,
+          request_type: entry.analyticsType,
+          error_code: e?.code || ERROR_CODES.INTERNAL_ERROR,
+          ...entry.errorProperties?.(data),
+        });
       }
     }
   });
@@ -0,0 +1,644 @@
+import {
+  describe,
+  it,
+  expect,
+  vi,
+  afterEach,
+  beforeAll,
+  beforeEach,
+} from "vitest";
+
+const analytics = vi.hoisted(() => ({
+  capture: vi.fn(),
+  captureError: vi.fn(),
+}));
+
+vi.mock("../core/analytics.js", () => ({
+  getAnalytics: () => analytics,
+}));
+
+const ORIGIN = window.location.origin;
+
+function makePort() {
+  return { postMessage: vi.fn(), close: vi.fn(), start: vi.fn() };
+}
+
+function postedMessages(target) {
+  return target.postMessage.mock.calls.map(([message]) => message);
+}
+
+/**
+ * Deliver a web app message to the bridge the way window.postMessage would.
+ */
+function post(data, { origin = ORIGIN, source = window, ports = [] } = {}) {
+  const event = new Event("message");
+  Object.defineProperties(event, {
+    data: { value: { source: "leettracker-webapp", ...data } },
+    origin: { value: origin },
+    source: { value: source },
+    ports: { value: ports },
+  });
+  window.dispatchEvent(event);
+}
+
+// Nonce of the open session; a new handshake must present it
+let currentNonce;
+
+async function handshake() {
+  const port = makePort();
+  post(
+    { type: "hello", requestId: "hello-1", nonce: currentNonce },
+    { ports: [port] }
+  );
+  await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+  const [ack] = postedMessages(port);
+  port.postMessage.mockClear();
+  currentNonce = ack.nonce;
+  return { port, nonce: ack.nonce, ack };
+}
+
+let windowPost;
+// The bridge's chrome.storage.onChanged listener, once a subscription installs it
+let storageListener = null;
+
+beforeAll(async () => {
+  global.chrome.storage.onChanged = {
+    addListener: vi.fn((listener) => {
+      storageListener = listener;
+    }),
+  };
+  await import("./webapp.js");
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  windowPost = vi.spyOn(window, "postMessage").mockImplementation(() => {});
+});
+
+describe("webapp bridge handshake", () => {
+  it("asks for a handshake before any session exists", async () => {
+    post({ type: "request_chunk_manifest_since", username: "alice" });
+
+    await vi.waitFor(() => expect(windowPost).toHaveBeenCalled());
+    expect(windowPost).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "response_error",
+        requestType: "request_chunk_manifest_since",
+        reason: "handshake_required",
+        error: expect.objectContaining({ code: "unauthorized" }),
+      }),
+      ORIGIN
+    );
+  });
+
+  it("answers hello over the transferred port only", async () => {
+    const { port, ack } = await handshake();
+
+    expect(port.start).toHaveBeenCalled();
+    expect(ack).toMatchObject({
+      source: "leettracker-extension",
+      protocolVersion: 4,
+      type: "hello_ack",
+      requestId: "hello-1",
+      supportedProtocolVersions: [4],
+    });
+    expect(ack.nonce).toMatch(/^[0-9a-f]{32}$/);
+    expect(ack.supportedTypes).toContain("request_chunk_manifest_since");
+    expect(windowPost).not.toHaveBeenCalled();
+  });
+
+  it("rejects a hello without a port", async () => {
+    post({ type: "hello", requestId: "hello-2", nonce: currentNonce });
+
+    await vi.waitFor(() => expect(windowPost).toHaveBeenCalled());
+    const [[message]] = windowPost.mock.calls;
+    expect(message).toMatchObject({
+      type: "response_error",
+      requestId: "hello-2",
+      error: { code: "invalid_request" },
+    });
+    expect(message.nonce).toBeUndefined();
+  });
+
+  it("answers requests carrying the nonce over the session port", async () => {
+    const { port, nonce } = await handshake();
+    global.chrome.storage.local.get.mockResolvedValueOnce({
+      leettracker_sync_manifest_alice: {
+        revision: 3,
+        chunks: [{ index: 0, from: 1, to: 5, rev: 3 }],
+      },
+    });
+
+    post({
+      type: "request_chunk_manifest_since",
+      requestId: "r1",
+      username: "alice",
+      nonce,
+    });
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    expect(postedMessages(port)[0]).toMatchObject({
+      type: "response_chunk_manifest",
+      requestId: "r1",
+      revision: 3,
+      chunks: [{ index: 0, from: 1, to: 5, rev: 3 }],
+    });
+    expect(windowPost).not.toHaveBeenCalled();
+  });
+
+  it("tells a web app with a pre-reset cursor to resync", async () => {
+    const { port, nonce } = await handshake();
+    // Reset at revision 8, then the resync rewrote chunk 0
+    const manifest = {
+      revision: 9,
+      repairedRevision: 8,
+      chunks: [{ index: 0, from: 1, to: 5, rev: 9 }],
+    };
+
+    for (const [requestId, cursor] of [
+      ["stale", 7],
+      ["current", 8],
+      ["latest", 9],
+    ]) {
+      global.chrome.storage.local.get.mockResolvedValueOnce({
+        leettracker_sync_manifest_alice: manifest,
+      });
+      post({
+        type: "request_chunks_changed_since",
+        requestId,
+        username: "alice",
+        cursor,
+        nonce,
+      });
+    }
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledTimes(3));
+    const replies = Object.fromEntries(
+      postedMessages(port).map((m) => [m.requestId, m])
+    );
+    expect(replies.stale).toMatchObject({ resync: true, cursor: 9 });
+    expect(replies.stale.chunks).toHaveLength(1);
+    expect(replies.current).toMatchObject({ resync: false, cursor: 9 });
+    expect(replies.current.chunks).toHaveLength(1);
+    expect(replies.latest).toMatchObject({ resync: false, chunks: [] });
+  });
+
+  it("rejects a wrong or missing nonce without touching the session", async () => {
+    const { port } = await handshake();
+
+    post({ type: "request_accounts", requestId: "r2", nonce: "guess" });
+    post({ type: "request_accounts", requestId: "r3" });
+
+    await vi.waitFor(() => expect(windowPost).toHaveBeenCalledTimes(2));
+    expect(windowPost.mock.calls.map(([m]) => [m.requestId, m.reason])).toEqual(
+      [
+        ["r2", "nonce_mismatch"],
+        ["r3", "nonce_missing"],
+      ]
+    );
+    expect(port.postMessage).not.toHaveBeenCalled();
+    expect(analytics.capture).toHaveBeenCalledWith(
+      "webapp_bridge_unauthorized",
+      expect.objectContaining({ reason: "nonce_mismatch" }),
+      { throttle: true }
+    );
+  });
+
+  it("rotates the nonce when the web app says hello again", async () => {
+    const first = await handshake();
+    const second = await handshake();
+
+    expect(second.nonce).not.toBe(first.nonce);
+    expect(first.port.close).toHaveBeenCalled();
+
+    post({
+      type: "request_accounts",
+      requestId: "old",
+      nonce: first.nonce,
+    });
+    await vi.waitFor(() => expect(windowPost).toHaveBeenCalled());
+    expect(windowPost.mock.calls[0][0]).toMatchObject({
+      requestId: "old",
+      reason: "nonce_mismatch",
+    });
+    expect(second.port.postMessage).not.toHaveBeenCalled();
+  });
+
+  it("does not let another hello take over the session", async () => {
+    const { port, nonce } = await handshake();
+    const intruder = makePort();
+
+    post({ type: "hello", requestId: "h1" }, { ports: [intruder] });
+    post(
+      { type: "hello", requestId: "h2", nonce: "guess" },
+      { ports: [intruder] }
+    );
+
+    await vi.waitFor(() => expect(windowPost).toHaveBeenCalledTimes(2));
+    expect(windowPost.mock.calls.map(([m]) => [m.requestId, m.reason])).toEqual(
+      [
+        ["h1", "session_active"],
+        ["h2", "nonce_mismatch"],
+      ]
+    );
+    expect(windowPost.mock.calls[0][0].error.code).toBe("unauthorized");
+    expect(windowPost.mock.calls[0][0].nonce).toBeUndefined();
+    expect(intruder.postMessage).not.toHaveBeenCalled();
+    expect(port.close).not.toHaveBeenCalled();
+    expect(analytics.capture).toHaveBeenCalledWith(
+      "webapp_bridge_unauthorized",
+      expect.objectContaining({
+        request_type: "hello",
+        reason: "session_active",
+      }),
+      { throttle: true }
+    );
+
+    // The web app's session still works
+    global.chrome.runtime.sendMessage = vi.fn(() =>
+      Promise.resolve({ ok: true, result: { accounts: [] } })
+    );
+    post({ type: "request_accounts", requestId: "r1", nonce });
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    expect(postedMessages(port)[0]).toMatchObject({
+      type: "response_accounts",
+      requestId: "r1",
+    });
+  });
+
+  it("reports only the fields of the failed request", async () => {
+    const { port, nonce } = await handshake();
+    global.chrome.storage.local.get.mockRejectedValueOnce(new Error("quota"));
+    global.chrome.runtime.sendMessage = vi.fn(() =>
+      Promise.resolve({ ok: false })
+    );
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    post({
+      type: "request_chunk_by_index",
+      requestId: "r5",
+      username: "alice",
+      index: 2,
+      nonce,
+    });
+    post({ type: "request_accounts", requestId: "r6", index: 2, nonce });
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledTimes(2));
+    const reports = Object.fromEntries(
+      analytics.captureError.mock.calls.map(([, , props]) => [
+        props.request_type,
+        props,
+      ])
+    );
+    expect(reports.chunk_by_index).toMatchObject({
+      username: "alice",
+      error_code: "storage_error",
+      chunk_index: 2,
+    });
+    expect(reports.accounts).not.toHaveProperty("chunk_index");
+    error.mockRestore();
+  });
+
+  it("answers other origins with an error and nothing else", async () => {
+    const { port, nonce } = await handshake();
+    const foreign = { postMessage: vi.fn() };
+
+    post(
+      { type: "request_accounts", requestId: "r4", nonce },
+      { origin: "https://evil.example", source: foreign }
+    );
+
+    await vi.waitFor(() => expect(foreign.postMessage).toHaveBeenCalled());
+    expect(foreign.postMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: "response_error",
+        requestId: "r4",
+        reason: "origin_mismatch",
+        error: expect.objectContaining({ code: "unauthorized" }),
+      }),
+      "https://evil.example"
+    );
+    expect(port.postMessage).not.toHaveBeenCalled();
+    expect(windowPost).not.toHaveBeenCalled();
+  });
+
+  it("answers a sandboxed frame with a wildcard target", async () => {
+    const foreign = { postMessage: vi.fn() };
+
+    post({ type: "hello" }, { origin: "null", source: foreign });
+
+    await vi.waitFor(() => expect(foreign.postMessage).toHaveBeenCalled());
+    expect(foreign.postMessage.mock.calls[0][1]).toBe("*");
+  });
+});
+
+describe("webapp bridge envelope", () => {
+  it("wraps replies in the versioned envelope", async () => {
+    const { port, nonce } = await handshake();
+    global.chrome.runtime.sendMessage = vi.fn(() =>
+      Promise.resolve({ ok: true, result: { accounts: [] } })
+    );
+
+    post({ type: "request_accounts", nonce });
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    expect(postedMessages(port)[0]).toEqual({
+      source: "leettracker-extension",
+      protocolVersion: 4,
+      type: "response_accounts",
+      requestId: null,
+      accounts: [],
+    });
+  });
+
+  it("names the failed request type in error replies", async () => {
+    const { port, nonce } = await handshake();
+
+    post({ type: "request_time_travel", requestId: "r1", nonce });
+    post({ type: "request_chunk_by_index", requestId: "r2", index: 0, nonce });
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledTimes(2));
+    expect(postedMessages(port)).toEqual([
+      {
+        source: "leettracker-extension",
+        protocolVersion: 4,
+        type: "response_error",
+        requestId: "r1",
+        requestType: "request_time_travel",
+        error: {
+          code: "unsupported_type",
+          message: "Unsupported request type: request_time_travel",
+        },
+      },
+      expect.objectContaining({
+        requestId: "r2",
+        requestType: "request_chunk_by_index",
+        error: expect.objectContaining({ code: "invalid_request" }),
+      }),
+    ]);
+    expect(windowPost).not.toHaveBeenCalled();
+  });
+
+  it("reports handler failures with an error code", async () => {
+    const { port, nonce } = await handshake();
+    global.chrome.storage.local.get.mockRejectedValueOnce(new Error("quota"));
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    post({
+      type: "request_chunk_by_index",
+      requestId: "r3",
+      username: "alice",
+      index: 2,
+      nonce,
+    });
+
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    expect(postedMessages(port)[0]).toMatchObject({
+      type: "response_error",
+      requestId: "r3",
+      requestType: "request_chunk_by_index",
+      username: "alice",
+      error: {
+        code: "storage_error",
+        message: "Failed to read chunk 2: quota",
+      },
+    });
+    error.mockRestore();
+  });
+
+  it("lists the protocol versions and request types it supports", async () => {
+    const { ack } = await handshake();
+
+    expect(ack.protocolVersion).toBe(4);
+    expect(ack.supportedProtocolVersions).toEqual([ack.protocolVersion]);
+    expect(ack.supportedTypes).toEqual(
+      expect.arrayContaining([
+        "hello",
+        "request_full_export",
+        "request_subscribe_data_changes",
+      ])
+    );
+    expect(ack.extensionVersion).toBe("0.1.1");
+  });
+});
+
+describe("webapp bridge data_changed", () => {
+  async function subscribe() {
+    const session = await handshake();
+    post({
+      type: "request_subscribe_data_changes",
+      requestId: "sub-1",
+      username: "alice",
+      nonce: session.nonce,
+    });
+    await vi.waitFor(() =>
+      expect(session.port.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "response_subscribe_data_changes" })
+      )
+    );
+    session.port.postMessage.mockClear();
+    global.chrome.storage.local.get.mockResolvedValue({
+      leettracker_sync_manifest_alice: { revision: 5 },
+    });
+    vi.useFakeTimers();
+    return session;
+  }
+
+  function writeChunk(index, ids) {
+    storageListener(
+      {
+        [`leettracker_leetcode_chunk_alice_${index}`]: {
+          newValue: ids.map((id) => ({ id })),
+        },
+      },
+      "local"
+    );
+  }
+
+  function dataChanged(port) {
+    return postedMessages(port).filter((m) => m.type === "data_changed");
+  }
+
+  afterEach(() => {
+    vi.useRealTimers();
+    global.chrome.storage.local.get.mockReset();
+  });
+
+  it("sends one event once writes have been quiet for a second", async () => {
+    const { port } = await subscribe();
+
+    writeChunk(1, ["b"]);
+    await vi.advanceTimersByTimeAsync(600);
+    writeChunk(0, ["a"]);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(dataChanged(port)).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(dataChanged(port)).toEqual([
+      expect.objectContaining({
+        requestId: "sub-1",
+        username: "alice",
+        chunkIndices: [0, 1],
+        submissionIds: ["b", "a"],
+        cursor: 5,
+      }),
+    ]);
+  });
+
+  it("sends an event every five seconds while writes keep coming", async () => {
+    const { port } = await subscribe();
+
+    for (let i = 0; i < 7; i++) {
+      writeChunk(i, [`s${i}`]);
+      await vi.advanceTimersByTimeAsync(800);
+    }
+
+    // Writes 0-6 landed at 0..4800ms; the max wait fired at 5000ms
+    expect(dataChanged(port)).toHaveLength(1);
+    expect(dataChanged(port)[0].chunkIndices).toEqual([0, 1, 2, 3, 4, 5, 6]);
+
+    writeChunk(7, ["s7"]);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(dataChanged(port)).toHaveLength(2);
+    expect(dataChanged(port)[1].chunkIndices).toEqual([7]);
+  });
+
+  it("stops sending events after unsubscribing", async () => {
+    const { port, nonce } = await subscribe();
+    vi.useRealTimers();
+    post({
+      type: "request_unsubscribe_data_changes",
+      requestId: "unsub-1",
+      username: "alice",
+      nonce,
+    });
+    await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalled());
+    vi.useFakeTimers();
+
+    writeChunk(0, ["a"]);
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(dataChanged(port)).toEqual([]);
+  });
+
+  it("ignores writes for other users", async () => {
+    const { port } = await subscribe();
+
+    storageListener(
+      { leettracker_leetcode_chunk_bob_0: { newValue: [{ id: "x" }] } },
+      "local"
+    );
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(dataChanged(port)).toEqual([]);
+  });
+});
+
+describe("webapp bridge full export", () => {
+  const storage = {
+    leettracker_sync_manifest_alice: { chunkCount: 2, total: 3, revision: 4 },
+    leettracker_leetcode_chunk_alice_0: [{ id: "1" }, { id: "2" }],
+    leettracker_leetcode_chunk_alice_1: [{ id: "3" }],
+  };
+
+  beforeEach(() => {
+    global.chrome.storage.local.get.mockImplementation((keys) =>
+      Promise.resolve(Object.fromEntries(keys.map((k) => [k, storage[k]])))
+    );
+  });
+
+  afterEach(() => {
+    global.chrome.storage.local.get.mockReset();
+  });
+
+  async function runExport() {
+    const { port, nonce } = await handshake();
+    post({
+      type: "request_full_export",
+      requestId: "export-1",
+      username: "alice",
+      nonce,
+    });
+    await vi.waitFor(() =>
+      expect(postedMessages(port).at(-1)?.type).toBe("response_full_export")
+    );
+    const messages = postedMessages(port);
+    return {
+      parts: messages
+        .filter((m) => m.type === "full_export_part")
+        .map((m) => [m.section, m.part, m.items.length]),
+      response: messages.at(-1),
+    };
+  }
+
+  it("pages archives out of LeetTrackerDB", async () => {
+    const journeys = Array.from({ length: 120 }, (_, i) => ({ id: i }));
+    global.chrome.runtime.sendMessage = vi.fn(({ params }) => {
+      const records =
+        params.store === "journeys"
+          ? journeys.slice(params.offset, params.offset + params.limit)
+          : [];
+      return Promise.resolve({
+        ok: true,
+        result: {
+          records,
+          page: { hasMore: params.offset + records.length < 120 },
+        },
+      });
+    });
+
+    const { parts, response } = await runExport();
+
+    expect(parts).toEqual([
+      ["submissions", 0, 2],
+      ["submissions", 1, 1],
+      ["journeys", 0, 50],
+      ["journeys", 1, 50],
+      ["journeys", 2, 20],
+    ]);
+    expect(
+      global.chrome.runtime.sendMessage.mock.calls
+        .map(([m]) => m.params)
+        .filter((p) => p.store === "journeys")
+        .map((p) => [p.offset, p.limit])
+    ).toEqual([
+      [0, 50],
+      [50, 50],
+      [100, 50],
+    ]);
+    expect(response).toMatchObject({
+      requestId: "export-1",
+      partCount: 5,
+      export: {
+        format: "leettracker-export",
+        version: 2,
+        manifest: { total: 3, revision: 4 },
+        sections: {
+          submissions: { available: true, count: 3, parts: 2 },
+          journeys: { available: true, count: 120, parts: 3 },
+          problems: { available: true, count: 0, parts: 0 },
+        },
+      },
+    });
+  });
+
+  it("exports submissions when no LeetCode tab can serve archives", async () => {
+    global.chrome.runtime.sendMessage = vi.fn(() => Promise.resolve());
+
+    const { parts, response } = await runExport();
+
+    expect(parts).toEqual([
+      ["submissions", 0, 2],
+      ["submissions", 1, 1],
+    ]);
+    expect(response.export.sections.runGroups).toEqual({
+      available: false,
+      count: 0,
+      parts: 0,
+      error: {
+        code: "leetcode_tab_unavailable",
+        message: "No response from a LeetCode tab",
+      },
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// src/leetcode/accounts.js
+import { keys, store } from "../core/config.js";
+import { refreshUserInfo } from "./api.js";
+import { platformOfAccount } from "./platform.js";
+
+// Several LeetCode accounts can share one browser profile (a personal and a
+// work account, say). Each keeps its own chunks, manifest, queues and sync
+// lock, all keyed by username. The registry under keys.accounts lists them
+// with their last sync, for the web app's account picker.
+
+const MANIFEST_KEY_PREFIX = keys.manifest("");
+
+/**
+ * Ask LeetCode which account is signed in now, bypassing the memoized user.
+ * A tab keeps running when the user switches accounts in another tab, and
+ * from then on its requests carry the other account's cookies. The memoized
+ * user is only replaced when LeetCode answers, so one failed lookup does not
+ * leave later syncs without the user's id and premium status.
+ * @param {string} username - the account this tab has been syncing
+ * @returns {Promise<{status: "same"|"changed"|"unknown", username: string|null}>}
+ *   "unknown" when LeetCode could not be reached or nobody is signed in
+ */
+export async function checkSignedInAccount(username) {
+  const info = await refreshUserInfo(1);
+  if (!info.username || info.signInFailed) {
+    return { status: "unknown", username: null };
+  }
+  return {
+    status: info.username === username ? "same" : "changed",
+    username: info.username,
+  };
+}
+
+async function updateRegistry(update) {
+  const registry = (await store.get(keys.accounts, null)) || {};
+  update(registry);
+  await store.set(keys.accounts, registry);
+  return registry;
+}
+
+function accountEntry(registry, username, now) {
+  registry[username] = registry[username] || {
+    username,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    lastSyncAt: null,
+    lastSyncAttemptAt: null,
+    lastSyncOutcome: null,
+  };
+  return registry[username];
+}
+
+/**
+ * Note that `username` is signed in to a LeetCode tab.
+ */
+export async function registerAccount(username, now = Date.now()) {
+  await updateRegistry((registry) => {
+    accountEntry(registry, username, now).lastSeenAt = now;
+  });
+}
+
+/**
+ * Keep the account's last sync time current. Runs that found the lock held
+ * are left out: whoever held it records its own run. Never throws.
+ * @param {object} run - finished sync run (see sync-history.js)
+ */
+export async function recordAccountSync(run) {
+  if (run.outcome === "lock_held") return;
+  try {
+    await updateRegistry((registry) => {
+      const entry = accountEntry(registry, run.username, run.startedAt);
+      entry.lastSyncAttemptAt = run.endedAt;
+      entry.lastSyncOutcome = run.outcome;
+      if (run.outcome === "synced") entry.lastSyncAt = run.endedAt;
+    });
+  } catch (e) {
+    console.warn("[LeetTracker] Failed to record account sync:", e);
+  }
+}
+
+/**
+ * Add accounts whose data predates the registry, found by their sync
+ * manifests. Runs from the service worker on install and update.
+ * @returns {Promise<string[]>} usernames added
+ */
+export async function discoverAccounts() {
+  const storedKeys = chrome.storage.local.getKeys
+    ? await chrome.storage.local.getKeys()
+    : Object.keys(await chrome.storage.local.get(null));
+  const usernames = storedKeys
+    .filter((key) => key.startsWith(MANIFEST_KEY_PREFIX))
+    .map((key) => key.slice(MANIFEST_KEY_PREFIX.length))
+    .filter(Boolean);
+
+  const added = [];
+  await updateRegistry((registry) => {
+    for (const username of usernames) {
+      if (registry[username]) continue;
+      accountEntry(registry, username, null).discoveredAt = Date.now();
+      added.push(username);
+    }
+  });
+  if (added.length > 0) {
+    console.log(`[LeetTracker] Found stored data for ${added.join(", ")}`);
+  }
+  return added;
+}
+
+/**
+ * Every account with data in this browser, most recently synced first, with
+ * its site and the size of its submission history.
+ * @returns {Promise<Array<{username: string, platform: "com"|"cn",
+ *   lastSyncAt: number|null,
+ *   lastSyncAttemptAt: number|null, lastSyncOutcome: string|null,
+ *   totalSubmissions: number, lastSubmissionAt: number|null}>>}
+ */
+export async function listAccounts() {
+  if (!(await store.get(keys.accounts, null))) {
+    await discoverAccounts();
+  }
+  const registry = (await store.get(keys.accounts, null)) || {};
+  const accounts = await Promise.all(
+    Object.values(registry).map(async (entry) => {
+      const manifest =
+        (await store.get(keys.manifest(entry.username), {})) || {};
+      return {
+        ...entry,
+        platform: platformOfAccount(entry.username).id,
+        totalSubmissions: manifest.total || 0,
+        // manifest.lastTimestamp is 1 after a first sync that found nothing
+        lastSubmissionAt:
+          manifest.lastTimestamp > 1 ? manifest.lastTimestamp : null,
+      };
+    })
+  );
+  return accounts.sort((a, b) => (b.lastSyncAt || 0) - (a.lastSyncAt || 0));
+}
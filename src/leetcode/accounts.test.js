@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  checkSignedInAccount,
+  discoverAccounts,
+  listAccounts,
+  recordAccountSync,
+  registerAccount,
+} from "./accounts.js";
+import { refreshUserInfo } from "./api.js";
+
+vi.mock("./api.js", () => ({
+  refreshUserInfo: vi.fn(),
+}));
+
+const ACCOUNTS_KEY = "leettracker_accounts";
+
+describe("checkSignedInAccount", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("asks LeetCode again instead of using the cached user", async () => {
+    vi.mocked(refreshUserInfo).mockResolvedValue({
+      userId: "1",
+      username: "alice",
+    });
+
+    await expect(checkSignedInAccount("alice")).resolves.toEqual({
+      status: "same",
+      username: "alice",
+    });
+    expect(refreshUserInfo).toHaveBeenCalledWith(1);
+  });
+
+  it("reports another signed-in account", async () => {
+    vi.mocked(refreshUserInfo).mockResolvedValue({
+      userId: "2",
+      username: "bob",
+    });
+
+    await expect(checkSignedInAccount("alice")).resolves.toEqual({
+      status: "changed",
+      username: "bob",
+    });
+  });
+
+  it("does not report a change when nobody could be found", async () => {
+    vi.mocked(refreshUserInfo).mockResolvedValue({
+      userId: null,
+      username: null,
+      signInFailed: true,
+    });
+
+    await expect(checkSignedInAccount("alice")).resolves.toEqual({
+      status: "unknown",
+      username: null,
+    });
+  });
+});
+
+describe("account registry", () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage = {};
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      if (keys === null) return Promise.resolve({ ...storage });
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+  });
+
+  it("records the last successful sync of each account", async () => {
+    await registerAccount("alice", 1000);
+    await recordAccountSync({
+      username: "alice",
+      outcome: "synced",
+      startedAt: 2000,
+      endedAt: 2500,
+    });
+    await recordAccountSync({
+      username: "alice",
+      outcome: "failed",
+      startedAt: 3000,
+      endedAt: 3100,
+    });
+
+    expect(storage[ACCOUNTS_KEY].alice).toEqual({
+      username: "alice",
+      firstSeenAt: 1000,
+      lastSeenAt: 1000,
+      lastSyncAt: 2500,
+      lastSyncAttemptAt: 3100,
+      lastSyncOutcome: "failed",
+    });
+  });
+
+  it("ignores runs that found the lock held", async () => {
+    await recordAccountSync({
+      username: "alice",
+      outcome: "lock_held",
+      startedAt: 2000,
+      endedAt: 2000,
+    });
+
+    expect(storage[ACCOUNTS_KEY]).toBeUndefined();
+  });
+
+  it("finds accounts synced before the registry existed", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    storage[ACCOUNTS_KEY] = {
+      alice: { username: "alice", lastSyncAt: 5000 },
+    };
+    storage.leettracker_sync_manifest_alice = { total: 10 };
+    storage.leettracker_sync_manifest_bob = { total: 3 };
+    storage.leettracker_sync_lock_carol = { isLocked: false };
+
+    await expect(discoverAccounts()).resolves.toEqual(["bob"]);
+    expect(storage[ACCOUNTS_KEY].bob).toMatchObject({
+      username: "bob",
+      lastSyncAt: null,
+      discoveredAt: expect.any(Number),
+    });
+    expect(storage[ACCOUNTS_KEY].alice).toEqual({
+      username: "alice",
+      lastSyncAt: 5000,
+    });
+  });
+
+  it("lists accounts most recently synced first, with their totals", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    storage.leettracker_sync_manifest_alice = {
+      total: 10,
+      lastTimestamp: 1700000000,
+    };
+    storage.leettracker_sync_manifest_bob = { total: 0, lastTimestamp: 1 };
+    await discoverAccounts();
+    await recordAccountSync({
+      username: "bob",
+      outcome: "synced",
+      startedAt: 9000,
+      endedAt: 9500,
+    });
+
+    const accounts = await listAccounts();
+    expect(accounts.map((a) => a.username)).toEqual(["bob", "alice"]);
+    expect(accounts[0]).toMatchObject({
+      lastSyncAt: 9500,
+      totalSubmissions: 0,
+      lastSubmissionAt: null,
+    });
+    expect(accounts[1]).toMatchObject({
+      lastSyncAt: null,
+      totalSubmissions: 10,
+      lastSubmissionAt: 1700000000,
+    });
+  });
+
+  it("looks for stored accounts when listing them for the first time", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    storage.leettracker_sync_manifest_alice = { total: 4 };
+
+    const accounts = await listAccounts();
+    expect(accounts).toEqual([
+      expect.objectContaining({ username: "alice", totalSubmissions: 4 }),
+    ]);
+  });
+});
@@ -1,20 +1,179 @@
 // src/leetcode/api.js
-import { consts } from "../core/config.js";
+import { keys, store } from "../core/config.js";
+import { createRateLimiter } from "../core/rate-limiter.js";
+import { getAnalytics } from "../core/analytics.js";
+import { accountId, getPlatform } from "./platform.js";
+
+// Interrupted fetches older than this start over instead of resuming
+const FETCH_CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// ---- Shared GraphQL scheduler
+// Every LeetCode GraphQL request goes through one limiter, so parallel
+// enrichment, backfill and snapshot template fetches share a single budget
+// and all slow down together when any of them gets throttled. The limiter
+// lives in this module, so the budget is per context: each LeetCode tab and
+// the background service worker have their own, and only requests made in
+// the same context slow down together.
+
+function recordThrottle(state) {
+  console.warn(
+    "[LeetTracker] LeetCode throttling detected, slowing down all requests",
+    state
+  );
+  // Last throttle state, for diagnostics
+  store.set(keys.rateLimiterState, { ...state, recordedAt: Date.now() });
+  getAnalytics().capture(
+    "graphql_throttled",
+    {
+      reason: state.lastThrottle?.reason,
+      rate: state.rate,
+      pause_ms: state.lastThrottle?.pauseMs,
+      consecutive_throttles: state.consecutiveThrottles,
+      queued: state.queued,
+    },
+    { throttle: true }
+  );
+}
+
+export const graphqlLimiter = createRateLimiter({
+  baseRate: 4, // requests per second
+  minRate: 0.25,
+  burst: 4,
+  maxConcurrent: 3,
+  cooldownMs: 5000,
+  maxCooldownMs: 60000,
+  onThrottle: recordThrottle,
+});
 
-const { GRAPHQL_URL } = consts;
+// GraphQL errors LeetCode returns instead of a 429 when throttling
+const RATE_LIMIT_ERROR = /rate.?limit|too many requests/i;
+
+/**
+ * Why a parsed GraphQL payload means LeetCode is throttling us, or null for
+ * a real answer. An empty result (no description, no submissions) is a real
+ * answer; a payload without a `data` object is not.
+ */
+function graphqlThrottleReason(json) {
+  if (json?.errors?.some((e) => RATE_LIMIT_ERROR.test(e?.message || ""))) {
+    return "rate_limit_error";
+  }
+  if (!json?.data || typeof json.data !== "object") return "missing_data";
+  return null;
+}
+
+/**
+ * POST a GraphQL body to the current platform's LeetCode through the shared
+ * limiter.
+ * Throttling is reported to the limiter here: HTTP 429 right away, and a
+ * rate-limit error or missing `data` object (see graphqlThrottleReason) when
+ * the caller reads `res.json()`. Any other response counts as a success.
+ * With `timeoutMs`, the request is aborted (AbortError) when no response
+ * arrives that long after it was sent; time spent waiting for the limiter
+ * does not count.
+ * @returns {Promise<Response>}
+ */
+export async function graphqlFetch(
+  body,
+  {
+    referer = `${getPlatform().origin}/problemset/all/`,
+    headers = {},
+    signal,
+    timeoutMs,
+  } = {}
+) {
+  const { graphqlUrl } = getPlatform();
+  const send = (requestSignal) =>
+    fetch(graphqlUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Referer: referer,
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      credentials: "include",
+      signal: requestSignal,
+    });
+
+  const res = await graphqlLimiter.schedule(() => {
+    if (!timeoutMs) return send(signal);
+
+    // Started once the limiter lets the request go
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) abort();
+    signal?.addEventListener("abort", abort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    return send(controller.signal).finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    });
+  });
+
+  if (res.status === 429) {
+    graphqlLimiter.reportThrottled("http_429");
+  } else if (res.ok) {
+    const readJson = res.json.bind(res);
+    res.json = async () => {
+      let json;
+      try {
+        json = await readJson();
+      } catch (error) {
+        graphqlLimiter.reportThrottled("missing_data");
+        throw error;
+      }
+      const reason = graphqlThrottleReason(json);
+      if (reason) {
+        graphqlLimiter.reportThrottled(reason);
+      } else {
+        graphqlLimiter.reportSuccess();
+      }
+      return json;
+    };
+  }
+  return res;
+}
+
+/** Wait `ms`, or reject with `signal`'s reason as soon as it aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
 
 /**
  * Retry a fetch-like operation with exponential backoff up to a cap.
+ * A result the validator rejects is retried but not reported as throttling:
+ * graphqlFetch already reported it if the payload showed throttling, and an
+ * empty answer (e.g. no code yet) is not. The backoff here only spaces this
+ * call's own retries; the limiter's cooldown is what slows every caller.
  * @param {() => Promise<any>} fetchFn - function performing the fetch, returns parsed result
  * @param {(result:any) => boolean} validator - returns true if result is valid, false triggers retry
  * @param {number} maxRetries - max attempts (default 5)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - stops retrying; rejects with its reason
  * @returns {Promise<any|null>} last valid result or null on failure
  */
-export async function retryWithBackoff(fetchFn, validator, maxRetries = 5) {
+export async function retryWithBackoff(
+  fetchFn,
+  validator,
+  maxRetries = 5,
+  { signal } = {}
+) {
   let delay = 2000; // start 2s
   const maxDelay = 60000; // cap 60s
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    signal?.throwIfAborted();
     try {
       const result = await fetchFn();
       if (validator(result)) {
@@ -23,11 +182,11 @@ export async function retryWithBackoff(fetchFn, validator, maxRetries = 5) {
 
       if (attempt < maxRetries - 1) {
         console.warn(
-          `[LeetTracker] Rate limit/invalid response (attempt ${
+          `[LeetTracker] Invalid response (attempt ${
             attempt + 1
           }/${maxRetries}), retrying in ${delay / 1000}s...`
         );
-        await new Promise((r) => setTimeout(r, delay));
+        await sleep(delay, signal);
         delay = Math.min(delay * 2, maxDelay);
       } else {
         console.warn(
@@ -37,6 +196,7 @@ export async function retryWithBackoff(fetchFn, validator, maxRetries = 5) {
         );
       }
     } catch (error) {
+      signal?.throwIfAborted();
       if (attempt < maxRetries - 1) {
         console.warn(
           `[LeetTracker] Fetch error (attempt ${
@@ -44,7 +204,7 @@ export async function retryWithBackoff(fetchFn, validator, maxRetries = 5) {
           }/${maxRetries}), retrying in ${delay / 1000}s:`,
           error
         );
-        await new Promise((r) => setTimeout(r, delay));
+        await sleep(delay, signal);
         delay = Math.min(delay * 2, maxDelay);
       } else {
         console.warn(
@@ -70,7 +230,8 @@ export async function verifyRecentSubmissionStatus(
   submissionId,
   maxWaitMs = 15000
 ) {
-  const checkUrl = `https://leetcode.com/submissions/detail/${submissionId}/check/`;
+  const { origin } = getPlatform();
+  const checkUrl = `${origin}/submissions/detail/${submissionId}/check/`;
   const startTime = Date.now();
   const pollInterval = 1000;
 
@@ -86,7 +247,12 @@ export async function verifyRecentSubmissionStatus(
       const response = await fetch(checkUrl, {
         method: "GET",
         credentials: "include",
-        headers: { Referer: window.location.href },
+        headers: {
+          Referer:
+            typeof window !== "undefined"
+              ? window.location.href
+              : `${origin}/submissions/`,
+        },
         signal: controller.signal,
       });
 
@@ -140,22 +306,7 @@ export async function verifyRecentSubmissionStatus(
   return { verified: false, state: "TIMEOUT" };
 }
 
-/**
- * Fetch submissions after a given timestamp (seconds), applying limited backoff per page.
- * Verifies the most recent submission (if within 60s) has completed processing.
- * @param {number} lastTimestamp - seconds since epoch
- * @returns {Promise<Array<{id:string,titleSlug:string,statusDisplay:string,timestamp:number,lang:string}>>}
- */
-export async function fetchAllSubmissions(lastTimestamp) {
-  const submissions = [];
-  let offset = 0;
-  const limit = 20;
-  let hasMore = true;
-  let shouldContinue = true;
-
-  while (hasMore && shouldContinue) {
-    const body = {
-      query: `
+const SUBMISSION_LIST_QUERY = `
           query submissionList($offset: Int!, $limit: Int!) {
             submissionList(offset: $offset, limit: $limit) {
               hasNext
@@ -168,9 +319,148 @@ export async function fetchAllSubmissions(lastTimestamp) {
               }
             }
           }
-        `,
-      variables: { offset, limit },
-    };
+        `;
+
+// leetcode.cn pages deep submission lists with the previous page's `lastKey`
+const CN_SUBMISSION_LIST_QUERY = `
+          query submissionList($offset: Int!, $limit: Int!, $lastKey: String) {
+            submissionList(offset: $offset, limit: $limit, lastKey: $lastKey) {
+              lastKey
+              hasNext
+              submissions {
+                id
+                titleSlug
+                statusDisplay
+                timestamp
+                lang
+              }
+            }
+          }
+        `;
+
+// The last submission fetched sits just before the next page's offset
+function checkpointBoundary(submissions) {
+  return submissions.at(-1)?.id ?? null;
+}
+
+/**
+ * Remove a user's fetch checkpoint and every page stored with it.
+ * @param {string} username
+ */
+export async function clearFetchCheckpoint(username) {
+  const checkpointKey = keys.fetchCheckpoint(username);
+  const checkpoint = await store.get(checkpointKey, null);
+  // One past the saved count: a page is written before the header counting it
+  const pageCount = Number.isInteger(checkpoint?.pageCount)
+    ? checkpoint.pageCount + 1
+    : 0;
+  const pageKeys = Array.from({ length: pageCount }, (_, i) =>
+    keys.fetchCheckpointPage(username, i)
+  );
+  await store.remove([checkpointKey, ...pageKeys]);
+}
+
+/**
+ * Load a saved fetch checkpoint if it still applies to this fetch.
+ * Checkpoints from a different starting point, too old, or with a missing
+ * page are discarded.
+ * @returns {Promise<{offset:number,lastKey:string|null,boundaryId:string,pageCount:number,submissions:Array}|null>}
+ */
+async function loadFetchCheckpoint(username, lastTimestamp) {
+  const checkpoint = await store.get(keys.fetchCheckpoint(username), null);
+  if (!checkpoint) return null;
+
+  let usable =
+    checkpoint.lastTimestamp === lastTimestamp &&
+    Number.isInteger(checkpoint.offset) &&
+    checkpoint.offset > 0 &&
+    Number.isInteger(checkpoint.pageCount) &&
+    checkpoint.pageCount > 0 &&
+    checkpoint.boundaryId &&
+    Date.now() - (checkpoint.savedAt || 0) < FETCH_CHECKPOINT_MAX_AGE_MS;
+
+  const submissions = [];
+  for (let i = 0; usable && i < checkpoint.pageCount; i++) {
+    const page = await store.get(keys.fetchCheckpointPage(username, i), null);
+    if (Array.isArray(page)) {
+      submissions.push(...page);
+    } else {
+      usable = false;
+    }
+  }
+
+  if (!usable) {
+    console.log("[LeetTracker] Discarding stale submission fetch checkpoint");
+    await clearFetchCheckpoint(username);
+    return null;
+  }
+
+  console.log(
+    `[LeetTracker] Resuming submission fetch at offset ${checkpoint.offset} (${submissions.length} already fetched)`
+  );
+  return { ...checkpoint, submissions };
+}
+
+/**
+ * Fetch submissions after a given timestamp (seconds), applying limited backoff per page.
+ * Verifies the most recent submission (if within 60s) has completed processing.
+ *
+ * When `username` is given, progress is checkpointed in chrome.storage after
+ * every page so an interrupted fetch resumes where it stopped. Each page is
+ * stored under its own key, so a save writes only the newest page and a small
+ * header rather than everything fetched so far. On resume, the
+ * last stored submission is fetched again. If it is no longer at the same
+ * offset (new or deleted submissions shifted the list), the checkpoint is
+ * dropped and the fetch restarts from offset 0.
+ * @param {number} lastTimestamp - seconds since epoch
+ * @param {string|null} username - enables checkpointing for this user
+ * @returns {Promise<Array<{id:string,titleSlug:string,statusDisplay:string,timestamp:number,lang:string}>>}
+ */
+export async function fetchAllSubmissions(lastTimestamp, username = null) {
+  let submissions = [];
+  let offset = 0;
+  const limit = 20;
+  let hasMore = true;
+  let shouldContinue = true;
+
+  const isCn = getPlatform().id === "cn";
+  // leetcode.cn cursor from the previous page of this fetch
+  let lastKey = null;
+
+  // ID of the submission just before `offset`, set only while resuming
+  let boundaryId = null;
+  // Pages stored in the checkpoint so far
+  let pageCount = 0;
+  if (username) {
+    const checkpoint = await loadFetchCheckpoint(username, lastTimestamp);
+    if (checkpoint) {
+      submissions = checkpoint.submissions;
+      offset = checkpoint.offset;
+      pageCount = checkpoint.pageCount;
+      // The leetcode.cn cursor cannot shift, so the next page's request is
+      // sent exactly as it would have been instead of re-reading the boundary
+      if (isCn && checkpoint.lastKey) {
+        lastKey = checkpoint.lastKey;
+      } else {
+        boundaryId = checkpoint.boundaryId;
+      }
+    }
+  }
+
+  while (hasMore && shouldContinue) {
+    // When resuming, also re-read the boundary submission to detect shifts
+    const pageOffset = boundaryId ? offset - 1 : offset;
+    const pageLimit = boundaryId ? limit + 1 : limit;
+
+    const body = isCn
+      ? {
+          query: CN_SUBMISSION_LIST_QUERY,
+          variables: { offset: pageOffset, limit: pageLimit, lastKey },
+        }
+      : {
+          query: SUBMISSION_LIST_QUERY,
+          variables: { offset: pageOffset, limit: pageLimit },
+        };
 
     let retryDelay = 5000;
     let attempt = 0;
@@ -179,18 +469,11 @@ export async function fetchAllSubmissions(lastTimestamp) {
 
     while (!success && retryDelay < 60000) {
       try {
-        const res = await fetch(GRAPHQL_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Referer: "https://leetcode.com/problemset/all/",
-          },
-          body: JSON.stringify(body),
-          credentials: "include",
-        });
+        const res = await graphqlFetch(body);
 
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         json = await res.json();
+        // A throttled payload was already reported by graphqlFetch
         if (!json?.data?.submissionList?.submissions) {
           throw new Error("Missing submissions data");
         }
@@ -222,17 +505,56 @@ export async function fetchAllSubmissions(lastTimestamp) {
     }
 
     const data = json.data.submissionList;
+    let page = data.submissions;
+
+    if (boundaryId) {
+      const expectedId = boundaryId;
+      boundaryId = null;
+      if (page[0]?.id !== expectedId) {
+        console.log(
+          "[LeetTracker] Submission list shifted since checkpoint, restarting fetch"
+        );
+        await clearFetchCheckpoint(username);
+        submissions = [];
+        offset = 0;
+        lastKey = null;
+        pageCount = 0;
+        continue;
+      }
+      page = page.slice(1);
+    }
 
-    for (const s of data.submissions) {
+    const fetched = [];
+    for (const s of page) {
       if (s.timestamp <= lastTimestamp) {
         shouldContinue = false;
         break;
       }
-      submissions.push(s);
+      fetched.push(s);
     }
+    submissions.push(...fetched);
 
     hasMore = data.hasNext;
     offset += limit;
+    lastKey = data.lastKey ?? null;
+
+    if (username && hasMore && shouldContinue) {
+      // The page goes in first so the header never counts a missing page
+      await store.set(keys.fetchCheckpointPage(username, pageCount), fetched);
+      pageCount++;
+      await store.set(keys.fetchCheckpoint(username), {
+        lastTimestamp,
+        offset,
+        lastKey,
+        pageCount,
+        boundaryId: checkpointBoundary(submissions),
+        savedAt: Date.now(),
+      });
+    }
+  }
+
+  if (username) {
+    await clearFetchCheckpoint(username);
   }
 
   const newSubmissions = Array.from(
@@ -271,9 +593,10 @@ export async function fetchAllSubmissions(lastTimestamp) {
 /**
  * Query problem premium status with backoff.
  * @param {string} titleSlug
+ * @param {{signal?: AbortSignal}} [options]
  * @returns {Promise<boolean>}
  */
-export async function fetchProblemPremiumStatus(titleSlug) {
+export async function fetchProblemPremiumStatus(titleSlug, { signal } = {}) {
   const fetchFn = async () => {
     const body = {
       query: `
@@ -287,15 +610,7 @@ export async function fetchProblemPremiumStatus(titleSlug) {
       operationName: "selectProblem",
     };
 
-    const res = await fetch(GRAPHQL_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Referer: "https://leetcode.com/problemset/all/",
-      },
-      body: JSON.stringify(body),
-      credentials: "include",
-    });
+    const res = await graphqlFetch(body, { signal });
 
     if (!res.ok) {
       throw new Error(`HTTP ${res.status}`);
@@ -315,7 +630,9 @@ export async function fetchProblemPremiumStatus(titleSlug) {
     return true;
   };
 
-  const result = await retryWithBackoff(fetchFn, validator);
+  const result = await retryWithBackoff(fetchFn, validator, undefined, {
+    signal,
+  });
 
   if (result === null) {
     console.error(
@@ -327,44 +644,134 @@ export async function fetchProblemPremiumStatus(titleSlug) {
   return result.isPaidOnly || false;
 }
 
+// Problem-level metadata, fetched alongside the description
+const PROBLEM_METADATA_FIELDS = `
+            questionFrontendId
+            difficulty
+            acRate
+            topicTags {
+              name
+              slug
+            }
+            similarQuestions
+            hints`;
+
+// leetcode.cn serves the translation the user reads next to the original
+const CN_TRANSLATION_FIELDS = `
+            translatedTitle
+            translatedContent`;
+
 /**
- * Fetch problem description (HTML content + questionId).
+ * Normalize the metadata fields of a `question` GraphQL result for the
+ * problem catalog. `similarQuestions` arrives as a JSON string.
+ * @returns {{frontendQuestionId:string|null, difficulty:string|null,
+ *   acRate:number|null, topicTags:{name:string, slug:string}[],
+ *   similarQuestions:{titleSlug:string, title:string, difficulty:string}[],
+ *   hints:string[]}}
+ */
+export function parseProblemMetadata(question) {
+  let similar = [];
+  try {
+    similar = JSON.parse(question.similarQuestions || "[]");
+  } catch (_e) {
+    console.warn(
+      "[LeetTracker] Could not parse similar questions:",
+      question.similarQuestions
+    );
+  }
+
+  return {
+    frontendQuestionId: question.questionFrontendId ?? null,
+    difficulty: question.difficulty ?? null,
+    acRate:
+      typeof question.acRate === "number"
+        ? Math.round(question.acRate * 100) / 100
+        : null,
+    topicTags: (question.topicTags || []).map(({ name, slug }) => ({
+      name,
+      slug,
+    })),
+    similarQuestions: (Array.isArray(similar) ? similar : []).map(
+      ({ titleSlug, title, difficulty }) => ({ titleSlug, title, difficulty })
+    ),
+    hints: question.hints || [],
+  };
+}
+
+/**
+ * Fetch problem description (HTML content + questionId + title) along with
+ * the problem metadata (see parseProblemMetadata). On leetcode.cn, `title`
+ * and `content` are the translations the user reads, when there are any.
  * @param {string} titleSlug
- * @returns {Promise<{questionId:string, content:string}|null>}
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<object|null>} raw `question` result
  */
-export async function fetchProblemDescription(titleSlug) {
+export async function fetchProblemDescription(titleSlug, { signal } = {}) {
+  const isCn = getPlatform().id === "cn";
   const body = {
     query: `
         query getQuestionDetail($titleSlug: String!) {
           question(titleSlug: $titleSlug) {
             questionId
-            content
+            title
+            content${isCn ? CN_TRANSLATION_FIELDS : ""}${PROBLEM_METADATA_FIELDS}
           }
         }
       `,
     variables: { titleSlug },
   };
 
-  const res = await fetch(GRAPHQL_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Referer: "https://leetcode.com/problemset/all/",
-    },
-    body: JSON.stringify(body),
-    credentials: "include",
-  });
+  const res = await graphqlFetch(body, { signal });
+
+  const json = await res.json();
+  const question = json.data?.question || null;
+  if (!question || !isCn) return question;
+
+  const { translatedTitle, translatedContent, ...rest } = question;
+  return {
+    ...rest,
+    title: translatedTitle || question.title,
+    content: translatedContent || question.content,
+  };
+}
+
+/**
+ * Fetch only the problem metadata (no description), for problems stored
+ * before metadata was collected. Returned for premium problems too.
+ * @param {string} titleSlug
+ * @returns {Promise<object|null>} raw `question` result
+ */
+export async function fetchProblemMetadata(titleSlug) {
+  const body = {
+    query: `
+        query questionMetadata($titleSlug: String!) {
+          question(titleSlug: $titleSlug) {
+            questionId
+            title${PROBLEM_METADATA_FIELDS}
+          }
+        }
+      `,
+    variables: { titleSlug },
+    operationName: "questionMetadata",
+  };
+
+  const res = await graphqlFetch(body);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
 
   const json = await res.json();
   return json.data?.question || null;
 }
 
 /**
- * Fetch problem note (safe; times out after 8s).
+ * Fetch problem note (safe; times out 8s after the request is sent, or gives
+ * up when `signal` aborts).
  * @param {string} titleSlug
+ * @param {{signal?: AbortSignal}} [options]
  * @returns {Promise<string|null>}
  */
-export async function fetchProblemNote(titleSlug) {
+export async function fetchProblemNote(titleSlug, { signal } = {}) {
   const body = {
     query: `
         query questionNote($titleSlug: String!) {
@@ -378,30 +785,19 @@ export async function fetchProblemNote(titleSlug) {
     operationName: "questionNote",
   };
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 8000);
   let res;
   try {
-    res = await fetch(GRAPHQL_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Referer: "https://leetcode.com/problemset/all/",
-      },
-      body: JSON.stringify(body),
-      credentials: "include",
-      signal: controller.signal,
-    });
+    res = await graphqlFetch(body, { signal, timeoutMs: 8000 });
   } catch (error) {
-    clearTimeout(timeout);
-    if (error.name === "AbortError") {
+    if (signal?.aborted) {
+      console.warn("[LeetTracker] fetchProblemNote aborted:", signal.reason);
+    } else if (error.name === "AbortError") {
       console.warn("[LeetTracker] fetchProblemNote timed out");
     } else {
       console.warn("[LeetTracker] fetchProblemNote error:", error);
     }
     return null;
   }
-  clearTimeout(timeout);
   if (!res.ok) {
     console.warn(`[LeetTracker] fetchProblemNote HTTP error: ${res.status}`);
     return null;
@@ -416,16 +812,107 @@ export async function fetchProblemNote(titleSlug) {
   return json.data?.question?.note || null;
 }
 
+/**
+ * LeetCode's CSRF token: from the page's cookies in a LeetCode tab, or via
+ * chrome.cookies in the background service worker (no document there).
+ * @returns {Promise<string|undefined>}
+ */
+async function getCsrfToken() {
+  if (typeof document !== "undefined") {
+    return document.cookie
+      .split("; ")
+      .find((row) => row.startsWith("csrftoken="))
+      ?.split("=")[1];
+  }
+  const cookie = await chrome.cookies.get({
+    url: getPlatform().origin,
+    name: "csrftoken",
+  });
+  return cookie?.value;
+}
+
+/**
+ * leetcode.cn has `submissionDetail` instead of `submissionDetails`, with the
+ * test output nested in `outputDetail` and display strings in `runtime` and
+ * `memory`. Returns the same shape as fetchSubmissionDetails.
+ */
+async function fetchCnSubmissionDetails(submissionId, csrfToken, signal) {
+  const body = {
+    query: `
+        query submissionDetail($submissionId: ID!) {
+          submissionDetail(submissionId: $submissionId) {
+            code
+            runtime
+            memory
+            rawMemory
+            runtimePercentile
+            memoryPercentile
+            passedTestCaseCnt
+            totalTestCaseCnt
+            outputDetail {
+              codeOutput
+              expectedOutput
+              lastTestcase
+              runtimeError
+              compileError
+            }
+            submissionComment {
+              comment
+            }
+          }
+        }
+      `,
+    variables: { submissionId: String(submissionId) },
+    operationName: "submissionDetail",
+  };
+
+  const res = await graphqlFetch(body, {
+    referer: `${getPlatform().origin}/submissions/`,
+    headers: { "x-csrftoken": csrfToken },
+    signal,
+  });
+
+  const json = await res.json();
+  const details = json.data?.submissionDetail;
+
+  if (!details) return null;
+
+  const output = details.outputDetail || {};
+  const runtimeMs = parseInt(details.runtime, 10);
+  const memoryBytes = parseInt(details.rawMemory, 10);
+  return {
+    code: details.code,
+    submissionDetails: {
+      runtime: Number.isNaN(runtimeMs) ? null : runtimeMs,
+      memory: Number.isNaN(memoryBytes) ? null : memoryBytes,
+      runtimeDisplay: details.runtime,
+      runtimePercentile: details.runtimePercentile,
+      memoryDisplay: details.memory,
+      memoryPercentile: details.memoryPercentile,
+      totalCorrect: details.passedTestCaseCnt,
+      totalTestcases: details.totalTestCaseCnt,
+      lastTestcase: output.lastTestcase,
+      codeOutput: output.codeOutput,
+      expectedOutput: output.expectedOutput,
+      runtimeError: output.runtimeError,
+      compileError: output.compileError,
+      fullCodeOutput: null, // not served by leetcode.cn
+      notes: details.submissionComment?.comment || null,
+    },
+  };
+}
+
 /**
  * Fetch detailed submission info including code and performance stats.
  * @param {string|number} submissionId
+ * @param {{signal?: AbortSignal}} [options]
  * @returns {Promise<{code:string, submissionDetails:object}|null>}
  */
-export async function fetchSubmissionDetails(submissionId) {
-  const csrfToken = document.cookie
-    .split("; ")
-    .find((row) => row.startsWith("csrftoken="))
-    ?.split("=")[1];
+export async function fetchSubmissionDetails(submissionId, { signal } = {}) {
+  const csrfToken = await getCsrfToken();
+  if (getPlatform().id === "cn") {
+    return fetchCnSubmissionDetails(submissionId, csrfToken, signal);
+  }
 
   const body = {
     query: `
@@ -454,15 +941,10 @@ export async function fetchSubmissionDetails(submissionId) {
     operationName: "submissionDetails",
   };
 
-  const res = await fetch(GRAPHQL_URL, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-csrftoken": csrfToken,
-      Referer: "https://leetcode.com/submissions/",
-    },
-    body: JSON.stringify(body),
-    credentials: "include",
+  const res = await graphqlFetch(body, {
+    referer: `${getPlatform().origin}/submissions/`,
+    headers: { "x-csrftoken": csrfToken },
+    signal,
   });
 
   const json = await res.json();
@@ -497,8 +979,21 @@ let cachedUserInfo = { userId: null, username: null, isPremium: false };
 let userInfoPromise = null;
 let isFirstSignIn = false;
 
+/**
+ * Forget the memoized user so the next getUserInfoWithCache() asks LeetCode
+ * again. The background service worker outlives sign-outs and account
+ * switches, so it starts every sync from a fresh lookup.
+ */
+export function clearUserInfoCache() {
+  cachedUserInfo = { userId: null, username: null, isPremium: false };
+  userInfoPromise = null;
+}
+
 /**
  * Get signed-in user info with memoization + bounded retries/backoff.
+ * `username` is the account id LeetTracker stores data under (see
+ * accountId in platform.js): the plain username on leetcode.com.
+ * A failed lookup is not memoized, so the next call asks LeetCode again.
  * @param {number} maxAttempts
  * @returns {Promise<{userId:string|null, username:string|null, isPremium:boolean, signInFailed:boolean, isFirstSignIn:boolean}>}
  */
@@ -512,92 +1007,109 @@ export function getUserInfoWithCache(maxAttempts = 4) {
   }
   if (userInfoPromise) return userInfoPromise;
 
-  userInfoPromise = (async () => {
-    let attempt = 0;
-    let delay = 1000;
+  const promise = lookUpUserInfo(maxAttempts).then((info) => {
+    if (info.signInFailed && userInfoPromise === promise) {
+      userInfoPromise = null;
+    }
+    return info;
+  });
+  userInfoPromise = promise;
+  return promise;
+}
 
-    // Check if we've seen this user before
-    const hasSeenUserBefore = await chrome.storage.local.get([
-      "lt_has_signed_in",
-    ]);
-    const firstTime = !hasSeenUserBefore.lt_has_signed_in;
+/**
+ * Ask LeetCode who is signed in, ignoring the memoized user. The memoized
+ * user is replaced only when the lookup succeeds; a failed lookup leaves it
+ * as it was.
+ * @param {number} maxAttempts
+ * @returns {Promise<{userId:string|null, username:string|null, isPremium:boolean, signInFailed:boolean, isFirstSignIn:boolean}>}
+ */
+export async function refreshUserInfo(maxAttempts = 1) {
+  const info = await lookUpUserInfo(maxAttempts);
+  if (!info.signInFailed) userInfoPromise = null;
+  return info;
+}
 
-    while (attempt < maxAttempts) {
-      try {
-        const body = {
-          query: `query globalData {
-              userStatus {
-                username
-                activeSessionId
-                isSignedIn
-                isPremium
-              }
-            }`,
-          variables: {},
-          operationName: "globalData",
-        };
+// Look up the signed-in user; updates cachedUserInfo only on success
+async function lookUpUserInfo(maxAttempts) {
+  let attempt = 0;
+  let delay = 1000;
 
-        const res = await fetch(GRAPHQL_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Referer: "https://leetcode.com/problemset/all/",
-          },
-          body: JSON.stringify(body),
-          credentials: "include",
-        });
-
-        const json = await res.json();
-        const userStatus = json.data?.userStatus;
-
-        if (
-          userStatus &&
-          userStatus.isSignedIn &&
-          userStatus.username &&
-          userStatus.activeSessionId
-        ) {
-          cachedUserInfo = {
-            userId: userStatus.activeSessionId.toString(),
-            username: userStatus.username,
-            isPremium: userStatus.isPremium || false,
-          };
-          console.log(
-            `[LeetTracker] User ${cachedUserInfo.username} premium status: ${cachedUserInfo.isPremium}`
-          );
-
-          // Mark that user has signed in (only set it once)
-          if (firstTime) {
-            isFirstSignIn = true;
-            await chrome.storage.local.set({ lt_has_signed_in: true });
-          }
+  // Check if we've seen this user before
+  const hasSeenUserBefore = await chrome.storage.local.get([
+    "lt_has_signed_in",
+  ]);
+  const firstTime = !hasSeenUserBefore.lt_has_signed_in;
+
+  // leetcode.cn has no session id in userStatus; its user slug is stable
+  const platform = getPlatform();
+  const idField = platform.id === "cn" ? "userSlug" : "activeSessionId";
+
+  while (attempt < maxAttempts) {
+    try {
+      const body = {
+        query: `query globalData {
+            userStatus {
+              username
+              ${idField}
+              isSignedIn
+              isPremium
+            }
+          }`,
+        variables: {},
+        operationName: "globalData",
+      };
+
+      const res = await graphqlFetch(body);
+
+      const json = await res.json();
+      const userStatus = json.data?.userStatus;
+
+      if (
+        userStatus &&
+        userStatus.isSignedIn &&
+        userStatus.username &&
+        userStatus[idField]
+      ) {
+        cachedUserInfo = {
+          userId: userStatus[idField].toString(),
+          username: accountId(userStatus.username, platform),
+          isPremium: userStatus.isPremium || false,
+        };
+        console.log(
+          `[LeetTracker] User ${cachedUserInfo.username} premium status: ${cachedUserInfo.isPremium}`
+        );
 
-          return { ...cachedUserInfo, signInFailed: false, isFirstSignIn };
+        // Mark that user has signed in (only set it once)
+        if (firstTime) {
+          isFirstSignIn = true;
+          await chrome.storage.local.set({ lt_has_signed_in: true });
         }
-      } catch (_e) {
-        // continue to retry
+
+        return { ...cachedUserInfo, signInFailed: false, isFirstSignIn };
       }
-      console.warn(
-        `[LeetTracker] Failed to fetch user sign-in status, retrying in ${delay}ms`
-      );
-      await new Promise((r) => setTimeout(r, delay));
-      delay = Math.min(delay * 2, 30000);
-      attempt++;
+    } catch (_e) {
+      // continue to retry
     }
+    console.warn(
+      `[LeetTracker] Failed to fetch user sign-in status, retrying in ${delay}ms`
+    );
+    await new Promise((r) => setTimeout(r, delay));
+    delay = Math.min(delay * 2, 30000);
+    attempt++;
+  }
 
-    // Return with signInFailed flag after exhausting attempts
-    return { ...cachedUserInfo, signInFailed: true, isFirstSignIn: false };
-  })();
-
-  return userInfoPromise;
+  // Return with signInFailed flag after exhausting attempts
+  return { ...cachedUserInfo, signInFailed: true, isFirstSignIn: false };
 }
 
 /** Fetch description if needed (does not mutate `seenMap`). */
-export async function fetchDescriptionIfNeeded(sub, seenMap) {
+export async function fetchDescriptionIfNeeded(sub, seenMap, { signal } = {}) {
   const seenInfo = seenMap[sub.titleSlug];
   if (seenInfo?.hasDescription) return null;
 
   return await retryWithBackoff(
-    () => fetchProblemDescription(sub.titleSlug),
+    () => fetchProblemDescription(sub.titleSlug, { signal }),
     (result) => {
       // Rate limited if we got a response but content is missing/empty
       if (result === null || !result.content || result.content.trim() === "") {
@@ -607,23 +1119,25 @@ export async function fetchDescriptionIfNeeded(sub, seenMap) {
         return false;
       }
       return true;
-    }
+    },
+    undefined,
+    { signal }
   );
 }
 
 /** Fetch note (safe). No retry - can't detect rate limiting from empty notes */
-export async function fetchNoteSafe(sub) {
+export async function fetchNoteSafe(sub, { signal } = {}) {
   try {
-    return await fetchProblemNote(sub.titleSlug);
+    return await fetchProblemNote(sub.titleSlug, { signal });
   } catch {
     return null;
   }
 }
 
 /** Fetch submission details (safe). */
-export async function fetchSubmissionDetailsSafe(sub) {
+export async function fetchSubmissionDetailsSafe(sub, { signal } = {}) {
   return await retryWithBackoff(
-    () => fetchSubmissionDetails(sub.id),
+    () => fetchSubmissionDetails(sub.id, { signal }),
     (result) => {
       if (result === null || !result.code || result.code.trim() === "") {
         console.warn(
@@ -634,6 +1148,8 @@ export async function fetchSubmissionDetailsSafe(sub) {
 
       // Got valid code
       return true;
-    }
+    },
+    undefined,
+    { signal }
   );
 }
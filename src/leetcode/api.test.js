@@ -1,5 +1,19 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { fetchAllSubmissions, verifyRecentSubmissionStatus } from "./api.js";
+import {
+  clearUserInfoCache,
+  fetchAllSubmissions,
+  fetchProblemDescription,
+  fetchProblemNote,
+  fetchSubmissionDetails,
+  fetchSubmissionDetailsSafe,
+  getUserInfoWithCache,
+  graphqlFetch,
+  graphqlLimiter,
+  parseProblemMetadata,
+  refreshUserInfo,
+  verifyRecentSubmissionStatus,
+} from "./api.js";
+import { setPlatform } from "./platform.js";
 
 // Mock global fetch
 global.fetch = vi.fn();
@@ -171,6 +185,416 @@ describe("fetchAllSubmissions", () => {
   });
 });
 
+describe("fetchAllSubmissions checkpoints", () => {
+  const CHECKPOINT_KEY = "leettracker_fetch_checkpoint_testuser";
+  const pageKey = (i) => `${CHECKPOINT_KEY}_page_${i}`;
+  const NOW_S = 1765228875;
+  let storage;
+
+  // Store a checkpoint the way fetchAllSubmissions saves it, 20 per page
+  function seedCheckpoint(header, submissions) {
+    const pageCount = Math.ceil(submissions.length / 20);
+    for (let i = 0; i < pageCount; i++) {
+      storage[pageKey(i)] = submissions.slice(i * 20, i * 20 + 20);
+    }
+    storage[CHECKPOINT_KEY] = {
+      lastTimestamp: 0,
+      savedAt: NOW_S * 1000 - 60000,
+      ...header,
+      pageCount,
+    };
+  }
+
+  // Submission list, newest first, as LeetCode returns it
+  function makeList(count, idPrefix = "s") {
+    return Array.from({ length: count }, (_, i) => ({
+      id: `${idPrefix}${i}`,
+      titleSlug: `problem-${i}`,
+      statusDisplay: "Accepted",
+      timestamp: NOW_S - 1000 - i,
+      lang: "python3",
+    }));
+  }
+
+  function serveList(list) {
+    global.fetch.mockImplementation((_url, init) => {
+      const { offset, limit } = JSON.parse(init.body).variables;
+      const submissions = list.slice(offset, offset + limit);
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            data: {
+              submissionList: {
+                hasNext: offset + limit < list.length,
+                submissions,
+              },
+            },
+          }),
+      });
+    });
+  }
+
+  function requestedPages() {
+    return global.fetch.mock.calls.map(
+      ([, init]) => JSON.parse(init.body).variables
+    );
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(Date, "now").mockReturnValue(NOW_S * 1000);
+    storage = {};
+    chrome.storage.local.get.mockImplementation((keys, callback) => {
+      callback({ [keys[0]]: storage[keys[0]] });
+    });
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+    chrome.storage.local.remove.mockImplementation((keys, callback) => {
+      for (const key of [].concat(keys)) delete storage[key];
+      if (callback) callback();
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("checkpoints after each page and clears the checkpoint when done", async () => {
+    serveList(makeList(45));
+    const saved = [];
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      saved.push(structuredClone(items));
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+
+    const result = await fetchAllSubmissions(0, "testuser");
+
+    expect(result).toHaveLength(45);
+    // Each save writes the newest page and the header, never earlier pages
+    expect(saved.map((items) => Object.keys(items))).toEqual([
+      [pageKey(0)],
+      [CHECKPOINT_KEY],
+      [pageKey(1)],
+      [CHECKPOINT_KEY],
+    ]);
+    expect(saved[2][pageKey(1)].map((s) => s.id)).toEqual(
+      makeList(40)
+        .slice(20)
+        .map((s) => s.id)
+    );
+    expect(saved[3][CHECKPOINT_KEY]).toMatchObject({
+      offset: 40,
+      pageCount: 2,
+      boundaryId: "s39",
+    });
+    expect(storage).toEqual({});
+  });
+
+  it("does not checkpoint without a username", async () => {
+    serveList(makeList(45));
+
+    await fetchAllSubmissions(0);
+
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it("resumes from a saved checkpoint", async () => {
+    const list = makeList(45);
+    serveList(list);
+    seedCheckpoint({ offset: 40, boundaryId: "s39" }, list.slice(0, 40));
+
+    const result = await fetchAllSubmissions(0, "testuser");
+
+    // Re-reads the boundary submission along with the next page
+    expect(requestedPages()).toEqual([{ offset: 39, limit: 21 }]);
+    expect(result).toHaveLength(45);
+    expect(new Set(result.map((s) => s.id)).size).toBe(45);
+    expect(storage).toEqual({});
+  });
+
+  it("ignores a checkpoint with a missing page", async () => {
+    serveList(makeList(5));
+    seedCheckpoint({ offset: 40, boundaryId: "s39" }, makeList(40));
+    delete storage[pageKey(1)];
+
+    const result = await fetchAllSubmissions(0, "testuser");
+
+    expect(requestedPages()).toEqual([{ offset: 0, limit: 20 }]);
+    expect(result).toHaveLength(5);
+    expect(storage).toEqual({});
+  });
+
+  it("restarts from offset 0 when new submissions shifted the list", async () => {
+    const original = makeList(45);
+    // Two new submissions arrived at the top since the checkpoint
+    const shifted = [...makeList(2, "new"), ...original].map((s, i) => ({
+      ...s,
+      timestamp: NOW_S - 1000 - i,
+    }));
+    serveList(shifted);
+    seedCheckpoint({ offset: 40, boundaryId: "s39" }, original.slice(0, 40));
+
+    const result = await fetchAllSubmissions(0, "testuser");
+
+    expect(requestedPages()[0]).toEqual({ offset: 39, limit: 21 });
+    expect(requestedPages()[1]).toEqual({ offset: 0, limit: 20 });
+    expect(result).toHaveLength(47);
+  });
+
+  it("ignores a checkpoint taken from a different starting point", async () => {
+    serveList(makeList(5));
+    seedCheckpoint(
+      { lastTimestamp: 12345, offset: 40, boundaryId: "s39" },
+      makeList(40)
+    );
+
+    const result = await fetchAllSubmissions(0, "testuser");
+
+    expect(requestedPages()).toEqual([{ offset: 0, limit: 20 }]);
+    expect(result).toHaveLength(5);
+  });
+
+  it("keeps the checkpoint when the fetch is interrupted", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(Date, "now").mockReturnValue(NOW_S * 1000);
+    const list = makeList(45);
+    serveList(list);
+    const serve = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation((url, init) =>
+      JSON.parse(init.body).variables.offset === 20
+        ? Promise.reject(new Error("throttled"))
+        : serve(url, init)
+    );
+
+    const fetchPromise = fetchAllSubmissions(0, "testuser");
+    const assertion = expect(fetchPromise).rejects.toThrow(
+      /failed after 4 retries at offset 20/
+    );
+    await vi.advanceTimersByTimeAsync(120000);
+    await assertion;
+
+    expect(storage[CHECKPOINT_KEY]).toMatchObject({
+      offset: 20,
+      pageCount: 1,
+      boundaryId: "s19",
+    });
+    expect(storage[pageKey(0)]).toHaveLength(20);
+
+    vi.useRealTimers();
+  });
+});
+
+describe("graphqlFetch", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // Isolate from the shared limiter's state left by other tests
+    vi.spyOn(graphqlLimiter, "schedule").mockImplementation((task) => task());
+    vi.spyOn(graphqlLimiter, "reportThrottled").mockImplementation(() => {});
+    vi.spyOn(graphqlLimiter, "reportSuccess").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function payload(json) {
+    return { ok: true, status: 200, json: () => Promise.resolve(json) };
+  }
+
+  it("posts the body to LeetCode GraphQL and reports success", async () => {
+    global.fetch.mockResolvedValueOnce(payload({ data: { question: null } }));
+
+    const res = await graphqlFetch(
+      { query: "q" },
+      {
+        referer: "https://leetcode.com/submissions/",
+        headers: { "x-csrftoken": "t" },
+      }
+    );
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "https://leetcode.com/graphql/",
+      expect.objectContaining({
+        method: "POST",
+        body: JSON.stringify({ query: "q" }),
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+          Referer: "https://leetcode.com/submissions/",
+          "x-csrftoken": "t",
+        },
+      })
+    );
+    // An empty answer is still an answer
+    await expect(res.json()).resolves.toEqual({ data: { question: null } });
+    expect(graphqlLimiter.reportSuccess).toHaveBeenCalledTimes(1);
+    expect(graphqlLimiter.reportThrottled).not.toHaveBeenCalled();
+  });
+
+  it("reports a rate-limit error body as throttling", async () => {
+    global.fetch.mockResolvedValueOnce(
+      payload({
+        data: null,
+        errors: [{ message: "Rate limit exceeded, try again later" }],
+      })
+    );
+
+    await (await graphqlFetch({ query: "q" })).json();
+
+    expect(graphqlLimiter.reportThrottled).toHaveBeenCalledWith(
+      "rate_limit_error"
+    );
+    expect(graphqlLimiter.reportSuccess).not.toHaveBeenCalled();
+  });
+
+  it("reports a payload without data as throttling", async () => {
+    global.fetch.mockResolvedValueOnce(payload({}));
+
+    await (await graphqlFetch({ query: "q" })).json();
+
+    expect(graphqlLimiter.reportThrottled).toHaveBeenCalledWith("missing_data");
+  });
+
+  it("does not report throttling when a result is retried as empty", async () => {
+    vi.useFakeTimers();
+    global.fetch.mockImplementation(() =>
+      Promise.resolve(payload({ data: { submissionDetails: { code: "" } } }))
+    );
+
+    const result = fetchSubmissionDetailsSafe({ id: "1", titleSlug: "a" });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+    expect(graphqlLimiter.reportThrottled).not.toHaveBeenCalled();
+    expect(graphqlLimiter.reportSuccess).toHaveBeenCalledTimes(5);
+    global.fetch.mockReset();
+    vi.useRealTimers();
+  });
+
+  it("stops retrying once the caller's signal aborts", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    global.fetch.mockImplementation(() =>
+      Promise.resolve(payload({ data: { submissionDetails: { code: "" } } }))
+    );
+    const controller = new AbortController();
+
+    const result = fetchSubmissionDetailsSafe(
+      { id: "1", titleSlug: "a" },
+      { signal: controller.signal }
+    );
+    const rejected = expect(result).rejects.toThrow("timed out");
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort(new Error("timed out"));
+    await rejected;
+
+    // Aborted during the backoff sleep, before a second request
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    global.fetch.mockReset();
+    vi.useRealTimers();
+  });
+
+  it("starts a request's timeout once the limiter sends it", async () => {
+    vi.useFakeTimers();
+    // Queued behind other requests for 10s, answered 5s after being sent
+    graphqlLimiter.schedule.mockImplementation((task) =>
+      new Promise((resolve) => setTimeout(resolve, 10000)).then(task)
+    );
+    global.fetch.mockImplementationOnce(
+      (_url, { signal }) =>
+        new Promise((resolve, reject) => {
+          setTimeout(
+            () => resolve(payload({ data: { question: { note: "hi" } } })),
+            5000
+          );
+          signal.addEventListener("abort", () => reject(signal.reason));
+        })
+    );
+
+    const note = fetchProblemNote("two-sum");
+    await vi.advanceTimersByTimeAsync(15000);
+
+    await expect(note).resolves.toBe("hi");
+    vi.useRealTimers();
+  });
+
+  it("aborts a request that gets no response within its timeout", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    global.fetch.mockImplementationOnce(
+      (_url, { signal }) =>
+        new Promise((_resolve, reject) => {
+          signal.addEventListener("abort", () => reject(signal.reason));
+        })
+    );
+
+    const note = fetchProblemNote("two-sum");
+    await vi.advanceTimersByTimeAsync(8000);
+
+    await expect(note).resolves.toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(
+      "[LeetTracker] fetchProblemNote timed out"
+    );
+    vi.useRealTimers();
+  });
+
+  it("reports HTTP 429 as throttling", async () => {
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 429 });
+
+    const res = await graphqlFetch({ query: "q" });
+
+    expect(res.status).toBe(429);
+    expect(graphqlLimiter.reportThrottled).toHaveBeenCalledWith("http_429");
+    expect(graphqlLimiter.reportSuccess).not.toHaveBeenCalled();
+  });
+});
+
+describe("parseProblemMetadata", () => {
+  it("normalizes the question metadata for the catalog", () => {
+    expect(
+      parseProblemMetadata({
+        questionFrontendId: "15",
+        difficulty: "Medium",
+        acRate: 36.987654,
+        topicTags: [{ name: "Two Pointers", slug: "two-pointers", id: "9" }],
+        similarQuestions:
+          '[{"title":"Two Sum","titleSlug":"two-sum","difficulty":"Easy","translatedTitle":null}]',
+        hints: ["Sort first"],
+      })
+    ).toEqual({
+      frontendQuestionId: "15",
+      difficulty: "Medium",
+      acRate: 36.99,
+      topicTags: [{ name: "Two Pointers", slug: "two-pointers" }],
+      similarQuestions: [
+        { titleSlug: "two-sum", title: "Two Sum", difficulty: "Easy" },
+      ],
+      hints: ["Sort first"],
+    });
+  });
+
+  it("tolerates missing or malformed fields", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(
+      parseProblemMetadata({ difficulty: "Hard", similarQuestions: "{oops" })
+    ).toEqual({
+      frontendQuestionId: null,
+      difficulty: "Hard",
+      acRate: null,
+      topicTags: [],
+      similarQuestions: [],
+      hints: [],
+    });
+    vi.restoreAllMocks();
+  });
+});
+
 describe("verifyRecentSubmissionStatus", () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -239,3 +663,352 @@ describe("verifyRecentSubmissionStatus", () => {
     expect(result.state).toBe("TIMEOUT");
   });
 });
+
+describe("user info cache", () => {
+  function signedIn(username, isPremium = false) {
+    return Promise.resolve({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          data: {
+            userStatus: {
+              username,
+              activeSessionId: 42,
+              isSignedIn: true,
+              isPremium,
+            },
+          },
+        }),
+    });
+  }
+
+  // One failed attempt, including the backoff sleep after it
+  async function failedLookup(lookup) {
+    global.fetch.mockImplementationOnce(() =>
+      Promise.reject(new Error("offline"))
+    );
+    const promise = lookup();
+    await vi.advanceTimersByTimeAsync(1000);
+    return promise;
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.spyOn(graphqlLimiter, "schedule").mockImplementation((task) => task());
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    chrome.storage.local.get.mockResolvedValue({ lt_has_signed_in: true });
+    clearUserInfoCache();
+  });
+
+  afterEach(() => {
+    clearUserInfoCache();
+    chrome.storage.local.get.mockReset();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("asks again after a failed lookup", async () => {
+    await expect(
+      failedLookup(() => getUserInfoWithCache(1))
+    ).resolves.toMatchObject({ userId: null, signInFailed: true });
+
+    global.fetch.mockImplementationOnce(() => signedIn("alice", true));
+    await expect(getUserInfoWithCache(1)).resolves.toMatchObject({
+      userId: "42",
+      username: "alice",
+      isPremium: true,
+      signInFailed: false,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the known user when a refresh fails", async () => {
+    global.fetch.mockImplementationOnce(() => signedIn("alice", true));
+    await getUserInfoWithCache(1);
+
+    await expect(failedLookup(() => refreshUserInfo(1))).resolves.toMatchObject(
+      { signInFailed: true }
+    );
+    await expect(getUserInfoWithCache(1)).resolves.toMatchObject({
+      userId: "42",
+      username: "alice",
+      isPremium: true,
+      signInFailed: false,
+    });
+
+    global.fetch.mockImplementationOnce(() => signedIn("bob"));
+    await refreshUserInfo(1);
+    await expect(getUserInfoWithCache(1)).resolves.toMatchObject({
+      username: "bob",
+      isPremium: false,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("leetcode.cn", () => {
+  function respond(data) {
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ data }),
+    });
+  }
+
+  function requestBodies() {
+    return global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setPlatform("cn");
+    vi.spyOn(graphqlLimiter, "schedule").mockImplementation((task) => task());
+    vi.spyOn(graphqlLimiter, "reportSuccess").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setPlatform(null);
+    vi.restoreAllMocks();
+  });
+
+  it("posts to the leetcode.cn endpoint", async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ data: {} }),
+    });
+
+    await graphqlFetch({ query: "q" });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      "https://leetcode.cn/graphql/",
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          Referer: "https://leetcode.cn/problemset/all/",
+        }),
+      })
+    );
+  });
+
+  it("pages the submission list with the previous page's lastKey", async () => {
+    const sub = (id) => ({
+      id,
+      titleSlug: "two-sum",
+      statusDisplay: "Accepted",
+      timestamp: 1000,
+      lang: "python3",
+    });
+    global.fetch
+      .mockImplementationOnce(() =>
+        respond({
+          submissionList: {
+            lastKey: "key-1",
+            hasNext: true,
+            submissions: [sub("2")],
+          },
+        })
+      )
+      .mockImplementationOnce(() =>
+        respond({
+          submissionList: {
+            lastKey: null,
+            hasNext: false,
+            submissions: [sub("1")],
+          },
+        })
+      );
+
+    const subs = await fetchAllSubmissions(0);
+
+    expect(subs.map((s) => s.id)).toEqual(["2", "1"]);
+    const [first, second] = requestBodies();
+    expect(first.query).toContain("lastKey");
+    expect(first.variables).toEqual({ offset: 0, limit: 20, lastKey: null });
+    expect(second.variables).toEqual({
+      offset: 20,
+      limit: 20,
+      lastKey: "key-1",
+    });
+  });
+
+  describe("fetch checkpoint", () => {
+    const CHECKPOINT_KEY = "leettracker_fetch_checkpoint_alice@leetcode.cn";
+    let storage;
+    const sub = (id) => ({
+      id,
+      titleSlug: "two-sum",
+      statusDisplay: "Accepted",
+      timestamp: 1000,
+      lang: "python3",
+    });
+
+    beforeEach(() => {
+      storage = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        callback({ [keys[0]]: storage[keys[0]] });
+      });
+      chrome.storage.local.remove.mockImplementation((keys, callback) => {
+        for (const key of [].concat(keys)) delete storage[key];
+        if (callback) callback();
+      });
+    });
+
+    it("saves the lastKey cursor with the checkpoint", async () => {
+      const saved = [];
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        if (items[CHECKPOINT_KEY]) {
+          saved.push(structuredClone(items[CHECKPOINT_KEY]));
+        }
+        if (callback) callback();
+      });
+      global.fetch
+        .mockImplementationOnce(() =>
+          respond({
+            submissionList: {
+              lastKey: "key-1",
+              hasNext: true,
+              submissions: [sub("2")],
+            },
+          })
+        )
+        .mockImplementationOnce(() =>
+          respond({
+            submissionList: { lastKey: null, hasNext: false, submissions: [] },
+          })
+        );
+
+      await fetchAllSubmissions(0, "alice@leetcode.cn");
+
+      expect(saved).toEqual([
+        expect.objectContaining({ offset: 20, lastKey: "key-1" }),
+      ]);
+    });
+
+    it("resumes with the saved lastKey", async () => {
+      storage[CHECKPOINT_KEY] = {
+        lastTimestamp: 0,
+        offset: 20,
+        lastKey: "key-1",
+        pageCount: 1,
+        boundaryId: "3",
+        savedAt: Date.now() - 60000,
+      };
+      storage[`${CHECKPOINT_KEY}_page_0`] = [sub("3")];
+      global.fetch.mockImplementationOnce(() =>
+        respond({
+          submissionList: {
+            lastKey: null,
+            hasNext: false,
+            submissions: [sub("2")],
+          },
+        })
+      );
+
+      const subs = await fetchAllSubmissions(0, "alice@leetcode.cn");
+
+      expect(requestBodies().map((b) => b.variables)).toEqual([
+        { offset: 20, limit: 20, lastKey: "key-1" },
+      ]);
+      expect(subs.map((s) => s.id)).toEqual(["3", "2"]);
+      expect(storage[CHECKPOINT_KEY]).toBeUndefined();
+    });
+  });
+
+  it("reads submission details from submissionDetail", async () => {
+    global.fetch.mockImplementationOnce(() =>
+      respond({
+        submissionDetail: {
+          code: "class Solution: ...",
+          runtime: "36 ms",
+          memory: "16.4 MB",
+          rawMemory: "16400000",
+          runtimePercentile: 80.5,
+          memoryPercentile: 60.2,
+          passedTestCaseCnt: 10,
+          totalTestCaseCnt: 12,
+          outputDetail: {
+            codeOutput: "[1]",
+            expectedOutput: "[0]",
+            lastTestcase: "[2,7]",
+            runtimeError: "",
+            compileError: "",
+          },
+          submissionComment: { comment: "try two pointers" },
+        },
+      })
+    );
+
+    const result = await fetchSubmissionDetails("123");
+
+    expect(requestBodies()[0]).toMatchObject({
+      operationName: "submissionDetail",
+      variables: { submissionId: "123" },
+    });
+    expect(result).toEqual({
+      code: "class Solution: ...",
+      submissionDetails: {
+        runtime: 36,
+        memory: 16400000,
+        runtimeDisplay: "36 ms",
+        runtimePercentile: 80.5,
+        memoryDisplay: "16.4 MB",
+        memoryPercentile: 60.2,
+        totalCorrect: 10,
+        totalTestcases: 12,
+        lastTestcase: "[2,7]",
+        codeOutput: "[1]",
+        expectedOutput: "[0]",
+        runtimeError: "",
+        compileError: "",
+        fullCodeOutput: null,
+        notes: "try two pointers",
+      },
+    });
+  });
+
+  it("prefers the translated description", async () => {
+    global.fetch.mockImplementationOnce(() =>
+      respond({
+        question: {
+          questionId: "1",
+          title: "Two Sum",
+          content: "<p>Given an array</p>",
+          translatedTitle: "两数之和",
+          translatedContent: "<p>给定一个整数数组</p>",
+        },
+      })
+    );
+
+    await expect(fetchProblemDescription("two-sum")).resolves.toEqual({
+      questionId: "1",
+      title: "两数之和",
+      content: "<p>给定一个整数数组</p>",
+    });
+  });
+
+  it("stores the signed-in user under a leetcode.cn account id", async () => {
+    clearUserInfoCache();
+    chrome.storage.local.get.mockResolvedValueOnce({ lt_has_signed_in: true });
+    global.fetch.mockImplementationOnce(() =>
+      respond({
+        userStatus: {
+          username: "alice",
+          userSlug: "alice",
+          isSignedIn: true,
+          isPremium: false,
+        },
+      })
+    );
+
+    const info = await getUserInfoWithCache(1);
+
+    expect(requestBodies()[0].query).toContain("userSlug");
+    expect(info).toMatchObject({
+      userId: "alice",
+      username: "alice@leetcode.cn",
+      signInFailed: false,
+    });
+    clearUserInfoCache();
+  });
+});
@@ -0,0 +1,169 @@
+// src/leetcode/attempt-sessions.js
+import { consts, keys, store } from "../core/config.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
+
+// Submissions on a problem are grouped into attempt sessions: "the four
+// submissions on two-sum on Tuesday" is one session, the re-solve three weeks
+// later another. A new session starts with the first submission on a
+// problem, after a pause of more than SESSION_GAP_S since the previous
+// submission, or after a fresh start (the editor reset to the problem's
+// template, see tracking/snapshots.js). Sessions live in LeetTrackerDB's
+// `attemptSessions` store. Times are in seconds, like submission timestamps.
+
+const { DAY_S } = consts;
+
+export const SESSION_GAP_S = 4 * 60 * 60;
+
+/**
+ * When the session `sub` opens started: the latest visit to the problem in
+ * the day before it (or the fresh start that opened the session), otherwise
+ * the submission's own solve window. Never before the previous submission.
+ */
+function sessionStartedAt(sub, previousAt, visitLog) {
+  const visits = visitLog
+    .filter(
+      (e) =>
+        e.slug === sub.titleSlug &&
+        e.ts <= sub.timestamp &&
+        e.ts > previousAt &&
+        sub.timestamp - e.ts <= DAY_S
+    )
+    .map((e) => e.ts);
+  if (visits.length > 0) return Math.max(...visits);
+  return Math.max(previousAt, sub.timestamp - (sub.solveTime || 0));
+}
+
+function hasFreshStart(visitLog, titleSlug, afterTs, beforeTs) {
+  return visitLog.some(
+    (e) =>
+      e.freshStart && e.slug === titleSlug && e.ts > afterTs && e.ts < beforeTs
+  );
+}
+
+/**
+ * Add `subs` (oldest first) to the sessions of their problems.
+ * @param {string} username
+ * @param {object[]} subs
+ * @param {Map<string, object|null>} latestBySlug - each problem's latest
+ *   session; updated as sessions are opened
+ * @param {object[]} [visitLog] - entries from keys.visitLog
+ * @returns {object[]} sessions created or changed
+ */
+export function extendAttemptSessions(
+  username,
+  subs,
+  latestBySlug,
+  visitLog = [],
+  now = Date.now()
+) {
+  const changed = new Map();
+
+  for (const sub of subs) {
+    let session = latestBySlug.get(sub.titleSlug) || null;
+    const previousAt = session ? session.lastSubmissionAt : 0;
+
+    let startReason = null;
+    if (!session) {
+      startReason = "first_submission";
+    } else if (
+      hasFreshStart(visitLog, sub.titleSlug, previousAt, sub.timestamp)
+    ) {
+      startReason = "fresh_start";
+    } else if (sub.timestamp - previousAt > SESSION_GAP_S) {
+      startReason = "gap";
+    }
+
+    if (startReason) {
+      const startedAt = sessionStartedAt(sub, previousAt, visitLog);
+      session = {
+        id: `${username}_${sub.titleSlug}_${sub.id}`,
+        username,
+        titleSlug: sub.titleSlug,
+        startReason,
+        startedAt,
+        firstSubmissionId: sub.id,
+        firstSubmissionAt: sub.timestamp,
+        submissionIds: [],
+        verdicts: [],
+      };
+      latestBySlug.set(sub.titleSlug, session);
+    }
+
+    session.submissionIds = [...session.submissionIds, sub.id];
+    session.verdicts = [...session.verdicts, sub.statusDisplay];
+    session.submissionCount = session.submissionIds.length;
+    session.lastSubmissionId = sub.id;
+    session.lastSubmissionAt = sub.timestamp;
+    session.totalTime = sub.timestamp - session.startedAt;
+    session.endedInAccepted = sub.statusDisplay === "Accepted";
+    session.updatedAt = now;
+    changed.set(session.id, session);
+  }
+
+  return [...changed.values()];
+}
+
+/**
+ * Bring the user's attempt sessions up to date with their stored
+ * submissions. The manifest's `sessionsThrough` is the timestamp of the last
+ * submission grouped; without it, sessions are derived anew from every
+ * chunk. The service worker cannot reach LeetTrackerDB, so the next sync in a
+ * tab catches up on its submissions. Never throws.
+ * @returns {Promise<{updated: number}>} sessions created or changed
+ */
+export async function updateAttemptSessions(username) {
+  if (!isDBAvailable()) return { updated: 0 };
+
+  try {
+    const manifestKey = keys.manifest(username);
+    const manifest = (await store.get(manifestKey, {})) || {};
+    const through = manifest.sessionsThrough || 0;
+    if (!manifest.lastTimestamp || manifest.lastTimestamp <= through) {
+      return { updated: 0 };
+    }
+
+    const db = await getDBInstance();
+    if (!through) await db.deleteAttemptSessions(username);
+
+    const subs = [];
+    for (const meta of manifest.chunks || []) {
+      if (meta.to <= through) continue;
+      const chunk =
+        (await store.get(keys.chunk(username, meta.index), [])) || [];
+      subs.push(...chunk.filter((sub) => sub.timestamp > through));
+    }
+    subs.sort((a, b) => a.timestamp - b.timestamp);
+
+    const latestBySlug = new Map();
+    if (through) {
+      for (const titleSlug of new Set(subs.map((sub) => sub.titleSlug))) {
+        latestBySlug.set(
+          titleSlug,
+          await db.getLatestAttemptSession(username, titleSlug)
+        );
+      }
+    }
+    const visitLog = (await store.get(keys.visitLog(username), [])) || [];
+
+    const changed = extendAttemptSessions(
+      username,
+      subs,
+      latestBySlug,
+      visitLog
+    );
+    if (changed.length > 0) await db.storeAttemptSessions(changed);
+
+    // Re-read: the sync may have written the manifest since it was loaded
+    const latest = (await store.get(manifestKey, {})) || {};
+    await store.set(manifestKey, {
+      ...latest,
+      sessionsThrough: subs.length
+        ? subs.at(-1).timestamp
+        : manifest.lastTimestamp,
+    });
+    return { updated: changed.length };
+  } catch (e) {
+    console.warn("[LeetTracker] Failed to update attempt sessions:", e);
+    return { updated: 0 };
+  }
+}
@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  extendAttemptSessions,
+  SESSION_GAP_S,
+  updateAttemptSessions,
+} from "./attempt-sessions.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
+
+vi.mock("../core/db-instance.js", () => ({
+  getDBInstance: vi.fn(),
+  isDBAvailable: vi.fn(() => true),
+}));
+
+const MANIFEST_KEY = "leettracker_sync_manifest_alice";
+const CHUNK_KEY = "leettracker_leetcode_chunk_alice_0";
+const VISIT_LOG_KEY = "leettracker_problem_visit_log_alice";
+
+function sub(id, timestamp, statusDisplay = "Wrong Answer", extra = {}) {
+  return {
+    id: String(id),
+    titleSlug: "two-sum",
+    timestamp,
+    statusDisplay,
+    ...extra,
+  };
+}
+
+describe("extendAttemptSessions", () => {
+  it("groups submissions close together into one session", () => {
+    const latest = new Map();
+    const sessions = extendAttemptSessions(
+      "alice",
+      [
+        sub(1, 10_000, "Wrong Answer", { solveTime: 600 }),
+        sub(2, 10_300, "Time Limit Exceeded"),
+        sub(3, 10_900, "Accepted"),
+      ],
+      latest,
+      [],
+      5000
+    );
+
+    expect(sessions).toEqual([
+      {
+        id: "alice_two-sum_1",
+        username: "alice",
+        titleSlug: "two-sum",
+        startReason: "first_submission",
+        startedAt: 9400,
+        firstSubmissionId: "1",
+        firstSubmissionAt: 10_000,
+        lastSubmissionId: "3",
+        lastSubmissionAt: 10_900,
+        submissionIds: ["1", "2", "3"],
+        verdicts: ["Wrong Answer", "Time Limit Exceeded", "Accepted"],
+        submissionCount: 3,
+        totalTime: 1500,
+        endedInAccepted: true,
+        updatedAt: 5000,
+      },
+    ]);
+    expect(latest.get("two-sum")).toBe(sessions[0]);
+  });
+
+  it("starts a new session after a long pause", () => {
+    const sessions = extendAttemptSessions(
+      "alice",
+      [
+        sub(1, 10_000, "Accepted"),
+        sub(2, 10_000 + SESSION_GAP_S + 1, "Wrong Answer"),
+      ],
+      new Map()
+    );
+
+    expect(sessions.map((s) => [s.id, s.startReason])).toEqual([
+      ["alice_two-sum_1", "first_submission"],
+      ["alice_two-sum_2", "gap"],
+    ]);
+    expect(sessions[1].endedInAccepted).toBe(false);
+  });
+
+  it("starts a new session after a fresh start", () => {
+    const visitLog = [
+      { slug: "two-sum", ts: 10_100 },
+      { slug: "two-sum", ts: 10_200, freshStart: true },
+      { slug: "add-two-numbers", ts: 10_250, freshStart: true },
+    ];
+    const sessions = extendAttemptSessions(
+      "alice",
+      [sub(1, 10_000), sub(2, 10_500, "Accepted")],
+      new Map(),
+      visitLog
+    );
+
+    expect(sessions).toHaveLength(2);
+    expect(sessions[1]).toMatchObject({
+      startReason: "fresh_start",
+      startedAt: 10_200,
+      totalTime: 300,
+      verdicts: ["Accepted"],
+    });
+  });
+
+  it("continues the latest stored session of a problem", () => {
+    const latest = new Map([
+      [
+        "two-sum",
+        {
+          id: "alice_two-sum_1",
+          startedAt: 9000,
+          lastSubmissionAt: 10_000,
+          submissionIds: ["1"],
+          verdicts: ["Wrong Answer"],
+        },
+      ],
+    ]);
+    const [session] = extendAttemptSessions(
+      "alice",
+      [sub(2, 10_600, "Accepted")],
+      latest
+    );
+
+    expect(session).toMatchObject({
+      id: "alice_two-sum_1",
+      submissionIds: ["1", "2"],
+      submissionCount: 2,
+      totalTime: 1600,
+      endedInAccepted: true,
+    });
+  });
+});
+
+describe("updateAttemptSessions", () => {
+  let storage;
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(isDBAvailable).mockReturnValue(true);
+    storage = {};
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+    mockDB = {
+      deleteAttemptSessions: vi.fn(() => Promise.resolve()),
+      getLatestAttemptSession: vi.fn(() => Promise.resolve(null)),
+      storeAttemptSessions: vi.fn(() => Promise.resolve()),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("derives every session on the first run", async () => {
+    storage[MANIFEST_KEY] = {
+      lastTimestamp: 10_300,
+      chunks: [{ index: 0, from: 10_000, to: 10_300 }],
+    };
+    storage[CHUNK_KEY] = [sub(1, 10_000), sub(2, 10_300, "Accepted")];
+    storage[VISIT_LOG_KEY] = [{ slug: "two-sum", ts: 9500 }];
+
+    await expect(updateAttemptSessions("alice")).resolves.toEqual({
+      updated: 1,
+    });
+
+    expect(mockDB.deleteAttemptSessions).toHaveBeenCalledWith("alice");
+    expect(mockDB.getLatestAttemptSession).not.toHaveBeenCalled();
+    const [[sessions]] = mockDB.storeAttemptSessions.mock.calls;
+    expect(sessions[0]).toMatchObject({
+      startedAt: 9500,
+      submissionIds: ["1", "2"],
+      endedInAccepted: true,
+    });
+    expect(storage[MANIFEST_KEY].sessionsThrough).toBe(10_300);
+  });
+
+  it("only groups submissions newer than the cursor", async () => {
+    storage[MANIFEST_KEY] = {
+      lastTimestamp: 10_600,
+      sessionsThrough: 10_300,
+      chunks: [{ index: 0, from: 10_000, to: 10_600 }],
+    };
+    storage[CHUNK_KEY] = [
+      sub(1, 10_000),
+      sub(2, 10_300),
+      sub(3, 10_600, "Accepted"),
+    ];
+    mockDB.getLatestAttemptSession.mockResolvedValue({
+      id: "alice_two-sum_1",
+      startedAt: 9800,
+      lastSubmissionAt: 10_300,
+      submissionIds: ["1", "2"],
+      verdicts: ["Wrong Answer", "Wrong Answer"],
+    });
+
+    await updateAttemptSessions("alice");
+
+    expect(mockDB.deleteAttemptSessions).not.toHaveBeenCalled();
+    expect(mockDB.getLatestAttemptSession).toHaveBeenCalledWith(
+      "alice",
+      "two-sum"
+    );
+    const [[sessions]] = mockDB.storeAttemptSessions.mock.calls;
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].submissionIds).toEqual(["1", "2", "3"]);
+    expect(storage[MANIFEST_KEY].sessionsThrough).toBe(10_600);
+  });
+
+  it("does nothing when sessions are up to date", async () => {
+    storage[MANIFEST_KEY] = { lastTimestamp: 10_300, sessionsThrough: 10_300 };
+
+    await expect(updateAttemptSessions("alice")).resolves.toEqual({
+      updated: 0,
+    });
+    expect(getDBInstance).not.toHaveBeenCalled();
+  });
+
+  it("skips without LeetTrackerDB", async () => {
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+    storage[MANIFEST_KEY] = { lastTimestamp: 10_300 };
+
+    await expect(updateAttemptSessions("alice")).resolves.toEqual({
+      updated: 0,
+    });
+    expect(storage[MANIFEST_KEY].sessionsThrough).toBeUndefined();
+  });
+
+  it("does not throw when storing fails", async () => {
+    storage[MANIFEST_KEY] = {
+      lastTimestamp: 10_000,
+      chunks: [{ index: 0, from: 10_000, to: 10_000 }],
+    };
+    storage[CHUNK_KEY] = [sub(1, 10_000)];
+    mockDB.storeAttemptSessions.mockRejectedValue(new Error("quota"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(updateAttemptSessions("alice")).resolves.toEqual({
+      updated: 0,
+    });
+    expect(storage[MANIFEST_KEY].sessionsThrough).toBeUndefined();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,73 @@
+// src/leetcode/background-sync.js
+import { keys, store } from "../core/config.js";
+import { clearUserInfoCache, getUserInfoWithCache } from "./api.js";
+import { syncSubmissions } from "./sync.js";
+
+// Periodic sync from the background service worker, so submissions made
+// elsewhere (another machine, the mobile app) arrive without a LeetCode tab
+// open. Requests to leetcode.com carry the user's cookies through the host
+// permission, and the sync shares the chrome.storage lock and layout with the
+// content script, so the two never run at the same time.
+//
+// The service worker cannot reach LeetTrackerDB, so background syncs store
+// submissions without journeys, runs or hints (there are none without a tab)
+// and leave problem descriptions to the re-enrichment queue.
+//
+// The worker has no LeetCode page to pick a site from, so it syncs the
+// leetcode.com account only; leetcode.cn accounts sync from their tabs.
+
+export const BACKGROUND_SYNC_ALARM = "leettracker_background_sync";
+export const BACKGROUND_SYNC_PERIOD_MINUTES = 30;
+
+/**
+ * Create the periodic sync alarm unless it already exists.
+ */
+export async function ensureBackgroundSyncAlarm() {
+  if (await chrome.alarms.get(BACKGROUND_SYNC_ALARM)) return;
+  await chrome.alarms.create(BACKGROUND_SYNC_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: BACKGROUND_SYNC_PERIOD_MINUTES,
+  });
+}
+
+async function syncSignedInUser() {
+  // Never sync before the user has used the extension on leetcode.com: the
+  // first sync and the welcome toast belong to the LeetCode tab
+  if (!(await store.get("lt_has_signed_in", false))) {
+    return { status: "skipped_never_signed_in" };
+  }
+
+  // The worker outlives sign-outs and account switches
+  clearUserInfoCache();
+  const { username, signInFailed } = await getUserInfoWithCache(1);
+  if (!username || signInFailed) {
+    return { status: "skipped_signed_out" };
+  }
+
+  const result = await syncSubmissions(username, { trigger: "background" });
+  if (result?.success) {
+    return { status: "synced", username, newSolves: result.newSolves };
+  }
+  return {
+    status: result?.error === "lock_held" ? "lock_held" : "failed",
+    username,
+    error: result?.error ?? null,
+  };
+}
+
+/**
+ * Run one background sync, unless a LeetCode tab is open (that tab syncs
+ * every minute with its local data). Records the outcome under
+ * keys.backgroundSync.
+ * @param {{hasLeetCodeTab: boolean}} options
+ * @returns {Promise<{status: string, username?: string}>}
+ */
+export async function runBackgroundSync({ hasLeetCodeTab }) {
+  const outcome = hasLeetCodeTab
+    ? { status: "skipped_tab_open" }
+    : await syncSignedInUser();
+
+  await store.set(keys.backgroundSync, { ...outcome, at: Date.now() });
+  console.log("[LeetTracker][Background] Background sync:", outcome);
+  return outcome;
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  BACKGROUND_SYNC_ALARM,
+  ensureBackgroundSyncAlarm,
+  runBackgroundSync,
+} from "./background-sync.js";
+import { clearUserInfoCache, getUserInfoWithCache } from "./api.js";
+import { syncSubmissions } from "./sync.js";
+
+vi.mock("./sync.js", () => ({
+  syncSubmissions: vi.fn(),
+}));
+
+vi.mock("./api.js", () => ({
+  clearUserInfoCache: vi.fn(),
+  getUserInfoWithCache: vi.fn(),
+}));
+
+describe("runBackgroundSync", () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    storage = { lt_has_signed_in: true };
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+    vi.mocked(getUserInfoWithCache).mockResolvedValue({
+      userId: "1",
+      username: "testuser",
+      signInFailed: false,
+    });
+  });
+
+  it("syncs the signed-in user and records the outcome", async () => {
+    vi.mocked(syncSubmissions).mockResolvedValue({
+      success: true,
+      newSolves: 2,
+      solves: [],
+    });
+
+    const outcome = await runBackgroundSync({ hasLeetCodeTab: false });
+
+    expect(clearUserInfoCache).toHaveBeenCalled();
+    expect(syncSubmissions).toHaveBeenCalledWith("testuser", {
+      trigger: "background",
+    });
+    expect(outcome).toEqual({
+      status: "synced",
+      username: "testuser",
+      newSolves: 2,
+    });
+    expect(storage.leettracker_background_sync).toEqual({
+      ...outcome,
+      at: expect.any(Number),
+    });
+  });
+
+  it("leaves syncing to an open LeetCode tab", async () => {
+    const outcome = await runBackgroundSync({ hasLeetCodeTab: true });
+
+    expect(outcome.status).toBe("skipped_tab_open");
+    expect(getUserInfoWithCache).not.toHaveBeenCalled();
+    expect(syncSubmissions).not.toHaveBeenCalled();
+  });
+
+  it("waits for the first sign-in on leetcode.com", async () => {
+    storage = {};
+
+    const outcome = await runBackgroundSync({ hasLeetCodeTab: false });
+
+    expect(outcome.status).toBe("skipped_never_signed_in");
+    expect(syncSubmissions).not.toHaveBeenCalled();
+  });
+
+  it("skips when nobody is signed in", async () => {
+    vi.mocked(getUserInfoWithCache).mockResolvedValue({
+      userId: null,
+      username: null,
+      signInFailed: true,
+    });
+
+    const outcome = await runBackgroundSync({ hasLeetCodeTab: false });
+
+    expect(outcome.status).toBe("skipped_signed_out");
+    expect(syncSubmissions).not.toHaveBeenCalled();
+  });
+
+  it("reports a sync already running elsewhere", async () => {
+    vi.mocked(syncSubmissions).mockResolvedValue({
+      success: false,
+      error: "lock_held",
+    });
+
+    const outcome = await runBackgroundSync({ hasLeetCodeTab: false });
+
+    expect(outcome).toEqual({
+      status: "lock_held",
+      username: "testuser",
+      error: "lock_held",
+    });
+  });
+});
+
+describe("ensureBackgroundSyncAlarm", () => {
+  beforeEach(() => {
+    global.chrome.alarms = { get: vi.fn(), create: vi.fn() };
+  });
+
+  it("creates the periodic alarm once", async () => {
+    await ensureBackgroundSyncAlarm();
+    expect(chrome.alarms.create).toHaveBeenCalledWith(BACKGROUND_SYNC_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: 30,
+    });
+
+    chrome.alarms.get.mockResolvedValue({ name: BACKGROUND_SYNC_ALARM });
+    chrome.alarms.create.mockClear();
+    await ensureBackgroundSyncAlarm();
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,11 @@
 // src/leetcode/database.js
-import { keys, store } from "../core/config.js";
-import { fetchProblemDescription, getUserInfoWithCache } from "./api.js";
-
-const PKEY = keys.problemIdMap;
+import { getDBInstance } from "../core/db-instance.js";
+import {
+  fetchProblemDescription,
+  getUserInfoWithCache,
+  parseProblemMetadata,
+} from "./api.js";
+import { problemSlugFromPath } from "./platform.js";
 
 // In-memory slug -> questionId cache for this content-script lifetime
 const slugToId = new Map();
@@ -51,15 +54,15 @@ export async function exploreLeetCodeIndexedDB() {
  * Extract current problem slug from location pathname.
  */
 export function getCurrentProblemSlug() {
-  const m = window.location.pathname.match(/^\/problems\/([^/]+)\/?/);
-  return m ? m[1] : null;
+  return problemSlugFromPath(window.location.pathname);
 }
 
 /**
  * Resolve slug -> questionId with layered caching:
  * 1) in-memory Map
- * 2) chrome.storage at key problemIdMap
- * 3) network fetch via fetchProblemDescription; falls back to local GraphQL call
+ * 2) problem catalog in LeetTrackerDB
+ * 3) network fetch via fetchProblemDescription (the whole record is stored
+ *    in the catalog, so the description is not fetched again at sync time)
  */
 export async function getProblemIdFromSlug(problemSlug) {
   if (!problemSlug) return null;
@@ -69,18 +72,18 @@ export async function getProblemIdFromSlug(problemSlug) {
     return slugToId.get(problemSlug);
   }
 
-  // 2) Persistent cache
-  let storedMap = {};
+  // 2) Problem catalog
   try {
-    storedMap = (await store.get(PKEY, {})) || {};
-    if (storedMap[problemSlug]) {
-      const pid = storedMap[problemSlug];
-      slugToId.set(problemSlug, pid);
-      return pid;
+    const problem = await (await getDBInstance()).getProblem(problemSlug);
+    if (problem?.questionId) {
+      slugToId.set(problemSlug, problem.questionId);
+      return problem.questionId;
     }
   } catch (_e) {
     // continue to network fetch
-  } // 3) Network fetch for question detail
+  }
+
+  // 3) Network fetch for question detail
   let question = null;
   try {
     question = await fetchProblemDescription(problemSlug);
@@ -104,9 +107,18 @@ export async function getProblemIdFromSlug(problemSlug) {
   // Update caches
   slugToId.set(problemSlug, problemId);
   try {
-    const persisted = (await store.get(PKEY, {})) || {};
-    persisted[problemSlug] = problemId;
-    await store.set(PKEY, persisted);
+    await (
+      await getDBInstance()
+    ).upsertProblem(problemSlug, {
+      questionId: problemId,
+      title: question.title ?? null,
+      ...(question.content
+        ? { description: question.content, descriptionFetchedAt: Date.now() }
+        : {}),
+      ...(question.difficulty
+        ? { ...parseProblemMetadata(question), metadataFetchedAt: Date.now() }
+        : {}),
+    });
     console.log(
       `[LeetTracker] Cached problem ID mapping: ${problemSlug} -> ${problemId}`
     );
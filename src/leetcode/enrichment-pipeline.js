@@ -0,0 +1,189 @@
+// src/leetcode/enrichment-pipeline.js
+
+export const STEP_STATUS = {
+  OK: "ok",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+// Rejects once `timeoutMs` is exceeded, aborting `controller` first so the
+// step stops its fetches and leaves the submission alone
+function withTimeout(promise, timeoutMs, controller) {
+  if (!timeoutMs) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`timed out after ${timeoutMs}ms`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Registry of the steps that enrich a synced submission (see
+ * enrichSubmission in sync.js). A step is
+ *
+ *   {
+ *     name,              // also the key of its status on the submission
+ *     dependsOn: [],     // steps that must finish first (registered earlier)
+ *     timeoutMs: null,   // counted as failed once exceeded
+ *     nonAccepted: false,// run for non-Accepted submissions too
+ *     retry: false,      // a failure queues the submission for re-enrichment
+ *     run(sub, ctx),     // resolves with nothing when done, or with
+ *                        // { status: "skipped" | "failed", reason }
+ *   }
+ *
+ * Steps run in waves: each wave holds the steps whose dependencies finished
+ * in earlier waves, and runs them in parallel. A step that throws or times out
+ * has failed. A timed-out step's `ctx.signal` aborts: it passes the signal to
+ * its fetches and calls `ctx.signal.throwIfAborted()` before changing `sub`
+ * or `ctx` after an await, so late work is dropped. A step only runs once its
+ * dependencies have finished: ok, or skipped by their own result (nothing to
+ * record). Otherwise it is skipped as "dependency_failed", and retried later
+ * if the dependency that failed is. Steps share `ctx`, the caller's context
+ * plus `halt(reason)`, which skips every step not started yet, and
+ * `statusOf(name)`; each step also gets its own `signal`.
+ */
+export function createEnrichmentPipeline(steps = []) {
+  const registry = new Map(); // name -> step, in registration order
+  const waveOf = new Map(); // name -> wave index
+
+  function register(step) {
+    if (!step?.name || typeof step.run !== "function") {
+      throw new Error("An enrichment step needs a name and a run function");
+    }
+    if (registry.has(step.name)) {
+      throw new Error(`Enrichment step "${step.name}" is already registered`);
+    }
+    const dependsOn = step.dependsOn || [];
+    for (const dep of dependsOn) {
+      // Registering dependencies first also rules out cycles
+      if (!registry.has(dep)) {
+        throw new Error(
+          `Enrichment step "${step.name}" depends on unknown step "${dep}"`
+        );
+      }
+    }
+
+    registry.set(step.name, {
+      timeoutMs: null,
+      nonAccepted: false,
+      retry: false,
+      ...step,
+      dependsOn,
+    });
+    waveOf.set(
+      step.name,
+      dependsOn.reduce((wave, dep) => Math.max(wave, waveOf.get(dep) + 1), 0)
+    );
+  }
+
+  function waves(names) {
+    const grouped = [];
+    for (const name of names) {
+      const wave = waveOf.get(name);
+      (grouped[wave] = grouped[wave] || []).push(registry.get(name));
+    }
+    return grouped.filter(Boolean);
+  }
+
+  /**
+   * Run the steps on `sub` and merge their statuses into
+   * `sub.enrichmentStatus`. With `only`, just the named steps run (e.g. the
+   * ones a re-enrichment retries) and other statuses are kept.
+   * @returns {Promise<{statuses: object, reasons: object, missing: string[]}>}
+   *   `missing` lists the failed steps that are retried later, and the steps
+   *   skipped because one of those failed
+   */
+  async function run(sub, context = {}, { only } = {}) {
+    const names = only
+      ? [...registry.keys()].filter((name) => only.includes(name))
+      : [...registry.keys()];
+    const statuses = {};
+    const reasons = {};
+    // Steps whose run() resolved without failing, and skipped steps that are
+    // retried along with a failed dependency
+    const finished = new Set();
+    const retriedSkips = new Set();
+    let haltReason = null;
+
+    const ctx = {
+      ...context,
+      halt(reason) {
+        haltReason = haltReason || reason || "halted";
+      },
+      statusOf: (name) => statuses[name] ?? null,
+    };
+
+    const skip = (step, reason) => {
+      statuses[step.name] = STEP_STATUS.SKIPPED;
+      reasons[step.name] = reason;
+    };
+
+    // A dependency outside this run (see `only`) counts unless it had failed
+    const unfinishedDependencies = (step) =>
+      step.dependsOn.filter((dep) =>
+        names.includes(dep)
+          ? !finished.has(dep)
+          : sub.enrichmentStatus?.[dep] === STEP_STATUS.FAILED
+      );
+    const isRetried = (name) =>
+      retriedSkips.has(name) ||
+      (registry.get(name).retry && statuses[name] === STEP_STATUS.FAILED);
+
+    for (const wave of waves(names)) {
+      await Promise.all(
+        wave.map(async (step) => {
+          if (haltReason) return skip(step, haltReason);
+          if (!step.nonAccepted && sub.statusDisplay !== "Accepted") {
+            return skip(step, "not_accepted");
+          }
+          const unfinished = unfinishedDependencies(step);
+          if (unfinished.length > 0) {
+            if (unfinished.some(isRetried)) {
+              retriedSkips.add(step.name);
+            }
+            return skip(step, "dependency_failed");
+          }
+
+          const controller = new AbortController();
+          const stepCtx = { ...ctx, signal: controller.signal };
+          try {
+            const result = await withTimeout(
+              Promise.resolve().then(() => step.run(sub, stepCtx)),
+              step.timeoutMs,
+              controller
+            );
+            statuses[step.name] = result?.status || STEP_STATUS.OK;
+            if (result?.reason) reasons[step.name] = result.reason;
+            if (statuses[step.name] !== STEP_STATUS.FAILED) {
+              finished.add(step.name);
+            }
+          } catch (error) {
+            statuses[step.name] = STEP_STATUS.FAILED;
+            reasons[step.name] = error?.message || String(error);
+            console.warn(
+              `[LeetTracker] Enrichment step ${step.name} failed for submission ${sub.id} (${sub.titleSlug}):`,
+              error
+            );
+          }
+        })
+      );
+    }
+
+    sub.enrichmentStatus = { ...sub.enrichmentStatus, ...statuses };
+    const missing = names.filter(isRetried);
+    return { statuses, reasons, missing };
+  }
+
+  steps.forEach(register);
+
+  return {
+    register,
+    run,
+    /** Registered steps, in registration order. */
+    steps: () => [...registry.values()],
+  };
+}
@@ -0,0 +1,269 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createEnrichmentPipeline } from "./enrichment-pipeline.js";
+
+const accepted = () => ({
+  id: "1",
+  titleSlug: "two-sum",
+  statusDisplay: "Accepted",
+});
+
+describe("createEnrichmentPipeline", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("runs steps after their dependencies and in parallel otherwise", async () => {
+    const order = [];
+    const step = (name, dependsOn = []) => ({
+      name,
+      dependsOn,
+      async run() {
+        order.push(`${name}:start`);
+        await Promise.resolve();
+        order.push(`${name}:end`);
+      },
+    });
+    const pipeline = createEnrichmentPipeline([
+      step("premium"),
+      step("description", ["premium"]),
+      step("code", ["premium"]),
+      step("hints", ["code"]),
+    ]);
+
+    const sub = accepted();
+    await pipeline.run(sub);
+
+    expect(order).toEqual([
+      "premium:start",
+      "premium:end",
+      "description:start",
+      "code:start",
+      "description:end",
+      "code:end",
+      "hints:start",
+      "hints:end",
+    ]);
+    expect(sub.enrichmentStatus).toEqual({
+      premium: "ok",
+      description: "ok",
+      code: "ok",
+      hints: "ok",
+    });
+  });
+
+  it("records failures, skips and timeouts, and reports retried failures", async () => {
+    vi.useFakeTimers();
+    const pipeline = createEnrichmentPipeline([
+      {
+        name: "description",
+        retry: true,
+        run: async () => ({ status: "failed", reason: "fetch_failed" }),
+      },
+      {
+        name: "code",
+        retry: true,
+        run: async () => {
+          throw new Error("HTTP 500");
+        },
+      },
+      {
+        name: "note",
+        timeoutMs: 1000,
+        run: () => new Promise(() => {}),
+      },
+      { name: "journey", run: async () => ({ status: "skipped" }) },
+    ]);
+
+    const sub = accepted();
+    const running = pipeline.run(sub);
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await running;
+
+    expect(result.statuses).toEqual({
+      description: "failed",
+      code: "failed",
+      note: "failed",
+      journey: "skipped",
+    });
+    expect(result.reasons).toMatchObject({
+      description: "fetch_failed",
+      code: "HTTP 500",
+      note: "timed out after 1000ms",
+    });
+    expect(result.missing).toEqual(["description", "code"]);
+  });
+
+  it("aborts a timed-out step so its late work is dropped", async () => {
+    vi.useFakeTimers();
+    let signal;
+    const pipeline = createEnrichmentPipeline([
+      {
+        name: "code",
+        timeoutMs: 1000,
+        async run(sub, ctx) {
+          signal = ctx.signal;
+          await new Promise((resolve) => setTimeout(resolve, 5000));
+          ctx.signal.throwIfAborted();
+          sub.code = "late";
+        },
+      },
+    ]);
+
+    const sub = accepted();
+    const running = pipeline.run(sub);
+    await vi.advanceTimersByTimeAsync(1000);
+    const { statuses } = await running;
+    await vi.advanceTimersByTimeAsync(4000);
+
+    expect(statuses.code).toBe("failed");
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.message).toBe("timed out after 1000ms");
+    expect(sub.code).toBeUndefined();
+  });
+
+  it("skips steps that do not apply to non-Accepted submissions", async () => {
+    const journey = vi.fn();
+    const code = vi.fn();
+    const pipeline = createEnrichmentPipeline([
+      { name: "code", nonAccepted: true, run: code },
+      { name: "journey", run: journey },
+    ]);
+
+    const sub = { ...accepted(), statusDisplay: "Wrong Answer" };
+    const { reasons } = await pipeline.run(sub);
+
+    expect(code).toHaveBeenCalled();
+    expect(journey).not.toHaveBeenCalled();
+    expect(sub.enrichmentStatus).toEqual({ code: "ok", journey: "skipped" });
+    expect(reasons.journey).toBe("not_accepted");
+  });
+
+  it("skips the remaining steps once a step halts", async () => {
+    const description = vi.fn();
+    const pipeline = createEnrichmentPipeline([
+      { name: "premium", run: (_sub, ctx) => ctx.halt("premium_problem") },
+      { name: "description", dependsOn: ["premium"], run: description },
+    ]);
+
+    const { statuses, reasons } = await pipeline.run(accepted());
+
+    expect(description).not.toHaveBeenCalled();
+    expect(statuses).toEqual({ premium: "ok", description: "skipped" });
+    expect(reasons.description).toBe("premium_problem");
+  });
+
+  it("skips steps whose dependencies did not finish", async () => {
+    const description = vi.fn();
+    const note = vi.fn();
+    const hints = vi.fn();
+    const pipeline = createEnrichmentPipeline([
+      {
+        name: "premium",
+        retry: true,
+        run: async () => {
+          throw new Error("HTTP 500");
+        },
+      },
+      { name: "description", dependsOn: ["premium"], run: description },
+      { name: "journey", run: async () => ({ status: "skipped" }) },
+      { name: "note", run: async () => ({ status: "failed" }) },
+      { name: "hints", dependsOn: ["journey"], run: hints },
+      { name: "runs", dependsOn: ["note"], run: note },
+    ]);
+
+    const { statuses, reasons, missing } = await pipeline.run(accepted());
+
+    expect(description).not.toHaveBeenCalled();
+    expect(note).not.toHaveBeenCalled();
+    // A step that ran and had nothing to record still counts as finished
+    expect(hints).toHaveBeenCalled();
+    expect(statuses).toMatchObject({
+      description: "skipped",
+      hints: "ok",
+      runs: "skipped",
+    });
+    expect(reasons).toMatchObject({
+      description: "dependency_failed",
+      runs: "dependency_failed",
+    });
+    // Only dependents of a retried step are retried with it
+    expect(missing).toEqual(["premium", "description"]);
+  });
+
+  it("skips a requested step whose dependency failed in an earlier run", async () => {
+    const code = vi.fn();
+    const pipeline = createEnrichmentPipeline([
+      { name: "premium", run: vi.fn() },
+      { name: "code", dependsOn: ["premium"], retry: true, run: code },
+    ]);
+    const sub = {
+      ...accepted(),
+      enrichmentStatus: { premium: "failed", code: "skipped" },
+    };
+
+    const { reasons } = await pipeline.run(sub, {}, { only: ["code"] });
+
+    expect(code).not.toHaveBeenCalled();
+    expect(reasons.code).toBe("dependency_failed");
+  });
+
+  it("runs only the requested steps and keeps the other statuses", async () => {
+    const premium = vi.fn();
+    const pipeline = createEnrichmentPipeline([
+      { name: "premium", run: premium },
+      { name: "code", dependsOn: ["premium"], retry: true, run: vi.fn() },
+    ]);
+    const sub = {
+      ...accepted(),
+      enrichmentStatus: { premium: "ok", code: "failed" },
+    };
+
+    const { missing } = await pipeline.run(sub, {}, { only: ["code"] });
+
+    expect(premium).not.toHaveBeenCalled();
+    expect(missing).toEqual([]);
+    expect(sub.enrichmentStatus).toEqual({ premium: "ok", code: "ok" });
+  });
+
+  it("shares the context between steps", async () => {
+    const pipeline = createEnrichmentPipeline([
+      {
+        name: "solveWindow",
+        run: (_sub, ctx) => ctx.startCandidatesMs.push(1000),
+      },
+      {
+        name: "runs",
+        dependsOn: ["solveWindow"],
+        run: (sub, ctx) => {
+          sub.windowStart = Math.min(...ctx.startCandidatesMs);
+          expect(ctx.statusOf("solveWindow")).toBe("ok");
+        },
+      },
+    ]);
+
+    const sub = accepted();
+    await pipeline.run(sub, { startCandidatesMs: [] });
+    expect(sub.windowStart).toBe(1000);
+    expect(sub.enrichmentStatus.runs).toBe("ok");
+  });
+
+  it("rejects duplicate steps and unknown dependencies", () => {
+    const pipeline = createEnrichmentPipeline([{ name: "code", run() {} }]);
+
+    expect(() => pipeline.register({ name: "code", run() {} })).toThrow(
+      "already registered"
+    );
+    expect(() =>
+      pipeline.register({ name: "hints", dependsOn: ["journey"], run() {} })
+    ).toThrow('depends on unknown step "journey"');
+    expect(() => pipeline.register({ name: "note" })).toThrow(
+      "needs a name and a run function"
+    );
+    expect(pipeline.steps().map((step) => step.name)).toEqual(["code"]);
+  });
+});
@@ -0,0 +1,108 @@
+// src/leetcode/platform.js
+
+// LeetCode runs two sites: the global leetcode.com and leetcode.cn. Both
+// serve the same pages and a GraphQL API of the same lineage, but with their
+// own endpoint, accounts and cookies, and a few query shapes of their own
+// (see the `platform.id === "cn"` branches in api.js).
+//
+// A content script belongs to exactly one site, picked from its hostname. The
+// background service worker has no LeetCode hostname and works with
+// leetcode.com.
+
+export const PLATFORMS = {
+  com: {
+    id: "com",
+    host: "leetcode.com",
+    origin: "https://leetcode.com",
+    graphqlUrl: "https://leetcode.com/graphql/",
+    tabUrlPattern: "https://leetcode.com/*",
+    accountSuffix: "",
+  },
+  cn: {
+    id: "cn",
+    host: "leetcode.cn",
+    origin: "https://leetcode.cn",
+    graphqlUrl: "https://leetcode.cn/graphql/",
+    tabUrlPattern: "https://leetcode.cn/*",
+    accountSuffix: "@leetcode.cn",
+  },
+};
+
+export const DEFAULT_PLATFORM_ID = "com";
+
+const PROBLEM_PATH = /^\/problems\/([^/]+)\/?/;
+
+let currentPlatform = null;
+
+/**
+ * The platform served from `hostname`, or null if it is not a LeetCode site.
+ */
+export function platformForHost(hostname) {
+  return Object.values(PLATFORMS).find((p) => p.host === hostname) || null;
+}
+
+/**
+ * The platform this script talks to: the site of the current page, otherwise
+ * leetcode.com.
+ */
+export function getPlatform() {
+  if (!currentPlatform) {
+    currentPlatform =
+      platformForHost(globalThis.location?.hostname) ||
+      PLATFORMS[DEFAULT_PLATFORM_ID];
+  }
+  return currentPlatform;
+}
+
+/**
+ * Override the detected platform (tests, or a worker syncing another site).
+ * @param {"com"|"cn"|null} id - null goes back to detecting it
+ */
+export function setPlatform(id) {
+  if (id !== null && !PLATFORMS[id]) {
+    throw new Error(`Unknown LeetCode platform: ${id}`);
+  }
+  currentPlatform = id === null ? null : PLATFORMS[id];
+}
+
+/**
+ * The name LeetTracker stores an account's data under. leetcode.com accounts
+ * keep their plain username, so data synced before leetcode.cn support stays
+ * where it is. leetcode.cn accounts get a suffix ("alice@leetcode.cn"),
+ * which keeps their chrome.storage keys apart from a leetcode.com account of
+ * the same name.
+ */
+export function accountId(username, platform = getPlatform()) {
+  return `${username}${platform.accountSuffix}`;
+}
+
+/**
+ * The platform an account id (see accountId) belongs to.
+ */
+export function platformOfAccount(id) {
+  const match = Object.values(PLATFORMS).find(
+    (p) => p.accountSuffix && String(id).endsWith(p.accountSuffix)
+  );
+  return match || PLATFORMS[DEFAULT_PLATFORM_ID];
+}
+
+/**
+ * The LeetCode username inside an account id.
+ */
+export function usernameOfAccount(id) {
+  const { accountSuffix } = platformOfAccount(id);
+  return accountSuffix ? id.slice(0, -accountSuffix.length) : id;
+}
+
+/**
+ * The problem slug in a LeetCode path ("/problems/two-sum/description/"), or
+ * null outside problem pages. Both sites use the same paths.
+ */
+export function problemSlugFromPath(pathname) {
+  const m = (pathname || "").match(PROBLEM_PATH);
+  return m ? m[1] : null;
+}
+
+export function isProblemPath(pathname) {
+  return (pathname || "").startsWith("/problems/");
+}
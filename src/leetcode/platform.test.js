@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  accountId,
+  getPlatform,
+  platformForHost,
+  platformOfAccount,
+  PLATFORMS,
+  problemSlugFromPath,
+  setPlatform,
+  usernameOfAccount,
+} from "./platform.js";
+
+describe("platform", () => {
+  afterEach(() => {
+    setPlatform(null);
+  });
+
+  it("recognizes both LeetCode sites", () => {
+    expect(platformForHost("leetcode.com")).toBe(PLATFORMS.com);
+    expect(platformForHost("leetcode.cn")).toBe(PLATFORMS.cn);
+    expect(platformForHost("example.com")).toBeNull();
+  });
+
+  it("falls back to leetcode.com away from LeetCode", () => {
+    expect(getPlatform()).toBe(PLATFORMS.com);
+    setPlatform("cn");
+    expect(getPlatform()).toBe(PLATFORMS.cn);
+    expect(() => setPlatform("jp")).toThrow("Unknown LeetCode platform");
+  });
+
+  it("keeps leetcode.com usernames and namespaces leetcode.cn ones", () => {
+    expect(accountId("alice", PLATFORMS.com)).toBe("alice");
+    expect(accountId("alice", PLATFORMS.cn)).toBe("alice@leetcode.cn");
+
+    expect(platformOfAccount("alice")).toBe(PLATFORMS.com);
+    expect(platformOfAccount("alice@leetcode.cn")).toBe(PLATFORMS.cn);
+    expect(usernameOfAccount("alice@leetcode.cn")).toBe("alice");
+    expect(usernameOfAccount("alice")).toBe("alice");
+  });
+
+  it("reads the problem slug from a path", () => {
+    expect(problemSlugFromPath("/problems/two-sum/")).toBe("two-sum");
+    expect(problemSlugFromPath("/problems/two-sum/description/")).toBe(
+      "two-sum"
+    );
+    expect(problemSlugFromPath("/problemset/all/")).toBeNull();
+    expect(problemSlugFromPath(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+// src/leetcode/sync-history.js
+import { keys, store } from "../core/config.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
+
+// Every syncSubmissions run leaves one record in the `syncRuns` store, so a
+// sync that lost its lock, found nothing or failed halfway can be diagnosed
+// after the fact. Runs from the background service worker, which cannot reach
+// LeetTrackerDB, wait in chrome.storage until a LeetCode tab records a run.
+
+export const SYNC_HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const SYNC_HISTORY_MAX_RUNS = 500;
+const MAX_PENDING_RUNS = 50;
+
+/**
+ * A new run record. syncSubmissions fills in the lock result, stage, counts
+ * and audit result as it goes.
+ * @param {string} username
+ * @param {{sessionId: string, trigger?: string|null, now?: number}} options
+ */
+export function startSyncRun(
+  username,
+  { sessionId, trigger = null, now = Date.now() }
+) {
+  return {
+    id: `${username}_${now}_${sessionId}`,
+    username,
+    sessionId,
+    trigger, // "initial", "interval", "submission", "web_app", "background"
+    startedAt: now,
+    endedAt: null,
+    durationMs: null,
+    lock: null, // "acquired" | "held"
+    stage: "lock", // last stage reached; where an error happened
+    audit: null, // only the first sync of a page load audits stored data
+    counts: {
+      fetched: 0,
+      enriched: 0,
+      queuedForBackfill: 0,
+      backfilled: 0,
+      reenriched: 0,
+      metadataBackfilled: 0,
+      sessionsUpdated: 0,
+    },
+    outcome: null, // "synced" | "lock_held" | "reset" | "failed"
+    error: null, // { stage, message }
+  };
+}
+
+/**
+ * Complete a run record from the syncSubmissions result.
+ */
+export function finishSyncRun(run, result, now = Date.now()) {
+  run.endedAt = now;
+  run.durationMs = now - run.startedAt;
+
+  if (result?.success) {
+    run.outcome = "synced";
+    run.stage = "done";
+  } else if (result?.error === "lock_held") {
+    run.outcome = "lock_held";
+  } else {
+    run.outcome = result?.error === "reset_due_to_audit" ? "reset" : "failed";
+    run.error = run.error || {
+      stage: run.stage,
+      message: result?.error || "unknown error",
+    };
+  }
+  return run;
+}
+
+async function queuePendingRun(run) {
+  try {
+    const pending = (await store.get(keys.pendingSyncRuns, [])) || [];
+    await store.set(
+      keys.pendingSyncRuns,
+      [...pending, run].slice(-MAX_PENDING_RUNS)
+    );
+  } catch (e) {
+    console.warn("[LeetTracker] Failed to keep sync run for later:", e);
+  }
+}
+
+/**
+ * Store a finished run, along with any runs waiting in chrome.storage, and
+ * prune old history. Never throws.
+ */
+export async function recordSyncRun(run) {
+  if (!isDBAvailable()) {
+    await queuePendingRun(run);
+    return;
+  }
+
+  try {
+    const db = await getDBInstance();
+    const pending = (await store.get(keys.pendingSyncRuns, [])) || [];
+    for (const earlier of pending) {
+      await db.storeSyncRun(earlier);
+    }
+    await db.storeSyncRun(run);
+    if (pending.length > 0) {
+      await store.remove(keys.pendingSyncRuns);
+    }
+    await pruneSyncHistory();
+  } catch (e) {
+    console.warn("[LeetTracker] Failed to record sync run:", e);
+    await queuePendingRun(run);
+  }
+}
+
+/**
+ * Most recent runs, newest first. Without a username, runs of every user.
+ */
+export async function listSyncRuns(username, limit = 50) {
+  const db = await getDBInstance();
+  return db.getRecentSyncRuns(username, limit);
+}
+
+/**
+ * Delete runs older than `maxAgeMs` and any beyond the newest `maxRuns`.
+ * @returns {Promise<number>} runs deleted
+ */
+export async function pruneSyncHistory({
+  maxAgeMs = SYNC_HISTORY_MAX_AGE_MS,
+  maxRuns = SYNC_HISTORY_MAX_RUNS,
+  now = Date.now(),
+} = {}) {
+  const db = await getDBInstance();
+  return db.pruneSyncRuns(now - maxAgeMs, maxRuns);
+}
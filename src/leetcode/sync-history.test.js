@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  finishSyncRun,
+  pruneSyncHistory,
+  recordSyncRun,
+  startSyncRun,
+  SYNC_HISTORY_MAX_AGE_MS,
+  SYNC_HISTORY_MAX_RUNS,
+} from "./sync-history.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
+
+vi.mock("../core/db-instance.js", () => ({
+  getDBInstance: vi.fn(),
+  isDBAvailable: vi.fn(() => true),
+}));
+
+const PENDING_KEY = "leettracker_pending_sync_runs";
+
+describe("startSyncRun / finishSyncRun", () => {
+  it("records a successful run", () => {
+    const run = startSyncRun("alice", {
+      sessionId: "s1",
+      trigger: "interval",
+      now: 1000,
+    });
+    expect(run).toMatchObject({
+      id: "alice_1000_s1",
+      username: "alice",
+      trigger: "interval",
+      startedAt: 1000,
+      stage: "lock",
+    });
+
+    run.lock = "acquired";
+    run.stage = "metadata";
+    finishSyncRun(run, { success: true, newSubmissions: 0 }, 4000);
+    expect(run).toMatchObject({
+      endedAt: 4000,
+      durationMs: 3000,
+      stage: "done",
+      outcome: "synced",
+      error: null,
+    });
+  });
+
+  it("keeps the stage a failed run stopped at", () => {
+    const run = startSyncRun("alice", { sessionId: "s1", now: 1000 });
+    run.stage = "enrich";
+    finishSyncRun(run, { success: false, error: "Lost lock ownership" }, 2000);
+    expect(run).toMatchObject({
+      outcome: "failed",
+      error: { stage: "enrich", message: "Lost lock ownership" },
+    });
+  });
+
+  it("tells a held lock and an audit reset apart from failures", () => {
+    const held = startSyncRun("alice", { sessionId: "s1" });
+    held.lock = "held";
+    expect(
+      finishSyncRun(held, { success: false, error: "lock_held" })
+    ).toMatchObject({ outcome: "lock_held", error: null });
+
+    const reset = startSyncRun("alice", { sessionId: "s1" });
+    reset.stage = "audit";
+    expect(
+      finishSyncRun(reset, { success: false, error: "reset_due_to_audit" })
+    ).toMatchObject({
+      outcome: "reset",
+      error: { stage: "audit", message: "reset_due_to_audit" },
+    });
+  });
+});
+
+describe("recordSyncRun", () => {
+  let storage;
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(isDBAvailable).mockReturnValue(true);
+    storage = {};
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(storage, items);
+      if (callback) callback();
+    });
+    global.chrome.storage.local.remove.mockImplementation((key, callback) => {
+      delete storage[key];
+      if (callback) callback();
+    });
+    mockDB = {
+      storeSyncRun: vi.fn(() => Promise.resolve()),
+      pruneSyncRuns: vi.fn(() => Promise.resolve(0)),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("stores the run and prunes old history", async () => {
+    const run = startSyncRun("alice", { sessionId: "s1" });
+    await recordSyncRun(run);
+
+    expect(mockDB.storeSyncRun).toHaveBeenCalledWith(run);
+    expect(mockDB.pruneSyncRuns).toHaveBeenCalledWith(
+      expect.any(Number),
+      SYNC_HISTORY_MAX_RUNS
+    );
+  });
+
+  it("keeps runs in chrome.storage when the database is unavailable", async () => {
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+    const run = startSyncRun("alice", { sessionId: "worker" });
+    await recordSyncRun(run);
+
+    expect(getDBInstance).not.toHaveBeenCalled();
+    expect(storage[PENDING_KEY]).toEqual([run]);
+  });
+
+  it("caps the runs kept for later", async () => {
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+    for (let i = 0; i < 55; i++) {
+      await recordSyncRun(startSyncRun("alice", { sessionId: "w", now: i }));
+    }
+
+    expect(storage[PENDING_KEY]).toHaveLength(50);
+    expect(storage[PENDING_KEY][0].startedAt).toBe(5);
+  });
+
+  it("stores waiting runs with the next run", async () => {
+    const earlier = startSyncRun("alice", { sessionId: "worker", now: 1 });
+    storage[PENDING_KEY] = [earlier];
+    const run = startSyncRun("alice", { sessionId: "tab", now: 2 });
+    await recordSyncRun(run);
+
+    expect(mockDB.storeSyncRun).toHaveBeenNthCalledWith(1, earlier);
+    expect(mockDB.storeSyncRun).toHaveBeenNthCalledWith(2, run);
+    expect(storage[PENDING_KEY]).toBeUndefined();
+  });
+
+  it("never throws when the database fails", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    mockDB.storeSyncRun.mockRejectedValue(new Error("quota exceeded"));
+    const run = startSyncRun("alice", { sessionId: "tab" });
+
+    await expect(recordSyncRun(run)).resolves.toBeUndefined();
+    expect(storage[PENDING_KEY]).toEqual([run]);
+    warn.mockRestore();
+  });
+});
+
+describe("pruneSyncHistory", () => {
+  it("deletes runs past the age and count limits", async () => {
+    const mockDB = { pruneSyncRuns: vi.fn(() => Promise.resolve(3)) };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+
+    await expect(
+      pruneSyncHistory({ now: SYNC_HISTORY_MAX_AGE_MS + 10 })
+    ).resolves.toBe(3);
+    expect(mockDB.pruneSyncRuns).toHaveBeenCalledWith(
+      10,
+      SYNC_HISTORY_MAX_RUNS
+    );
+
+    await pruneSyncHistory({ maxAgeMs: 100, maxRuns: 5, now: 1000 });
+    expect(mockDB.pruneSyncRuns).toHaveBeenLastCalledWith(900, 5);
+  });
+});
@@ -0,0 +1,120 @@
+// src/leetcode/sync-now.js
+import { keys, messages, store } from "../core/config.js";
+import { sessionId } from "../core/locks.js";
+import { syncSubmissions } from "./sync.js";
+
+// Runs syncs requested by the web app. The background service worker opens a
+// port to this tab (name messages.SYNC_NOW) and sends `{ username }`; we reply
+// on the same port with, in order:
+//   { type: "accepted" } or { type: "rejected", error }
+//   { type: "progress", progress }   (zero or more)
+//   { type: "result", result } | { type: "lock_held", lock } | { type: "error", error }
+
+function safePost(port, message) {
+  try {
+    port.postMessage(message);
+    return true;
+  } catch (_e) {
+    // Web app tab went away; the sync itself keeps running
+    return false;
+  }
+}
+
+/**
+ * Describe the current holder of `username`'s sync lock for the web app.
+ */
+async function describeSyncLock(username) {
+  const lock = await store.get(keys.syncLock(username), null);
+  return {
+    acquiredAt: lock?.acquiredAt ?? null,
+    lastHeartbeat: lock?.lastHeartbeat ?? null,
+    heldByThisTab: !!lock && lock.sessionId === sessionId(),
+  };
+}
+
+/**
+ * Handle one sync request on `port` for the user signed in to this tab.
+ * `onResult` is called with the sync result, like the periodic sync.
+ * `verifyAccount` (optional) resolves false if LeetCode is now signed in to
+ * another account, in which case the request is rejected.
+ */
+export async function runSyncNowRequest(
+  port,
+  request,
+  username,
+  onResult,
+  verifyAccount
+) {
+  const reject = (message) => {
+    safePost(port, {
+      type: "rejected",
+      error: { code: "account_mismatch", message },
+    });
+    port.disconnect();
+  };
+
+  if (request?.username !== username) {
+    reject(`This tab is signed in as ${username}`);
+    return;
+  }
+  if (verifyAccount && !(await verifyAccount())) {
+    reject(`LeetCode is no longer signed in as ${username}`);
+    return;
+  }
+
+  safePost(port, { type: "accepted" });
+
+  const result = await syncSubmissions(username, {
+    trigger: "web_app",
+    onProgress: (progress) => safePost(port, { type: "progress", progress }),
+  });
+
+  if (onResult) onResult(result, username);
+
+  if (result?.success) {
+    safePost(port, { type: "result", result });
+  } else if (result?.error === "lock_held") {
+    safePost(port, {
+      type: "lock_held",
+      lock: await describeSyncLock(username),
+    });
+  } else {
+    safePost(port, {
+      type: "error",
+      error: {
+        code: "sync_failed",
+        message: result?.error || "Sync failed",
+      },
+    });
+  }
+  port.disconnect();
+}
+
+/**
+ * Accept sync requests relayed from the background service worker.
+ * Call from the LeetCode content script once login is detected. Returns a
+ * function that stops accepting requests (e.g. after an account switch).
+ */
+export function startSyncNowBridge(username, onResult, verifyAccount) {
+  const onConnect = (port) => {
+    if (port.name !== messages.SYNC_NOW) return;
+
+    const onRequest = (request) => {
+      port.onMessage.removeListener(onRequest);
+      runSyncNowRequest(port, request, username, onResult, verifyAccount).catch(
+        (e) => {
+          console.error("[LeetTracker] Sync requested by web app failed:", e);
+          safePost(port, {
+            type: "error",
+            error: { code: "sync_failed", message: e?.message || String(e) },
+          });
+          port.disconnect();
+        }
+      );
+    };
+    port.onMessage.addListener(onRequest);
+  };
+
+  chrome.runtime.onConnect.addListener(onConnect);
+  return () => chrome.runtime.onConnect.removeListener(onConnect);
+}
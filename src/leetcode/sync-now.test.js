@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { runSyncNowRequest } from "./sync-now.js";
+import { syncSubmissions } from "./sync.js";
+
+vi.mock("./sync.js", () => ({
+  syncSubmissions: vi.fn(),
+}));
+
+vi.mock("../core/locks.js", () => ({
+  sessionId: vi.fn(() => "this-tab-session"),
+}));
+
+function makePort() {
+  return {
+    postMessage: vi.fn(),
+    disconnect: vi.fn(),
+  };
+}
+
+function postedMessages(port) {
+  return port.postMessage.mock.calls.map(([message]) => message);
+}
+
+describe("runSyncNowRequest", () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage = {};
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: storage[key] });
+    });
+  });
+
+  it("rejects requests for another account without syncing", async () => {
+    const port = makePort();
+
+    await runSyncNowRequest(port, { username: "someoneelse" }, "testuser");
+
+    expect(syncSubmissions).not.toHaveBeenCalled();
+    expect(postedMessages(port)).toEqual([
+      {
+        type: "rejected",
+        error: {
+          code: "account_mismatch",
+          message: "This tab is signed in as testuser",
+        },
+      },
+    ]);
+    expect(port.disconnect).toHaveBeenCalled();
+  });
+
+  it("rejects requests once LeetCode signed in to another account", async () => {
+    const port = makePort();
+    const verifyAccount = vi.fn(() => Promise.resolve(false));
+
+    await runSyncNowRequest(
+      port,
+      { username: "testuser" },
+      "testuser",
+      undefined,
+      verifyAccount
+    );
+
+    expect(verifyAccount).toHaveBeenCalled();
+    expect(syncSubmissions).not.toHaveBeenCalled();
+    expect(postedMessages(port)).toEqual([
+      {
+        type: "rejected",
+        error: {
+          code: "account_mismatch",
+          message: "LeetCode is no longer signed in as testuser",
+        },
+      },
+    ]);
+  });
+
+  it("streams progress and then the result", async () => {
+    const port = makePort();
+    const onResult = vi.fn();
+    const result = { success: true, newSolves: 1, isBackfill: false };
+    vi.mocked(syncSubmissions).mockImplementation(
+      async (_username, { onProgress }) => {
+        onProgress({ phase: "started" });
+        onProgress({ phase: "fetched", fetched: 1, total: 10 });
+        return result;
+      }
+    );
+
+    await runSyncNowRequest(
+      port,
+      { username: "testuser" },
+      "testuser",
+      onResult
+    );
+
+    expect(postedMessages(port)).toEqual([
+      { type: "accepted" },
+      { type: "progress", progress: { phase: "started" } },
+      {
+        type: "progress",
+        progress: { phase: "fetched", fetched: 1, total: 10 },
+      },
+      { type: "result", result },
+    ]);
+    expect(onResult).toHaveBeenCalledWith(result, "testuser");
+    expect(port.disconnect).toHaveBeenCalled();
+  });
+
+  it("reports who holds the lock when another sync is running", async () => {
+    const port = makePort();
+    storage.leettracker_sync_lock_testuser = {
+      sessionId: "other-tab-session",
+      acquiredAt: 1000,
+      lastHeartbeat: 2000,
+      isLocked: true,
+    };
+    vi.mocked(syncSubmissions).mockResolvedValue({
+      success: false,
+      error: "lock_held",
+    });
+
+    await runSyncNowRequest(port, { username: "testuser" }, "testuser");
+
+    expect(postedMessages(port).at(-1)).toEqual({
+      type: "lock_held",
+      lock: { acquiredAt: 1000, lastHeartbeat: 2000, heldByThisTab: false },
+    });
+  });
+
+  it("reports sync failures", async () => {
+    const port = makePort();
+    vi.mocked(syncSubmissions).mockResolvedValue({
+      success: false,
+      error: "API failure",
+    });
+
+    await runSyncNowRequest(port, { username: "testuser" }, "testuser");
+
+    expect(postedMessages(port).at(-1)).toEqual({
+      type: "error",
+      error: { code: "sync_failed", message: "API failure" },
+    });
+  });
+
+  it("keeps syncing when the web app disconnects", async () => {
+    const port = makePort();
+    port.postMessage.mockImplementation((message) => {
+      if (message.type !== "accepted") {
+        throw new Error("Attempting to use a disconnected port object");
+      }
+    });
+    vi.mocked(syncSubmissions).mockImplementation(
+      async (_username, { onProgress }) => {
+        onProgress({ phase: "started" });
+        return { success: true, newSolves: 0, isBackfill: false };
+      }
+    );
+
+    await expect(
+      runSyncNowRequest(port, { username: "testuser" }, "testuser")
+    ).resolves.toBeUndefined();
+    expect(syncSubmissions).toHaveBeenCalled();
+  });
+});
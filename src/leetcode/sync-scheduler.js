@@ -0,0 +1,188 @@
+// src/leetcode/sync-scheduler.js
+import { DEFAULT_SYNC_SCHEDULE } from "../core/settings.js";
+
+/**
+ * Decides when a LeetCode tab syncs, instead of a fixed 1-minute timer.
+ *
+ * The next sync is due `intervalMs` after the last one finished, where the
+ * interval is the base interval, doubled for every sync in a row beyond
+ * `quietRunsBeforeBackoff` that found no new submissions (up to
+ * `maxIntervalMs`), and raised to `hiddenIntervalMs` while the tab is hidden
+ * or `idleIntervalMs` while the user is idle. A submission resets the
+ * backoff and syncs `afterSubmitDelayMs` later. Any change of state
+ * recomputes the due time, so returning to a tab syncs right away if a sync
+ * is overdue.
+ *
+ * @param {object} options
+ * @param {(reason: string) => Promise<object>} options.runSync - runs one
+ *   sync and resolves with the syncSubmissions result
+ * @param {object} [options.schedule] - see DEFAULT_SYNC_SCHEDULE
+ * @param {boolean} [options.hidden] - initial tab visibility
+ * @param {(status: object) => void} [options.onStatus] - called on every
+ *   status change
+ * @param {() => number} [options.now]
+ */
+export function createSyncScheduler({
+  runSync,
+  schedule = DEFAULT_SYNC_SCHEDULE,
+  hidden = false,
+  onStatus,
+  now = () => Date.now(),
+}) {
+  let config = { ...DEFAULT_SYNC_SCHEDULE, ...schedule };
+  let started = false;
+  let running = false;
+  let timer = null;
+  let isHidden = hidden;
+  let lastActivityAt = now();
+  let lastRunAt = null;
+  let lastResult = null;
+  let quietRuns = 0;
+  let nextRunAt = null;
+  let nextReason = null;
+  let submitPending = false;
+
+  function isIdle() {
+    return now() - lastActivityAt >= config.idleAfterMs;
+  }
+
+  function intervalMs() {
+    const extraQuiet = Math.max(0, quietRuns - config.quietRunsBeforeBackoff);
+    let interval = Math.min(
+      config.maxIntervalMs,
+      config.baseIntervalMs * 2 ** extraQuiet
+    );
+    if (isHidden) interval = Math.max(interval, config.hiddenIntervalMs);
+    if (isIdle()) interval = Math.max(interval, config.idleIntervalMs);
+    return interval;
+  }
+
+  function getStatus() {
+    return {
+      started,
+      running,
+      hidden: isHidden,
+      idle: isIdle(),
+      intervalMs: intervalMs(),
+      quietRuns,
+      lastRunAt,
+      lastResult,
+      nextRunAt,
+      nextReason,
+      schedule: { ...config },
+    };
+  }
+
+  function emitStatus() {
+    if (!onStatus) return;
+    try {
+      onStatus(getStatus());
+    } catch (e) {
+      console.warn("[LeetTracker] Sync scheduler status listener failed:", e);
+    }
+  }
+
+  function reschedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!started || running) {
+      nextRunAt = null;
+      nextReason = null;
+      emitStatus();
+      return;
+    }
+
+    if (submitPending) {
+      nextReason = "submission";
+      nextRunAt = submitPending;
+    } else {
+      nextReason = lastRunAt === null ? "initial" : "interval";
+      nextRunAt = lastRunAt === null ? now() : lastRunAt + intervalMs();
+    }
+    timer = setTimeout(
+      () => {
+        // The user may have gone idle since this was scheduled
+        if (nextReason === "interval" && now() < lastRunAt + intervalMs()) {
+          reschedule();
+          return;
+        }
+        run(nextReason);
+      },
+      Math.max(0, nextRunAt - now())
+    );
+    emitStatus();
+  }
+
+  async function run(reason) {
+    if (running) return;
+    running = true;
+    submitPending = false;
+    reschedule();
+
+    let result = null;
+    try {
+      result = await runSync(reason);
+    } catch (e) {
+      console.warn("[LeetTracker] Scheduled sync failed:", e);
+      result = { success: false, error: e?.message || String(e) };
+    }
+
+    lastRunAt = now();
+    lastResult = {
+      reason,
+      success: !!result?.success,
+      newSubmissions: result?.newSubmissions ?? null,
+      error: result?.error ?? null,
+    };
+    if (result?.success) {
+      quietRuns = result.newSubmissions === 0 ? quietRuns + 1 : 0;
+    }
+    // A held lock or failed sync leaves the backoff where it was
+    running = false;
+    reschedule();
+    return result;
+  }
+
+  return {
+    start() {
+      if (started) return;
+      started = true;
+      reschedule();
+    },
+
+    stop() {
+      started = false;
+      reschedule();
+    },
+
+    /** The user typed, clicked or scrolled. */
+    notifyActivity() {
+      const wasIdle = isIdle();
+      lastActivityAt = now();
+      if (wasIdle) reschedule();
+    },
+
+    notifyVisibility(hiddenNow) {
+      if (hiddenNow === isHidden) return;
+      isHidden = hiddenNow;
+      if (!hiddenNow) lastActivityAt = now();
+      reschedule();
+    },
+
+    /** A submission was made: reset the backoff and sync shortly. */
+    notifySubmission() {
+      quietRuns = 0;
+      lastActivityAt = now();
+      submitPending = now() + config.afterSubmitDelayMs;
+      if (!running) reschedule();
+    },
+
+    /** Apply new schedule values (e.g. after the settings changed). */
+    configure(schedule) {
+      config = { ...DEFAULT_SYNC_SCHEDULE, ...schedule };
+      reschedule();
+    },
+
+    getStatus,
+  };
+}
@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createSyncScheduler } from "./sync-scheduler.js";
+
+const SCHEDULE = {
+  baseIntervalMs: 60000,
+  hiddenIntervalMs: 300000,
+  idleIntervalMs: 600000,
+  idleAfterMs: 300000,
+  quietRunsBeforeBackoff: 2,
+  maxIntervalMs: 480000,
+  afterSubmitDelayMs: 5000,
+};
+
+const quiet = { success: true, newSolves: 0, newSubmissions: 0 };
+
+function makeScheduler(overrides = {}) {
+  const runSync = vi.fn(async () => quiet);
+  const scheduler = createSyncScheduler({
+    runSync,
+    schedule: SCHEDULE,
+    ...overrides,
+  });
+  return { scheduler, runSync };
+}
+
+describe("createSyncScheduler", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2025-01-01T12:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("syncs on start and then every base interval", async () => {
+    const { scheduler, runSync } = makeScheduler();
+    scheduler.start();
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(runSync).toHaveBeenCalledWith("initial");
+
+    await vi.advanceTimersByTimeAsync(59999);
+    expect(runSync).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(runSync).toHaveBeenLastCalledWith("interval");
+    scheduler.stop();
+  });
+
+  it("widens the interval after repeated syncs with nothing new", async () => {
+    const { scheduler } = makeScheduler({
+      schedule: { ...SCHEDULE, idleAfterMs: 3600000 },
+    });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0); // quiet run 1
+    await vi.advanceTimersByTimeAsync(60000); // quiet run 2
+    expect(scheduler.getStatus().intervalMs).toBe(60000);
+
+    await vi.advanceTimersByTimeAsync(60000); // quiet run 3
+    expect(scheduler.getStatus().intervalMs).toBe(120000);
+    await vi.advanceTimersByTimeAsync(120000); // quiet run 4
+    expect(scheduler.getStatus()).toMatchObject({
+      quietRuns: 4,
+      intervalMs: 240000,
+    });
+
+    await vi.advanceTimersByTimeAsync(240000 + 480000);
+    expect(scheduler.getStatus().intervalMs).toBe(480000); // capped
+    scheduler.stop();
+  });
+
+  it("resets the backoff when a sync finds new submissions", async () => {
+    const { scheduler, runSync } = makeScheduler({
+      schedule: { ...SCHEDULE, idleAfterMs: 3600000 },
+    });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(180000);
+    expect(scheduler.getStatus()).toMatchObject({
+      quietRuns: 3,
+      intervalMs: 120000,
+    });
+
+    runSync.mockResolvedValueOnce({ success: true, newSubmissions: 2 });
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(scheduler.getStatus()).toMatchObject({
+      quietRuns: 0,
+      intervalMs: 60000,
+      lastResult: { reason: "interval", success: true, newSubmissions: 2 },
+    });
+    scheduler.stop();
+  });
+
+  it("keeps the backoff when the lock is held elsewhere", async () => {
+    const { scheduler, runSync } = makeScheduler();
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    runSync.mockResolvedValueOnce({ success: false, error: "lock_held" });
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(scheduler.getStatus()).toMatchObject({
+      quietRuns: 1,
+      lastResult: { success: false, error: "lock_held" },
+    });
+    scheduler.stop();
+  });
+
+  it("backs off while hidden and catches up when shown again", async () => {
+    const { scheduler, runSync } = makeScheduler();
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    scheduler.notifyVisibility(true);
+    expect(scheduler.getStatus().intervalMs).toBe(300000);
+    await vi.advanceTimersByTimeAsync(120000);
+    expect(runSync).toHaveBeenCalledTimes(1);
+
+    scheduler.notifyVisibility(false); // overdue at the base interval
+    await vi.advanceTimersByTimeAsync(0);
+    expect(runSync).toHaveBeenCalledTimes(2);
+    scheduler.stop();
+  });
+
+  it("backs off while the user is idle", async () => {
+    const { scheduler, runSync } = makeScheduler({
+      schedule: { ...SCHEDULE, quietRunsBeforeBackoff: 100 },
+    });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(300000);
+    expect(scheduler.getStatus()).toMatchObject({
+      idle: true,
+      intervalMs: 600000,
+    });
+    expect(runSync).toHaveBeenCalledTimes(5); // every minute until idle
+
+    await vi.advanceTimersByTimeAsync(300000);
+    expect(runSync).toHaveBeenCalledTimes(5);
+
+    scheduler.notifyActivity(); // overdue at the base interval
+    await vi.advanceTimersByTimeAsync(0);
+    expect(runSync).toHaveBeenCalledTimes(6);
+    scheduler.stop();
+  });
+
+  it("syncs shortly after a submission and resets the backoff", async () => {
+    const { scheduler, runSync } = makeScheduler();
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(180000);
+    expect(scheduler.getStatus().quietRuns).toBe(3);
+
+    scheduler.notifySubmission();
+    expect(scheduler.getStatus()).toMatchObject({
+      quietRuns: 0,
+      nextReason: "submission",
+    });
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(runSync).toHaveBeenLastCalledWith("submission");
+    scheduler.stop();
+  });
+
+  it("never runs two syncs at once", async () => {
+    let finish;
+    const runSync = vi.fn(
+      () => new Promise((resolve) => (finish = () => resolve(quiet)))
+    );
+    const { scheduler } = makeScheduler({ runSync });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    scheduler.notifySubmission();
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(runSync).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().running).toBe(true);
+
+    finish();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(runSync).toHaveBeenLastCalledWith("submission");
+    scheduler.stop();
+  });
+
+  it("reports status changes and survives a failing listener", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const onStatus = vi.fn(() => {
+      throw new Error("listener failed");
+    });
+    const { scheduler } = makeScheduler({ onStatus });
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(onStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ started: true, nextReason: "interval" })
+    );
+    expect(warn).toHaveBeenCalled();
+    scheduler.stop();
+    expect(scheduler.getStatus()).toMatchObject({
+      started: false,
+      nextRunAt: null,
+    });
+    warn.mockRestore();
+  });
+
+  it("applies a new schedule immediately", async () => {
+    const { scheduler } = makeScheduler();
+    scheduler.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    scheduler.configure({ ...SCHEDULE, baseIntervalMs: 120000 });
+    expect(scheduler.getStatus().nextRunAt).toBe(Date.now() + 120000);
+    scheduler.stop();
+  });
+});
@@ -4,21 +4,29 @@ import {
   attachRunEvents,
   flushChunk,
   enrichSubmission,
+  loadSnapshotsIfApplicable,
+  nextManifestRevision,
 } from "./sync.js";
+import { isDBAvailable } from "../core/db-instance.js";
 
 // Mock the storage and DB dependencies
+const mockDB = vi.hoisted(() => ({
+  storeJourneyArchive: vi.fn(),
+  storeRunGroupArchive: vi.fn(),
+  getSnapshots: vi.fn(() => Promise.resolve(null)),
+  getRunEventsInWindow: vi.fn(() => Promise.resolve([])),
+  getActivityInWindow: vi.fn(() => Promise.resolve([])),
+  upsertProblem: vi.fn(() => Promise.resolve()),
+}));
+
 vi.mock("../core/db-instance.js", () => ({
-  getDBInstance: vi.fn(() =>
-    Promise.resolve({
-      storeJourneyArchive: vi.fn(),
-      storeRunGroupArchive: vi.fn(),
-      getSnapshots: vi.fn(() => Promise.resolve(null)),
-      getRunEventsInWindow: vi.fn(() => Promise.resolve([])),
-    })
-  ),
+  getDBInstance: vi.fn(() => Promise.resolve(mockDB)),
+  isDBAvailable: vi.fn(() => true),
 }));
 
-vi.mock("./api.js", () => ({
+vi.mock("./api.js", async (importOriginal) => ({
+  clearFetchCheckpoint: (await importOriginal()).clearFetchCheckpoint,
+  parseProblemMetadata: (await importOriginal()).parseProblemMetadata,
   fetchProblemPremiumStatus: vi.fn(() => Promise.resolve(false)),
   fetchDescriptionIfNeeded: vi.fn(() => Promise.resolve(null)),
   fetchNoteSafe: vi.fn(() => Promise.resolve(null)),
@@ -222,6 +230,8 @@ describe("flushChunk", () => {
       index: 0,
       from: 1000,
       to: 3000,
+      rev: 1,
+      updatedAt: expect.any(Number),
     });
   });
 
@@ -315,6 +325,8 @@ describe("flushChunk", () => {
       index: 1,
       from: 4000,
       to: 5000,
+      rev: 2,
+      updatedAt: expect.any(Number),
     });
   });
 
@@ -340,6 +352,52 @@ describe("flushChunk", () => {
   });
 });
 
+describe("nextManifestRevision", () => {
+  it("starts at 1 for a manifest without revisions", () => {
+    expect(nextManifestRevision([])).toBe(1);
+    expect(nextManifestRevision(undefined)).toBe(1);
+  });
+
+  it("uses the highest chunk revision", () => {
+    const meta = [{ index: 0, rev: 2 }, { index: 1, rev: 7 }, undefined];
+    expect(nextManifestRevision(meta)).toBe(8);
+  });
+
+  it("never goes below the manifest revision", () => {
+    expect(nextManifestRevision([{ index: 0, rev: 2 }], 10)).toBe(11);
+  });
+});
+
+describe("loadSnapshotsIfApplicable", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("reads the snapshot stream of the submission's language", async () => {
+    const stream = { language: "cpp", snapshots: [{ timestamp: 1000 }] };
+    mockDB.getSnapshots.mockResolvedValueOnce(stream);
+
+    const result = await loadSnapshotsIfApplicable(
+      { id: "1", titleSlug: "two-sum", lang: "cpp" },
+      "testuser"
+    );
+
+    expect(mockDB.getSnapshots).toHaveBeenCalledWith(
+      "testuser",
+      "two-sum",
+      "cpp"
+    );
+    expect(result).toBe(stream);
+  });
+
+  it("skips submissions without a language", async () => {
+    await expect(
+      loadSnapshotsIfApplicable({ id: "1", titleSlug: "two-sum" }, "testuser")
+    ).resolves.toBeNull();
+    expect(mockDB.getSnapshots).not.toHaveBeenCalled();
+  });
+});
+
 describe("enrichSubmission - solve window", () => {
   let mockSub;
   let mockSeenMap;
@@ -385,6 +443,70 @@ describe("enrichSubmission - solve window", () => {
     // Should use most recent visit
     expect(mockSub.solveTime).toBe(1000); // 10000 - 9000
   });
+
+  it("reports active time next to wall-clock time", async () => {
+    // Active 9500-9600 and 9950-10000, with a pause of almost 6 minutes
+    mockDB.getActivityInWindow.mockResolvedValueOnce([
+      {
+        startedAt: 9500 * 1000,
+        endedAt: 9600 * 1000,
+        idleGaps: [],
+      },
+      {
+        startedAt: 9600 * 1000,
+        endedAt: 10000 * 1000,
+        idleGaps: [[9600 * 1000, 9950 * 1000]],
+      },
+    ]);
+
+    await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
+
+    expect(mockDB.getActivityInWindow).toHaveBeenCalledWith(
+      "testuser",
+      "two-sum",
+      9500 * 1000,
+      10000 * 1000
+    );
+    expect(mockSub.solveTime).toBe(500);
+    expect(mockSub.activeSolveTime).toBe(150);
+    expect(mockSub.enrichmentStatus.activeTime).toBe("ok");
+  });
+
+  it("skips active time without recorded activity", async () => {
+    await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
+
+    expect(mockSub.activeSolveTime).toBeUndefined();
+    expect(mockSub.enrichmentStatus.activeTime).toBe("skipped");
+  });
+
+  it("gives non-Accepted submissions runs from their own attempt", async () => {
+    mockSub.statusDisplay = "Wrong Answer";
+    mockDB.getRunEventsInWindow.mockResolvedValueOnce([
+      { startedAt: 9800 * 1000, statusMsg: "Wrong Answer" },
+    ]);
+
+    // The previous submission on two-sum was at 9700, after the visit
+    await enrichSubmission(
+      mockSub,
+      mockSeenMap,
+      mockVisitLog,
+      "testuser",
+      false,
+      9700
+    );
+
+    expect(mockDB.getRunEventsInWindow).toHaveBeenCalledWith(
+      "testuser",
+      "two-sum",
+      9700 * 1000 + 1,
+      10000 * 1000
+    );
+    expect(mockSub.runEvents).toMatchObject({ count: 1 });
+    expect(mockSub.enrichmentStatus).toMatchObject({
+      journey: "skipped",
+      runs: "ok",
+    });
+  });
 });
 
 describe("enrichSubmission - premium status", () => {
@@ -414,11 +536,12 @@ describe("enrichSubmission - premium status", () => {
     await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
 
     expect(api.fetchProblemPremiumStatus).toHaveBeenCalledWith(
-      "premium-problem"
+      "premium-problem",
+      { signal: expect.any(AbortSignal) }
     );
   });
 
-  it("caches premium status in seenMap", async () => {
+  it("caches premium status in seenMap and the problem catalog", async () => {
     api.fetchProblemPremiumStatus.mockResolvedValue(true);
 
     await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
@@ -426,6 +549,10 @@ describe("enrichSubmission - premium status", () => {
     expect(mockSeenMap["premium-problem"]).toMatchObject({
       isPremium: true,
     });
+    expect(mockDB.upsertProblem).toHaveBeenCalledWith("premium-problem", {
+      isPremium: true,
+      premiumCheckedAt: expect.any(Number),
+    });
   });
 
   it("uses cached premium status on subsequent calls", async () => {
@@ -452,7 +579,7 @@ describe("enrichSubmission - premium status", () => {
   it("skips enrichment for premium problems without premium access", async () => {
     api.fetchProblemPremiumStatus.mockResolvedValue(true);
 
-    await enrichSubmission(
+    const result = await enrichSubmission(
       mockSub,
       mockSeenMap,
       mockVisitLog,
@@ -460,10 +587,18 @@ describe("enrichSubmission - premium status", () => {
       false
     );
 
+    // Nothing to fetch, so nothing to retry later
+    expect(result).toEqual({ missing: [] });
     // Should not fetch description/notes/details
     expect(api.fetchDescriptionIfNeeded).not.toHaveBeenCalled();
     expect(api.fetchNoteSafe).not.toHaveBeenCalled();
     expect(api.fetchSubmissionDetailsSafe).not.toHaveBeenCalled();
+    expect(mockSub.enrichmentStatus).toMatchObject({
+      premium: "ok",
+      description: "skipped",
+      note: "skipped",
+      code: "skipped",
+    });
   });
 
   it("enriches premium problems when user has premium", async () => {
@@ -490,8 +625,15 @@ describe("enrichSubmission - premium status", () => {
       enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser")
     ).resolves.not.toThrow();
 
-    // Should assume not premium and continue
+    // Nothing that depends on premium access is fetched until a retry
     expect(mockSub.isPremiumProblem).toBeUndefined();
+    expect(mockSub.enrichmentStatus).toMatchObject({
+      premium: "failed",
+      description: "skipped",
+      note: "skipped",
+    });
+    expect(api.fetchDescriptionIfNeeded).not.toHaveBeenCalled();
+    expect(api.fetchNoteSafe).not.toHaveBeenCalled();
   });
 });
 
@@ -513,19 +655,126 @@ describe("enrichSubmission - parallel data fetching", () => {
     mockVisitLog = [];
 
     api = await import("./api.js");
+    api.fetchProblemPremiumStatus.mockResolvedValue(false);
   });
 
-  it("fetches description when not cached", async () => {
+  it("stores a fetched description in the problem catalog", async () => {
     const mockDesc = {
+      questionId: "1",
       title: "Two Sum",
       content: "Find two numbers...",
-      difficulty: "Easy",
     };
     api.fetchDescriptionIfNeeded.mockResolvedValue(mockDesc);
 
     await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
 
+    expect(mockDB.upsertProblem).toHaveBeenCalledWith("two-sum", {
+      questionId: "1",
+      title: "Two Sum",
+      description: "Find two numbers...",
+      descriptionFetchedAt: expect.any(Number),
+    });
+    // Submissions refer to the catalog by titleSlug
+    expect(mockSub.problemDescription).toBeUndefined();
+  });
+
+  it("stores problem metadata fetched with the description", async () => {
+    api.fetchDescriptionIfNeeded.mockResolvedValue({
+      questionId: "1",
+      title: "Two Sum",
+      content: "Find two numbers...",
+      questionFrontendId: "1",
+      difficulty: "Easy",
+      acRate: 55.123,
+      topicTags: [{ name: "Array", slug: "array", id: "x" }],
+      similarQuestions:
+        '[{"title":"3Sum","titleSlug":"3sum","difficulty":"Medium","translatedTitle":null}]',
+      hints: ["Use a hash map"],
+    });
+
+    await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
+
+    expect(mockDB.upsertProblem).toHaveBeenCalledWith(
+      "two-sum",
+      expect.objectContaining({
+        frontendQuestionId: "1",
+        difficulty: "Easy",
+        acRate: 55.12,
+        topicTags: [{ name: "Array", slug: "array" }],
+        similarQuestions: [
+          { titleSlug: "3sum", title: "3Sum", difficulty: "Medium" },
+        ],
+        hints: ["Use a hash map"],
+        metadataFetchedAt: expect.any(Number),
+      })
+    );
+  });
+
+  it("keeps the description on the submission if the catalog write fails", async () => {
+    const mockDesc = { questionId: "1", content: "Find two numbers..." };
+    mockSeenMap["two-sum"] = { isPremium: false };
+    api.fetchDescriptionIfNeeded.mockResolvedValue(mockDesc);
+    mockDB.upsertProblem.mockRejectedValueOnce(new Error("IDB closed"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const { missing } = await enrichSubmission(
+      mockSub,
+      mockSeenMap,
+      mockVisitLog,
+      "testuser"
+    );
+
     expect(mockSub.problemDescription).toEqual(mockDesc);
+    expect(mockSeenMap["two-sum"]?.hasDescription).toBeFalsy();
+    expect(missing).toContain("description");
+
+    // The re-enrichment retry moves it into the catalog
+    await enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser");
+
+    expect(mockDB.upsertProblem).toHaveBeenCalledTimes(2);
+    expect(mockSub.problemDescription).toBeUndefined();
+    expect(mockSeenMap["two-sum"].hasDescription).toBe(true);
+  });
+
+  it("leaves the description missing when the problem catalog is unreachable", async () => {
+    vi.mocked(isDBAvailable).mockReturnValueOnce(false);
+    api.fetchSubmissionDetailsSafe.mockResolvedValue({ code: "return []" });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const { missing } = await enrichSubmission(
+      mockSub,
+      mockSeenMap,
+      mockVisitLog,
+      "testuser"
+    );
+
+    expect(api.fetchDescriptionIfNeeded).not.toHaveBeenCalled();
+    expect(missing).toEqual(["description"]);
+    expect(mockSub.code).toBe("return []");
+  });
+
+  it("leaves the LeetTrackerDB steps missing in a background sync", async () => {
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+    mockSeenMap["two-sum"] = { isPremium: false, hasDescription: true };
+    api.fetchSubmissionDetailsSafe.mockResolvedValue({ code: "return []" });
+
+    const { missing } = await enrichSubmission(
+      mockSub,
+      mockSeenMap,
+      [{ slug: "two-sum", ts: 9000 }],
+      "testuser"
+    );
+    vi.mocked(isDBAvailable).mockReturnValue(true);
+
+    expect(missing).toEqual(["journey", "activeTime", "hints", "runs"]);
+    expect(mockSub.enrichmentStatus).toMatchObject({
+      code: "ok",
+      journey: "failed",
+      // Retried along with the journey they depend on
+      hints: "skipped",
+    });
+    expect(mockSub.usedHints).toBeUndefined();
+    expect(mockDB.getSnapshots).not.toHaveBeenCalled();
   });
 
   it("updates seenMap when description is fetched", async () => {
@@ -578,7 +827,10 @@ describe("enrichSubmission - parallel data fetching", () => {
       enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser")
     ).resolves.not.toThrow();
 
-    expect(mockSub.problemDescription).toBeDefined();
+    expect(mockDB.upsertProblem).toHaveBeenCalledWith(
+      "two-sum",
+      expect.objectContaining({ title: "Two Sum" })
+    );
     expect(mockSub.problemNote).toBeUndefined();
     expect(mockSub.code).toBeUndefined();
   });
@@ -597,6 +849,28 @@ describe("enrichSubmission - parallel data fetching", () => {
     expect(mockSub.titleSlug).toBe("two-sum");
   });
 
+  it("reports the parts that could not be fetched", async () => {
+    api.fetchDescriptionIfNeeded.mockResolvedValue(null);
+    api.fetchSubmissionDetailsSafe.mockResolvedValue(null);
+
+    await expect(
+      enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser")
+    ).resolves.toEqual({ missing: ["description", "code"] });
+    expect(mockSub.enrichmentStatus).toMatchObject({
+      description: "failed",
+      note: "ok",
+      code: "failed",
+    });
+
+    // Description already stored with another submission of this problem
+    mockSeenMap["two-sum"] = { isPremium: false, hasDescription: true };
+    api.fetchSubmissionDetailsSafe.mockResolvedValue({ code: "x = 1" });
+
+    await expect(
+      enrichSubmission(mockSub, mockSeenMap, mockVisitLog, "testuser")
+    ).resolves.toEqual({ missing: [] });
+  });
+
   it("does not attach code when details.code is missing", async () => {
     api.fetchSubmissionDetailsSafe.mockResolvedValue({
       submissionDetails: { runtime: 50 },
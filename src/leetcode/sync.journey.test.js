@@ -1,13 +1,18 @@
 import { describe, it, expect, vi } from "vitest";
 import {
+  attemptWindowStartMs,
   buildCodingJourneyFromSnapshots,
   buildRunEventsForSubmission,
+  noteStoredSubmission,
+  previousSubmissionTimestamp,
+  previousSubmissionTimestamps,
 } from "./sync.js";
 import { getDBInstance } from "../core/db-instance.js";
 
 // Mock the DB instance
 vi.mock("../core/db-instance.js", () => ({
   getDBInstance: vi.fn(),
+  isDBAvailable: vi.fn(() => true),
 }));
 
 describe("buildCodingJourneyFromSnapshots", () => {
@@ -143,6 +148,21 @@ describe("buildCodingJourneyFromSnapshots", () => {
     expect(result.codingJourney.snapshots[0]).toHaveProperty("checksum");
   });
 
+  it("keeps only snapshots after the previous submission", () => {
+    const data = {
+      snapshots: [
+        { timestamp: 1000 * 1000, code: "attempt 1" },
+        { timestamp: 1500 * 1000, code: "attempt 1, submitted" },
+        { timestamp: 1800 * 1000, code: "attempt 2" },
+      ],
+    };
+
+    const result = buildCodingJourneyFromSnapshots(data, 2000, 1500);
+    expect(result.codingJourney.snapshotCount).toBe(1);
+    expect(result.earliestSnapshotMs).toBe(1800 * 1000);
+    expect(buildCodingJourneyFromSnapshots(data, 1500, 1500)).toBeNull();
+  });
+
   it("handles snapshot array as provided (assumes pre-sorted)", () => {
     const data = {
       snapshots: [
@@ -170,14 +190,34 @@ describe("buildRunEventsForSubmission", () => {
   // These tests would require more complex mocking of IndexedDB
   // For now, we'll test the basic structure and add TODO for full implementation
 
-  it("returns null when submission is not Accepted", async () => {
+  it("starts a Wrong Answer's window after the previous submission", async () => {
     const sub = {
       statusDisplay: "Wrong Answer",
-      timestamp: 1000,
+      timestamp: 5,
+      titleSlug: "two-sum",
+    };
+    const mockDB = {
+      getRunEventsInWindow: vi
+        .fn()
+        .mockResolvedValue([{ startedAt: 4500, statusMsg: "Wrong Answer" }]),
     };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
 
-    const result = await buildRunEventsForSubmission(sub, "username", [1000]);
-    expect(result).toBeNull();
+    const result = await buildRunEventsForSubmission(
+      sub,
+      "username",
+      [1000],
+      3
+    );
+
+    expect(result.count).toBe(1);
+    expect(result._window).toEqual({ startMs: 3001, endMs: 5000 });
+    expect(mockDB.getRunEventsInWindow).toHaveBeenCalledWith(
+      "username",
+      "two-sum",
+      3001,
+      5000
+    );
   });
 
   it("returns null when no username provided", async () => {
@@ -256,3 +296,57 @@ describe("buildRunEventsForSubmission", () => {
   // Additional tests would require mocking getDBInstance() and getRunEventsInWindow()
   // This is a good candidate for future integration tests with a real or fake IndexedDB
 });
+
+describe("attempt windows", () => {
+  it("starts at the earliest candidate, after the previous submission", () => {
+    expect(attemptWindowStartMs([], 1)).toBeNull();
+    expect(attemptWindowStartMs(null, null)).toBeNull();
+    expect(attemptWindowStartMs([5000, 2000], null)).toBe(2000);
+    expect(attemptWindowStartMs([5000, 2000], 3)).toBe(3001);
+    expect(attemptWindowStartMs([5000], 1)).toBe(5000);
+  });
+
+  it("finds the previous submission on the same problem", () => {
+    const subs = [
+      { id: "1", titleSlug: "two-sum", timestamp: 100 },
+      { id: "2", titleSlug: "3sum", timestamp: 150 },
+      { id: "3", titleSlug: "two-sum", timestamp: 200 },
+      { id: "4", titleSlug: "two-sum", timestamp: 300 },
+    ];
+
+    expect(previousSubmissionTimestamp(subs, subs[3])).toBe(200);
+    expect(previousSubmissionTimestamp(subs, subs[1])).toBeNull();
+
+    const seenMap = { "3sum": { isPremium: false, lastSubmittedAt: 50 } };
+    expect(previousSubmissionTimestamps(subs, seenMap)).toEqual(
+      new Map([
+        ["1", null],
+        ["2", 50],
+        ["3", 100],
+        ["4", 200],
+      ])
+    );
+  });
+
+  it("ignores a stored last submission that is not earlier", () => {
+    const subs = [{ id: "1", titleSlug: "two-sum", timestamp: 100 }];
+    const seenMap = { "two-sum": { lastSubmittedAt: 100 } };
+    expect(previousSubmissionTimestamps(subs, seenMap).get("1")).toBeNull();
+  });
+
+  it("remembers the latest stored submission per problem", () => {
+    const seenMap = { "two-sum": { isPremium: false, hasDescription: true } };
+    noteStoredSubmission(seenMap, { titleSlug: "two-sum", timestamp: 200 });
+    noteStoredSubmission(seenMap, { titleSlug: "two-sum", timestamp: 100 });
+    noteStoredSubmission(seenMap, { titleSlug: "3sum", timestamp: 50 });
+
+    expect(seenMap).toEqual({
+      "two-sum": {
+        isPremium: false,
+        hasDescription: true,
+        lastSubmittedAt: 200,
+      },
+      "3sum": { isPremium: null, lastSubmittedAt: 50 },
+    });
+  });
+});
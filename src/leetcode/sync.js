@@ -1,8 +1,11 @@
 // src/leetcode/sync.js
 import { consts, keys, store } from "../core/config.js";
 import {
+  clearFetchCheckpoint,
   fetchAllSubmissions,
   fetchProblemPremiumStatus,
+  fetchProblemMetadata,
+  parseProblemMetadata,
   getUserInfoWithCache,
   fetchDescriptionIfNeeded,
   fetchNoteSafe,
@@ -14,10 +17,20 @@ import {
   updateSyncHeartbeatOrFail,
   sessionId,
 } from "../core/locks.js";
-import { getDBInstance } from "../core/db-instance.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
 import { getAnalytics } from "../core/analytics.js";
-
-const { SYNC_LOCK_KEY, HEARTBEAT_TIMEOUT_MS, DAY_S } = consts;
+import { finishSyncRun, recordSyncRun, startSyncRun } from "./sync-history.js";
+import { recordAccountSync } from "./accounts.js";
+import { getPlatform } from "./platform.js";
+import {
+  createEnrichmentPipeline,
+  STEP_STATUS,
+} from "./enrichment-pipeline.js";
+import { updateAttemptSessions } from "./attempt-sessions.js";
+import { getActivitySettings } from "../core/settings.js";
+import { activeTimeInWindow } from "../tracking/activity.js";
+
+const { HEARTBEAT_TIMEOUT_MS, DAY_S } = consts;
 const {
   visitLog: getVisitLogKey,
   manifest: getManifestKey,
@@ -25,6 +38,8 @@ const {
   chunk: getChunkKey,
   recentJourneys: getRecentJourneysKey,
   recentRuns: getRecentRunsKey,
+  reenrichQueue: getReenrichQueueKey,
+  syncLock: getSyncLockKey,
 } = keys;
 const {
   get: getFromStorage,
@@ -49,11 +64,84 @@ export function deriveSolveWindow(sub, visitLog) {
   return { startSec, solveTimeSec: sub.timestamp - startSec };
 }
 
+// --------------- attempt windows ---------------
+// Every submission, Accepted or not, gets the snapshots, runs and hint events
+// of its own attempt: from its start candidates (last problem visit, first
+// snapshot) up to its timestamp. An attempt starts after the previous
+// submission on the same problem, so a Wrong Answer and the fix that follows
+// never share events.
+
+/**
+ * Where a submission's attempt window starts, in ms: the earliest start
+ * candidate, moved past the previous submission on the problem. Null without
+ * start candidates.
+ * @param {number[]} startCandidatesMs
+ * @param {number|null} previousSubmissionTs - seconds, like sub.timestamp
+ */
+export function attemptWindowStartMs(startCandidatesMs, previousSubmissionTs) {
+  if (!startCandidatesMs || startCandidatesMs.length === 0) return null;
+  const startMs = Math.min(...startCandidatesMs);
+  if (previousSubmissionTs == null) return startMs;
+  // The previous attempt's window ends at (and includes) its timestamp
+  return Math.max(startMs, previousSubmissionTs * 1000 + 1);
+}
+
+/**
+ * Timestamp of the latest submission in `subs` on the same problem as `sub`
+ * and before it, or null.
+ */
+export function previousSubmissionTimestamp(subs, sub) {
+  let previous = null;
+  for (const other of subs || []) {
+    if (
+      other.titleSlug === sub.titleSlug &&
+      other.timestamp < sub.timestamp &&
+      (previous === null || other.timestamp > previous)
+    ) {
+      previous = other.timestamp;
+    }
+  }
+  return previous;
+}
+
+/**
+ * The previous submission on the same problem for each of `subs` (oldest
+ * first): an earlier one in `subs`, otherwise the last one stored
+ * (seenMap's `lastSubmittedAt`).
+ * @returns {Map<string, number|null>} submission id -> timestamp (seconds)
+ */
+export function previousSubmissionTimestamps(subs, seenMap) {
+  const lastBySlug = new Map();
+  const previous = new Map();
+  for (const sub of subs) {
+    let last = lastBySlug.has(sub.titleSlug)
+      ? lastBySlug.get(sub.titleSlug)
+      : seenMap[sub.titleSlug]?.lastSubmittedAt;
+    // Ignore a stored time at or past this submission (an interrupted sync)
+    if (last == null || last >= sub.timestamp) last = null;
+    previous.set(sub.id, last);
+    lastBySlug.set(sub.titleSlug, sub.timestamp);
+  }
+  return previous;
+}
+
+/**
+ * Remember `sub` as the latest stored submission on its problem.
+ */
+export function noteStoredSubmission(seenMap, sub) {
+  const existing = seenMap[sub.titleSlug] || { isPremium: null };
+  if ((existing.lastSubmittedAt || 0) >= sub.timestamp) return;
+  seenMap[sub.titleSlug] = { ...existing, lastSubmittedAt: sub.timestamp };
+}
+
 // --------------- snapshot/run data loaders ---------------
+// The snapshot stream of the submission's language
 export async function loadSnapshotsIfApplicable(sub, username) {
-  if (sub.statusDisplay !== "Accepted" || !username) return null;
+  if (!username || !sub.lang) return null;
   try {
-    return await (await getDBInstance()).getSnapshots(username, sub.titleSlug);
+    return await (
+      await getDBInstance()
+    ).getSnapshots(username, sub.titleSlug, sub.lang);
   } catch (error) {
     console.warn(
       "[LeetTracker] IndexedDB read failed for submission enrichment, skipping journey capture:",
@@ -65,14 +153,19 @@ export async function loadSnapshotsIfApplicable(sub, username) {
 
 export function buildCodingJourneyFromSnapshots(
   snapshotsData,
-  submissionTsSec
+  submissionTsSec,
+  previousSubmissionTs = null
 ) {
   if (!snapshotsData) return null;
   const snapshots = snapshotsData.snapshots || [];
   if (snapshots.length === 0) return null;
 
   const cutoffMs = submissionTsSec * 1000;
-  const relevant = snapshots.filter((s) => s.timestamp <= cutoffMs);
+  const afterMs =
+    previousSubmissionTs == null ? -Infinity : previousSubmissionTs * 1000;
+  const relevant = snapshots.filter(
+    (s) => s.timestamp > afterMs && s.timestamp <= cutoffMs
+  );
   if (relevant.length === 0) return null;
 
   const first = relevant[0].timestamp;
@@ -94,14 +187,14 @@ export function buildCodingJourneyFromSnapshots(
 export async function buildRunEventsForSubmission(
   sub,
   username,
-  startCandidatesMs
+  startCandidatesMs,
+  previousSubmissionTs = null
 ) {
-  if (sub.statusDisplay !== "Accepted" || !username) return null;
+  if (!username) return null;
 
   const endMs = sub.timestamp * 1000;
-  if (!startCandidatesMs || startCandidatesMs.length === 0) return null;
-
-  const startMs = Math.min(...startCandidatesMs);
+  const startMs = attemptWindowStartMs(startCandidatesMs, previousSubmissionTs);
+  if (startMs === null) return null;
 
   const runs = await (
     await getDBInstance()
@@ -144,6 +237,7 @@ export async function storeRecentJourney(username, submission) {
   recent.unshift({
     submissionId: submission.id,
     titleSlug: submission.titleSlug,
+    statusDisplay: submission.statusDisplay,
     timestamp: submission.timestamp,
     codingJourney: submission.codingJourney,
   });
@@ -178,6 +272,7 @@ export async function storeRecentRunGroup(username, submission, runEvents) {
   recent.unshift({
     submissionId: submission.id,
     titleSlug: submission.titleSlug,
+    statusDisplay: submission.statusDisplay,
     timestamp: submission.timestamp,
     runEvents,
   });
@@ -232,6 +327,19 @@ export function attachRunEvents(sub, runEvents) {
 }
 
 // --------------- chunk/manifest helpers ---------------
+/**
+ * Next manifest revision. Every chunk write bumps the revision by one and
+ * stamps it on the chunk's metadata (`rev`), so the web app can ask for
+ * "chunks changed since revision N" instead of relying on timestamps.
+ */
+export function nextManifestRevision(chunksMeta, currentRevision = 0) {
+  const fromChunks = (chunksMeta || []).reduce(
+    (max, meta) => Math.max(max, meta?.rev || 0),
+    0
+  );
+  return Math.max(currentRevision || 0, fromChunks) + 1;
+}
+
 export async function flushChunk(
   username,
   idx,
@@ -242,183 +350,545 @@ export async function flushChunk(
   seenMap,
   totalSubs,
   totalSynced,
-  skippedForBackfill
+  skippedForBackfill,
+  incompleteCount = 0
 ) {
   await saveToStorage(getChunkKey(username, idx), chunk);
+  const existingManifest = (await getFromStorage(manifestKey, {})) || {};
+  const revision = nextManifestRevision(chunksMeta, existingManifest.revision);
   chunksMeta[idx] = {
     index: idx,
     from: chunk[0].timestamp,
     to: chunk.at(-1).timestamp,
+    rev: revision,
+    updatedAt: Date.now(),
   };
   await saveToStorage(manifestKey, {
+    ...existingManifest,
     chunkCount: idx + 1,
     lastTimestamp: chunk.at(-1).timestamp,
     chunks: chunksMeta,
+    revision,
     total: totalSubs,
     totalSynced: totalSynced,
     skippedForBackfill: skippedForBackfill,
+    incompleteCount,
   });
 
   await saveToStorage(seenKey, seenMap);
   console.log(`[LeetTracker] Saved chunk ${idx}`);
 }
 
-// --------------- enrichment ---------------
-export async function enrichSubmission(
-  sub,
-  seenMap,
-  visitLog,
-  username,
-  userHasPremium = false
-) {
-  // 1) Compute solve window
-  const { startSec, solveTimeSec } = deriveSolveWindow(sub, visitLog);
-  sub.solveTime = solveTimeSec;
+// --------------- problem catalog ---------------
+// Catalog records stored without metadata (difficulty, topics, ...) that a
+// sync with nothing new to enrich fills in
+const METADATA_BACKFILL_PER_SYNC = 20;
+const CATALOG_SCAN_PAGE_SIZE = 200;
 
-  const startCandidatesMs = [];
-  if (startSec != null) startCandidatesMs.push(startSec * 1000);
+// Catalog fields for the metadata in a `question` result, if it has any
+function problemMetadataFields(question) {
+  if (!question?.difficulty) return {};
+  return { ...parseProblemMetadata(question), metadataFetchedAt: Date.now() };
+}
 
-  // 2) Premium check/cache
-  let seenInfo = seenMap[sub.titleSlug];
-  let isPremiumProblem = false;
+/**
+ * Store a fetched description, and the problem metadata fetched with it, in
+ * the problem catalog (LeetTrackerDB `problems`), where every submission of
+ * the problem finds it by `titleSlug`. If the catalog cannot be written, the
+ * description is attached to the submission instead so it is not lost, and
+ * the problem is not marked as described so it is fetched again.
+ * @returns {Promise<boolean>} whether the catalog was written
+ */
+export async function saveProblemDescription(sub, desc, seenMap) {
+  try {
+    const db = await getDBInstance();
+    await db.upsertProblem(sub.titleSlug, {
+      questionId: desc.questionId ?? null,
+      title: desc.title ?? null,
+      description: desc.content,
+      descriptionFetchedAt: Date.now(),
+      ...problemMetadataFields(desc),
+    });
+  } catch (err) {
+    console.warn(
+      `[LeetTracker] Failed to store ${sub.titleSlug} in the problem catalog, keeping description on submission ${sub.id}:`,
+      err
+    );
+    sub.problemDescription = desc;
+    return false;
+  }
 
-  if (
-    seenInfo &&
-    seenInfo.isPremium !== null &&
-    seenInfo.isPremium !== undefined
-  ) {
-    isPremiumProblem = seenInfo.isPremium;
-  } else {
+  // Kept here by an earlier failed write
+  delete sub.problemDescription;
+  const existing = seenMap[sub.titleSlug] || { isPremium: null };
+  seenMap[sub.titleSlug] = { ...existing, hasDescription: true };
+  return true;
+}
+
+async function savePremiumStatus(titleSlug, isPremium) {
+  try {
+    const db = await getDBInstance();
+    await db.upsertProblem(titleSlug, {
+      isPremium,
+      premiumCheckedAt: Date.now(),
+    });
+  } catch (err) {
+    console.warn(
+      `[LeetTracker] Failed to store premium status for ${titleSlug} in the problem catalog:`,
+      err
+    );
+  }
+}
+
+/**
+ * Fill in metadata for up to METADATA_BACKFILL_PER_SYNC catalog records that
+ * were stored without it (before metadata was collected, or premium problems
+ * whose description was never fetched). Failures are left for the next sync.
+ * @returns {Promise<{updated: number, remaining: number}>}
+ */
+export async function backfillProblemMetadata() {
+  let db;
+  const pending = [];
+  try {
+    db = await getDBInstance();
+    for (let offset = 0; ; offset += CATALOG_SCAN_PAGE_SIZE) {
+      const { records } = await db.getProblemsPage(
+        offset,
+        CATALOG_SCAN_PAGE_SIZE
+      );
+      for (const problem of records) {
+        if (!problem.metadataFetchedAt) pending.push(problem.titleSlug);
+      }
+      if (records.length < CATALOG_SCAN_PAGE_SIZE) break;
+    }
+  } catch (err) {
+    console.warn("[LeetTracker] Problem catalog unavailable:", err);
+    return { updated: 0, remaining: 0 };
+  }
+  if (pending.length === 0) return { updated: 0, remaining: 0 };
+
+  let updated = 0;
+  for (const titleSlug of pending.slice(0, METADATA_BACKFILL_PER_SYNC)) {
     try {
-      isPremiumProblem = await fetchProblemPremiumStatus(sub.titleSlug);
-      seenMap[sub.titleSlug] = {
-        isPremium: isPremiumProblem,
-        hasDescription: seenInfo?.hasDescription || false,
-      };
-    } catch (error) {
+      const question = await fetchProblemMetadata(titleSlug);
+      const fields = problemMetadataFields(question);
+      if (!fields.metadataFetchedAt) continue;
+      await db.upsertProblem(titleSlug, {
+        ...fields,
+        ...(question.questionId ? { questionId: question.questionId } : {}),
+        ...(question.title ? { title: question.title } : {}),
+      });
+      updated++;
+    } catch (err) {
       console.warn(
-        `[LeetTracker] Failed to fetch premium status for ${sub.titleSlug}:`,
-        error
+        `[LeetTracker] Failed to fetch metadata for ${titleSlug}:`,
+        err
       );
-      isPremiumProblem = false;
     }
   }
 
-  if (isPremiumProblem) {
-    sub.isPremiumProblem = true;
-  }
+  const remaining = pending.length - updated;
+  console.log(
+    `[LeetTracker] Problem metadata backfill: ${updated} updated, ${remaining} remaining`
+  );
+  getAnalytics().capture("problem_metadata_backfilled", {
+    updated,
+    remaining,
+  });
+  return { updated, remaining };
+}
 
-  // 3) Skip enrichment if premium and user lacks premium
-  if (isPremiumProblem && !userHasPremium) {
-    return;
+/**
+ * One-time move of descriptions stored on submissions (before the problem
+ * catalog existed) into the catalog, shrinking the stored chunks. Sets
+ * `manifest.descriptionsInCatalog` once done; stops without changes if the
+ * catalog cannot be written.
+ */
+export async function migrateDescriptionsToCatalog(
+  username,
+  manifest,
+  manifestKey
+) {
+  if (manifest.descriptionsInCatalog || !manifest.chunkCount) {
+    return { migrated: 0 };
   }
 
-  // 4) Parallel fetches
-  const [desc, note, details, snapshotsData] = await Promise.all([
-    fetchDescriptionIfNeeded(sub, seenMap),
-    fetchNoteSafe(sub),
-    fetchSubmissionDetailsSafe(sub),
-    loadSnapshotsIfApplicable(sub, username),
-  ]);
-
-  // 5) Validation logs
-  const isFirstTimeSeeing = !seenMap[sub.titleSlug]?.hasDescription;
-  if (isFirstTimeSeeing && !desc) {
-    console.error(
-      `[LeetTracker] Failed to fetch description for ${sub.titleSlug} (submission ${sub.id}) after retries - storing incomplete`
-    );
-  }
-  if (!details || !details.code) {
-    console.error(
-      `[LeetTracker] Failed to fetch code for submission ${sub.id} (${sub.titleSlug}) after retries - storing incomplete`
-    );
+  let db;
+  try {
+    db = await getDBInstance();
+  } catch (err) {
+    console.warn("[LeetTracker] Problem catalog unavailable:", err);
+    return { migrated: 0 };
   }
 
-  // 6) Apply data + update seenMap
-  if (desc) {
-    sub.problemDescription = desc;
-    const existing = seenMap[sub.titleSlug] || { isPremium: null };
-    seenMap[sub.titleSlug] = { ...existing, hasDescription: true };
-  }
-  if (note) sub.problemNote = note;
-  if (details) {
-    if (details.code) sub.code = details.code;
-    if (details.submissionDetails)
-      sub.submissionDetails = details.submissionDetails;
+  let migrated = 0;
+  const updatedChunks = [];
+  for (let i = 0; i < manifest.chunkCount; i++) {
+    const chunk = (await getFromStorage(getChunkKey(username, i), [])) || [];
+    let changed = false;
+
+    for (const sub of chunk) {
+      const desc = sub?.problemDescription;
+      if (!desc) continue;
+      try {
+        const existing = await db.getProblem(sub.titleSlug);
+        if (!existing?.description) {
+          await db.upsertProblem(sub.titleSlug, {
+            questionId: desc.questionId ?? existing?.questionId ?? null,
+            title: desc.title ?? existing?.title ?? null,
+            description: desc.content,
+            descriptionFetchedAt: sub.timestamp * 1000,
+          });
+        }
+      } catch (err) {
+        console.warn(
+          "[LeetTracker] Moving descriptions to the problem catalog failed:",
+          err
+        );
+        return { migrated };
+      }
+      delete sub.problemDescription;
+      changed = true;
+      migrated++;
+    }
+
+    if (changed) {
+      await saveToStorage(getChunkKey(username, i), chunk);
+      if (chunk.length > 0) updatedChunks.push({ chunkIndex: i, chunk });
+    }
   }
 
-  // 7) Coding journey
-  const journey = buildCodingJourneyFromSnapshots(snapshotsData, sub.timestamp);
-  if (journey) {
-    startCandidatesMs.push(journey.earliestSnapshotMs);
-    await attachCodingJourney(sub, username, journey.codingJourney);
+  markChunksRewritten(manifest, updatedChunks);
+  manifest.descriptionsInCatalog = true;
+  await saveToStorage(manifestKey, manifest);
+
+  if (migrated > 0) {
     console.log(
-      `[LeetTracker] Captured ${journey.codingJourney.snapshotCount} snapshots for submission ${sub.id} (${sub.titleSlug})`
+      `[LeetTracker] Moved ${migrated} problem descriptions into the problem catalog`
     );
   }
+  return { migrated };
+}
 
-  // 8) Hint usage summary
-  try {
-    const hintSummary = await buildHintSummaryForSubmission(
-      sub,
-      username,
-      startCandidatesMs
-    );
+// --------------- enrichment ---------------
+// Each part of an enriched submission comes from one step of
+// `enrichmentPipeline` (see enrichment-pipeline.js), whose status is kept in
+// `sub.enrichmentStatus`. A new data source is a new registered step.
+
+// Per-step timeouts keep one submission's enrichment (premium check, then the
+// fetches, then journey, hints and runs) well inside HEARTBEAT_TIMEOUT_MS
+const PREMIUM_STEP_TIMEOUT_MS = 45 * 1000;
+const FETCH_STEP_TIMEOUT_MS = 90 * 1000;
+const NOTE_STEP_TIMEOUT_MS = 15 * 1000;
+const LOCAL_STEP_TIMEOUT_MS = 10 * 1000;
+
+const { FAILED, SKIPPED } = STEP_STATUS;
+
+// Steps that read what LeetCode tabs record in LeetTrackerDB (snapshots,
+// activity, hint and run events). A background sync cannot open it, so these
+// steps fail there and the re-enrichment queue runs them on a later sync from
+// a LeetCode tab.
+const LEETTRACKER_DB_STEPS = ["journey", "activeTime", "hints", "runs"];
+const DB_UNAVAILABLE = { status: FAILED, reason: "leettracker_db_unavailable" };
+
+export const enrichmentPipeline = createEnrichmentPipeline([
+  {
+    name: "solveWindow",
+    nonAccepted: true,
+    run(sub, ctx) {
+      const { startSec, solveTimeSec } = deriveSolveWindow(sub, ctx.visitLog);
+      sub.solveTime = solveTimeSec;
+      if (startSec != null) ctx.startCandidatesMs.push(startSec * 1000);
+    },
+  },
+  {
+    name: "premium",
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: PREMIUM_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      const { seenMap } = ctx;
+      const seenInfo = seenMap[sub.titleSlug];
+      let isPremiumProblem = false;
+      let result;
 
-    if (hintSummary && hintSummary.usedHints !== "none") {
-      sub.usedHints = hintSummary.usedHints;
+      if (
+        seenInfo &&
+        seenInfo.isPremium !== null &&
+        seenInfo.isPremium !== undefined
+      ) {
+        isPremiumProblem = seenInfo.isPremium;
+      } else {
+        try {
+          isPremiumProblem = await fetchProblemPremiumStatus(sub.titleSlug, {
+            signal: ctx.signal,
+          });
+          ctx.signal.throwIfAborted();
+          seenMap[sub.titleSlug] = {
+            ...seenInfo,
+            isPremium: isPremiumProblem,
+            hasDescription: seenInfo?.hasDescription || false,
+          };
+          await savePremiumStatus(sub.titleSlug, isPremiumProblem);
+        } catch (error) {
+          if (ctx.signal.aborted) throw error;
+          // The steps that depend on it wait for a re-enrichment
+          console.warn(
+            `[LeetTracker] Failed to fetch premium status for ${sub.titleSlug}:`,
+            error
+          );
+          result = { status: FAILED, reason: error?.message || String(error) };
+        }
+      }
+
+      if (isPremiumProblem) {
+        sub.isPremiumProblem = true;
+      }
+
+      // Nothing else can be fetched without premium access
+      if (isPremiumProblem && !ctx.userHasPremium) {
+        ctx.halt("premium_problem");
+      }
+      return result;
+    },
+  },
+  {
+    name: "description",
+    dependsOn: ["premium"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: FETCH_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      const { seenMap } = ctx;
+      // Stored with another submission of this problem
+      if (seenMap[sub.titleSlug]?.hasDescription) return;
+
+      // Without LeetTrackerDB (background sync) there is no problem catalog to
+      // store the description in; the re-enrichment queue fetches it on a
+      // later sync from a LeetCode tab.
+      if (!isDBAvailable()) {
+        return { status: FAILED, reason: "problem_catalog_unavailable" };
+      }
+
+      const desc = await fetchDescriptionIfNeeded(sub, seenMap, {
+        signal: ctx.signal,
+      });
+      ctx.signal.throwIfAborted();
+      if (!desc) {
+        console.error(
+          `[LeetTracker] Failed to fetch description for ${sub.titleSlug} (submission ${sub.id}) after retries - storing incomplete`
+        );
+        return { status: FAILED, reason: "fetch_failed" };
+      }
+      // Queued for re-enrichment, which writes the catalog again
+      if (!(await saveProblemDescription(sub, desc, seenMap))) {
+        return { status: FAILED, reason: "catalog_write_failed" };
+      }
+    },
+  },
+  {
+    name: "note",
+    dependsOn: ["premium"],
+    nonAccepted: true,
+    timeoutMs: NOTE_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      const note = await fetchNoteSafe(sub, { signal: ctx.signal });
+      ctx.signal.throwIfAborted();
+      if (note) sub.problemNote = note;
+    },
+  },
+  {
+    name: "code",
+    dependsOn: ["premium"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: FETCH_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      if (sub.code) return;
+
+      const details = await fetchSubmissionDetailsSafe(sub, {
+        signal: ctx.signal,
+      });
+      ctx.signal.throwIfAborted();
+      if (details) {
+        if (details.code) sub.code = details.code;
+        if (details.submissionDetails)
+          sub.submissionDetails = details.submissionDetails;
+      }
+      if (!details?.code) {
+        console.error(
+          `[LeetTracker] Failed to fetch code for submission ${sub.id} (${sub.titleSlug}) after retries - storing incomplete`
+        );
+        return { status: FAILED, reason: "fetch_failed" };
+      }
+    },
+  },
+  {
+    name: "journey",
+    dependsOn: ["premium"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: LOCAL_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      if (!isDBAvailable()) return DB_UNAVAILABLE;
+      const snapshotsData = await loadSnapshotsIfApplicable(sub, ctx.username);
+      const journey = buildCodingJourneyFromSnapshots(
+        snapshotsData,
+        sub.timestamp,
+        ctx.previousSubmissionTs
+      );
+      ctx.signal.throwIfAborted();
+      if (!journey) return { status: SKIPPED, reason: "no_snapshots" };
 
+      ctx.startCandidatesMs.push(journey.earliestSnapshotMs);
+      await attachCodingJourney(sub, ctx.username, journey.codingJourney);
       console.log(
-        `[LeetTracker] Detected hint usage for submission ${sub.id} (${sub.titleSlug}): ` +
-          `${hintSummary.usedHints}` +
-          (hintSummary.viewedHints
-            ? `, hints viewed: ${hintSummary.viewedHints.join(", ")}`
-            : "")
+        `[LeetTracker] Captured ${journey.codingJourney.snapshotCount} snapshots for submission ${sub.id} (${sub.titleSlug})`
       );
-    } else {
-      // Explicitly set to 'none' if no hints used
-      sub.usedHints = "none";
-    }
-  } catch (err) {
-    console.warn(
-      `[LeetTracker] Hint enrichment failed for ${sub.titleSlug}:`,
-      err
-    );
-    // Don't fail the entire enrichment, just leave usedHints undefined
-  }
+    },
+  },
+  {
+    // The solve window (latest visit or first snapshot to the submission)
+    // without idle gaps; solveTime stays the wall-clock time
+    name: "activeTime",
+    dependsOn: ["solveWindow", "journey"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: LOCAL_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      if (!isDBAvailable()) return DB_UNAVAILABLE;
+      if (ctx.startCandidatesMs.length === 0) {
+        return { status: SKIPPED, reason: "no_solve_window" };
+      }
+      if (!ctx.username) {
+        return { status: SKIPPED, reason: "activity_unavailable" };
+      }
 
-  // 9) Run events
-  try {
-    const runEvents = await buildRunEventsForSubmission(
-      sub,
-      username,
-      startCandidatesMs
-    );
+      const startMs = Math.min(...ctx.startCandidatesMs);
+      const endMs = sub.timestamp * 1000;
+      const [{ idleThresholdMs }, db] = await Promise.all([
+        getActivitySettings(),
+        getDBInstance(),
+      ]);
+      const intervals = await db.getActivityInWindow(
+        ctx.username,
+        sub.titleSlug,
+        startMs,
+        endMs
+      );
+      ctx.signal.throwIfAborted();
+      if (!intervals || intervals.length === 0) {
+        return { status: SKIPPED, reason: "no_activity" };
+      }
 
-    if (runEvents) {
-      await storeRecentRunGroup(username, sub, runEvents);
-    }
+      sub.activeSolveTime = Math.round(
+        activeTimeInWindow(intervals, startMs, endMs, idleThresholdMs) / 1000
+      );
+    },
+  },
+  {
+    name: "hints",
+    dependsOn: ["solveWindow", "journey"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: LOCAL_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      if (!isDBAvailable()) return DB_UNAVAILABLE;
+      const hintSummary = await buildHintSummaryForSubmission(
+        sub,
+        ctx.username,
+        ctx.startCandidatesMs,
+        ctx.previousSubmissionTs
+      );
+      ctx.signal.throwIfAborted();
 
-    attachRunEvents(sub, runEvents);
+      if (hintSummary && hintSummary.usedHints !== "none") {
+        sub.usedHints = hintSummary.usedHints;
 
-    if (runEvents) {
-      const { _window } = runEvents;
-      console.log(
-        `[LeetTracker] Attached ${
-          runEvents.count
-        } run(s) (summary) to submission ${sub.id} (${
-          sub.titleSlug
-        }) in window ${new Date(_window.startMs).toISOString()} → ${new Date(
-          _window.endMs
-        ).toISOString()}`
+        console.log(
+          `[LeetTracker] Detected hint usage for submission ${sub.id} (${sub.titleSlug}): ` +
+            `${hintSummary.usedHints}` +
+            (hintSummary.viewedHints
+              ? `, hints viewed: ${hintSummary.viewedHints.join(", ")}`
+              : "")
+        );
+      } else {
+        // Explicitly set to 'none' if no hints used
+        sub.usedHints = "none";
+      }
+
+      if (ctx.startCandidatesMs.length === 0) {
+        return { status: SKIPPED, reason: "no_solve_window" };
+      }
+    },
+  },
+  {
+    name: "runs",
+    dependsOn: ["solveWindow", "journey"],
+    nonAccepted: true,
+    retry: true,
+    timeoutMs: LOCAL_STEP_TIMEOUT_MS,
+    async run(sub, ctx) {
+      if (!isDBAvailable()) return DB_UNAVAILABLE;
+      const runEvents = await buildRunEventsForSubmission(
+        sub,
+        ctx.username,
+        ctx.startCandidatesMs,
+        ctx.previousSubmissionTs
       );
-    }
-  } catch (err) {
-    console.warn(
-      `[LeetTracker] Run enrichment failed for ${sub.titleSlug}:`,
-      err
-    );
-  }
+      ctx.signal.throwIfAborted();
+
+      if (runEvents) {
+        await storeRecentRunGroup(ctx.username, sub, runEvents);
+      }
+      ctx.signal.throwIfAborted();
+
+      attachRunEvents(sub, runEvents);
+
+      if (runEvents) {
+        const { _window } = runEvents;
+        console.log(
+          `[LeetTracker] Attached ${
+            runEvents.count
+          } run(s) (summary) to submission ${sub.id} (${
+            sub.titleSlug
+          }) in window ${new Date(_window.startMs).toISOString()} → ${new Date(
+            _window.endMs
+          ).toISOString()}`
+        );
+      } else if (ctx.startCandidatesMs.length === 0) {
+        return { status: SKIPPED, reason: "no_solve_window" };
+      }
+    },
+  },
+]);
+
+/**
+ * Enrich `sub` in place by running every step of `enrichmentPipeline`, and
+ * record each step's status in `sub.enrichmentStatus`. Returns `{ missing }`,
+ * listing the retried steps ("premium", "description", "code" and the
+ * LeetTrackerDB steps) that failed and the steps skipped because of them;
+ * callers queue those submissions for re-enrichment.
+ * `previousSubmissionTs` is the timestamp of the previous submission on the
+ * same problem, where this attempt's window starts (see attemptWindowStartMs).
+ */
+export async function enrichSubmission(
+  sub,
+  seenMap,
+  visitLog,
+  username,
+  userHasPremium = false,
+  previousSubmissionTs = null
+) {
+  const { missing } = await enrichmentPipeline.run(sub, {
+    seenMap,
+    visitLog,
+    username,
+    userHasPremium,
+    previousSubmissionTs,
+    startCandidatesMs: [],
+  });
+  return { missing };
 }
 
 // --------------- hint usage summary ---------------
@@ -429,14 +899,14 @@ export async function enrichSubmission(
 export async function buildHintSummaryForSubmission(
   sub,
   username,
-  startCandidatesMs
+  startCandidatesMs,
+  previousSubmissionTs = null
 ) {
-  if (sub.statusDisplay !== "Accepted" || !username) return null;
+  if (!username) return null;
 
   const endMs = sub.timestamp * 1000;
-  if (!startCandidatesMs || startCandidatesMs.length === 0) return null;
-
-  const startMs = Math.min(...startCandidatesMs);
+  const startMs = attemptWindowStartMs(startCandidatesMs, previousSubmissionTs);
+  if (startMs === null) return null;
 
   try {
     const events = await (
@@ -499,11 +969,24 @@ export async function buildHintSummaryForSubmission(
 }
 
 // --------------- sync data reset helpers ---------------
+/**
+ * Throw away a user's stored submissions so the next sync downloads them
+ * again. The manifest is replaced by one that only keeps the revision
+ * counter: it keeps climbing from where it was, and `repairedRevision` tells
+ * the web app that any cursor from before the reset must resync.
+ */
 async function resetUserSyncData(username, manifest, backfillQueueKey) {
+  const revision = nextManifestRevision(manifest?.chunks, manifest?.revision);
+  await saveToStorage(getManifestKey(username), {
+    revision,
+    repairedRevision: revision,
+    repairedAt: Date.now(),
+  });
+
   const keysToRemove = [
-    getManifestKey(username),
     getSeenProblemsKey(username),
     backfillQueueKey,
+    getReenrichQueueKey(username),
   ];
 
   const chunkCount = manifest?.chunkCount ?? 0;
@@ -514,13 +997,14 @@ async function resetUserSyncData(username, manifest, backfillQueueKey) {
   for (const key of keysToRemove) {
     await removeFromStorage(key);
   }
+  await clearFetchCheckpoint(username);
 }
 
-// --------------- sync storage audit (runs once per session) ---------------
-let hasAuditedStoredData = false;
+// ------------ sync storage audit (runs once per user per session) ------------
+const auditedUsers = new Set();
 
 export async function __resetAuditFlagForTests() {
-  hasAuditedStoredData = false;
+  auditedUsers.clear();
 }
 
 async function auditStoredSyncData(username, manifest) {
@@ -581,6 +1065,147 @@ async function auditStoredSyncData(username, manifest) {
   };
 }
 
+// --------------- rewritten chunk revisions ---------------
+/**
+ * Bump the revision of chunks rewritten after their first flush (backfill or
+ * re-enrichment) so the web app re-fetches them. Mutates `manifest`.
+ */
+function markChunksRewritten(manifest, updatedChunks) {
+  const chunksMeta = manifest.chunks || [];
+  for (const { chunkIndex, chunk } of updatedChunks) {
+    const revision = nextManifestRevision(chunksMeta, manifest.revision);
+    chunksMeta[chunkIndex] = {
+      index: chunkIndex,
+      from: chunk[0].timestamp,
+      to: chunk.at(-1).timestamp,
+      ...chunksMeta[chunkIndex],
+      rev: revision,
+      updatedAt: Date.now(),
+    };
+    manifest.revision = revision;
+  }
+  manifest.chunks = chunksMeta;
+}
+
+// --------------- sync storage repair ---------------
+/**
+ * Combine two stored copies of the same submission, keeping every enriched
+ * field either copy has. `primary` wins where both have a value.
+ */
+function mergeDuplicateSubmission(primary, duplicate) {
+  const merged = { ...primary };
+  for (const [field, value] of Object.entries(duplicate)) {
+    if (merged[field] === undefined || merged[field] === null) {
+      merged[field] = value;
+    }
+  }
+  return merged;
+}
+
+/** Point queued items at their submission's new chunk; drop missing ones. */
+async function remapQueueChunks(queueKey, chunkIndexById) {
+  const queue = await getFromStorage(queueKey, null);
+  if (!Array.isArray(queue) || queue.length === 0) return 0;
+
+  const remapped = queue
+    .filter((item) => chunkIndexById.has(item.id))
+    .map((item) => ({ ...item, chunkIndex: chunkIndexById.get(item.id) }));
+  await saveToStorage(queueKey, remapped);
+  return remapped.length;
+}
+
+/**
+ * Rebuild stored chunks after a failed audit without losing enrichment:
+ * deduplicate by submission ID (merging fields from duplicates), re-chunk into
+ * 100-item chunks in timestamp order, and rebuild the manifest's `chunks`,
+ * `total` and `lastTimestamp`. Queued backfill and re-enrichment items are
+ * pointed at the new chunks. Mutates and saves `manifest`.
+ *
+ * Repair is impossible when a chunk is not an array or holds a submission
+ * without an ID or timestamp; nothing is written in that case.
+ * @returns {Promise<{ok: true, before: number, after: number, chunkCount: number} | {ok: false, reason: string}>}
+ */
+export async function repairStoredSyncData(
+  username,
+  manifest,
+  backfillQueueKey
+) {
+  const oldChunkCount = manifest.chunkCount ?? 0;
+  const byId = new Map();
+  let before = 0;
+
+  for (let i = 0; i < oldChunkCount; i++) {
+    const chunk = await getFromStorage(getChunkKey(username, i), []);
+    if (!Array.isArray(chunk)) {
+      return { ok: false, reason: `chunk ${i} is not an array` };
+    }
+    for (const sub of chunk) {
+      if (!sub?.id || !Number.isFinite(sub.timestamp)) {
+        return { ok: false, reason: `chunk ${i} has an unusable submission` };
+      }
+      before++;
+      const existing = byId.get(sub.id);
+      byId.set(
+        sub.id,
+        existing ? mergeDuplicateSubmission(existing, sub) : sub
+      );
+    }
+  }
+
+  if (byId.size === 0) {
+    return { ok: false, reason: "no stored submissions" };
+  }
+
+  const subs = [...byId.values()].sort((a, b) => a.timestamp - b.timestamp);
+  const chunks = [];
+  for (let i = 0; i < subs.length; i += 100) {
+    chunks.push(subs.slice(i, i + 100));
+  }
+
+  // Every chunk is rewritten, so all of them get the same new revision
+  const revision = nextManifestRevision(manifest.chunks, manifest.revision);
+  const now = Date.now();
+  const chunkIndexById = new Map();
+  const chunksMeta = [];
+  for (let idx = 0; idx < chunks.length; idx++) {
+    const chunk = chunks[idx];
+    await saveToStorage(getChunkKey(username, idx), chunk);
+    for (const sub of chunk) chunkIndexById.set(sub.id, idx);
+    chunksMeta.push({
+      index: idx,
+      from: chunk[0].timestamp,
+      to: chunk.at(-1).timestamp,
+      rev: revision,
+      updatedAt: now,
+    });
+  }
+  for (let idx = chunks.length; idx < oldChunkCount; idx++) {
+    await removeFromStorage(getChunkKey(username, idx));
+  }
+
+  await remapQueueChunks(backfillQueueKey, chunkIndexById);
+  const incompleteCount = await remapQueueChunks(
+    getReenrichQueueKey(username),
+    chunkIndexById
+  );
+
+  Object.assign(manifest, {
+    chunkCount: chunks.length,
+    chunks: chunksMeta,
+    revision,
+    // Tells the web app to drop data cached from before the repair
+    repairedRevision: revision,
+    repairedAt: now,
+    total: subs.length,
+    totalSynced: subs.length,
+    lastTimestamp: subs.at(-1).timestamp,
+    incompleteCount,
+  });
+  await saveToStorage(getManifestKey(username), manifest);
+
+  return { ok: true, before, after: subs.length, chunkCount: chunks.length };
+}
+
 // --------------- backfill queue ---------------
 export async function processBackfillQueue(
   username,
@@ -596,7 +1221,7 @@ export async function processBackfillQueue(
 
   const queue = await getFromStorage(backfillQueueKey, []);
   if (!queue || queue.length === 0) {
-    return; // Nothing to backfill
+    return { processed: 0, remaining: 0 }; // Nothing to backfill
   }
 
   console.log(
@@ -611,37 +1236,61 @@ export async function processBackfillQueue(
     if (!byChunk.has(item.chunkIndex)) {
       byChunk.set(item.chunkIndex, []);
     }
-    byChunk.get(item.chunkIndex).push(item.id);
+    byChunk.get(item.chunkIndex).push(item);
   }
 
   let processedCount = 0;
-  for (const [chunkIndex, subIds] of byChunk) {
+  const updatedChunks = [];
+  for (const [chunkIndex, items] of byChunk) {
     try {
       const chunk = await getFromStorage(getChunkKey(username, chunkIndex), []);
+      let processedInChunk = 0;
 
-      for (const subId of subIds) {
+      for (const item of items) {
+        const subId = item.id;
         await updateSyncHeartbeatOrFail(
+          username,
           `backfill enrichment (chunk ${chunkIndex}, sub ${subId})`
         );
 
         const sub = chunk.find((s) => s.id === subId);
         if (sub) {
-          await enrichSubmission(
+          // Items queued before attempt windows have no previousTimestamp
+          const previousTs =
+            item.previousTimestamp !== undefined
+              ? item.previousTimestamp
+              : previousSubmissionTimestamp(chunk, sub);
+          const { missing } = await enrichSubmission(
             sub,
             seenMap,
             visitLog,
             username,
-            userHasPremium
+            userHasPremium,
+            previousTs
           );
+          if (missing.length > 0) {
+            manifest.incompleteCount = await queueIncompleteSubmission(
+              username,
+              sub,
+              chunkIndex,
+              missing,
+              previousTs
+            );
+          }
           processedCount++;
+          processedInChunk++;
         }
 
         await updateSyncHeartbeatOrFail(
+          username,
           `backfill post-enrichment (chunk ${chunkIndex}, sub ${subId})`
         );
       }
 
       await saveToStorage(getChunkKey(username, chunkIndex), chunk);
+      if (processedInChunk > 0 && chunk.length > 0) {
+        updatedChunks.push({ chunkIndex, chunk });
+      }
     } catch (error) {
       if (error.message && error.message.includes("Lost lock ownership")) {
         throw error;
@@ -656,6 +1305,7 @@ export async function processBackfillQueue(
   await saveToStorage(backfillQueueKey, remainingQueue);
 
   if (processedCount > 0) {
+    markChunksRewritten(manifest, updatedChunks);
     manifest.backfillProcessedAt = Date.now();
     await saveToStorage(manifestKey, manifest);
     await saveToStorage(seenKey, seenMap);
@@ -673,24 +1323,296 @@ export async function processBackfillQueue(
       batch_size: MAX_BACKFILL_PER_SYNC,
     });
   }
+
+  return { processed: processedCount, remaining: remainingQueue.length };
+}
+
+// --------------- re-enrichment queue ---------------
+// Submissions stored without their description or code (the fetch gave up
+// after retries, usually because of rate limiting) are queued here and
+// retried on later syncs, each item waiting longer after every failed attempt.
+const REENRICH_MAX_PER_SYNC = 10;
+const REENRICH_MAX_ATTEMPTS = 8;
+const REENRICH_BASE_DELAY_MS = 15 * 60 * 1000; // 15 minutes
+const REENRICH_MAX_DELAY_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/** When to retry an item that has failed `attempts` times. */
+export function nextReenrichAttemptAt(attempts, now = Date.now()) {
+  return (
+    now +
+    Math.min(
+      REENRICH_MAX_DELAY_MS,
+      REENRICH_BASE_DELAY_MS * 2 ** (attempts - 1)
+    )
+  );
+}
+
+/**
+ * Record that `sub` (stored in chunk `chunkIndex`) is missing `missing`.
+ * `previousTimestamp` is the previous submission on the same problem, which
+ * the LeetTrackerDB steps need to find the attempt's window again.
+ * Returns the new queue length.
+ */
+export async function queueIncompleteSubmission(
+  username,
+  sub,
+  chunkIndex,
+  missing,
+  previousTimestamp
+) {
+  const queueKey = getReenrichQueueKey(username);
+  const queue = (await getFromStorage(queueKey, [])) || [];
+  const existing = queue.find((item) => item.id === sub.id);
+  const now = Date.now();
+
+  if (existing) {
+    // Enriched again (e.g. by backfill) and still incomplete: that counts as
+    // another failed attempt
+    existing.chunkIndex = chunkIndex;
+    existing.missing = missing;
+    if (previousTimestamp !== undefined) {
+      existing.previousTimestamp = previousTimestamp;
+    }
+    existing.attempts = (existing.attempts || 1) + 1;
+    existing.nextAttemptAt = nextReenrichAttemptAt(existing.attempts, now);
+  } else {
+    queue.push({
+      id: sub.id,
+      titleSlug: sub.titleSlug,
+      chunkIndex,
+      missing,
+      previousTimestamp,
+      attempts: 1,
+      firstFailedAt: now,
+      nextAttemptAt: nextReenrichAttemptAt(1, now),
+    });
+  }
+
+  await saveToStorage(queueKey, queue);
+  return queue.length;
+}
+
+/**
+ * Run only the enrichment steps listed in `missing` on `sub`, plus the solve
+ * window the LeetTrackerDB steps search in. Returns the steps still missing.
+ */
+async function refetchMissingParts(sub, missing, ctx) {
+  const only = missing.some((step) => LEETTRACKER_DB_STEPS.includes(step))
+    ? ["solveWindow", ...missing]
+    : missing;
+  const result = await enrichmentPipeline.run(
+    sub,
+    { ...ctx, startCandidatesMs: [] },
+    { only }
+  );
+  return result.missing;
+}
+
+/**
+ * Retry enrichment for queued incomplete submissions whose next attempt is
+ * due. Items are dropped once complete, once their submission is no longer
+ * stored, or after REENRICH_MAX_ATTEMPTS failures. Updates
+ * `manifest.incompleteCount`.
+ * @returns {Promise<{processed: number, resolved: number, remaining: number}>}
+ */
+export async function processReenrichQueue(
+  username,
+  seenMap,
+  manifest,
+  manifestKey,
+  seenKey,
+  visitLog = [],
+  userHasPremium = false
+) {
+  const queueKey = getReenrichQueueKey(username);
+  const queue = (await getFromStorage(queueKey, [])) || [];
+  const now = Date.now();
+  // Descriptions (problem catalog) and the LeetTrackerDB steps can only run
+  // from a LeetCode tab; a background sync leaves those items queued
+  const needsDB = ["description", ...LEETTRACKER_DB_STEPS];
+  const dbAvailable = isDBAvailable();
+  const due = queue
+    .filter(
+      (item) =>
+        item.nextAttemptAt <= now &&
+        (dbAvailable || !item.missing.some((step) => needsDB.includes(step)))
+    )
+    .slice(0, REENRICH_MAX_PER_SYNC);
+
+  if (due.length === 0) {
+    if (manifest.chunkCount && manifest.incompleteCount !== queue.length) {
+      manifest.incompleteCount = queue.length;
+      await saveToStorage(manifestKey, manifest);
+    }
+    return { processed: 0, resolved: 0, remaining: queue.length };
+  }
+
+  console.log(
+    `[LeetTracker] Re-enriching ${due.length} incomplete submissions (${queue.length} queued)...`
+  );
+
+  const byChunk = new Map();
+  for (const item of due) {
+    if (!byChunk.has(item.chunkIndex)) {
+      byChunk.set(item.chunkIndex, []);
+    }
+    byChunk.get(item.chunkIndex).push(item);
+  }
+
+  const done = new Set();
+  let processedCount = 0;
+  let resolvedCount = 0;
+  let abandonedCount = 0;
+  const updatedChunks = [];
+  for (const [chunkIndex, items] of byChunk) {
+    try {
+      const chunk = await getFromStorage(getChunkKey(username, chunkIndex), []);
+      let resolvedInChunk = 0;
+
+      for (const item of items) {
+        await updateSyncHeartbeatOrFail(
+          username,
+          `re-enrichment (chunk ${chunkIndex}, sub ${item.id})`
+        );
+
+        const sub = chunk.find((s) => s.id === item.id);
+        if (!sub) {
+          done.add(item.id);
+          continue;
+        }
+
+        // Items queued before the LeetTrackerDB steps have no previousTimestamp
+        const previousSubmissionTs =
+          item.previousTimestamp !== undefined
+            ? item.previousTimestamp
+            : previousSubmissionTimestamp(chunk, sub);
+        const stillMissing = await refetchMissingParts(sub, item.missing, {
+          seenMap,
+          visitLog,
+          username,
+          previousSubmissionTs,
+          userHasPremium,
+        });
+        processedCount++;
+
+        if (stillMissing.length < item.missing.length) {
+          resolvedInChunk++;
+        }
+        if (stillMissing.length === 0) {
+          resolvedCount++;
+          done.add(item.id);
+        } else if (item.attempts + 1 >= REENRICH_MAX_ATTEMPTS) {
+          abandonedCount++;
+          done.add(item.id);
+          console.warn(
+            `[LeetTracker] Giving up on re-enriching submission ${item.id} (${item.titleSlug}), still missing: ${stillMissing.join(", ")}`
+          );
+        } else {
+          item.missing = stillMissing;
+          item.attempts++;
+          item.nextAttemptAt = nextReenrichAttemptAt(item.attempts);
+        }
+      }
+
+      if (resolvedInChunk > 0 && chunk.length > 0) {
+        await saveToStorage(getChunkKey(username, chunkIndex), chunk);
+        updatedChunks.push({ chunkIndex, chunk });
+      }
+    } catch (error) {
+      if (error.message && error.message.includes("Lost lock ownership")) {
+        throw error;
+      }
+      console.warn(
+        `[LeetTracker] Re-enrichment failed for chunk ${chunkIndex}:`,
+        error
+      );
+    }
+  }
+
+  const remainingQueue = queue.filter((item) => !done.has(item.id));
+  await saveToStorage(queueKey, remainingQueue);
+
+  markChunksRewritten(manifest, updatedChunks);
+  manifest.incompleteCount = remainingQueue.length;
+  await saveToStorage(manifestKey, manifest);
+  if (updatedChunks.length > 0) {
+    await saveToStorage(seenKey, seenMap);
+  }
+
+  console.log(
+    `[LeetTracker] Re-enrichment: ${resolvedCount} completed, ${remainingQueue.length} still incomplete`
+  );
+
+  getAnalytics().capture("reenrich_processed", {
+    username,
+    items_processed: processedCount,
+    items_resolved: resolvedCount,
+    items_abandoned: abandonedCount,
+    items_remaining: remainingQueue.length,
+  });
+
+  return {
+    processed: processedCount,
+    resolved: resolvedCount,
+    remaining: remainingQueue.length,
+  };
 }
 
 // --------------- main sync orchestrator ---------------
-export async function syncSubmissions(username) {
+/**
+ * Fetch, enrich and store new submissions for `username`.
+ *
+ * `onProgress` (optional) is called with `{ phase, ...details }` as the sync
+ * advances: "started", "fetched", "enriching" (once per submission) and
+ * "backfill". Errors thrown by the callback are ignored.
+ *
+ * `trigger` (optional) says what started the sync. It is kept with the run's
+ * record in the sync history (see sync-history.js).
+ */
+export async function syncSubmissions(username, { onProgress, trigger } = {}) {
+  const run = startSyncRun(username, { sessionId: sessionId(), trigger });
+  let result = null;
+  try {
+    result = await runSyncSubmissions(username, onProgress, run);
+    return result;
+  } catch (e) {
+    result = { success: false, error: e?.message || String(e) };
+    throw e;
+  } finally {
+    finishSyncRun(run, result);
+    await Promise.all([recordSyncRun(run), recordAccountSync(run)]);
+  }
+}
+
+// One sync; records what it did (lock, stage, counts, audit) on `run`
+async function runSyncSubmissions(username, onProgress, run) {
   const analytics = getAnalytics();
   const syncStartTime = Date.now();
 
+  const reportProgress = (phase, details = {}) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ phase, ...details });
+    } catch (e) {
+      console.warn("[LeetTracker] Sync progress listener failed:", e);
+    }
+  };
+
   // will be set after loading manifest, defined here for error reporting
   let lastT = null;
   let prevTotalSubs = null;
   let isFirstSync = null;
 
-  if (!(await acquireSyncLock())) {
+  if (!(await acquireSyncLock(username))) {
     console.log(`[LeetTracker] Could not acquire sync lock, skipping sync`);
+    run.lock = "held";
     return { success: false, error: "lock_held" };
   }
+  run.lock = "acquired";
+  run.stage = "load";
 
   const SESSION_ID = sessionId();
+  reportProgress("started");
   console.log(
     "[LeetTracker] Starting submission sync...",
     username,
@@ -716,37 +1638,81 @@ export async function syncSubmissions(username) {
     ]);
 
     const userHasPremium = userInfo.isPremium || false;
-    lastT = manifest.lastTimestamp || 0;
-    prevTotalSubs = manifest.total || 0;
-    isFirstSync = lastT === 0;
-    if (!hasAuditedStoredData) {
-      hasAuditedStoredData = true;
+    if (!auditedUsers.has(username)) {
+      auditedUsers.add(username);
+      run.stage = "audit";
       const audit = await auditStoredSyncData(username, manifest);
+      run.audit = { status: "passed", issues: [] };
       if (!audit.ok) {
-        analytics.capture("sync_data_reset_due_to_audit", {
-          username,
-          sync_start_timestamp: syncStartTime,
-          issues: audit.issues,
-        });
         console.warn(
-          `[LeetTracker] Audit detected inconsistent stored submissions, resetting sync data`
+          `[LeetTracker] Audit detected inconsistent stored submissions, repairing`,
+          audit.issues
+        );
+        const repair = await repairStoredSyncData(
+          username,
+          manifest,
+          backfillQueueKey
         );
 
-        await resetUserSyncData(username, manifest, backfillQueueKey);
+        if (repair.ok) {
+          run.audit = { status: "repaired", issues: audit.issues };
+          analytics.capture("sync_data_repaired_after_audit", {
+            username,
+            sync_start_timestamp: syncStartTime,
+            issues: audit.issues,
+            submissions_before: repair.before,
+            submissions_after: repair.after,
+            chunk_count: repair.chunkCount,
+          });
+          console.log(
+            `[LeetTracker] Repaired stored submissions: ${repair.before} → ${repair.after} in ${repair.chunkCount} chunks`
+          );
+        } else {
+          run.audit = {
+            status: "reset",
+            issues: audit.issues,
+            repairFailure: repair.reason,
+          };
+          analytics.capture("sync_data_reset_due_to_audit", {
+            username,
+            sync_start_timestamp: syncStartTime,
+            issues: audit.issues,
+            repair_failure: repair.reason,
+          });
+          console.warn(
+            `[LeetTracker] Repair impossible (${repair.reason}), resetting sync data`
+          );
 
-        return { success: false, error: "reset_due_to_audit" };
+          await resetUserSyncData(username, manifest, backfillQueueKey);
+
+          return { success: false, error: "reset_due_to_audit" };
+        }
       }
     }
+    run.stage = "migrate";
+    await migrateDescriptionsToCatalog(username, manifest, manifestKey);
+    lastT = manifest.lastTimestamp || 0;
+    prevTotalSubs = manifest.total || 0;
+    isFirstSync = lastT === 0;
 
-    const subs = await fetchAllSubmissions(lastT);
+    run.stage = "fetch";
+    const subs = await fetchAllSubmissions(lastT, username);
+    // Tag each submission with the site it was synced from
+    const platformId = getPlatform().id;
+    for (const sub of subs) sub.platform = platformId;
+    run.counts.fetched = subs.length;
     const newTotalSubs = prevTotalSubs + subs.length;
 
     let totalSynced = manifest.totalSynced || prevTotalSubs;
     let skippedForBackfill = 0;
+    let incompleteCount = (
+      (await getFromStorage(getReenrichQueueKey(username), [])) || []
+    ).length;
 
     console.log(
       `[LeetTracker] Fetched ${subs.length} new submissions (total: ${newTotalSubs})`
     );
+    reportProgress("fetched", { fetched: subs.length, total: newTotalSubs });
 
     if (!subs.length) {
       console.log("[LeetTracker] No new submissions.");
@@ -773,6 +1739,7 @@ export async function syncSubmissions(username) {
         return {
           success: true,
           newSolves: 0,
+          newSubmissions: 0,
           isBackfill: false,
           isFirstSync: true,
         };
@@ -789,7 +1756,8 @@ export async function syncSubmissions(username) {
         { throttle: true, throttleDuration: 3600000 } // 1 hour
       );
 
-      await processBackfillQueue(
+      run.stage = "backfill";
+      const backfill = await processBackfillQueue(
         username,
         backfillQueueKey,
         seenMap,
@@ -799,7 +1767,34 @@ export async function syncSubmissions(username) {
         manifestKey,
         seenKey
       );
-      return { success: true, newSolves: 0, isBackfill: false };
+      run.counts.backfilled = backfill.processed;
+      reportProgress("backfill", {
+        processed: backfill.processed,
+        remaining: backfill.remaining,
+      });
+      run.stage = "reenrich";
+      const reenrich = await processReenrichQueue(
+        username,
+        seenMap,
+        manifest,
+        manifestKey,
+        seenKey,
+        visitLog,
+        userHasPremium
+      );
+      run.counts.reenriched = reenrich.resolved;
+      run.stage = "metadata";
+      const metadata = await backfillProblemMetadata();
+      run.counts.metadataBackfilled = metadata.updated;
+      run.stage = "sessions";
+      const sessions = await updateAttemptSessions(username);
+      run.counts.sessionsUpdated = sessions.updated;
+      return {
+        success: true,
+        newSolves: 0,
+        newSubmissions: 0,
+        isBackfill: false,
+      };
     }
 
     analytics.capture("starting_sync_with_new_submissions", {
@@ -859,7 +1854,8 @@ export async function syncSubmissions(username) {
         seenMap,
         newTotalSubs,
         totalSynced,
-        skippedForBackfill
+        skippedForBackfill,
+        incompleteCount
       );
 
       // Read back after flush to verify persistence length.
@@ -901,11 +1897,15 @@ export async function syncSubmissions(username) {
       }
     }
     const enrichedCount = subs.length - skippedForBackfill;
+    run.counts.queuedForBackfill = skippedForBackfill;
+    run.stage = "store";
 
     console.log(
       `[LeetTracker] Processing ${enrichedCount} recent submissions, queueing ${skippedForBackfill} for backfill`
     );
 
+    const previousTimestamps = previousSubmissionTimestamps(subs, seenMap);
+
     if (skippedForBackfill > 0) {
       const backfillQueue = [];
       for (let i = 0; i < skippedForBackfill; i++) {
@@ -915,9 +1915,11 @@ export async function syncSubmissions(username) {
           id: sub.id,
           titleSlug: sub.titleSlug,
           chunkIndex: chunkIdx,
+          previousTimestamp: previousTimestamps.get(sub.id),
         });
 
         chunk.push(sub);
+        noteStoredSubmission(seenMap, sub);
         totalSynced++;
 
         if (chunk.length >= 100) {
@@ -947,13 +1949,18 @@ export async function syncSubmissions(username) {
 
     // Track enriched solves for toast notification
     const enrichedSolves = [];
+    run.stage = "enrich";
 
     for (let i = skippedForBackfill; i < subs.length; i++) {
       await updateSyncHeartbeatOrFail(
+        username,
         `heartbeat update at submission ${i}/${subs.length}`
       );
 
-      const lockBeforeEnrich = await getFromStorage(SYNC_LOCK_KEY, null);
+      const lockBeforeEnrich = await getFromStorage(
+        getSyncLockKey(username),
+        null
+      );
       if (!lockBeforeEnrich || lockBeforeEnrich.sessionId !== SESSION_ID) {
         throw new Error(
           `Lost lock ownership after heartbeat update at submission ${i}/${subs.length}`
@@ -964,20 +1971,45 @@ export async function syncSubmissions(username) {
       const enrichStartTime = Date.now();
 
       const sub = subs[i];
-      await enrichSubmission(sub, seenMap, visitLog, username, userHasPremium);
+      const { missing } = await enrichSubmission(
+        sub,
+        seenMap,
+        visitLog,
+        username,
+        userHasPremium,
+        previousTimestamps.get(sub.id)
+      );
+      if (missing.length > 0) {
+        incompleteCount = await queueIncompleteSubmission(
+          username,
+          sub,
+          chunkIdx,
+          missing,
+          previousTimestamps.get(sub.id)
+        );
+      }
 
       // Track this solve for notification (only accepted solves)
       if (sub.statusDisplay === "Accepted") {
         enrichedSolves.push({
           slug: sub.titleSlug,
-          duration: sub.solveTime || null,
+          duration: sub.activeSolveTime || sub.solveTime || null,
         });
       }
 
       chunk.push(sub);
+      noteStoredSubmission(seenMap, sub);
       totalSynced++;
+      run.counts.enriched++;
+      reportProgress("enriching", {
+        enriched: i - skippedForBackfill + 1,
+        toEnrich: enrichedCount,
+      });
 
-      const lockAfterEnrich = await getFromStorage(SYNC_LOCK_KEY, null);
+      const lockAfterEnrich = await getFromStorage(
+        getSyncLockKey(username),
+        null
+      );
       if (
         !lockAfterEnrich ||
         lockAfterEnrich.lastHeartbeat !== heartbeatBeforeEnrich
@@ -999,6 +2031,7 @@ export async function syncSubmissions(username) {
       }
 
       await updateSyncHeartbeatOrFail(
+        username,
         `post-enrichment heartbeat update at submission ${i}/${subs.length}`
       );
 
@@ -1015,10 +2048,23 @@ export async function syncSubmissions(username) {
       }
     }
 
+    run.stage = "store";
     if (chunk.length) {
       await executeFlushChunk();
     }
 
+    run.stage = "sessions";
+    const sessions = await updateAttemptSessions(username);
+    run.counts.sessionsUpdated = sessions.updated;
+
+    if (onProgress) {
+      const backfillQueue = await getFromStorage(backfillQueueKey, []);
+      reportProgress("backfill", {
+        processed: 0,
+        remaining: backfillQueue?.length ?? 0,
+      });
+    }
+
     const syncDuration = Date.now() - syncStartTime;
 
     console.log(
@@ -1044,6 +2090,7 @@ export async function syncSubmissions(username) {
     return {
       success: true,
       newSolves: enrichedSolves.length,
+      newSubmissions: subs.length,
       isBackfill: false,
       solves: enrichedSolves,
     };
@@ -1056,10 +2103,12 @@ export async function syncSubmissions(username) {
       sync_start_timestamp: syncStartTime,
       duration_ms: Date.now() - syncStartTime,
       error_stage: "sync_process",
+      sync_stage: run.stage,
       last_sync_timestamp: lastT,
       previous_total: prevTotalSubs,
     });
 
+    run.error = { stage: run.stage, message: e.message };
     return { success: false, error: e.message };
   } finally {
     console.log(
@@ -1067,6 +2116,6 @@ export async function syncSubmissions(username) {
       username,
       new Date().toISOString()
     );
-    await releaseSyncLock();
+    await releaseSyncLock(username);
   }
 }
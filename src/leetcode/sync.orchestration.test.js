@@ -1,15 +1,23 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import {
   __resetAuditFlagForTests,
+  backfillProblemMetadata,
+  migrateDescriptionsToCatalog,
   processBackfillQueue,
+  nextReenrichAttemptAt,
+  processReenrichQueue,
+  queueIncompleteSubmission,
+  repairStoredSyncData,
   syncSubmissions,
 } from "./sync.js";
 import * as locks from "../core/locks.js";
 import * as api from "./api.js";
 import * as analytics from "../core/analytics.js";
+import { getDBInstance, isDBAvailable } from "../core/db-instance.js";
 
 // Mock dependencies
 vi.mock("../core/db-instance.js", () => ({
+  isDBAvailable: vi.fn(() => true),
   getDBInstance: vi.fn(() =>
     Promise.resolve({
       getSnapshots: vi.fn(() => Promise.resolve(null)),
@@ -17,11 +25,15 @@ vi.mock("../core/db-instance.js", () => ({
       getHintEventsInWindow: vi.fn(() => Promise.resolve([])),
       storeJourneyArchive: vi.fn(),
       storeRunGroupArchive: vi.fn(),
+      upsertProblem: vi.fn(() => Promise.resolve()),
     })
   ),
 }));
 
-vi.mock("./api.js", () => ({
+vi.mock("./api.js", async (importOriginal) => ({
+  clearFetchCheckpoint: (await importOriginal()).clearFetchCheckpoint,
+  parseProblemMetadata: (await importOriginal()).parseProblemMetadata,
+  fetchProblemMetadata: vi.fn(() => Promise.resolve(null)),
   fetchProblemPremiumStatus: vi.fn(() => Promise.resolve(false)),
   fetchProblemDescription: vi.fn(() => Promise.resolve({ title: "Test" })),
   fetchDescriptionIfNeeded: vi.fn(() => Promise.resolve(null)),
@@ -286,6 +298,47 @@ describe("processBackfillQueue", () => {
     expect(manifest.backfillProcessedAt).toBeLessThanOrEqual(afterTime + 100);
   });
 
+  it("bumps revision of rewritten chunks so the web app re-fetches them", async () => {
+    const queue = [{ id: "sub1", titleSlug: "two-sum", chunkIndex: 0 }];
+    const chunk = [
+      { id: "sub1", titleSlug: "two-sum", timestamp: 1000 },
+      { id: "sub2", titleSlug: "add-two-numbers", timestamp: 2000 },
+    ];
+    const manifest = {
+      lastTimestamp: 3000,
+      revision: 4,
+      chunks: [
+        { index: 0, from: 1000, to: 2000, rev: 3 },
+        { index: 1, from: 3000, to: 3000, rev: 4 },
+      ],
+    };
+
+    mockStorage.set("leettracker_backfill_queue_testuser", queue);
+    mockStorage.set("leettracker_leetcode_chunk_testuser_0", chunk);
+
+    await processBackfillQueue(
+      "testuser",
+      "leettracker_backfill_queue_testuser",
+      {},
+      [],
+      false,
+      manifest,
+      "manifest_key",
+      "seen_key"
+    );
+
+    const saved = mockStorage.get("manifest_key");
+    expect(saved.revision).toBe(5);
+    expect(saved.chunks[0]).toMatchObject({
+      index: 0,
+      from: 1000,
+      to: 2000,
+      rev: 5,
+      updatedAt: expect.any(Number),
+    });
+    expect(saved.chunks[1].rev).toBe(4);
+  });
+
   it("captures analytics event for backfill progress", async () => {
     const queue = [{ id: "sub1", titleSlug: "two-sum", chunkIndex: 0 }];
     const chunk = [{ id: "sub1", titleSlug: "two-sum", timestamp: 1000 }];
@@ -345,9 +398,11 @@ describe("processBackfillQueue", () => {
     // Should be called twice per submission (before and after)
     expect(locks.updateSyncHeartbeatOrFail).toHaveBeenCalledTimes(4);
     expect(locks.updateSyncHeartbeatOrFail).toHaveBeenCalledWith(
+      "testuser",
       expect.stringContaining("backfill enrichment")
     );
     expect(locks.updateSyncHeartbeatOrFail).toHaveBeenCalledWith(
+      "testuser",
       expect.stringContaining("backfill post-enrichment")
     );
   });
@@ -463,6 +518,535 @@ describe("processBackfillQueue", () => {
   });
 });
 
+describe("processReenrichQueue", () => {
+  const QUEUE_KEY = "leettracker_reenrich_queue_testuser";
+  const CHUNK_KEY = "leettracker_leetcode_chunk_testuser_0";
+  let mockStorage;
+
+  const queued = (overrides = {}) => ({
+    id: "sub1",
+    titleSlug: "two-sum",
+    chunkIndex: 0,
+    missing: ["code"],
+    attempts: 1,
+    firstFailedAt: Date.now() - 3600000,
+    nextAttemptAt: Date.now() - 1000,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockStorage = new Map();
+
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: mockStorage.get(key) });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.entries(items).forEach(([key, value]) => {
+        mockStorage.set(key, value);
+      });
+      if (callback) callback();
+    });
+
+    mockStorage.set(CHUNK_KEY, [
+      { id: "sub1", titleSlug: "two-sum", timestamp: 1000 },
+      { id: "sub2", titleSlug: "add-two-numbers", timestamp: 2000 },
+    ]);
+    vi.mocked(api.fetchDescriptionIfNeeded).mockResolvedValue(null);
+    vi.mocked(api.fetchSubmissionDetailsSafe).mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("counts a re-queued submission as another attempt", async () => {
+    const now = Date.now();
+    vi.spyOn(Date, "now").mockReturnValue(now);
+    mockStorage.set(QUEUE_KEY, [
+      queued({ missing: ["description", "code"], nextAttemptAt: now - 1000 }),
+    ]);
+
+    const length = await queueIncompleteSubmission(
+      "testuser",
+      { id: "sub1", titleSlug: "two-sum" },
+      2,
+      ["code"]
+    );
+
+    expect(length).toBe(1);
+    const [item] = mockStorage.get(QUEUE_KEY);
+    expect(item).toMatchObject({
+      chunkIndex: 2,
+      missing: ["code"],
+      attempts: 2,
+    });
+    expect(item.nextAttemptAt).toBe(nextReenrichAttemptAt(2, now));
+  });
+
+  it("leaves items that are not due yet", async () => {
+    mockStorage.set(QUEUE_KEY, [queued({ nextAttemptAt: Date.now() + 60000 })]);
+    const manifest = { chunkCount: 1, incompleteCount: 0 };
+
+    const result = await processReenrichQueue(
+      "testuser",
+      {},
+      manifest,
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 0, resolved: 0, remaining: 1 });
+    expect(api.fetchSubmissionDetailsSafe).not.toHaveBeenCalled();
+    expect(mockStorage.get("manifest_key").incompleteCount).toBe(1);
+  });
+
+  it("holds description items while the problem catalog is unreachable", async () => {
+    vi.mocked(isDBAvailable).mockReturnValueOnce(false);
+    mockStorage.set(QUEUE_KEY, [
+      queued({ missing: ["description", "code"] }),
+      queued({ id: "sub2", titleSlug: "add-two-numbers" }),
+    ]);
+
+    const result = await processReenrichQueue(
+      "testuser",
+      {},
+      { chunkCount: 1 },
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 1, resolved: 0, remaining: 2 });
+    expect(api.fetchDescriptionIfNeeded).not.toHaveBeenCalled();
+    expect(mockStorage.get(QUEUE_KEY)[0].attempts).toBe(1);
+  });
+
+  it("fills in missing code and removes the item", async () => {
+    mockStorage.set(QUEUE_KEY, [queued()]);
+    vi.mocked(api.fetchSubmissionDetailsSafe).mockResolvedValue({
+      code: "return []",
+      submissionDetails: { runtime: 3 },
+    });
+    const manifest = {
+      chunkCount: 1,
+      revision: 2,
+      chunks: [{ index: 0, from: 1000, to: 2000, rev: 2 }],
+    };
+
+    const result = await processReenrichQueue(
+      "testuser",
+      {},
+      manifest,
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 1, resolved: 1, remaining: 0 });
+    expect(mockStorage.get(CHUNK_KEY)[0]).toMatchObject({
+      code: "return []",
+      submissionDetails: { runtime: 3 },
+    });
+    expect(mockStorage.get(QUEUE_KEY)).toEqual([]);
+    expect(mockStorage.get("manifest_key")).toMatchObject({
+      incompleteCount: 0,
+      revision: 3,
+    });
+    expect(mockStorage.get("manifest_key").chunks[0].rev).toBe(3);
+  });
+
+  it("counts a description stored with another submission as resolved", async () => {
+    mockStorage.set(QUEUE_KEY, [queued({ missing: ["description"] })]);
+    const seenMap = { "two-sum": { isPremium: false, hasDescription: true } };
+
+    const result = await processReenrichQueue(
+      "testuser",
+      seenMap,
+      { chunkCount: 1 },
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result.resolved).toBe(1);
+    expect(mockStorage.get(QUEUE_KEY)).toEqual([]);
+  });
+
+  it("backs off and keeps only the parts still missing", async () => {
+    mockStorage.set(QUEUE_KEY, [queued({ missing: ["description", "code"] })]);
+    vi.mocked(api.fetchDescriptionIfNeeded).mockResolvedValue({
+      content: "Given an array...",
+    });
+    const seenMap = {};
+    const before = Date.now();
+
+    const result = await processReenrichQueue(
+      "testuser",
+      seenMap,
+      { chunkCount: 1 },
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 1, resolved: 0, remaining: 1 });
+    const [item] = mockStorage.get(QUEUE_KEY);
+    expect(item.missing).toEqual(["code"]);
+    expect(item.attempts).toBe(2);
+    expect(item.nextAttemptAt).toBeGreaterThanOrEqual(before + 30 * 60000);
+    expect(seenMap["two-sum"].hasDescription).toBe(true);
+    expect(mockStorage.get(CHUNK_KEY)[0].problemDescription).toBeUndefined();
+    expect(mockStorage.get("manifest_key").incompleteCount).toBe(1);
+  });
+
+  it("gives up after the maximum number of attempts", async () => {
+    mockStorage.set(QUEUE_KEY, [queued({ attempts: 7 })]);
+
+    const result = await processReenrichQueue(
+      "testuser",
+      {},
+      { chunkCount: 1 },
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 1, resolved: 0, remaining: 0 });
+    expect(mockStorage.get(QUEUE_KEY)).toEqual([]);
+  });
+
+  it("drops items whose submission is no longer stored", async () => {
+    mockStorage.set(QUEUE_KEY, [queued({ id: "gone" })]);
+
+    const result = await processReenrichQueue(
+      "testuser",
+      {},
+      { chunkCount: 1 },
+      "manifest_key",
+      "seen_key"
+    );
+
+    expect(result).toEqual({ processed: 0, resolved: 0, remaining: 0 });
+    expect(api.fetchSubmissionDetailsSafe).not.toHaveBeenCalled();
+  });
+});
+
+describe("repairStoredSyncData", () => {
+  const BACKFILL_KEY = "leettracker_backfill_queue_testuser";
+  let mockStorage;
+
+  const chunkKey = (i) => `leettracker_leetcode_chunk_testuser_${i}`;
+  const subsBetween = (from, to) =>
+    Array.from({ length: to - from }, (_, i) => ({
+      id: `s${from + i}`,
+      timestamp: 1000 + from + i,
+    }));
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockStorage = new Map();
+
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: mockStorage.get(key) });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.entries(items).forEach(([key, value]) => {
+        mockStorage.set(key, value);
+      });
+      if (callback) callback();
+    });
+    global.chrome.storage.local.remove.mockImplementation((keys, callback) => {
+      (Array.isArray(keys) ? keys : [keys]).forEach((k) =>
+        mockStorage.delete(k)
+      );
+      if (callback) callback();
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("deduplicates, re-chunks in timestamp order and rebuilds the manifest", async () => {
+    // 150 unique submissions spread over three short, overlapping chunks
+    const all = subsBetween(0, 150);
+    mockStorage.set(chunkKey(0), all.slice(60, 150));
+    mockStorage.set(chunkKey(1), all.slice(0, 70));
+    mockStorage.set(chunkKey(2), all.slice(140, 150));
+    const manifest = {
+      chunkCount: 3,
+      revision: 7,
+      chunks: [{ index: 0, rev: 7 }],
+      total: 170,
+      lastTimestamp: 1149,
+      skippedForBackfill: 12,
+    };
+
+    const result = await repairStoredSyncData(
+      "testuser",
+      manifest,
+      BACKFILL_KEY
+    );
+
+    expect(result).toEqual({
+      ok: true,
+      before: 170,
+      after: 150,
+      chunkCount: 2,
+    });
+    expect(mockStorage.get(chunkKey(0))).toEqual(all.slice(0, 100));
+    expect(mockStorage.get(chunkKey(1))).toEqual(all.slice(100, 150));
+    expect(mockStorage.has(chunkKey(2))).toBe(false);
+
+    const saved = mockStorage.get("leettracker_sync_manifest_testuser");
+    expect(saved).toMatchObject({
+      chunkCount: 2,
+      total: 150,
+      totalSynced: 150,
+      lastTimestamp: 1149,
+      revision: 8,
+      repairedRevision: 8,
+      skippedForBackfill: 12,
+    });
+    expect(saved.chunks).toEqual([
+      { index: 0, from: 1000, to: 1099, rev: 8, updatedAt: expect.any(Number) },
+      { index: 1, from: 1100, to: 1149, rev: 8, updatedAt: expect.any(Number) },
+    ]);
+  });
+
+  it("keeps enriched fields from every copy of a duplicate", async () => {
+    mockStorage.set(chunkKey(0), [
+      { id: "a", timestamp: 1, code: "x = 1", problemDescription: null },
+    ]);
+    mockStorage.set(chunkKey(1), [
+      {
+        id: "a",
+        timestamp: 1,
+        code: "stale",
+        problemDescription: { content: "d" },
+      },
+    ]);
+
+    await repairStoredSyncData("testuser", { chunkCount: 2 }, BACKFILL_KEY);
+
+    expect(mockStorage.get(chunkKey(0))).toEqual([
+      {
+        id: "a",
+        timestamp: 1,
+        code: "x = 1",
+        problemDescription: { content: "d" },
+      },
+    ]);
+  });
+
+  it("points queued items at their new chunks", async () => {
+    mockStorage.set(chunkKey(0), subsBetween(100, 150));
+    mockStorage.set(chunkKey(1), subsBetween(0, 100));
+    mockStorage.set(BACKFILL_KEY, [
+      { id: "s120", titleSlug: "x", chunkIndex: 0 },
+      { id: "gone", titleSlug: "y", chunkIndex: 1 },
+    ]);
+    mockStorage.set("leettracker_reenrich_queue_testuser", [
+      { id: "s5", missing: ["code"], chunkIndex: 1 },
+    ]);
+    const manifest = { chunkCount: 2 };
+
+    await repairStoredSyncData("testuser", manifest, BACKFILL_KEY);
+
+    expect(mockStorage.get(BACKFILL_KEY)).toEqual([
+      { id: "s120", titleSlug: "x", chunkIndex: 1 },
+    ]);
+    expect(mockStorage.get("leettracker_reenrich_queue_testuser")).toEqual([
+      { id: "s5", missing: ["code"], chunkIndex: 0 },
+    ]);
+    expect(manifest.incompleteCount).toBe(1);
+  });
+
+  it("refuses to repair chunks it cannot order", async () => {
+    mockStorage.set(chunkKey(0), [{ id: "a", timestamp: 1 }, { id: "b" }]);
+    const manifest = { chunkCount: 1, total: 2 };
+
+    const result = await repairStoredSyncData(
+      "testuser",
+      manifest,
+      BACKFILL_KEY
+    );
+
+    expect(result.ok).toBe(false);
+    expect(manifest).toEqual({ chunkCount: 1, total: 2 });
+    expect(mockStorage.get(chunkKey(0))).toHaveLength(2);
+    expect(global.chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+});
+
+describe("migrateDescriptionsToCatalog", () => {
+  let mockStorage;
+  let catalog;
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockStorage = new Map();
+    catalog = new Map([
+      ["two-sum", { titleSlug: "two-sum", description: "x" }],
+    ]);
+    mockDB = {
+      getProblem: vi.fn(async (slug) => catalog.get(slug) || null),
+      upsertProblem: vi.fn(async (slug, fields) => {
+        catalog.set(slug, { ...catalog.get(slug), ...fields, titleSlug: slug });
+      }),
+    };
+    vi.mocked(getDBInstance).mockResolvedValueOnce(mockDB);
+
+    global.chrome.storage.local.get.mockImplementation((keys, callback) => {
+      const key = Array.isArray(keys) ? keys[0] : keys;
+      callback({ [key]: mockStorage.get(key) });
+    });
+    global.chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.entries(items).forEach(([key, value]) => {
+        mockStorage.set(key, value);
+      });
+      if (callback) callback();
+    });
+
+    mockStorage.set("leettracker_leetcode_chunk_testuser_0", [
+      {
+        id: "1",
+        titleSlug: "two-sum",
+        timestamp: 100,
+        problemDescription: { questionId: "1", content: "old" },
+      },
+      {
+        id: "2",
+        titleSlug: "3sum",
+        timestamp: 200,
+        problemDescription: { questionId: "15", content: "Find triplets" },
+      },
+    ]);
+    mockStorage.set("leettracker_leetcode_chunk_testuser_1", [
+      { id: "3", titleSlug: "3sum", timestamp: 300 },
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("moves descriptions off submissions into the catalog once", async () => {
+    const manifest = {
+      chunkCount: 2,
+      revision: 2,
+      chunks: [
+        { index: 0, from: 100, to: 200, rev: 1 },
+        { index: 1, from: 300, to: 300, rev: 2 },
+      ],
+    };
+
+    const result = await migrateDescriptionsToCatalog(
+      "testuser",
+      manifest,
+      "manifest_key"
+    );
+
+    expect(result).toEqual({ migrated: 2 });
+    expect(mockStorage.get("leettracker_leetcode_chunk_testuser_0")).toEqual([
+      { id: "1", titleSlug: "two-sum", timestamp: 100 },
+      { id: "2", titleSlug: "3sum", timestamp: 200 },
+    ]);
+    // Existing catalog descriptions are not overwritten
+    expect(catalog.get("two-sum").description).toBe("x");
+    expect(catalog.get("3sum")).toMatchObject({
+      questionId: "15",
+      description: "Find triplets",
+      descriptionFetchedAt: 200000,
+    });
+
+    const saved = mockStorage.get("manifest_key");
+    expect(saved.descriptionsInCatalog).toBe(true);
+    expect(saved.chunks[0].rev).toBe(3);
+    expect(saved.chunks[1].rev).toBe(2);
+
+    await migrateDescriptionsToCatalog("testuser", saved, "manifest_key");
+    expect(mockDB.getProblem).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves submissions untouched when the catalog cannot be written", async () => {
+    mockDB.upsertProblem.mockRejectedValue(new Error("IDB closed"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const manifest = { chunkCount: 2, chunks: [] };
+
+    await migrateDescriptionsToCatalog("testuser", manifest, "manifest_key");
+
+    expect(
+      mockStorage.get("leettracker_leetcode_chunk_testuser_0")[1]
+        .problemDescription
+    ).toBeDefined();
+    expect(manifest.descriptionsInCatalog).toBeUndefined();
+    expect(mockStorage.has("manifest_key")).toBe(false);
+  });
+});
+
+describe("backfillProblemMetadata", () => {
+  let catalog;
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    catalog = new Map([
+      ["two-sum", { titleSlug: "two-sum", metadataFetchedAt: 1 }],
+      ["3sum", { titleSlug: "3sum", questionId: "15" }],
+      ["premium-problem", { titleSlug: "premium-problem", isPremium: true }],
+    ]);
+    mockDB = {
+      getProblemsPage: vi.fn(async (offset, limit) => ({
+        records: [...catalog.values()].slice(offset, offset + limit),
+        total: catalog.size,
+      })),
+      upsertProblem: vi.fn(async (slug, fields) => {
+        catalog.set(slug, { ...catalog.get(slug), ...fields, titleSlug: slug });
+      }),
+    };
+    vi.mocked(getDBInstance).mockResolvedValueOnce(mockDB);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("fills in metadata for catalog records stored without it", async () => {
+    vi.mocked(api.fetchProblemMetadata).mockImplementation(async (slug) => ({
+      questionId: slug === "3sum" ? "15" : "999",
+      title: slug,
+      difficulty: "Medium",
+      topicTags: [{ name: "Array", slug: "array" }],
+    }));
+
+    const result = await backfillProblemMetadata();
+
+    expect(result).toEqual({ updated: 2, remaining: 0 });
+    expect(api.fetchProblemMetadata).toHaveBeenCalledTimes(2);
+    expect(api.fetchProblemMetadata).not.toHaveBeenCalledWith("two-sum");
+    expect(catalog.get("premium-problem")).toMatchObject({
+      isPremium: true,
+      questionId: "999",
+      difficulty: "Medium",
+      topicTags: [{ name: "Array", slug: "array" }],
+      metadataFetchedAt: expect.any(Number),
+    });
+  });
+
+  it("leaves failed fetches for the next sync", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.mocked(api.fetchProblemMetadata)
+      .mockRejectedValueOnce(new Error("HTTP 500"))
+      .mockResolvedValueOnce(null);
+
+    const result = await backfillProblemMetadata();
+
+    expect(result).toEqual({ updated: 0, remaining: 2 });
+    expect(mockDB.upsertProblem).not.toHaveBeenCalled();
+  });
+});
+
 describe("syncSubmissions", () => {
   let mockStorage;
   let mockAnalytics;
@@ -501,7 +1085,7 @@ describe("syncSubmissions", () => {
     vi.mocked(locks.isOwner).mockReturnValue(true);
 
     // Setup lock state in chrome.storage
-    mockStorage.set("leettracker_sync_lock", {
+    mockStorage.set("leettracker_sync_lock_testuser", {
       isLocked: true,
       sessionId: sessionId,
       acquiredAt: Date.now(),
@@ -510,21 +1094,23 @@ describe("syncSubmissions", () => {
 
     // Mock updateSyncHeartbeat to update the lock in storage
     vi.mocked(locks.updateSyncHeartbeat).mockImplementation(async () => {
-      const currentLock = mockStorage.get("leettracker_sync_lock");
+      const currentLock = mockStorage.get("leettracker_sync_lock_testuser");
       if (currentLock) {
-        mockStorage.set("leettracker_sync_lock", {
+        mockStorage.set("leettracker_sync_lock_testuser", {
           ...currentLock,
           lastHeartbeat: Date.now(),
         });
       }
       return true;
     });
-    vi.mocked(locks.updateSyncHeartbeatOrFail).mockImplementation(async () => {
-      const success = await locks.updateSyncHeartbeat();
-      if (!success) {
-        throw new Error("Lost lock ownership");
+    vi.mocked(locks.updateSyncHeartbeatOrFail).mockImplementation(
+      async (username) => {
+        const success = await locks.updateSyncHeartbeat(username);
+        if (!success) {
+          throw new Error("Lost lock ownership");
+        }
       }
-    });
+    );
 
     // Default API behavior
     vi.mocked(api.fetchAllSubmissions).mockResolvedValue([]);
@@ -554,6 +1140,7 @@ describe("syncSubmissions", () => {
     expect(result).toEqual({
       success: true,
       newSolves: 0,
+      newSubmissions: 0,
       isBackfill: false,
       isFirstSync: true,
     });
@@ -589,7 +1176,12 @@ describe("syncSubmissions", () => {
 
     const result = await syncSubmissions("testuser");
 
-    expect(result).toEqual({ success: true, newSolves: 0, isBackfill: false });
+    expect(result).toEqual({
+      success: true,
+      newSolves: 0,
+      newSubmissions: 0,
+      isBackfill: false,
+    });
     expect(mockAnalytics.capture).toHaveBeenCalledWith(
       "sync_no_new_submissions",
       expect.objectContaining({
@@ -647,7 +1239,61 @@ describe("syncSubmissions", () => {
       index: 0,
       from: submissions[0].timestamp, // chunk[0] - first item added (newest submission)
       to: submissions[4].timestamp, // chunk.at(-1) - last item added (oldest submission)
+      rev: 1,
+      updatedAt: expect.any(Number),
     });
+    expect(manifest.revision).toBe(1);
+  });
+
+  it("queues submissions stored incomplete for re-enrichment", async () => {
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 1000,
+      total: 0,
+      totalSynced: 0,
+      chunkCount: 0,
+      chunks: [],
+    });
+
+    const now = Math.floor(Date.now() / 1000);
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([
+      {
+        id: "sub0",
+        titleSlug: "two-sum",
+        timestamp: now,
+        statusDisplay: "Accepted",
+      },
+      {
+        id: "sub1",
+        titleSlug: "three-sum",
+        timestamp: now - 100,
+        statusDisplay: "Accepted",
+      },
+    ]);
+    vi.mocked(api.fetchDescriptionIfNeeded).mockResolvedValue({
+      content: "Problem",
+    });
+    vi.mocked(api.fetchSubmissionDetailsSafe).mockImplementation(async (sub) =>
+      sub.id === "sub0" ? { code: "ok" } : null
+    );
+
+    await syncSubmissions("testuser");
+
+    const queue = mockStorage.get("leettracker_reenrich_queue_testuser");
+    expect(queue).toEqual([
+      expect.objectContaining({
+        id: "sub1",
+        titleSlug: "three-sum",
+        chunkIndex: 0,
+        missing: ["code"],
+        attempts: 1,
+        nextAttemptAt: expect.any(Number),
+      }),
+    ]);
+    const manifest = mockStorage.get("leettracker_sync_manifest_testuser");
+    expect(manifest.incompleteCount).toBe(1);
+
+    vi.mocked(api.fetchDescriptionIfNeeded).mockResolvedValue(null);
+    vi.mocked(api.fetchSubmissionDetailsSafe).mockResolvedValue(null);
   });
 
   it("handles empty first sync followed by sync with submissions", async () => {
@@ -688,6 +1334,7 @@ describe("syncSubmissions", () => {
     const chunk = mockStorage.get("leettracker_leetcode_chunk_testuser_0");
     expect(chunk).toBeDefined();
     expect(chunk.length).toBe(3);
+    expect(chunk.every((sub) => sub.platform === "com")).toBe(true);
 
     // Verify manifest was updated correctly
     manifest = mockStorage.get("leettracker_sync_manifest_testuser");
@@ -922,12 +1569,17 @@ describe("syncSubmissions", () => {
     );
   });
 
-  it("resets manifest when audit detects inconsistencies", async () => {
+  it("resets sync data when the audit fails and repair is impossible", async () => {
+    // Entries without timestamps cannot be put back in order
     mockStorage.set("leettracker_sync_manifest_testuser", {
       lastTimestamp: 999999999,
       total: 4,
       chunkCount: 2,
-      chunks: [{ index: 0 }, { index: 1 }],
+      chunks: [
+        { index: 0, rev: 6 },
+        { index: 1, rev: 7 },
+      ],
+      revision: 7,
       totalSynced: 3,
     });
     mockStorage.set("leettracker_leetcode_chunk_testuser_0", [{ id: "a" }]);
@@ -953,15 +1605,20 @@ describe("syncSubmissions", () => {
 
     expect(removedKeys).toEqual(
       expect.arrayContaining([
-        "leettracker_sync_manifest_testuser",
         "leettracker_seen_problems_testuser",
         "leettracker_backfill_queue_testuser",
+        "leettracker_fetch_checkpoint_testuser",
         "leettracker_leetcode_chunk_testuser_0",
         "leettracker_leetcode_chunk_testuser_1",
       ])
     );
 
     expect(api.fetchAllSubmissions).not.toHaveBeenCalled();
+    expect(mockStorage.get("leettracker_sync_manifest_testuser")).toEqual({
+      revision: 8,
+      repairedRevision: 8,
+      repairedAt: expect.any(Number),
+    });
 
     expect(mockAnalytics.capture).toHaveBeenCalledWith(
       "sync_data_reset_due_to_audit",
@@ -976,6 +1633,75 @@ describe("syncSubmissions", () => {
     );
   });
 
+  it("keeps the revision climbing when resyncing after a reset", async () => {
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 999999999,
+      total: 2,
+      chunkCount: 1,
+      chunks: [{ index: 0, rev: 7 }],
+      revision: 7,
+      totalSynced: 2,
+    });
+    mockStorage.set("leettracker_leetcode_chunk_testuser_0", [{ id: "a" }]);
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([]);
+
+    await syncSubmissions("testuser");
+
+    const now = Math.floor(Date.now() / 1000);
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([
+      { id: "a", titleSlug: "two-sum", timestamp: now - 60 },
+      { id: "b", titleSlug: "two-sum", timestamp: now },
+    ]);
+
+    const result = await syncSubmissions("testuser");
+
+    expect(result.success).toBe(true);
+    expect(api.fetchAllSubmissions).toHaveBeenCalledWith(0, "testuser");
+    const manifest = mockStorage.get("leettracker_sync_manifest_testuser");
+    expect(manifest).toMatchObject({ repairedRevision: 8, total: 2 });
+    expect(manifest.revision).toBeGreaterThan(8);
+    expect(manifest.chunks[0].rev).toBe(manifest.revision);
+  });
+
+  it("repairs stored data when the audit fails and keeps syncing", async () => {
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 300,
+      total: 5,
+      chunkCount: 2,
+      chunks: [{ index: 0 }, { index: 1 }],
+      totalSynced: 5,
+    });
+    mockStorage.set("leettracker_leetcode_chunk_testuser_0", [
+      { id: "a", timestamp: 100, code: "a()" },
+    ]);
+    mockStorage.set("leettracker_leetcode_chunk_testuser_1", [
+      { id: "a", timestamp: 100 },
+      { id: "b", timestamp: 200 },
+    ]);
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([]);
+
+    const result = await syncSubmissions("testuser");
+
+    expect(result.success).toBe(true);
+    expect(api.fetchAllSubmissions).toHaveBeenCalledWith(200, "testuser");
+    expect(mockStorage.get("leettracker_leetcode_chunk_testuser_0")).toEqual([
+      { id: "a", timestamp: 100, code: "a()" },
+      { id: "b", timestamp: 200 },
+    ]);
+    expect(mockAnalytics.capture).toHaveBeenCalledWith(
+      "sync_data_repaired_after_audit",
+      expect.objectContaining({
+        username: "testuser",
+        submissions_before: 3,
+        submissions_after: 2,
+      })
+    );
+    expect(mockAnalytics.capture).not.toHaveBeenCalledWith(
+      "sync_data_reset_due_to_audit",
+      expect.anything()
+    );
+  });
+
   it("tracks first sync vs subsequent sync", async () => {
     // First sync
     mockStorage.set("leettracker_sync_manifest_testuser", {
@@ -1034,8 +1760,8 @@ describe("syncSubmissions", () => {
 
     // updateSyncHeartbeatOrFail should throw when updateSyncHeartbeat returns false
     vi.mocked(locks.updateSyncHeartbeatOrFail).mockImplementation(
-      async (context) => {
-        const success = await locks.updateSyncHeartbeat();
+      async (username, context) => {
+        const success = await locks.updateSyncHeartbeat(username);
         if (!success) {
           throw new Error(
             `Lost lock ownership during ${context || "operation"}`
@@ -1113,9 +1839,11 @@ describe("syncSubmissions", () => {
 
     // Should call heartbeat before and after each submission
     expect(locks.updateSyncHeartbeatOrFail).toHaveBeenCalledWith(
+      "testuser",
       expect.stringContaining("heartbeat update at submission")
     );
     expect(locks.updateSyncHeartbeatOrFail).toHaveBeenCalledWith(
+      "testuser",
       expect.stringContaining("post-enrichment heartbeat update")
     );
   });
@@ -1153,4 +1881,202 @@ describe("syncSubmissions", () => {
       duration: expect.any(Number),
     });
   });
+
+  it("reports progress through onProgress", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 1000,
+      total: 0,
+      totalSynced: 0,
+      chunkCount: 0,
+      chunks: [],
+    });
+
+    const submissions = Array.from({ length: 2 }, (_, i) => ({
+      id: `sub${i}`,
+      titleSlug: `problem-${i}`,
+      timestamp: now - i * 100,
+      statusDisplay: "Accepted",
+    }));
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue(submissions);
+
+    const onProgress = vi.fn();
+    await syncSubmissions("testuser", { onProgress });
+
+    expect(onProgress.mock.calls.map(([p]) => p)).toEqual([
+      { phase: "started" },
+      { phase: "fetched", fetched: 2, total: 2 },
+      { phase: "enriching", enriched: 1, toEnrich: 2 },
+      { phase: "enriching", enriched: 2, toEnrich: 2 },
+      { phase: "backfill", processed: 0, remaining: 0 },
+    ]);
+  });
+
+  it("ignores errors thrown by the progress listener", async () => {
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 1000,
+      total: 10,
+    });
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([]);
+
+    const result = await syncSubmissions("testuser", {
+      onProgress: () => {
+        throw new Error("listener gone");
+      },
+    });
+
+    expect(result).toEqual({
+      success: true,
+      newSolves: 0,
+      newSubmissions: 0,
+      isBackfill: false,
+    });
+  });
+
+  it("records each run in the sync history", async () => {
+    const defaultDB = vi.mocked(getDBInstance).getMockImplementation();
+    const storeSyncRun = vi.fn(() => Promise.resolve());
+    vi.mocked(getDBInstance).mockResolvedValue({
+      getSnapshots: vi.fn(() => Promise.resolve(null)),
+      getRunEventsInWindow: vi.fn(() => Promise.resolve([])),
+      getHintEventsInWindow: vi.fn(() => Promise.resolve([])),
+      getProblemsPage: vi.fn(() => Promise.resolve({ records: [], total: 0 })),
+      storeJourneyArchive: vi.fn(),
+      storeRunGroupArchive: vi.fn(),
+      storeSyncRun,
+      pruneSyncRuns: vi.fn(() => Promise.resolve(0)),
+    });
+    const now = Math.floor(Date.now() / 1000);
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 1000,
+      total: 0,
+      totalSynced: 0,
+      chunkCount: 0,
+      chunks: [],
+    });
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValue([
+      { id: "sub1", titleSlug: "two-sum", timestamp: now },
+    ]);
+
+    await syncSubmissions("testuser", { trigger: "submission" });
+
+    expect(storeSyncRun).toHaveBeenCalledWith(
+      expect.objectContaining({
+        username: "testuser",
+        sessionId: "test-session-123",
+        trigger: "submission",
+        lock: "acquired",
+        audit: { status: "passed", issues: [] },
+        outcome: "synced",
+        error: null,
+        counts: expect.objectContaining({
+          fetched: 1,
+          enriched: 1,
+          queuedForBackfill: 0,
+        }),
+      })
+    );
+    const run = storeSyncRun.mock.calls[0][0];
+    expect(run.endedAt).toBeGreaterThanOrEqual(run.startedAt);
+    vi.mocked(getDBInstance).mockImplementation(defaultDB);
+  });
+
+  it("records the stage a failed run stopped at", async () => {
+    mockStorage.set("leettracker_sync_manifest_testuser", {
+      lastTimestamp: 1000,
+      total: 10,
+    });
+    vi.mocked(api.fetchAllSubmissions).mockRejectedValue(
+      new Error("network down")
+    );
+
+    const result = await syncSubmissions("testuser");
+
+    expect(result).toEqual({ success: false, error: "network down" });
+    // The default DB mock cannot store runs, so the run waits in
+    // chrome.storage for one that can
+    expect(mockStorage.get("leettracker_pending_sync_runs")).toEqual([
+      expect.objectContaining({
+        outcome: "failed",
+        error: { stage: "fetch", message: "network down" },
+      }),
+    ]);
+  });
+
+  it("fills in a background-synced journey on a later tab sync", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const sub = {
+      id: "sub1",
+      titleSlug: "two-sum",
+      lang: "python3",
+      timestamp: now - 60,
+      statusDisplay: "Accepted",
+    };
+    mockStorage.set("leettracker_seen_problems_testuser", {
+      "two-sum": { isPremium: false, hasDescription: true },
+    });
+    vi.mocked(api.fetchSubmissionDetailsSafe).mockResolvedValue({
+      code: "return []",
+    });
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValueOnce([sub]);
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+
+    await syncSubmissions("testuser", { trigger: "background" });
+
+    vi.mocked(isDBAvailable).mockReturnValue(true);
+    const CHUNK = "leettracker_leetcode_chunk_testuser_0";
+    const QUEUE = "leettracker_reenrich_queue_testuser";
+    expect(mockStorage.get(CHUNK)[0].codingJourney).toBeUndefined();
+    expect(mockStorage.get(QUEUE)).toEqual([
+      expect.objectContaining({
+        id: "sub1",
+        missing: ["journey", "activeTime", "hints", "runs"],
+      }),
+    ]);
+
+    // The queued item is due by the time a LeetCode tab syncs
+    mockStorage.set(QUEUE, [
+      { ...mockStorage.get(QUEUE)[0], nextAttemptAt: Date.now() },
+    ]);
+    const snapshotMs = (now - 300) * 1000;
+    vi.mocked(getDBInstance).mockResolvedValue({
+      getSnapshots: vi.fn(() =>
+        Promise.resolve({ snapshots: [{ timestamp: snapshotMs }] })
+      ),
+      getActivityInWindow: vi.fn(() => Promise.resolve([])),
+      getRunEventsInWindow: vi.fn(() => Promise.resolve([])),
+      getHintEventsInWindow: vi.fn(() => Promise.resolve([])),
+      storeJourneyArchive: vi.fn(),
+      storeRunGroupArchive: vi.fn(),
+    });
+    vi.mocked(api.fetchAllSubmissions).mockResolvedValueOnce([]);
+
+    const result = await syncSubmissions("testuser");
+
+    expect(result.success).toBe(true);
+    expect(mockStorage.get(CHUNK)[0]).toMatchObject({
+      code: "return []",
+      usedHints: "none",
+      codingJourney: { snapshotCount: 1, firstSnapshot: snapshotMs },
+      enrichmentStatus: { journey: "ok", hints: "ok", runs: "ok" },
+    });
+    expect(mockStorage.get(QUEUE)).toEqual([]);
+  });
+
+  it("records a run that found the lock held", async () => {
+    vi.mocked(isDBAvailable).mockReturnValue(false);
+    vi.mocked(locks.acquireSyncLock).mockResolvedValue(false);
+
+    await syncSubmissions("testuser", { trigger: "background" });
+
+    expect(mockStorage.get("leettracker_pending_sync_runs")).toEqual([
+      expect.objectContaining({
+        trigger: "background",
+        lock: "held",
+        stage: "lock",
+        outcome: "lock_held",
+      }),
+    ]);
+    vi.mocked(isDBAvailable).mockReturnValue(true);
+  });
 });
@@ -0,0 +1,197 @@
+// src/tracking/activity.js
+import { MIN_IDLE_THRESHOLD_MS } from "../core/settings.js";
+import { getDBInstance } from "../core/db-instance.js";
+import { getAnalytics } from "../core/analytics.js";
+import { problemSlugFromPath } from "../leetcode/platform.js";
+
+// A problem left open in a tab overnight is not hours of solving. While a
+// problem page is visible and focused, the tracker keeps an activity interval
+// in LeetTrackerDB's `activity` store: when the stretch started and ended, and
+// the idle gaps inside it (pauses of at least 30 seconds between focus and
+// editor input). Enrichment turns the intervals into a submission's active
+// solve time, dropping gaps longer than the idle threshold (see
+// DEFAULT_ACTIVITY_SETTINGS in core/settings.js).
+
+// User input on the page; keystrokes in the editor arrive as keydown
+const INPUT_EVENTS = ["keydown", "input", "pointerdown", "wheel"];
+const ACTIVITY_FLUSH_MS = 60 * 1000;
+
+/**
+ * Turns activity signals into intervals. `activity(slug)` marks the user as
+ * active on a problem now; `end(reason)` closes the interval ("blur",
+ * "hidden", "navigation", "pagehide", "stopped"). `flush()` saves the open
+ * interval as it stands (`endReason: "open"`), so a closed tab loses at most
+ * one flush period.
+ * @param {object} options
+ * @param {(problemSlug: string, interval: object) => Promise<void>} options.save
+ * @param {() => number} [options.now]
+ * @param {number} [options.minIdleGapMs] - shorter pauses are not recorded
+ */
+export function createActivityTracker({
+  save,
+  now = () => Date.now(),
+  minIdleGapMs = MIN_IDLE_THRESHOLD_MS,
+}) {
+  let current = null; // { problemSlug, startedAt, lastActiveAt, idleGaps }
+
+  function persist(interval, endedAt, endReason) {
+    const idleGaps = [...interval.idleGaps];
+    if (endedAt - interval.lastActiveAt >= minIdleGapMs) {
+      idleGaps.push([interval.lastActiveAt, endedAt]);
+    }
+    return Promise.resolve()
+      .then(() =>
+        save(interval.problemSlug, {
+          startedAt: interval.startedAt,
+          endedAt,
+          endReason,
+          idleGaps,
+        })
+      )
+      .catch((e) => {
+        console.warn("[LeetTracker] Failed to store activity interval:", e);
+      });
+  }
+
+  function end(reason) {
+    if (!current) return Promise.resolve();
+    const interval = current;
+    current = null;
+    return persist(interval, now(), reason);
+  }
+
+  function activity(problemSlug) {
+    if (current && current.problemSlug !== problemSlug) end("navigation");
+    if (!problemSlug) return;
+
+    const t = now();
+    if (!current) {
+      current = { problemSlug, startedAt: t, lastActiveAt: t, idleGaps: [] };
+      return;
+    }
+    if (t - current.lastActiveAt >= minIdleGapMs) {
+      current.idleGaps.push([current.lastActiveAt, t]);
+    }
+    current.lastActiveAt = t;
+  }
+
+  function flush() {
+    if (!current) return Promise.resolve();
+    return persist(current, now(), "open");
+  }
+
+  return {
+    activity,
+    end,
+    flush,
+    /** Problem of the open interval, or null. */
+    currentSlug: () => current?.problemSlug || null,
+  };
+}
+
+let stopActivityTracker = null;
+
+/**
+ * Track activity on problem pages for `username`: focus and blur,
+ * visibilitychange and user input. Returns a function that stops tracking.
+ */
+export function startActivityTracker(username) {
+  if (stopActivityTracker) return stopActivityTracker; // already running
+
+  const tracker = createActivityTracker({
+    save: async (problemSlug, interval) => {
+      const db = await getDBInstance();
+      await db.storeActivityInterval(username, problemSlug, interval);
+    },
+  });
+
+  const isEngaged = () =>
+    document.visibilityState === "visible" && document.hasFocus();
+  const currentSlug = () => problemSlugFromPath(window.location.pathname);
+
+  const onActive = () => {
+    try {
+      if (isEngaged()) tracker.activity(currentSlug());
+    } catch (e) {
+      getAnalytics().captureError(
+        "activity_tracker_error",
+        e,
+        { username, pathname: window.location.pathname },
+        { throttle: true }
+      );
+    }
+  };
+  const onBlur = () => tracker.end("blur");
+  const onVisibilityChange = () => {
+    if (document.visibilityState === "hidden") tracker.end("hidden");
+    else onActive();
+  };
+  const onPageHide = () => tracker.end("pagehide");
+
+  window.addEventListener("focus", onActive);
+  window.addEventListener("blur", onBlur);
+  window.addEventListener("pagehide", onPageHide);
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  for (const type of INPUT_EVENTS) {
+    window.addEventListener(type, onActive, { capture: true, passive: true });
+  }
+
+  const flushInterval = setInterval(() => {
+    // LeetCode is a single-page app; leaving a problem fires no event
+    if (tracker.currentSlug() && tracker.currentSlug() !== currentSlug()) {
+      tracker.end("navigation");
+    }
+    tracker.flush();
+  }, ACTIVITY_FLUSH_MS);
+
+  onActive();
+
+  stopActivityTracker = () => {
+    clearInterval(flushInterval);
+    window.removeEventListener("focus", onActive);
+    window.removeEventListener("blur", onBlur);
+    window.removeEventListener("pagehide", onPageHide);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    for (const type of INPUT_EVENTS) {
+      window.removeEventListener(type, onActive, { capture: true });
+    }
+    tracker.end("stopped");
+    stopActivityTracker = null;
+  };
+  return stopActivityTracker;
+}
+
+/**
+ * Active time in [startMs, endMs]: the time covered by `intervals`, minus
+ * their idle gaps longer than `idleThresholdMs`. Overlapping intervals (two
+ * tabs on one problem) count once.
+ * @returns {number} milliseconds
+ */
+export function activeTimeInWindow(intervals, startMs, endMs, idleThresholdMs) {
+  const segments = [];
+  for (const interval of intervals || []) {
+    let from = interval.startedAt;
+    const gaps = (interval.idleGaps || [])
+      .filter(([gapStart, gapEnd]) => gapEnd - gapStart > idleThresholdMs)
+      .sort((a, b) => a[0] - b[0]);
+    for (const [gapStart, gapEnd] of gaps) {
+      segments.push([from, gapStart]);
+      from = gapEnd;
+    }
+    segments.push([from, interval.endedAt]);
+  }
+
+  const clipped = segments
+    .map(([from, to]) => [Math.max(from, startMs), Math.min(to, endMs)])
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let coveredTo = -Infinity;
+  for (const [from, to] of clipped) {
+    if (to <= coveredTo) continue;
+    total += to - Math.max(from, coveredTo);
+    coveredTo = to;
+  }
+  return total;
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi } from "vitest";
+import { activeTimeInWindow, createActivityTracker } from "./activity.js";
+
+vi.mock("../core/db-instance.js", () => ({
+  getDBInstance: vi.fn(),
+}));
+
+function trackerAt(start = 0) {
+  let t = start;
+  const saved = [];
+  const tracker = createActivityTracker({
+    save: async (problemSlug, interval) => {
+      saved.push({ problemSlug, ...interval });
+    },
+    now: () => t,
+    minIdleGapMs: 30000,
+  });
+  return {
+    tracker,
+    saved,
+    at: (ms) => {
+      t = ms;
+    },
+  };
+}
+
+describe("createActivityTracker", () => {
+  it("records an interval from the first activity to the blur", async () => {
+    const { tracker, saved, at } = trackerAt(1000);
+    tracker.activity("two-sum");
+    at(11000);
+    tracker.activity("two-sum");
+    at(15000);
+    await tracker.end("blur");
+
+    expect(saved).toEqual([
+      {
+        problemSlug: "two-sum",
+        startedAt: 1000,
+        endedAt: 15000,
+        endReason: "blur",
+        idleGaps: [],
+      },
+    ]);
+  });
+
+  it("records pauses between activity as idle gaps", async () => {
+    const { tracker, saved, at } = trackerAt(0);
+    tracker.activity("two-sum");
+    at(60000);
+    tracker.activity("two-sum"); // 60s pause
+    at(70000);
+    tracker.activity("two-sum");
+    at(200000);
+    await tracker.end("hidden"); // trailing 130s pause
+
+    expect(saved[0].idleGaps).toEqual([
+      [0, 60000],
+      [70000, 200000],
+    ]);
+  });
+
+  it("starts a new interval on another problem", async () => {
+    const { tracker, saved, at } = trackerAt(0);
+    tracker.activity("two-sum");
+    at(5000);
+    tracker.activity("3sum");
+    await tracker.end("pagehide");
+
+    expect(saved.map((i) => [i.problemSlug, i.endReason])).toEqual([
+      ["two-sum", "navigation"],
+      ["3sum", "pagehide"],
+    ]);
+    expect(saved[1].startedAt).toBe(5000);
+  });
+
+  it("saves the open interval on flush and keeps tracking it", async () => {
+    const { tracker, saved, at } = trackerAt(0);
+    tracker.activity("two-sum");
+    at(60000);
+    await tracker.flush();
+    tracker.activity("two-sum");
+    at(70000);
+    await tracker.end("blur");
+
+    expect(saved).toHaveLength(2);
+    expect(saved[0]).toMatchObject({
+      startedAt: 0,
+      endedAt: 60000,
+      endReason: "open",
+      idleGaps: [[0, 60000]],
+    });
+    // Same startedAt, so the closed interval replaces the open one
+    expect(saved[1]).toMatchObject({
+      startedAt: 0,
+      endedAt: 70000,
+      endReason: "blur",
+    });
+  });
+
+  it("does nothing outside problem pages", async () => {
+    const { tracker, saved } = trackerAt(0);
+    tracker.activity(null);
+    await tracker.end("blur");
+    await tracker.flush();
+
+    expect(saved).toEqual([]);
+    expect(tracker.currentSlug()).toBeNull();
+  });
+
+  it("never throws when saving fails", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const tracker = createActivityTracker({
+      save: () => Promise.reject(new Error("quota exceeded")),
+      now: () => 0,
+    });
+    tracker.activity("two-sum");
+
+    await expect(tracker.end("blur")).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe("activeTimeInWindow", () => {
+  const MIN = 60 * 1000;
+
+  it("excludes idle gaps longer than the threshold", () => {
+    const intervals = [
+      {
+        startedAt: 0,
+        endedAt: 60 * MIN,
+        idleGaps: [
+          [10 * MIN, 12 * MIN], // 2 min: still thinking
+          [20 * MIN, 50 * MIN], // 30 min: away
+        ],
+      },
+    ];
+
+    expect(activeTimeInWindow(intervals, 0, 60 * MIN, 5 * MIN)).toBe(30 * MIN);
+    expect(activeTimeInWindow(intervals, 0, 60 * MIN, 60 * MIN)).toBe(60 * MIN);
+    expect(activeTimeInWindow(intervals, 0, 60 * MIN, MIN)).toBe(28 * MIN);
+  });
+
+  it("clips intervals to the window", () => {
+    const intervals = [
+      { startedAt: 0, endedAt: 10 * MIN, idleGaps: [] },
+      { startedAt: 20 * MIN, endedAt: 40 * MIN, idleGaps: [] },
+    ];
+
+    expect(activeTimeInWindow(intervals, 5 * MIN, 30 * MIN, 5 * MIN)).toBe(
+      15 * MIN
+    );
+  });
+
+  it("counts overlapping intervals once", () => {
+    const intervals = [
+      { startedAt: 0, endedAt: 10 * MIN, idleGaps: [] },
+      { startedAt: 5 * MIN, endedAt: 15 * MIN },
+    ];
+
+    expect(activeTimeInWindow(intervals, 0, 60 * MIN, 5 * MIN)).toBe(15 * MIN);
+    expect(activeTimeInWindow([], 0, 60 * MIN, 5 * MIN)).toBe(0);
+  });
+});
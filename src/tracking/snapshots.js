@@ -1,7 +1,7 @@
 // src/tracking/snapshots.js
 import DiffMatchPatch from "diff-match-patch";
-import { consts, keys, store } from "../core/config.js";
-import { getUserInfoWithCache } from "../leetcode/api.js";
+import { keys, store } from "../core/config.js";
+import { getUserInfoWithCache, graphqlFetch } from "../leetcode/api.js";
 import {
   getCurrentProblemId,
   getProblemIdFromSlug,
@@ -13,8 +13,6 @@ import { recordProblemVisit } from "./watchers.js";
 import { getDBInstance } from "../core/db-instance.js";
 import { getAnalytics } from "../core/analytics.js";
 
-const { GRAPHQL_URL } = consts;
-
 // Initialize diff-match-patch for use throughout the module
 const dmp = new DiffMatchPatch();
 dmp.Diff_Timeout = 1; // seconds
@@ -118,19 +116,51 @@ export function getSelectedLanguageForProblem(problemId, userId) {
   return localStorage.getItem(key);
 }
 
+// Language of the problem last asked about. The snapshot and fresh start
+// watchers ask several times a second, so LeetCode's setting is read again
+// only for another problem or after forgetCurrentLanguage().
+let currentLanguage = null; // { problemSlug, language }
+let languageGeneration = 0;
+
+/**
+ * Drop the cached editor language; called when LeetCode saves a language
+ * choice (see startLanguageSwitchWatcher in watchers.js).
+ */
+export function forgetCurrentLanguage() {
+  currentLanguage = null;
+  languageGeneration++;
+}
+
 export async function detectCurrentLanguage(code, problemSlug = null) {
+  if (problemSlug && currentLanguage?.problemSlug === problemSlug) {
+    return currentLanguage.language;
+  }
+
+  const generation = languageGeneration;
+  const { language, settled } = await readCurrentLanguage(problemSlug);
+  // Not cached while the user or problem is still unknown, nor when a switch
+  // was reported during the read
+  if (settled && generation === languageGeneration) {
+    currentLanguage = { problemSlug, language };
+  }
+  return language;
+}
+
+async function readCurrentLanguage(problemSlug) {
+  let settled = false;
   try {
     const { userId } = await getUserInfoWithCache();
     const problemId = problemSlug
       ? await getProblemIdFromSlug(problemSlug)
       : null;
     if (problemId && userId) {
+      settled = true;
       let lang = getSelectedLanguageForProblem(problemId, userId);
       if (lang) {
         if (lang.startsWith('"') && lang.endsWith('"')) {
           lang = JSON.parse(lang);
         }
-        return lang;
+        return { language: lang, settled };
       }
     }
   } catch {
@@ -144,13 +174,13 @@ export async function detectCurrentLanguage(code, problemSlug = null) {
       if (savedLang.startsWith('"') && savedLang.endsWith('"')) {
         cleanLang = JSON.parse(savedLang);
       }
-      return cleanLang.toLowerCase().trim();
+      return { language: cleanLang.toLowerCase().trim(), settled };
     }
   } catch {
     // ignore
   }
 
-  return "python3";
+  return { language: "python3", settled };
 }
 
 // ------------------------------
@@ -308,16 +338,21 @@ export async function takeCodeSnapshot(username, problemSlug) {
       return;
     }
     const currentCode = codeResult.bestGuess;
+    // Each language has its own stream, so switching languages never diffs
+    // one language's code against another's
+    const language = await detectCurrentLanguage(currentCode, problemSlug);
 
     // Read snapshots from IndexedDB
     let snapshots = [];
     let lastFinalCode = "";
+    let restoredAt = null;
     try {
       const snapshotData = await (
         await getDBInstance()
-      ).getSnapshots(username, problemSlug);
+      ).getSnapshots(username, problemSlug, language);
       snapshots = snapshotData.snapshots || [];
       lastFinalCode = snapshotData.lastFinalCode || "";
+      restoredAt = snapshotData.restoredAt || null;
     } catch (error) {
       console.warn(
         "[LeetTracker] IndexedDB read failed, skipping snapshot:",
@@ -335,6 +370,12 @@ export async function takeCodeSnapshot(username, problemSlug) {
 
     if (!shouldTakeSnapshot(lastCode, currentCode)) return;
 
+    // After a restore, wait for the restored code rather than recording the
+    // template the editor still shows
+    if (restoredAt && (await checkForFreshStart(currentCode, problemSlug))) {
+      return;
+    }
+
     const patchResult = makePatch(lastCode, currentCode);
     if (!patchResult) return;
 
@@ -369,7 +410,7 @@ export async function takeCodeSnapshot(username, problemSlug) {
     snapshots.push(snapshot);
 
     console.log(
-      `[LeetTracker] Took snapshot #${snapshots.length} for ${problemSlug} (${currentCode.length} chars) via ${codeResult.bestMethod}`
+      `[LeetTracker] Took snapshot #${snapshots.length} for ${problemSlug} in ${language} (${currentCode.length} chars) via ${codeResult.bestMethod}`
     );
 
     const snapshotData = {
@@ -381,7 +422,7 @@ export async function takeCodeSnapshot(username, problemSlug) {
     try {
       await (
         await getDBInstance()
-      ).storeSnapshots(username, problemSlug, snapshotData);
+      ).storeSnapshots(username, problemSlug, language, snapshotData);
 
       const analytics = getAnalytics();
       analytics.capture(
@@ -390,6 +431,7 @@ export async function takeCodeSnapshot(username, problemSlug) {
           username,
           problem_slug: problemSlug,
           snapshot_number: snapshots.length,
+          language,
           is_checkpoint: isCheckpoint,
           code_length: currentCode.length,
           code_method: codeResult.bestMethod,
@@ -422,7 +464,6 @@ export async function takeCodeSnapshot(username, problemSlug) {
 // Template cache & "fresh start" detection
 // ------------------------------
 export async function fetchProblemCodeTemplate(titleSlug) {
-  if (!GRAPHQL_URL) return [];
   const body = {
     query: `
         query questionEditorData($titleSlug: String!) {
@@ -439,15 +480,7 @@ export async function fetchProblemCodeTemplate(titleSlug) {
   };
 
   try {
-    const res = await fetch(GRAPHQL_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Referer: "https://leetcode.com/problemset/all/",
-      },
-      body: JSON.stringify(body),
-      credentials: "include",
-    });
+    const res = await graphqlFetch(body);
     const json = await res.json();
     return json.data?.question?.codeSnippets || [];
   } catch (error) {
@@ -529,46 +562,77 @@ export async function handleFreshStartReset(
   currentCode
 ) {
   return withSnapshotLock(username, problemSlug, async () => {
-    // Read snapshots
-    let snapshots = [];
+    // Read the snapshots of the editor's language
+    let snapshotData;
     try {
-      const snapshotData = await (
+      const language = await detectCurrentLanguage(currentCode, problemSlug);
+      snapshotData = await (
         await getDBInstance()
-      ).getSnapshots(username, problemSlug);
-      snapshots = snapshotData.snapshots || [];
+      ).getSnapshots(username, problemSlug, language);
     } catch (_error) {
       return false;
     }
+    const snapshots = snapshotData.snapshots || [];
     if (snapshots.length < 1) return false;
+    // Restored snapshots wait for their code to be back in the editor
+    if (snapshotData.restoredAt) return false;
 
     const matchesTemplate = await checkForFreshStart(currentCode, problemSlug);
     if (!matchesTemplate) return false;
 
     if (snapshots.length === 1) return false;
 
-    // Record problem visit for solve-window tracking
-    recordProblemVisit(username, problemSlug);
-
+    // Keep the discarded journey as an abandoned attempt; the snapshots are
+    // only cleared if it was stored
+    let attempt;
     try {
-      await (
+      attempt = await (
         await getDBInstance()
-      ).storeSnapshots(username, problemSlug, {
-        snapshots: [],
-        lastFinalCode: null,
+      ).archiveAndClearSnapshots(username, problemSlug, snapshotData, {
+        reason: "fresh_start",
+        finalCode:
+          snapshotData.lastFinalCode || reconstructCodeFromSnapshots(snapshots),
       });
-      return true;
     } catch (error) {
       console.warn(
-        "[LeetTracker] Failed to clear snapshots during reset:",
+        "[LeetTracker] Failed to archive snapshots during reset:",
         error
       );
+      getAnalytics().captureError(
+        "abandoned_attempt_archive_error",
+        error,
+        {
+          username,
+          problem_slug: problemSlug,
+          snapshot_count: snapshots.length,
+        },
+        { throttle: true }
+      );
       return false;
     }
+
+    // Record problem visit for solve-window tracking and attempt sessions
+    recordProblemVisit(username, problemSlug, { freshStart: true });
+
+    console.log(
+      `[LeetTracker] Fresh start on ${problemSlug}: archived ${snapshots.length} snapshots as an abandoned attempt`
+    );
+    getAnalytics().capture("abandoned_attempt_archived", {
+      username,
+      problem_slug: problemSlug,
+      snapshot_count: attempt.snapshotCount,
+      language: attempt.language,
+      duration_ms: attempt.endedAt - attempt.startedAt,
+    });
+    return true;
   });
 }
 
+/**
+ * Check for fresh starts twice a second. Returns a function that stops it.
+ */
 export function startFreshStartWatcher(username) {
-  setInterval(async () => {
+  const interval = setInterval(async () => {
     const slug = getCurrentProblemSlug();
     if (!slug) return;
 
@@ -577,4 +641,65 @@ export function startFreshStartWatcher(username) {
 
     await handleFreshStartReset(username, slug, codeResult.bestGuess);
   }, 500);
+  return () => clearInterval(interval);
+}
+
+// titleSlug -> `lang` of the user's latest stored submission of the problem
+async function submittedLanguages(username) {
+  const latest = new Map();
+  const manifest = (await store.get(keys.manifest(username), {})) || {};
+  for (const meta of manifest.chunks || []) {
+    const chunk = (await store.get(keys.chunk(username, meta.index), [])) || [];
+    for (const sub of chunk) {
+      const seen = latest.get(sub.titleSlug);
+      if (sub.lang && (!seen || sub.timestamp > seen.timestamp)) {
+        latest.set(sub.titleSlug, sub);
+      }
+    }
+  }
+  return new Map([...latest].map(([slug, sub]) => [slug, sub.lang]));
+}
+
+/**
+ * Move snapshot records from before streams were kept per language into a
+ * language's stream: the language of the user's latest stored submission of
+ * the problem, otherwise the language the problem was last open in. A mixed
+ * stream cannot be split, so it goes to one language whole. Run once per tab
+ * before the first sync; never throws.
+ * @returns {Promise<number>} records migrated
+ */
+export async function migrateSnapshotStreams(username) {
+  let migrated = 0;
+  try {
+    const db = await getDBInstance();
+    const records = await db.getLegacySnapshotRecords(username);
+    const submitted =
+      records.length > 0 ? await submittedLanguages(username) : new Map();
+    for (const record of records) {
+      const language =
+        submitted.get(record.problemSlug) ||
+        (await detectCurrentLanguage(
+          record.lastFinalCode || "",
+          record.problemSlug
+        ));
+      await db.migrateSnapshotRecord(record, language);
+      migrated++;
+    }
+    if (migrated > 0) {
+      console.log(
+        `[LeetTracker] Moved ${migrated} snapshot records to per-language streams`
+      );
+      getAnalytics().capture("snapshot_streams_migrated", {
+        username,
+        records: migrated,
+      });
+    }
+  } catch (error) {
+    console.warn("[LeetTracker] Failed to migrate snapshot streams:", error);
+    getAnalytics().captureError("snapshot_migration_error", error, {
+      username,
+      migrated,
+    });
+  }
+  return migrated;
 }
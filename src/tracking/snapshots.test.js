@@ -1,11 +1,39 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import {
   normalizeText,
   createChecksum,
   makePatch,
   applyPatch,
   calculateCodeSimilarity,
+  handleFreshStartReset,
+  migrateSnapshotStreams,
+  detectCurrentLanguage,
+  forgetCurrentLanguage,
 } from "./snapshots.js";
+import { getDBInstance } from "../core/db-instance.js";
+import { getProblemIdFromSlug } from "../leetcode/database.js";
+import { getUserInfoWithCache } from "../leetcode/api.js";
+import { recordProblemVisit } from "./watchers.js";
+
+vi.mock("../core/db-instance.js", () => ({
+  getDBInstance: vi.fn(),
+}));
+
+vi.mock("./watchers.js", () => ({
+  recordProblemVisit: vi.fn(),
+}));
+
+vi.mock("../leetcode/database.js", () => ({
+  getCurrentProblemId: vi.fn(),
+  getProblemIdFromSlug: vi.fn(() => Promise.resolve(null)),
+  getCodeFromLeetCodeDB: vi.fn(),
+  getCurrentProblemSlug: vi.fn(),
+}));
+
+vi.mock("../leetcode/api.js", () => ({
+  getUserInfoWithCache: vi.fn(() => Promise.resolve({ userId: null })),
+  graphqlFetch: vi.fn(),
+}));
 
 describe("normalizeText", () => {
   it("strips zero-width characters", () => {
@@ -267,3 +295,198 @@ describe("calculateCodeSimilarity", () => {
     expect(similarity).toBeGreaterThan(0.7);
   });
 });
+
+describe("handleFreshStartReset", () => {
+  const TEMPLATE =
+    "class Solution:\n    def twoSum(self, nums, target):\n        ";
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    mockDB = {
+      getSnapshots: vi.fn(() =>
+        Promise.resolve({
+          language: "python3",
+          snapshots: [
+            { timestamp: 1000, fullCode: TEMPLATE },
+            { timestamp: 2000, patchText: "" },
+          ],
+          lastFinalCode: "return [0, 1]\n",
+          restoredAt: null,
+        })
+      ),
+      getTemplates: vi.fn(() =>
+        Promise.resolve([{ langSlug: "python3", code: TEMPLATE }])
+      ),
+      archiveAndClearSnapshots: vi.fn((username, problemSlug, data) =>
+        Promise.resolve({
+          snapshotCount: data.snapshots.length,
+          startedAt: 1000,
+          endedAt: 2000,
+          language: data.language,
+        })
+      ),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  it("archives the snapshots before clearing them", async () => {
+    await expect(
+      handleFreshStartReset("alice", "two-sum", TEMPLATE)
+    ).resolves.toBe(true);
+
+    expect(mockDB.getSnapshots).toHaveBeenCalledWith(
+      "alice",
+      "two-sum",
+      "python3"
+    );
+    expect(mockDB.archiveAndClearSnapshots).toHaveBeenCalledWith(
+      "alice",
+      "two-sum",
+      expect.objectContaining({ lastFinalCode: "return [0, 1]\n" }),
+      {
+        reason: "fresh_start",
+        finalCode: "return [0, 1]\n",
+      }
+    );
+    expect(recordProblemVisit).toHaveBeenCalledWith("alice", "two-sum", {
+      freshStart: true,
+    });
+  });
+
+  it("keeps the snapshots when the archive fails", async () => {
+    mockDB.archiveAndClearSnapshots.mockRejectedValue(new Error("quota"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(
+      handleFreshStartReset("alice", "two-sum", TEMPLATE)
+    ).resolves.toBe(false);
+    expect(recordProblemVisit).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it("leaves restored snapshots alone until new code is recorded", async () => {
+    mockDB.getSnapshots.mockResolvedValue({
+      snapshots: [{ timestamp: 1000 }, { timestamp: 2000 }],
+      lastFinalCode: "return [0, 1]\n",
+      restoredAt: 3000,
+    });
+
+    await expect(
+      handleFreshStartReset("alice", "two-sum", TEMPLATE)
+    ).resolves.toBe(false);
+    expect(mockDB.archiveAndClearSnapshots).not.toHaveBeenCalled();
+  });
+
+  it("does not reset when the code differs from the template", async () => {
+    await expect(
+      handleFreshStartReset("alice", "two-sum", "def solve():\n    pass\n")
+    ).resolves.toBe(false);
+    expect(mockDB.archiveAndClearSnapshots).not.toHaveBeenCalled();
+  });
+});
+
+describe("detectCurrentLanguage", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    forgetCurrentLanguage();
+    vi.mocked(getUserInfoWithCache).mockResolvedValue({ userId: "7" });
+    vi.mocked(getProblemIdFromSlug).mockImplementation((slug) =>
+      Promise.resolve(slug === "two-sum" ? "1" : "15")
+    );
+  });
+
+  afterEach(() => {
+    forgetCurrentLanguage();
+    vi.mocked(getUserInfoWithCache).mockReset();
+    vi.mocked(getProblemIdFromSlug).mockReset();
+  });
+
+  it("reads the problem's language again only after a switch or for another problem", async () => {
+    localStorage.setItem("1_7_lang", '"cpp"');
+    localStorage.setItem("15_7_lang", '"rust"');
+
+    await expect(detectCurrentLanguage("", "two-sum")).resolves.toBe("cpp");
+    localStorage.setItem("1_7_lang", '"java"');
+    await expect(detectCurrentLanguage("", "two-sum")).resolves.toBe("cpp");
+    expect(getProblemIdFromSlug).toHaveBeenCalledTimes(1);
+
+    forgetCurrentLanguage();
+    await expect(detectCurrentLanguage("", "two-sum")).resolves.toBe("java");
+    await expect(detectCurrentLanguage("", "3sum")).resolves.toBe("rust");
+    expect(getProblemIdFromSlug).toHaveBeenCalledTimes(3);
+  });
+
+  it("does not cache a guess made before the user is known", async () => {
+    vi.mocked(getUserInfoWithCache).mockResolvedValueOnce({ userId: null });
+    localStorage.setItem("1_7_lang", '"cpp"');
+
+    await expect(detectCurrentLanguage("", "two-sum")).resolves.toBe("python3");
+    await expect(detectCurrentLanguage("", "two-sum")).resolves.toBe("cpp");
+  });
+});
+
+describe("migrateSnapshotStreams", () => {
+  let mockDB;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+    mockDB = {
+      getLegacySnapshotRecords: vi.fn(() => Promise.resolve([])),
+      migrateSnapshotRecord: vi.fn(() => Promise.resolve()),
+    };
+    vi.mocked(getDBInstance).mockResolvedValue(mockDB);
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+  });
+
+  it("files each legacy record under the language it was submitted in", async () => {
+    localStorage.setItem("global_lang", '"Java"');
+    const stored = {
+      leettracker_sync_manifest_alice: { chunks: [{ index: 0 }] },
+      leettracker_leetcode_chunk_alice_0: [
+        { id: "1", titleSlug: "two-sum", timestamp: 100, lang: "python3" },
+        { id: "2", titleSlug: "two-sum", timestamp: 200, lang: "cpp" },
+        { id: "3", titleSlug: "valid-anagram", timestamp: 300, lang: "rust" },
+      ],
+    };
+    chrome.storage.local.get.mockImplementation((keys, callback) =>
+      callback({ [keys[0]]: stored[keys[0]] })
+    );
+    const submitted = {
+      id: "alice_two-sum",
+      problemSlug: "two-sum",
+      snapshots: [{ timestamp: 1000 }, { timestamp: 2000 }],
+    };
+    const unsubmitted = {
+      id: "alice_three-sum",
+      problemSlug: "three-sum",
+      snapshots: [{ timestamp: 1000 }],
+    };
+    mockDB.getLegacySnapshotRecords.mockResolvedValue([submitted, unsubmitted]);
+
+    await expect(migrateSnapshotStreams("alice")).resolves.toBe(2);
+
+    expect(mockDB.getLegacySnapshotRecords).toHaveBeenCalledWith("alice");
+    // The latest submission's language, not the default python3
+    expect(mockDB.migrateSnapshotRecord).toHaveBeenCalledWith(submitted, "cpp");
+    // Never submitted: the language the problem was last open in
+    expect(mockDB.migrateSnapshotRecord).toHaveBeenCalledWith(
+      unsubmitted,
+      "java"
+    );
+  });
+
+  it("does not throw when the database fails", async () => {
+    mockDB.getLegacySnapshotRecords.mockRejectedValue(new Error("blocked"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(migrateSnapshotStreams("alice")).resolves.toBe(0);
+    warn.mockRestore();
+  });
+});
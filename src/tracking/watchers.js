@@ -1,8 +1,12 @@
 // src/tracking/watchers.js
 import { consts, keys, store, util } from "../core/config.js";
-import { syncSubmissions } from "../leetcode/sync.js";
 import { getCurrentProblemSlug } from "../leetcode/database.js";
-import { getCurrentCode, takeCodeSnapshot } from "./snapshots.js";
+import { isProblemPath, problemSlugFromPath } from "../leetcode/platform.js";
+import {
+  forgetCurrentLanguage,
+  getCurrentCode,
+  takeCodeSnapshot,
+} from "./snapshots.js";
 import { getDBInstance } from "../core/db-instance.js";
 import { getAnalytics } from "../core/analytics.js";
 
@@ -12,26 +16,35 @@ const { visitLog: getVisitLogKey } = keys;
 /**
  * Append a visit event for the given user and problem slug.
  * Keeps only the last 24 hours of entries (in seconds).
+ * `freshStart` marks a visit recorded because the editor was reset to the
+ * problem's template, which starts a new attempt session.
  */
-export async function recordProblemVisit(username, slug) {
+export async function recordProblemVisit(
+  username,
+  slug,
+  { freshStart = false } = {}
+) {
   if (!username || !slug) return;
   const key = getVisitLogKey(username);
   const nowSec = util.nowSec();
 
   const log = (await store.get(key, [])) || [];
-  log.push({ slug, ts: nowSec });
+  log.push(
+    freshStart ? { slug, ts: nowSec, freshStart } : { slug, ts: nowSec }
+  );
 
   const trimmed = log.filter((e) => nowSec - e.ts <= DAY_S);
   await store.set(key, trimmed);
 }
 
 /**
- * Wire LC "Submit" button to schedule a background sync shortly after submission.
- * Uses a data attribute to avoid double-binding.
+ * Wire LC "Submit" button to report submissions to the sync scheduler, which
+ * syncs shortly after. Uses a data attribute to avoid double-binding.
  * @param {string} username - The LeetCode username
- * @param {Function} onSyncComplete - Optional callback to run after sync completes with result
+ * @param {Function} onSubmit - Called on every submit click
+ * @returns {Function|undefined} unhooks the button, if it was hooked now
  */
-export function hookSubmitButton(username, onSyncComplete) {
+export function hookSubmitButton(username, onSubmit) {
   const analytics = getAnalytics();
   const selector = '[data-e2e-locator="console-submit-button"]';
   const button = document.querySelector(selector);
@@ -46,46 +59,50 @@ export function hookSubmitButton(username, onSyncComplete) {
 
   if (button.dataset.leettrackerHooked === "true") return;
 
-  button.addEventListener("click", () => {
+  const onClick = () => {
     console.log("[LeetTracker] Submit clicked — scheduling sync...");
     analytics.capture("submit_button_clicked", { username });
-
-    // Give LC a moment to process the submission and update their data
-    setTimeout(() => {
-      syncSubmissions(username)
-        .then((result) => {
-          if (onSyncComplete && typeof onSyncComplete === "function") {
-            onSyncComplete(result, username);
-          }
-        })
-        .catch((e) => {
-          console.warn("[LeetTracker] syncSubmissions failed after submit:", e);
-        });
-    }, 5000);
-  });
+    onSubmit();
+  };
+  button.addEventListener("click", onClick);
 
   button.dataset.leettrackerHooked = "true";
+  return () => {
+    button.removeEventListener("click", onClick);
+    delete button.dataset.leettrackerHooked;
+  };
 }
 
 // Internal interval guards so we don't start duplicate timers
 let codeSnapshotInterval = null;
 let navWatcherInterval = null;
 
+function stopCodeSnapshotWatcher() {
+  clearInterval(codeSnapshotInterval);
+  codeSnapshotInterval = null;
+}
+
+function stopProblemNavigationWatcher() {
+  clearInterval(navWatcherInterval);
+  navWatcherInterval = null;
+}
+
 /**
  * Poll current editor code once per second and take a snapshot if the diff threshold is met.
  * The snapshot logic itself is idempotent and cheap when nothing changed.
+ * Returns a function that stops the watcher.
  */
 export function startCodeSnapshotWatcher(username) {
   const analytics = getAnalytics();
-  if (codeSnapshotInterval) return; // already running
+  if (codeSnapshotInterval) return stopCodeSnapshotWatcher; // already running
 
   codeSnapshotInterval = setInterval(async () => {
     try {
-      if (!window.location.pathname.startsWith("/problems/")) return;
+      if (!isProblemPath(window.location.pathname)) return;
 
       const slug =
         getCurrentProblemSlug() ||
-        (window.location.pathname.match(/^\/problems\/([^/]+)\/?/) || [])[1] ||
+        problemSlugFromPath(window.location.pathname) ||
         null;
       if (!slug) {
         analytics.captureIntegrationWarning(
@@ -130,23 +147,24 @@ export function startCodeSnapshotWatcher(username) {
       // Keep watcher resilient
     }
   }, 1000);
+  return stopCodeSnapshotWatcher;
 }
 
 /**
  * Watch for problem slug changes and record recent visits for solve-window derivation.
+ * Returns a function that stops the watcher.
  */
 export function startProblemNavigationWatcher(username) {
   const analytics = getAnalytics();
-  if (navWatcherInterval) return; // already running
+  if (navWatcherInterval) return stopProblemNavigationWatcher; // already running
 
   let lastSlug = null;
   navWatcherInterval = setInterval(() => {
     try {
-      const m = window.location.pathname.match(/^\/problems\/([^/]+)\/?/);
-      if (!m) return;
+      const slug = problemSlugFromPath(window.location.pathname);
+      if (!slug) return;
 
-      const slug = m[1];
-      if (slug && slug !== lastSlug) {
+      if (slug !== lastSlug) {
         const previousSlug = lastSlug;
         lastSlug = slug;
         recordProblemVisit(username, slug);
@@ -164,6 +182,43 @@ export function startProblemNavigationWatcher(username) {
       // Keep watcher resilient
     }
   }, 1000);
+  return stopProblemNavigationWatcher;
+}
+
+// LeetCode saves the editor language in localStorage, per problem
+// (`${questionId}_${userId}_lang`) and as the default (`global_lang`)
+function isLanguageKey(key) {
+  return key === null || key === "global_lang" || key.endsWith("_lang");
+}
+
+/**
+ * Re-read the editor language (see detectCurrentLanguage) once LeetCode saves
+ * a language choice: in this tab, as reported by injection/page.js, or in
+ * another tab, through a `storage` event. Returns a function that stops it.
+ */
+export function startLanguageSwitchWatcher() {
+  const onMessage = (event) => {
+    if (event.source !== window) return;
+    const d = event.data;
+    if (d?.source === "leettracker" && d.type === "lt-language-changed") {
+      forgetCurrentLanguage();
+    }
+  };
+  // `key` is null when the storage was cleared
+  const onStorage = (event) => {
+    if (event.storageArea === localStorage && isLanguageKey(event.key)) {
+      forgetCurrentLanguage();
+    }
+  };
+
+  window.addEventListener("message", onMessage);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener("message", onMessage);
+    window.removeEventListener("storage", onStorage);
+    // The next account reads its own setting
+    forgetCurrentLanguage();
+  };
 }
 
 /**
@@ -255,9 +310,10 @@ export function injectRunCodeWatcher() {
 /**
  * Bridge page-context messages (posted by injection/page.js) back into the extension,
  * and persist "Run Code" events into IndexedDB for later grouping with submissions.
+ * Returns a function that stops the bridge.
  */
 export function startRunCodeMessageBridge(username) {
-  window.addEventListener("message", async (event) => {
+  const onMessage = async (event) => {
     if (event.source !== window) return;
     const d = event.data;
     if (!d || d.source !== "leettracker") return;
@@ -267,8 +323,7 @@ export function startRunCodeMessageBridge(username) {
         const { interpret_id, data, meta } = d.payload || {};
         const problemSlug =
           getCurrentProblemSlug() ||
-          (window.location.pathname.match(/^\/problems\/([^/]+)\/?/) ||
-            [])[1] ||
+          problemSlugFromPath(window.location.pathname) ||
           "unknown";
 
         // Prefer exact code captured at run time; else fall back to current editor code
@@ -339,7 +394,10 @@ export function startRunCodeMessageBridge(username) {
         });
       }
     }
-  });
+  };
+
+  window.addEventListener("message", onMessage);
+  return () => window.removeEventListener("message", onMessage);
 }
 
 /**
@@ -407,10 +465,10 @@ export function injectHintTracker() {
 
 /**
  * Bridge hint interaction messages from page context to extension,
- * and persist to IndexedDB
+ * and persist to IndexedDB. Returns a function that stops the bridge.
  */
 export function startHintMessageBridge(username) {
-  window.addEventListener("message", async (event) => {
+  const onMessage = async (event) => {
     if (event.source !== window) return;
     const d = event.data;
     if (!d || d.source !== "leettracker") return;
@@ -420,8 +478,7 @@ export function startHintMessageBridge(username) {
         const { hintType, hintNumber, timestamp } = d.payload || {};
         const problemSlug =
           getCurrentProblemSlug() ||
-          (window.location.pathname.match(/^\/problems\/([^/]+)\/?/) ||
-            [])[1] ||
+          problemSlugFromPath(window.location.pathname) ||
           "unknown";
 
         const hintRecord = {
@@ -481,5 +538,8 @@ export function startHintMessageBridge(username) {
         console.warn("[LeetTracker] Failed to handle integration warning:", e);
       }
     }
-  });
+  };
+
+  window.addEventListener("message", onMessage);
+  return () => window.removeEventListener("message", onMessage);
 }
@@ -0,0 +1,139 @@
+// src/ui/options/options.js
+import {
+  defaultWebappOrigins,
+  getWebappSettings,
+  normalizeWebappOrigin,
+  normalizeWebappSettings,
+  originToMatchPattern,
+  saveWebappSettings,
+} from "../../core/settings.js";
+import { PLATFORMS } from "../../leetcode/platform.js";
+
+const originsInput = document.getElementById("webapp-origins");
+const primarySelect = document.getElementById("primary-origin");
+const saveButton = document.getElementById("save");
+const resetButton = document.getElementById("reset");
+const statusEl = document.getElementById("status");
+const leetcodeCnCheckbox = document.getElementById("leetcode-cn");
+
+const LEETCODE_CN_ORIGINS = [PLATFORMS.cn.tabUrlPattern];
+
+function showStatus(message, isError = false) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle("lt-options-error", isError);
+}
+
+function enteredOrigins() {
+  return originsInput.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Rebuild the primary origin choices from the textarea, keeping the current
+ * selection when it is still listed. Wildcard origins cannot be linked to.
+ */
+function renderPrimaryChoices(selected = primarySelect.value) {
+  const choices = enteredOrigins()
+    .map(normalizeWebappOrigin)
+    .filter((origin) => origin && !origin.includes("*"));
+
+  primarySelect.replaceChildren(
+    ...[...new Set(choices)].map((origin) => {
+      const option = document.createElement("option");
+      option.value = origin;
+      option.textContent = origin;
+      option.selected = origin === selected;
+      return option;
+    })
+  );
+}
+
+function render({ webappOrigins, primaryWebappOrigin }) {
+  originsInput.value = webappOrigins.join("\n");
+  renderPrimaryChoices(primaryWebappOrigin);
+}
+
+async function save(settings) {
+  let normalized;
+  try {
+    normalized = normalizeWebappSettings(settings);
+  } catch (e) {
+    showStatus(e.message, true);
+    return;
+  }
+
+  // Must run directly from the click handler: Chrome only shows the
+  // permission prompt in response to a user gesture.
+  let granted = false;
+  try {
+    granted = await chrome.permissions.request({
+      origins: normalized.webappOrigins.map(originToMatchPattern),
+    });
+  } catch (e) {
+    showStatus(`Could not request access: ${e.message}`, true);
+    return;
+  }
+  if (!granted) {
+    showStatus("Access to the web app origins was not granted.", true);
+    return;
+  }
+
+  await saveWebappSettings(normalized);
+  render(normalized);
+  showStatus("Saved. Reload open web app tabs to connect them.");
+}
+
+/**
+ * Grant or give up access to leetcode.cn. The background service worker
+ * registers or removes the leetcode.cn content scripts when it changes.
+ */
+async function setLeetCodeCnTracking(enabled) {
+  // Must run directly from the change handler, like save()
+  let changed = false;
+  try {
+    changed = enabled
+      ? await chrome.permissions.request({ origins: LEETCODE_CN_ORIGINS })
+      : await chrome.permissions.remove({ origins: LEETCODE_CN_ORIGINS });
+  } catch (e) {
+    leetcodeCnCheckbox.checked = !enabled;
+    showStatus(`Could not change access to leetcode.cn: ${e.message}`, true);
+    return;
+  }
+  if (!changed) {
+    leetcodeCnCheckbox.checked = !enabled;
+    showStatus("Access to leetcode.cn was not changed.", true);
+    return;
+  }
+
+  showStatus(
+    enabled
+      ? "leetcode.cn is tracked. Reload open leetcode.cn tabs to start."
+      : "leetcode.cn is no longer tracked."
+  );
+}
+
+saveButton.addEventListener("click", () => {
+  save({
+    webappOrigins: enteredOrigins(),
+    primaryWebappOrigin: primarySelect.value || undefined,
+  });
+});
+
+resetButton.addEventListener("click", () => {
+  save({ webappOrigins: defaultWebappOrigins() });
+});
+
+originsInput.addEventListener("input", () => renderPrimaryChoices());
+
+leetcodeCnCheckbox.addEventListener("change", () => {
+  setLeetCodeCnTracking(leetcodeCnCheckbox.checked);
+});
+
+getWebappSettings().then(render);
+chrome.permissions
+  .contains({ origins: LEETCODE_CN_ORIGINS })
+  .then((granted) => {
+    leetcodeCnCheckbox.checked = granted;
+  });